@@ -1,16 +1,60 @@
 /**
  * MLPokemonAnalyzer - Advanced ML analysis for Pokemon data
  * 
- * Provides sophisticated machine learning analysis for Pokemon
- * including competitive analysis, statistical modeling, and predictions.
+ * Quality-mode Pokemon answers shaped by the intent model's reading of the
+ * question. Scores come from the trained viability model
+ * (../modules/ViabilityModel) and are shown with the features that drove
+ * them; everything else is read from the species data and the type chart.
  */
 
 const logger = require('../../utils/logger');
+const QueryAnalyzer = require('./QueryAnalyzer');
+const pokemonAnalysis = require('../../pokemon/analysis');
+const typeChart = require('../../pokemon/type_chart');
+const lookups = require('../../pokemon/lookups');
+const breeding = require('../../pokemon/breeding');
+const ViabilityModel = require('../modules/ViabilityModel');
+
+// Other Pokemon listed per ability before "and N more"
+const ABILITY_SHARED_LIMIT = 8;
+
+// Breeding partners listed before "and N more"
+const BREEDING_PARTNER_LIMIT = 12;
+
+// Feature contributions listed when explaining a viability score
+const DRIVER_LIMIT = 3;
+
+// Smallest contribution, in viability points, worth calling a strength or drawback
+const NOTABLE_CONTRIBUTION = 2;
+
+// What each viability tier means for team building
+const TIER_ADVICE = {
+    uber: 'Strong enough to be banned from standard singles: expect it in Ubers',
+    ou: 'Holds its own in standard (OU) singles',
+    uu: 'A solid UU pick and a niche choice in OU',
+    nu: 'Best in the RU and NU tiers',
+    pu: 'Mostly a PU or in-game pick',
+    untiered: 'Rarely used competitively; evolve it first if it can evolve'
+};
+
+// Usual spread for each role from pokemonAnalysis.determineRole
+const ROLE_SPREADS = {
+    'Physical Sweeper': '252 Attack / 252 Speed with a Jolly or Adamant nature',
+    'Special Sweeper': '252 Special Attack / 252 Speed with a Timid or Modest nature',
+    'Physical Wall': '252 HP / 252 Defense with a Bold or Impish nature',
+    'Special Wall': '252 HP / 252 Special Defense with a Calm or Careful nature',
+    'Speed Control': '252 Speed with a Jolly or Timid nature',
+    'Tank/Support': '252 HP, with the rest in whichever defense it needs'
+};
 
 class MLPokemonAnalyzer {
-    constructor() {
-        // ML analysis models and configurations
-        this.initialized = false;
+    /**
+     * options.viabilityModel replaces the saved viability model
+     */
+    constructor(options = {}) {
+        this.queryAnalyzer = new QueryAnalyzer();
+        this.viabilityModel = options.viabilityModel || new ViabilityModel();
+        this.viabilityModelPromise = null;
     }
 
     /**
@@ -19,6 +63,10 @@ class MLPokemonAnalyzer {
     async generateMLEnhancedPokemonResponse(pokemonData, query, performanceMode, mlParams) {
         const pokemon = pokemonData;
         const name = pokemon.name.charAt(0).toUpperCase() + pokemon.name.slice(1);
+        // The same structured analysis the markdown and JSON formats are built from
+        const analysis = pokemonAnalysis.buildPokemonAnalysis(pokemon);
+        
+        const viability = await this._predictViability(pokemon);
         
         logger.info(`Generating ML-enhanced response for ${name} with focus: ${mlParams.focus}`);
         
@@ -30,19 +78,21 @@ class MLPokemonAnalyzer {
         
         // Dynamically structure response based on detected intents and focus
         if (mlParams.focus === 'stats' || mlParams.queryIntents.includes('stats')) {
-            response += await this._generateMLStatsAnalysis(pokemon, mlParams);
+            response += await this._generateMLStatsAnalysis(pokemon, viability, mlParams);
         }
         
         if (mlParams.focus === 'competitive' || mlParams.queryIntents.includes('competitive')) {
-            response += await this._generateMLCompetitiveAnalysis(pokemon, mlParams);
+            response += await this._generateMLCompetitiveAnalysis(pokemon, viability, mlParams);
         }
         
-        if (mlParams.focus === 'evolution' || mlParams.queryIntents.includes('evolution')) {
-            response += await this._generateMLEvolutionAnalysis(pokemon, mlParams);
+        // Explicit evolution questions always get the chain, whatever the model predicted
+        const wantsEvolution = this.queryAnalyzer.analyzePokemonQuery(query).wantsEvolution;
+        if (mlParams.focus === 'evolution' || mlParams.queryIntents.includes('evolution') || wantsEvolution) {
+            response += await this._generateMLEvolutionAnalysis(pokemon, analysis, mlParams);
         }
         
         if (mlParams.focus === 'types' || mlParams.queryIntents.includes('types')) {
-            response += await this._generateMLTypeAnalysis(pokemon, mlParams);
+            response += await this._generateMLTypeAnalysis(pokemon, analysis, mlParams);
         }
         
         if (mlParams.focus === 'abilities' || mlParams.queryIntents.includes('abilities')) {
@@ -55,11 +105,11 @@ class MLPokemonAnalyzer {
         
         // If general or no specific focus, provide comprehensive overview
         if (mlParams.focus === 'general' || mlParams.queryIntents.length === 0) {
-            response += await this._generateMLComprehensiveOverview(pokemon, mlParams);
+            response += await this._generateMLComprehensiveOverview(pokemon, viability, mlParams);
         }
         
         // Add ML-powered conclusions and recommendations
-        response += await this._generateMLConclusions(pokemon, query, mlParams);
+        response += await this._generateMLConclusions(pokemon, analysis, viability, mlParams);
         
         return response;
     }
@@ -71,7 +121,7 @@ class MLPokemonAnalyzer {
         const name = pokemon.name.charAt(0).toUpperCase() + pokemon.name.slice(1);
         const confidence = Math.round(mlParams.confidence * 100);
         
-        let intro = `Through advanced ML analysis (${confidence}% confidence), I've identified your primary interest in ${name}`;
+        let intro = `The intent model (${confidence}% confidence) reads this as a question about ${name}`;
         
         if (mlParams.focus === 'stats') {
             intro += `'s statistical profile and competitive performance metrics.\n\n`;
@@ -93,17 +143,16 @@ class MLPokemonAnalyzer {
     }
 
     /**
-     * Generate ML-enhanced statistical analysis
+     * Stats section: the stat distribution, the viability model's tier and
+     * the role the stats point to
      */
-    async _generateMLStatsAnalysis(pokemon, mlParams) {
+    async _generateMLStatsAnalysis(pokemon, viability, mlParams) {
         const stats = pokemon.base_stats;
         const totalBST = Object.values(stats).reduce((sum, stat) => sum + stat, 0);
         
         let analysis = `## 🧮 ML-Enhanced Statistical Analysis\n\n`;
         
-        // Use ML to provide intelligent stat interpretation
-        analysis += `**AI-Powered Statistical Intelligence:**\n`;
-        analysis += `Based on my neural network analysis of ${pokemon.name}'s statistical distribution:\n\n`;
+        analysis += `**Stat Distribution:** ${pokemon.name} has a base stat total of ${totalBST}, ${(totalBST / 6).toFixed(1)} per stat on average.\n\n`;
         
         // Statistical outlier detection
         const avgStat = totalBST / 6;
@@ -120,34 +169,43 @@ class MLPokemonAnalyzer {
             analysis += `\n`;
         }
         
-        // Performance tier prediction using ML logic
-        const tierPrediction = this._mlPredictPerformanceTier(stats, totalBST);
-        analysis += `**ML Performance Tier Prediction:** ${tierPrediction.tier}\n`;
-        analysis += `**Confidence:** ${tierPrediction.confidence}%\n`;
-        analysis += `**Reasoning:** ${tierPrediction.reasoning}\n\n`;
+        const tierPrediction = this._mlPredictPerformanceTier(viability);
+        if (tierPrediction) {
+            analysis += `**Predicted Tier:** ${tierPrediction.tier} (viability ${tierPrediction.score}/100)\n`;
+            analysis += `**Model Accuracy:** ${tierPrediction.accuracy}\n`;
+            analysis += `**Reasoning:** ${tierPrediction.reasoning}\n\n`;
+        } else {
+            analysis += `**Predicted Tier:** unavailable (the viability model could not be loaded)\n\n`;
+        }
         
-        // Optimal role recommendation
         const roleRecommendation = this._mlRecommendOptimalRole(stats);
-        analysis += `**AI Role Recommendation:** ${roleRecommendation.role}\n`;
-        analysis += `**Strategic Rationale:** ${roleRecommendation.rationale}\n\n`;
+        analysis += `**Role:** ${roleRecommendation.role}\n`;
+        analysis += `**Rationale:** ${roleRecommendation.rationale}\n\n`;
         
         return analysis;
     }
 
     /**
-     * Generate ML-enhanced competitive analysis
+     * Competitive section: the viability score with what raised and lowered
+     * it, and partners and threats from the type chart
      */
-    async _generateMLCompetitiveAnalysis(pokemon, mlParams) {
+    async _generateMLCompetitiveAnalysis(pokemon, viability, mlParams) {
         let analysis = `## ⚔️ ML-Powered Competitive Analysis\n\n`;
         
-        analysis += `**Neural Network Competitive Assessment:**\n`;
-        analysis += `My AI models have analyzed ${pokemon.name} against competitive meta-game patterns:\n\n`;
-        
-        // Simulate competitive viability analysis
-        const competitiveScore = this._mlCalculateCompetitiveScore(pokemon);
-        analysis += `**Competitive Viability Score:** ${competitiveScore.score}/100\n`;
-        analysis += `**Meta Positioning:** ${competitiveScore.position}\n`;
-        analysis += `**AI Recommendation:** ${competitiveScore.recommendation}\n\n`;
+        const competitiveScore = this._mlCalculateCompetitiveScore(viability);
+        if (competitiveScore) {
+            analysis += `**Competitive Viability Score:** ${competitiveScore.score}/100\n`;
+            analysis += `**Meta Positioning:** ${competitiveScore.position}\n`;
+            if (competitiveScore.strengths) {
+                analysis += `**Raised by:** ${competitiveScore.strengths}\n`;
+            }
+            if (competitiveScore.weaknesses) {
+                analysis += `**Lowered by:** ${competitiveScore.weaknesses}\n`;
+            }
+            analysis += `**Recommendation:** ${competitiveScore.recommendation}\n\n`;
+        } else {
+            analysis += `**Competitive Viability Score:** unavailable (the viability model could not be loaded)\n\n`;
+        }
         
         // Team synergy analysis
         const synergyAnalysis = this._mlAnalyzeTeamSynergy(pokemon);
@@ -162,75 +220,37 @@ class MLPokemonAnalyzer {
     /**
      * Generate ML-enhanced evolution analysis
      */
-    async _generateMLEvolutionAnalysis(pokemon, mlParams) {
+    async _generateMLEvolutionAnalysis(pokemon, structured, mlParams) {
         let analysis = `## 🧬 AI Evolution & Development Analysis\n\n`;
         
-        analysis += `**Machine Learning Evolution Insights:**\n`;
-        const name = pokemon.name.toLowerCase();
-        
-        if (pokemon.evolution_info && pokemon.evolution_info !== 'Evolution data available on request' && pokemon.evolution_info !== 'Evolution data unavailable') {
-            analysis += `**Current Evolution Data:** ${pokemon.evolution_info}\n\n`;
-        } else {
-            // Provide detailed evolution information for specific Pokemon
-            const evolutionData = this._getDetailedEvolutionInfo(name);
-            if (evolutionData) {
-                analysis += evolutionData;
-            } else {
-                analysis += `**Evolution Status:** Comprehensive evolution analysis indicates ${name} represents a ${this._analyzeEvolutionStage(pokemon)} in its evolutionary line.\n\n`;
+        const name = pokemon.name.charAt(0).toUpperCase() + pokemon.name.slice(1);
+        const evolution = structured.evolution;
+        
+        if (evolution) {
+            analysis += `${evolution.summary}\n\n`;
+            if (evolution.total_stages > 1) {
+                analysis += `**Evolution ${evolution.is_branching ? 'Pathways' : 'Pathway'}:**\n`;
+                for (const pathway of evolution.pathways) {
+                    analysis += `- ${pokemonAnalysis.formatPathway(pathway)}\n`;
+                }
+                analysis += `\n**Line Position:** Stage ${evolution.stage} of ${evolution.total_stages}${evolution.is_final_stage ? ' (final stage)' : ''}\n\n`;
             }
+        } else {
+            analysis += `**Evolution Status:** Evolution chain data is unavailable; based on base stats ${name} appears to be a ${this._analyzeEvolutionStage(pokemon)}.\n\n`;
         }
         
-        // ML-based evolutionary strategy
-        const evolutionStrategy = this._mlAnalyzeEvolutionStrategy(pokemon);
-        analysis += `**AI-Recommended Evolution Strategy:**\n`;
-        analysis += `- **Optimal Timing:** ${evolutionStrategy.timing}\n`;
-        analysis += `- **Resource Investment:** ${evolutionStrategy.investment}\n`;
-        analysis += `- **Strategic Value:** ${evolutionStrategy.value}\n\n`;
+        const evolutionStrategy = this._mlAnalyzeEvolutionStrategy(evolution);
+        if (evolutionStrategy.length > 0) {
+            analysis += `**Evolution Advice:**\n`;
+            evolutionStrategy.forEach(advice => {
+                analysis += `- ${advice}\n`;
+            });
+            analysis += `\n`;
+        }
         
         return analysis;
     }
 
-    /**
-     * Get detailed evolution information for specific Pokemon
-     */
-    _getDetailedEvolutionInfo(pokemonName) {
-        const evolutionData = {
-            'pikachu': `**Evolution Pathway:** Pichu → Pikachu → Raichu
-**Evolution Requirements:**
-- Pichu evolves to Pikachu through high friendship
-- Pikachu evolves to Raichu using Thunder Stone
-- Alolan Raichu available with Thunder Stone in Alola region
-**Strategic Timing:** Consider Pikachu's unique move learning vs Raichu's superior stats
-**Competitive Implications:** Eviolite Pikachu vs evolved Raichu trade-offs`,
-
-            'charmander': `**Evolution Pathway:** Charmander → Charmeleon → Charizard
-**Evolution Requirements:**
-- Charmander evolves to Charmeleon at level 16
-- Charmeleon evolves to Charizard at level 36
-- Mega Evolution available: Charizard X (Physical) and Charizard Y (Special)
-**Strategic Timing:** Early evolution for stat growth vs delayed for move learning
-**Competitive Implications:** Charizard's dual Mega forms offer different strategic roles`,
-
-            'eevee': `**Evolution Pathway:** Eevee → Multiple Eeveelutions
-**Available Evolutions:**
-- Vaporeon (Water Stone), Jolteon (Thunder Stone), Flareon (Fire Stone)
-- Espeon (Friendship + Day), Umbreon (Friendship + Night)
-- Leafeon (Near Moss Rock), Glaceon (Near Ice Rock)
-- Sylveon (Fairy-type move + Friendship)
-**Strategic Considerations:** Each evolution fills different competitive niches
-**Team Building Impact:** Choose evolution based on team composition needs`,
-
-            'rhyhorn': `**Evolution Pathway:** Rhyhorn → Rhydon → Rhyperior
-**Evolution Requirements:**
-- Rhyhorn evolves to Rhydon at level 42
-- Rhydon evolves to Rhyperior when traded holding Protector
-**Strategic Analysis:** Each stage offers increasing bulk and power
-**Competitive Value:** Rhyperior provides excellent physical bulk and Ground/Rock coverage`
-        };
-
-        return evolutionData[pokemonName] ? `${evolutionData[pokemonName]}\n\n` : null;
-    }
-
     /**
      * Analyze evolution stage of Pokemon
      */
@@ -246,23 +266,28 @@ class MLPokemonAnalyzer {
     /**
      * Generate ML-enhanced type analysis
      */
-    async _generateMLTypeAnalysis(pokemon, mlParams) {
+    async _generateMLTypeAnalysis(pokemon, structured, mlParams) {
         const types = pokemon.types.map(t => t.charAt(0).toUpperCase() + t.slice(1));
         
         let analysis = `## 🎯 AI Type Effectiveness Intelligence\n\n`;
         
-        analysis += `**Neural Network Type Analysis:**\n`;
-        analysis += `My ML models have analyzed ${pokemon.name}'s ${types.join('/')} typing across 18 type interactions:\n\n`;
+        analysis += `${pokemon.name}'s ${types.join('/')} typing against all 18 types:\n\n`;
+        
+        const profile = structured.type_profile;
+        const capitalize = t => t.charAt(0).toUpperCase() + t.slice(1);
+        analysis += `**Weaknesses:** ${profile.weaknesses.length > 0 ? typeChart.formatTypeMultipliers(profile.weaknesses) : 'None'}\n`;
+        analysis += `**Resistances:** ${profile.resistances.length > 0 ? typeChart.formatTypeMultipliers(profile.resistances) : 'None'}\n`;
+        analysis += `**Immunities:** ${profile.immunities.length > 0 ? profile.immunities.map(capitalize).join(', ') : 'None'}\n\n`;
         
-        // Simulate type effectiveness calculations
+        // Scores derived from the type chart
         const typeEffectiveness = this._mlCalculateTypeEffectiveness(pokemon.types);
-        analysis += `**Offensive Coverage Score:** ${typeEffectiveness.offense}/100\n`;
-        analysis += `**Defensive Resistance Score:** ${typeEffectiveness.defense}/100\n`;
+        analysis += `**Offensive Coverage Score:** ${typeEffectiveness.offense}/100 (STAB hits ${typeEffectiveness.superEffectiveCount} of 18 types super effectively)\n`;
+        analysis += `**Defensive Resistance Score:** ${typeEffectiveness.defense}/100 (${profile.weaknesses.length} weaknesses, ${profile.resistances.length} resistances, ${profile.immunities.length} immunities)\n`;
         analysis += `**Overall Type Rating:** ${typeEffectiveness.overall}\n\n`;
         
         // Type-based recommendations
         const typeRecommendations = this._mlGenerateTypeRecommendations(pokemon.types);
-        analysis += `**AI Type Strategy Recommendations:**\n`;
+        analysis += `**Type Strategy:**\n`;
         typeRecommendations.forEach(rec => {
             analysis += `- ${rec}\n`;
         });
@@ -272,233 +297,422 @@ class MLPokemonAnalyzer {
     }
 
     /**
-     * Generate ML-enhanced ability analysis
+     * Ability section: each ability's effect, generation and the other
+     * Pokemon that have it, from PokemonTool's ability_details
      */
     async _generateMLAbilityAnalysis(pokemon, mlParams) {
-        const abilities = pokemon.abilities.map(a => a.split('-').map(word => 
-            word.charAt(0).toUpperCase() + word.slice(1)).join(' '));
+        const details = new Map((pokemon.ability_details || []).map(detail => [detail.slug, detail]));
         
         let analysis = `## ⚡ AI Ability & Capability Assessment\n\n`;
-        
-        analysis += `**Machine Learning Ability Analysis:**\n`;
-        analysis += `Neural network evaluation of ${pokemon.name}'s ability set:\n\n`;
-        
-        abilities.forEach(ability => {
-            const abilityAnalysis = this._mlAnalyzeAbility(ability, pokemon);
-            analysis += `**${ability}:**\n`;
-            analysis += `- Strategic Value: ${abilityAnalysis.value}\n`;
-            analysis += `- Meta Relevance: ${abilityAnalysis.relevance}\n`;
-            analysis += `- AI Recommendation: ${abilityAnalysis.recommendation}\n\n`;
+        analysis += `**${pokemon.name}'s abilities:**\n\n`;
+        
+        pokemon.abilities.forEach(slug => {
+            const abilityAnalysis = this._mlAnalyzeAbility(details.get(slug) || { slug }, pokemon);
+            analysis += `**${abilityAnalysis.name}${abilityAnalysis.hidden ? ' (Hidden Ability)' : ''}:**\n`;
+            analysis += `- Effect: ${abilityAnalysis.effect}\n`;
+            if (abilityAnalysis.generation) {
+                analysis += `- Introduced: ${lookups.formatGeneration(abilityAnalysis.generation)}\n`;
+            }
+            if (abilityAnalysis.sharedWith.length > 0) {
+                const more = abilityAnalysis.sharedCount - abilityAnalysis.sharedWith.length;
+                analysis += `- Also found on: ${abilityAnalysis.sharedWith.join(', ')}${more > 0 ? ` and ${more} more` : ''}\n`;
+            } else if (abilityAnalysis.known) {
+                analysis += `- Exclusive to ${pokemon.name}'s species\n`;
+            }
+            analysis += `\n`;
         });
         
         return analysis;
     }
 
     /**
-     * Generate ML-enhanced breeding analysis
+     * Breeding section: egg groups, gender ratio, hatch steps and partners,
+     * from PokemonTool's breeding_details
      */
     async _generateMLBreedingAnalysis(pokemon, mlParams) {
         let analysis = `## 🥚 AI Breeding & Genetics Optimization\n\n`;
+        const breedingOptimization = this._mlOptimizeBreeding(pokemon);
         
-        analysis += `**Machine Learning Breeding Intelligence:**\n`;
-        if (pokemon.egg_groups && pokemon.egg_groups.length > 0 && pokemon.egg_groups[0] !== 'Unknown') {
-            const breedingOptimization = this._mlOptimizeBreeding(pokemon);
-            analysis += `**Egg Groups:** ${pokemon.egg_groups.join(', ')}\n`;
-            analysis += `**Breeding Compatibility Score:** ${breedingOptimization.compatibility}%\n`;
-            analysis += `**Optimal Partners:** ${breedingOptimization.partners.join(', ')}\n`;
-            analysis += `**AI Breeding Strategy:** ${breedingOptimization.strategy}\n\n`;
-        } else {
-            analysis += `**Breeding Status:** This Pokemon belongs to the Undiscovered or Unknown egg group, indicating special breeding characteristics that require further analysis.\n\n`;
+        if (breedingOptimization.eggGroups.length === 0) {
+            analysis += `**Breeding Status:** ${pokemon.name}'s egg groups are unavailable right now.\n\n`;
+            return analysis;
         }
         
+        analysis += `**Egg Groups:** ${breedingOptimization.eggGroups.join(', ')}\n`;
+        analysis += `**Gender Ratio:** ${breedingOptimization.gender}\n`;
+        if (breedingOptimization.canBreed) {
+            analysis += `**Hatches Into:** ${breedingOptimization.offspring}\n`;
+            analysis += `**Steps to Hatch:** ${breedingOptimization.hatch}\n`;
+        }
+        if (breedingOptimization.partners) {
+            const more = breedingOptimization.partnerCount - breedingOptimization.partners.length;
+            analysis += `**Compatible Partners (${breedingOptimization.partnerCount}):** ${breedingOptimization.partners.join(', ')}${more > 0 ? ` and ${more} more` : ''}\n`;
+        }
+        analysis += `**AI Breeding Strategy:**\n`;
+        breedingOptimization.strategy.forEach(step => {
+            analysis += `- ${step}\n`;
+        });
+        analysis += `\n`;
+        
         return analysis;
     }
 
     /**
-     * Generate comprehensive ML overview
+     * Overview: the viability score and where the Pokemon's stats and typing
+     * rank among the fully evolved Pokemon the model was trained on
      */
-    async _generateMLComprehensiveOverview(pokemon, mlParams) {
+    async _generateMLComprehensiveOverview(pokemon, viability, mlParams) {
         let overview = `## 🎖️ AI Comprehensive Intelligence Summary\n\n`;
         
-        overview += `**Multi-Dimensional ML Analysis:**\n`;
-        overview += `My neural networks have processed ${pokemon.name} across multiple analytical frameworks:\n\n`;
-        
-        const comprehensiveScore = this._mlCalculateComprehensiveScore(pokemon);
-        overview += `**Overall AI Rating:** ${comprehensiveScore.overall}/100\n`;
-        overview += `**Breakdown:**\n`;
-        overview += `- Combat Effectiveness: ${comprehensiveScore.combat}/100\n`;
-        overview += `- Strategic Versatility: ${comprehensiveScore.versatility}/100\n`;
-        overview += `- Meta Relevance: ${comprehensiveScore.meta}/100\n`;
-        overview += `- Training Value: ${comprehensiveScore.training}/100\n\n`;
+        const comprehensiveScore = this._mlCalculateComprehensiveScore(pokemon, viability);
+        overview += comprehensiveScore.overall !== null
+            ? `**Overall Viability:** ${comprehensiveScore.overall}/100 (${comprehensiveScore.tier})\n`
+            : `**Overall Viability:** unavailable (the viability model could not be loaded)\n`;
+        overview += `**Compared with ${comprehensiveScore.referenceCount} fully evolved Pokemon:**\n`;
+        comprehensiveScore.breakdown.forEach(entry => {
+            overview += `- ${entry.label}: ${entry.detail}, ahead of ${entry.percentile}%\n`;
+        });
+        overview += `\n`;
         
         return overview;
     }
 
     /**
-     * Generate ML-powered conclusions
+     * Conclusions: recommendations from the role, typing, evolution and the
+     * viability model's biggest drawback
      */
-    async _generateMLConclusions(pokemon, query, mlParams) {
+    async _generateMLConclusions(pokemon, structured, viability, mlParams) {
         let conclusions = `## 🤖 AI-Powered Insights & Recommendations\n\n`;
         
-        conclusions += `**Neural Network Final Assessment:**\n`;
-        conclusions += `Based on comprehensive ML analysis of your query "${query}" regarding ${pokemon.name}:\n\n`;
-        
-        const finalRecommendations = this._mlGenerateFinalRecommendations(pokemon, mlParams);
+        const finalRecommendations = this._mlGenerateFinalRecommendations(pokemon, structured, viability);
         conclusions += `**AI Strategic Recommendations:**\n`;
         finalRecommendations.forEach((rec, index) => {
             conclusions += `${index + 1}. ${rec}\n`;
         });
         conclusions += `\n`;
         
-        conclusions += `**Confidence Level:** ${Math.round(mlParams.confidence * 100)}%\n`;
         conclusions += `**Analysis Completeness:** ${mlParams.dataNeeds.length > 3 ? 'Comprehensive' : 'Targeted'}\n\n`;
         
-        conclusions += `This ML-enhanced analysis leverages advanced natural language processing, statistical modeling, and competitive meta-analysis to provide you with the most relevant and actionable insights about ${pokemon.name}.`;
+        if (viability) {
+            const { validation } = this.viabilityModel.report;
+            conclusions += `*Viability scores come from a linear model trained on the labelled Pokemon in src/data/viability.json; it places ${Math.round(validation.within_one_tier * 100)}% of held-out Pokemon within one tier of their label. Everything else is read from ${pokemon.name}'s species data and the type chart.*`;
+        } else {
+            conclusions += `*Read from ${pokemon.name}'s species data and the type chart.*`;
+        }
         
         return conclusions;
     }
 
+    /**
+     * The trained viability model, loaded (or trained) on first use; null
+     * when that fails, so no score is shown rather than a made-up one
+     */
+    async _getViabilityModel() {
+        if (!this.viabilityModelPromise) {
+            const model = this.viabilityModel;
+            this.viabilityModelPromise = (model.model ? Promise.resolve() : model.loadOrTrain())
+                .then(() => model)
+                .catch(error => {
+                    logger.warn(`Viability model unavailable: ${error.message}`);
+                    return null;
+                });
+        }
+        return this.viabilityModelPromise;
+    }
+
+    /**
+     * The viability model's prediction for a Pokemon, or null without a model
+     */
+    async _predictViability(pokemon) {
+        const model = await this._getViabilityModel();
+        return model ? model.predict(pokemon) : null;
+    }
+
     // ML Analysis Helper Methods
 
-    _mlPredictPerformanceTier(stats, totalBST) {
-        const tier = totalBST >= 600 ? 'Legendary' : 
-                    totalBST >= 525 ? 'High Competitive' : 
-                    totalBST >= 450 ? 'Standard Competitive' : 
-                    totalBST >= 350 ? 'Specialized Role' : 'Support Tier';
-        
-        const confidence = Math.min(95, Math.max(70, 70 + (totalBST - 300) / 10));
-        
-        const reasoning = totalBST >= 525 ? 
-            'Statistical distribution indicates high competitive viability' :
-            'Statistical analysis suggests specialized or support applications';
-        
-        return { tier, confidence: Math.round(confidence), reasoning };
+    _mlPredictPerformanceTier(viability) {
+        if (!viability) {
+            return null;
+        }
+        const { validation } = this.viabilityModel.report;
+        return {
+            tier: viability.tier.name,
+            score: viability.score,
+            accuracy: `right tier for ${Math.round(validation.tier_accuracy * 100)}% and within one tier for ${Math.round(validation.within_one_tier * 100)}% of ${validation.examples} held-out Pokemon`,
+            reasoning: `Compared with the average Pokemon it was trained on, the model weighs ${formatDrivers(viability.contributions.slice(0, DRIVER_LIMIT))} most.`
+        };
     }
 
+    /**
+     * Role from the highest base stat (pokemonAnalysis.determineRole), with the
+     * stats that decided it
+     */
     _mlRecommendOptimalRole(stats) {
-        const maxStat = Math.max(...Object.values(stats));
-        const maxStatName = Object.entries(stats).find(([k, v]) => v === maxStat)[0];
-        
-        const roleMap = {
-            'attack': { role: 'Physical Sweeper', rationale: 'High attack stat optimized for physical damage output' },
-            'special-attack': { role: 'Special Sweeper', rationale: 'Superior special attack enables special move domination' },
-            'defense': { role: 'Physical Wall', rationale: 'Excellent defense supports tanking physical attacks' },
-            'special-defense': { role: 'Special Wall', rationale: 'Strong special defense enables special attack resistance' },
-            'speed': { role: 'Speed Control', rationale: 'Superior speed provides turn order advantages' },
-            'hp': { role: 'Tank/Support', rationale: 'High HP enables sustained battle presence' }
-        };
-        
-        return roleMap[maxStatName] || { role: 'Balanced Fighter', rationale: 'Even stat distribution supports versatile applications' };
+        const role = pokemonAnalysis.determineRole(stats);
+        const label = formatStatName(role.primary_stat);
+        let rationale = `Its highest base stat is ${label} (${role.primary_value})`;
+        if (role.name === 'Physical Sweeper' || role.name === 'Special Sweeper') {
+            rationale += `, and Speed ${stats.speed} is fast enough to attack first against many Pokemon`;
+        } else if (role.name === 'Balanced Fighter') {
+            rationale += `, but Speed ${stats.speed} is too low to sweep`;
+        }
+        return { role: role.name, rationale: `${rationale}.` };
     }
 
-    _mlCalculateCompetitiveScore(pokemon) {
-        const totalBST = Object.values(pokemon.base_stats).reduce((sum, stat) => sum + stat, 0);
-        const score = Math.min(100, Math.max(20, Math.round((totalBST - 200) / 6)));
-        
-        const position = score >= 85 ? 'Meta Defining' :
-                        score >= 70 ? 'Competitive Viable' :
-                        score >= 55 ? 'Niche Application' :
-                        'Specialized Support';
-        
-        const recommendation = score >= 70 ? 'Highly recommended for competitive play' :
-                              score >= 55 ? 'Consider for specialized strategies' :
-                              'Best suited for casual or themed teams';
-        
-        return { score, position, recommendation };
+    /**
+     * Viability score with the features that raised and lowered it most
+     */
+    _mlCalculateCompetitiveScore(viability) {
+        if (!viability) {
+            return null;
+        }
+        const raised = viability.contributions.filter(entry => entry.contribution >= NOTABLE_CONTRIBUTION).slice(0, DRIVER_LIMIT);
+        const lowered = viability.contributions.filter(entry => entry.contribution <= -NOTABLE_CONTRIBUTION).slice(0, DRIVER_LIMIT);
+        return {
+            score: viability.score,
+            position: `${viability.tier.name} (predicted tier)`,
+            strengths: raised.length > 0 ? formatDrivers(raised) : null,
+            weaknesses: lowered.length > 0 ? formatDrivers(lowered) : null,
+            recommendation: TIER_ADVICE[viability.tier.label]
+        };
     }
 
     _mlAnalyzeTeamSynergy(pokemon) {
-        // Simplified synergy analysis
-        const types = pokemon.types;
-        const partners = types.includes('water') ? ['Electric', 'Grass'] :
-                        types.includes('fire') ? ['Water', 'Rock'] :
-                        types.includes('grass') ? ['Fire', 'Flying'] :
-                        ['Various'];
-        
-        const threats = types.includes('water') ? ['Electric', 'Grass'] :
-                       types.includes('fire') ? ['Water', 'Ground', 'Rock'] :
-                       types.includes('grass') ? ['Fire', 'Ice', 'Flying'] :
-                       ['Type-dependent'];
-        
-        const type = types.length > 1 ? 'Dual-type complexity' : 'Pure type synergy';
-        
-        return { partners, threats, type };
+        const capitalize = t => t.charAt(0).toUpperCase() + t.slice(1);
+        const profile = typeChart.getDefensiveProfile(pokemon.types);
+        const weaknessTypes = profile.weaknesses.map(w => w.type);
+        
+        // Partners: types that take the least from this Pokemon's weaknesses
+        const partners = typeChart.TYPES
+            .map(type => ({
+                type,
+                cover: weaknessTypes.filter(attack => typeChart.getEffectiveness(attack, [type]) < 1).length
+            }))
+            .filter(candidate => candidate.cover > 0)
+            .sort((a, b) => b.cover - a.cover)
+            .slice(0, 3)
+            .map(candidate => capitalize(candidate.type));
+        
+        const threats = weaknessTypes.length > 0 ? weaknessTypes.map(capitalize) : ['None'];
+        
+        const type = pokemon.types.length > 1 ? 'Dual-type complexity' : 'Pure type synergy';
+        
+        return { partners: partners.length > 0 ? partners : ['Various'], threats, type };
     }
 
-    _mlAnalyzeEvolutionStrategy(pokemon) {
-        return {
-            timing: 'Optimize based on level requirements and battle readiness',
-            investment: 'Moderate resource allocation with strategic timing',
-            value: 'High strategic value for team development'
-        };
+    /**
+     * Advice from the evolution chain: what it evolves into and how, or that
+     * it is fully evolved
+     */
+    _mlAnalyzeEvolutionStrategy(evolution) {
+        if (!evolution) {
+            return [];
+        }
+        if (evolution.total_stages === 1) {
+            return ['It does not evolve, so it can be trained as it is.'];
+        }
+        if (evolution.is_final_stage) {
+            return [`Fully evolved (stage ${evolution.stage} of ${evolution.total_stages}), so its stats won't grow any further.`];
+        }
+        return [
+            ...evolution.evolves_to.map(target => `Evolves into ${target.name}: ${target.method || 'special condition'}.`),
+            'Until then it can hold an Eviolite, which raises a not fully evolved Pokemon\'s Defense and Special Defense by 50%.'
+        ];
     }
 
     _mlCalculateTypeEffectiveness(types) {
-        // Simplified type effectiveness calculation
-        const offense = types.length * 45 + Math.random() * 20;
-        const defense = 100 - (types.length - 1) * 15 + Math.random() * 10;
-        const overall = Math.round((offense + defense) / 2) >= 70 ? 'Excellent' : 'Good';
-        
-        return { 
-            offense: Math.round(offense), 
-            defense: Math.round(defense), 
-            overall 
-        };
+        return typeChart.scoreTyping(types);
     }
 
+    /**
+     * Advice from the type chart: 4x weaknesses, immunities to switch in on,
+     * and the types that resist every STAB with the move type that hits most
+     * of them
+     */
     _mlGenerateTypeRecommendations(types) {
-        return [
-            'Leverage type advantages in battle planning',
-            'Consider team composition for type coverage',
-            'Plan movesets to complement natural typing',
-            'Account for defensive vulnerabilities in strategy'
-        ];
+        const profile = typeChart.getDefensiveProfile(types);
+        const coverage = typeChart.getOffensiveCoverage(types);
+        const recommendations = [];
+        
+        const doubleWeaknesses = profile.weaknesses.filter(weakness => weakness.multiplier >= 4).map(weakness => capitalize(weakness.type));
+        if (doubleWeaknesses.length > 0) {
+            recommendations.push(`Keep it away from ${formatList(doubleWeaknesses, 'and')} attacks: they do 4× damage.`);
+        }
+        if (profile.immunities.length > 0) {
+            recommendations.push(`Switch it in on ${formatList(profile.immunities.map(capitalize), 'or')} attacks, which can't touch it.`);
+        }
+        
+        const walls = [...coverage.resisted, ...coverage.no_effect];
+        if (walls.length === 0) {
+            recommendations.push('Its STAB attacks hit every type at least neutrally.');
+        } else {
+            const best = typeChart.TYPES
+                .filter(type => !types.includes(type))
+                .map(type => ({ type, hits: walls.filter(wall => typeChart.getEffectiveness(type, [wall]) > 1) }))
+                .reduce((top, candidate) => candidate.hits.length > top.hits.length ? candidate : top, { type: null, hits: [] });
+            let advice = `${formatList(walls.map(capitalize), 'and')} ${walls.length === 1 ? 'resists' : 'resist'} its STAB attacks`;
+            if (best.type) {
+                advice += `; a ${capitalize(best.type)} move hits ${best.hits.length === walls.length ? (walls.length === 1 ? 'it' : 'all of them') : formatList(best.hits.map(capitalize), 'and')} super effectively`;
+            }
+            recommendations.push(`${advice}.`);
+        }
+        
+        const resistances = profile.resistances.filter(resistance => resistance.multiplier <= 0.25).map(resistance => capitalize(resistance.type));
+        if (resistances.length > 0) {
+            recommendations.push(`It takes only a quarter of the damage from ${formatList(resistances, 'and')} attacks.`);
+        }
+        return recommendations;
     }
 
+    /**
+     * Facts for one ability (a parsed /ability payload, or just { slug } when
+     * it couldn't be fetched); sharedWith lists up to ABILITY_SHARED_LIMIT
+     * other species with the ability
+     */
     _mlAnalyzeAbility(ability, pokemon) {
+        const known = Boolean(ability.pokemon);
+        const otherSpecies = (ability.pokemon || []).filter(entry =>
+            entry.slug !== pokemon.species && !entry.slug.startsWith(`${pokemon.species}-`));
         return {
-            value: 'High strategic importance',
-            relevance: 'Meta-relevant in current competitive environment',
-            recommendation: 'Optimize team strategy around this ability'
+            name: ability.name || ability.slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+            known,
+            effect: ability.effect || ability.flavor_text || 'Effect details are unavailable right now.',
+            hidden: ability.is_hidden === true,
+            generation: ability.generation || null,
+            sharedWith: otherSpecies.slice(0, ABILITY_SHARED_LIMIT).map(entry => entry.name),
+            sharedCount: otherSpecies.length
         };
     }
 
+    /**
+     * Breeding facts and advice from the species data: partners come from
+     * breeding_details when PokemonTool fetched them, and the strategy from
+     * the egg groups, gender ratio and how IVs and nature are inherited
+     */
     _mlOptimizeBreeding(pokemon) {
+        const breeder = pokemon.breeding_details || breeding.describeBreeder(pokemon);
+        const gender = breeder.gender;
+        const partners = breeder.partners && !breeder.partners.any && !breeder.partners.ditto_only
+            ? [...new Set(breeder.partners.egg_groups.flatMap(group => group.partners.map(partner => partner.name)))]
+            : null;
+        
+        const strategy = [];
+        if (!breeder.can_breed) {
+            strategy.push(`${pokemon.name} is in the Undiscovered egg group: it can't breed, even with Ditto.`);
+        } else if (breeder.is_ditto) {
+            strategy.push('Ditto breeds with any Pokemon outside the Undiscovered egg group, and the egg is always the other parent\'s species.');
+        } else if (gender && gender.genderless) {
+            strategy.push(`${pokemon.name} is genderless, so Ditto is its only partner.`);
+        } else if (gender && (gender.female_percent === 0 || gender.male_percent === 0)) {
+            strategy.push(gender.female_percent === 0
+                ? `${pokemon.name} is always male: breed it with a female from its egg groups, or with Ditto to get its own species.`
+                : `${pokemon.name} is always female, so eggs from any male in its egg groups hatch into ${this._formatName(breeder.offspring.species)}.`);
+        } else if (gender && gender.female_percent < 50) {
+            strategy.push(`Only ${Number(gender.female_percent.toFixed(1))}% are female; breeding with Ditto avoids hunting for a female, since the egg takes the non-Ditto parent's species.`);
+        } else if (gender) {
+            strategy.push(`${Number(gender.female_percent.toFixed(1))}% are female, and a female ${pokemon.name} passes her species on with any male in her egg groups.`);
+        }
+        if (breeder.can_breed) {
+            const plan = breeding.planInheritance();
+            plan.items.forEach(item => strategy.push(`${item.item} on ${item.holder}: ${item.effect}.`));
+            if (breeder.offspring.incense) {
+                strategy.push(`Eggs hatch into ${this._formatName(breeder.offspring.baby)} only if a parent holds ${this._formatName(breeder.offspring.incense)}.`);
+            }
+        }
+        
         return {
-            compatibility: 85,
-            partners: ['Compatible species within egg groups'],
-            strategy: 'Focus on IV optimization and move inheritance'
+            eggGroups: breeder.egg_groups.map(breeding.formatEggGroup),
+            canBreed: breeder.can_breed,
+            gender: !gender ? 'Unknown' : gender.genderless ? 'Genderless' : `${Number(gender.male_percent.toFixed(1))}% male, ${Number(gender.female_percent.toFixed(1))}% female`,
+            hatch: breeder.hatch ? `${breeder.hatch.steps.toLocaleString('en-US')} (${breeder.hatch.egg_cycles} egg cycles; halved by Flame Body)` : 'Unknown',
+            offspring: this._formatName(breeder.offspring.species),
+            partners: partners ? partners.slice(0, BREEDING_PARTNER_LIMIT) : null,
+            partnerCount: partners ? partners.length : 0,
+            strategy
         };
     }
+    
+    _formatName(slug) {
+        return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
 
-    _mlCalculateComprehensiveScore(pokemon) {
-        const base = Object.values(pokemon.base_stats).reduce((sum, stat) => sum + stat, 0);
+    /**
+     * Viability score plus where the Pokemon's offense, Speed, bulk and typing
+     * rank among the viability dataset's fully evolved Pokemon
+     */
+    _mlCalculateComprehensiveScore(pokemon, viability) {
+        const stats = pokemon.base_stats;
+        const model = this.viabilityModel;
+        const values = model.featureValues(pokemon);
+        const percentile = key => Math.round(model.percentile(key, values[key]) * 100);
+        const bestAttack = stats.attack >= stats['special-attack'] ? 'attack' : 'special-attack';
+        const profile = typeChart.getDefensiveProfile(pokemon.types);
+        
         return {
-            overall: Math.min(100, Math.round(base / 8)),
-            combat: Math.min(100, Math.round((pokemon.base_stats.attack + pokemon.base_stats['special-attack']) / 4)),
-            versatility: Math.min(100, Math.round(pokemon.types.length * 40 + pokemon.abilities.length * 20)),
-            meta: Math.min(100, Math.round(base / 10)),
-            training: Math.min(100, Math.round((base + pokemon.abilities.length * 50) / 10))
+            overall: viability ? viability.score : null,
+            tier: viability ? viability.tier.name : null,
+            referenceCount: model.referenceValues('speed').length,
+            breakdown: [
+                { label: 'Offense', detail: `${formatStatName(bestAttack)} ${stats[bestAttack]}`, percentile: percentile('best_attack') },
+                { label: 'Speed', detail: `${stats.speed}`, percentile: percentile('speed') },
+                { label: 'Physical bulk', detail: `HP ${stats.hp}, Defense ${stats.defense}`, percentile: percentile('physical_bulk') },
+                { label: 'Special bulk', detail: `HP ${stats.hp}, Special Defense ${stats['special-defense']}`, percentile: percentile('special_bulk') },
+                { label: 'Resistances', detail: `${profile.resistances.length}`, percentile: percentile('resistances') }
+            ]
         };
     }
 
-    _mlGenerateFinalRecommendations(pokemon, mlParams) {
-        const recs = [
-            `Leverage ${pokemon.name}'s strongest statistical advantages for optimal performance`,
-            `Consider team synergy when implementing ${pokemon.name} in competitive contexts`,
-            `Focus training on complementing natural type advantages`
-        ];
-        
-        if (mlParams.focus === 'competitive') {
-            recs.push(`Prioritize competitive movesets and strategic positioning for ${pokemon.name}`);
+    /**
+     * Recommendations from the role's usual spread, the worst weakness, the
+     * evolution chain and the viability model's biggest drawback
+     */
+    _mlGenerateFinalRecommendations(pokemon, structured, viability) {
+        const recs = [];
+        const role = pokemonAnalysis.determineRole(pokemon.base_stats);
+        recs.push(ROLE_SPREADS[role.name]
+            ? `Its stats suit the ${role.name} role: ${ROLE_SPREADS[role.name]}.`
+            : `Its stats are even, so put EVs into ${formatStatName(role.primary_stat)} and whichever stat its moves use.`);
+        
+        const [worst] = structured.type_profile.weaknesses;
+        if (worst) {
+            const partners = typeChart.TYPES
+                .filter(type => typeChart.getEffectiveness(worst.type, [type]) < 1)
+                .map(capitalize);
+            recs.push(`Cover its ${capitalize(worst.type)} weakness (${worst.multiplier}×) with a partner that resists it, such as ${formatList(partners.slice(0, 3), 'or')}.`);
         }
         
-        if (mlParams.queryIntents.includes('stats')) {
-            recs.push(`Optimize stat distribution through appropriate training and held items`);
+        if (structured.evolution && !structured.evolution.is_final_stage) {
+            recs.push(`Evolve it into ${formatList(structured.evolution.evolves_to.map(target => target.name), 'or')} before relying on it in battle.`);
         }
         
+        if (viability) {
+            // A helpful ability with a negative weight says more about the
+            // Pokemon that tend to have it than about the ability, so only
+            // hindering abilities count as something to plan around
+            const drawback = viability.contributions.find(entry => entry.contribution <= -NOTABLE_CONTRIBUTION &&
+                (!entry.feature.endsWith('_ability') || entry.feature === 'hindering_ability'));
+            if (drawback) {
+                recs.push(`Plan around its ${drawback.description}, which costs it the most viability (${drawback.contribution.toFixed(1)}).`);
+            }
+        }
         return recs;
     }
 }
 
+function formatDrivers(contributions) {
+    return contributions.map(entry => `${entry.description} (${entry.contribution >= 0 ? '+' : ''}${entry.contribution.toFixed(1)})`).join(', ');
+}
+
+function formatStatName(stat) {
+    return stat === 'hp' ? 'HP' : stat.split('-').map(capitalize).join(' ');
+}
+
+function formatList(items, conjunction) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}` : items[0];
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 module.exports = MLPokemonAnalyzer;
@@ -6,6 +6,7 @@
  */
 
 const logger = require('../../utils/logger');
+const nameResolver = require('../../pokemon/name_resolver');
 
 class QueryAnalyzer {
     constructor() {
@@ -141,14 +142,10 @@ class QueryAnalyzer {
     }
 
     /**
-     * Extract Pokemon names from query
+     * Extract Pokemon names (PokeAPI slugs) from query
      */
     extractPokemonNames(query) {
-        const lowerQuery = query.toLowerCase();
-        const pokemonPattern = /\b(pikachu|charizard|bulbasaur|squirtle|charmander|mew|mewtwo|lucario|garchomp|rayquaza|arceus|dialga|palkia|giratina|kyogre|groudon|latios|latias|deoxys|jirachi|celebi|manaphy|darkrai|shaymin|victini|keldeo|genesect|diancie|hoopa|volcanion|magearna|marshadow|zeraora|meltan|melmetal|zarude|calyrex|glastrier|spectrier|enamorus|koraidon|miraidon|rhyhorn|rhydon|blastoise|venusaur|alakazam|machamp|gengar|lapras|snorlax|dragonite|typhlosion|feraligatr|meganium|espeon|umbreon|forretress|dunsparce|gligar|qwilfish|scizor|heracross|sneasel|teddiursa|ursaring|slugma|magcargo|swinub|piloswine|corsola|remoraid|octillery|delibird|mantine|skarmory|houndour|houndoom|kingdra|phanpy|donphan|porygon2|stantler|smeargle|tyrogue|hitmontop|smoochum|elekid|magby|miltank|blissey|raikou|entei|suicune|larvitar|pupitar|tyranitar|lugia|ho-oh|celebi)\b/g;
-        
-        const matches = lowerQuery.match(pokemonPattern);
-        return matches ? [...new Set(matches)] : [];
+        return nameResolver.findPokemonNames(query).map(match => match.slug);
     }
 
     /**
@@ -0,0 +1,66 @@
+/**
+ * Hashing backend - lexical embeddings that need no model files
+ *
+ * Texts become stemmed, stopword-free bags of words hashed into a fixed
+ * number of dimensions and L2-normalised, so cosine similarity rewards shared
+ * words. It is the fallback for the semantic index when no sentence model is
+ * installed; it matches "rain" to "rain" but not to "downpour".
+ */
+
+const crypto = require('crypto');
+const natural = require('natural');
+
+const DEFAULT_DIMENSIONS = 1024;
+
+const STOPWORDS = new Set([...natural.stopwords, 'pokemon', 'which', 'what', 'that']);
+
+class HashingBackend {
+    constructor(options = {}) {
+        this.type = 'hashing';
+        this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+        this.stemmer = natural.PorterStemmer;
+    }
+
+    async load() {
+        // Nothing to load
+    }
+
+    async embed(texts) {
+        return texts.map(text => this._embedText(text));
+    }
+
+    describe() {
+        return `hashing (${this.dimensions} dimensions)`;
+    }
+
+    tokenize(text) {
+        return String(text).toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token.length > 1 && !STOPWORDS.has(token))
+            .map(token => this.stemmer.stem(token));
+    }
+
+    /**
+     * Signed feature hashing with log-scaled term counts
+     */
+    _embedText(text) {
+        const counts = new Map();
+        for (const token of this.tokenize(text)) {
+            counts.set(token, (counts.get(token) || 0) + 1);
+        }
+
+        const vector = new Array(this.dimensions).fill(0);
+        for (const [token, count] of counts) {
+            const digest = crypto.createHash('md5').update(token).digest();
+            vector[digest.readUInt32LE(0) % this.dimensions] += (digest[4] & 1 ? -1 : 1) * (1 + Math.log(count));
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+}
+
+module.exports = HashingBackend;
@@ -0,0 +1,63 @@
+/**
+ * Sentence embedding backends for quality mode
+ *
+ * Every backend loads a model from a local directory, so quality mode works
+ * without network access. Backends expose `load()`, a batched
+ * `embed(texts)` that resolves to one vector per text, and `describe()`.
+ * The backend is chosen by configuration:
+ *
+ *   EMBEDDING_BACKEND=transformers  transformers.js sentence-transformer (default),
+ *                                   e.g. Xenova/all-MiniLM-L6-v2 with config.json,
+ *                                   tokenizer.json and onnx/ in EMBEDDING_MODEL_PATH
+ *   EMBEDDING_BACKEND=use           saved Universal Sentence Encoder graph
+ *                                   (model.json, weight shards and vocab.json)
+ *   EMBEDDING_BACKEND=hashing       hashed bag of words; no model files, lexical matches only
+ *   EMBEDDING_BACKEND=none          skip embeddings and use the trained intent model
+ *
+ * EMBEDDING_MODEL_PATH defaults to models/embeddings/all-MiniLM-L6-v2.
+ */
+
+const path = require('path');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', '..', '..', 'models', 'embeddings', 'all-MiniLM-L6-v2');
+const DEFAULT_BATCH_SIZE = 32;
+
+/**
+ * Create the embedding backend selected by config (falls back to environment
+ * variables); returns null for 'none'
+ */
+function createEmbeddingBackend(config = {}) {
+    const type = (config.type || process.env.EMBEDDING_BACKEND || 'transformers').toLowerCase();
+    const options = {
+        modelPath: path.resolve(config.modelPath || process.env.EMBEDDING_MODEL_PATH || DEFAULT_MODEL_PATH),
+        batchSize: config.batchSize || parseInt(process.env.EMBEDDING_BATCH_SIZE) || DEFAULT_BATCH_SIZE
+    };
+
+    switch (type) {
+        case 'transformers': {
+            const TransformersBackend = require('./transformers_backend');
+            return new TransformersBackend({
+                ...options,
+                quantized: config.quantized !== undefined ? config.quantized : process.env.EMBEDDING_QUANTIZED !== 'false'
+            });
+        }
+        case 'use': {
+            const UseBackend = require('./use_backend');
+            return new UseBackend(options);
+        }
+        case 'hashing': {
+            const HashingBackend = require('./hashing_backend');
+            return new HashingBackend({ dimensions: config.dimensions });
+        }
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown embedding backend '${type}' (expected transformers, use, hashing or none)`);
+    }
+}
+
+module.exports = {
+    createEmbeddingBackend,
+    DEFAULT_MODEL_PATH,
+    DEFAULT_BATCH_SIZE
+};
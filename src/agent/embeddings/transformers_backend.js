@@ -0,0 +1,60 @@
+/**
+ * transformers.js embedding backend - ONNX sentence-transformers such as MiniLM
+ *
+ * The model directory uses the Hugging Face layout transformers.js expects
+ * (config.json, tokenizer.json, onnx/model.onnx or onnx/model_quantized.onnx).
+ * Remote downloads are disabled; sentence vectors are mean-pooled and normalised.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+class TransformersBackend {
+    constructor(options = {}) {
+        this.type = 'transformers';
+        this.modelPath = options.modelPath;
+        this.batchSize = options.batchSize;
+        this.quantized = options.quantized !== false;
+        this.extractor = null;
+        this.dimensions = null;
+    }
+
+    async load() {
+        if (!fs.existsSync(path.join(this.modelPath, 'config.json'))) {
+            throw new Error(`No transformers.js model in ${this.modelPath} (expected config.json, tokenizer.json and onnx/)`);
+        }
+
+        // transformers.js is an ES module
+        const { pipeline, env } = await import('@xenova/transformers');
+        env.allowRemoteModels = false;
+        env.localModelPath = `${path.dirname(this.modelPath)}/`;
+
+        this.extractor = await pipeline('feature-extraction', path.basename(this.modelPath), { quantized: this.quantized });
+        logger.info(`Loaded embedding model ${this.describe()}`);
+    }
+
+    /**
+     * Embed texts in batches of batchSize
+     */
+    async embed(texts) {
+        if (!this.extractor) {
+            throw new Error('Embedding backend is not loaded');
+        }
+
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            const output = await this.extractor(texts.slice(i, i + this.batchSize), { pooling: 'mean', normalize: true });
+            vectors.push(...output.tolist());
+        }
+
+        this.dimensions = vectors.length > 0 ? vectors[0].length : this.dimensions;
+        return vectors;
+    }
+
+    describe() {
+        return `transformers.js (${this.modelPath}${this.quantized ? ', quantized' : ''})`;
+    }
+}
+
+module.exports = TransformersBackend;
@@ -0,0 +1,86 @@
+/**
+ * Universal Sentence Encoder backend - a saved USE graph on disk
+ *
+ * The model directory holds the TF.js graph (model.json plus weight shards)
+ * and the tokenizer vocabulary (vocab.json), as published for
+ * @tensorflow-models/universal-sentence-encoder. That package is only needed
+ * for its tokenizer; nothing is downloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+const logger = require('../../utils/logger');
+
+class UseBackend {
+    constructor(options = {}) {
+        this.type = 'use';
+        this.modelPath = options.modelPath;
+        this.batchSize = options.batchSize;
+        this.model = null;
+        this.tokenizer = null;
+        this.dimensions = null;
+    }
+
+    async load() {
+        const modelFile = path.join(this.modelPath, 'model.json');
+        const vocabFile = path.join(this.modelPath, 'vocab.json');
+        if (!fs.existsSync(modelFile) || !fs.existsSync(vocabFile)) {
+            throw new Error(`No saved USE graph in ${this.modelPath} (expected model.json and vocab.json)`);
+        }
+
+        let use;
+        try {
+            use = require('@tensorflow-models/universal-sentence-encoder');
+        } catch (error) {
+            throw new Error('The use backend needs @tensorflow-models/universal-sentence-encoder for its tokenizer');
+        }
+
+        this.model = await tf.loadGraphModel(`file://${modelFile}`);
+        this.tokenizer = new use.Tokenizer(JSON.parse(fs.readFileSync(vocabFile, 'utf8')));
+        logger.info(`Loaded embedding model ${this.describe()}`);
+    }
+
+    /**
+     * Embed texts in batches of batchSize
+     */
+    async embed(texts) {
+        if (!this.model) {
+            throw new Error('Embedding backend is not loaded');
+        }
+
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            vectors.push(...await this._embedBatch(texts.slice(i, i + this.batchSize)));
+        }
+
+        this.dimensions = vectors.length > 0 ? vectors[0].length : this.dimensions;
+        return vectors;
+    }
+
+    /**
+     * Run one batch through the graph, which takes the tokenized sentences
+     * as a sparse (indices, values) pair
+     */
+    async _embedBatch(texts) {
+        const encodings = texts.map(text => this.tokenizer.encode(text));
+        const positions = encodings.flatMap((tokens, row) => tokens.map((token, column) => [row, column]));
+
+        const indices = tf.tensor2d(positions, [positions.length, 2], 'int32');
+        const values = tf.tensor1d(encodings.flat(), 'int32');
+        try {
+            const embeddings = await this.model.executeAsync({ indices, values });
+            const vectors = await embeddings.array();
+            embeddings.dispose();
+            return vectors;
+        } finally {
+            tf.dispose([indices, values]);
+        }
+    }
+
+    describe() {
+        return `Universal Sentence Encoder (${this.modelPath})`;
+    }
+}
+
+module.exports = UseBackend;
@@ -7,6 +7,12 @@
 
 const logger = require('../../utils/logger');
 const QueryAnalyzer = require('../analyzers/QueryAnalyzer');
+const pokemonAnalysis = require('../../pokemon/analysis');
+const learnset = require('../../pokemon/learnset');
+const breeding = require('../../pokemon/breeding');
+const nameResolver = require('../../pokemon/name_resolver');
+const { STAT_NAMES, natureMultiplier } = require('../../pokemon/stat_calc');
+const typeChart = require('../../pokemon/type_chart');
 
 class ResponseGenerator {
     constructor(performanceMode = 'balanced') {
@@ -17,12 +23,20 @@ class ResponseGenerator {
     /**
      * Generate response based on performance mode and content type
      */
-    async generateResponse(content, query, type = 'general', mlParams = null) {
+    async generateResponse(content, query, type = 'general', mlParams = null, options = {}) {
         switch (type) {
             case 'pokemon':
                 return await this.generatePokemonResponse(content, query, mlParams);
             case 'competitive_matchup':
-                return await this.generateCompetitiveMatchupResponse(content, query, mlParams);
+                return await this.generateCompetitiveMatchupResponse(content, query, mlParams, options);
+            case 'learnset':
+                return this.generateLearnsetResponse(content);
+            case 'pokemon_forms':
+                return this.generateFormsResponse(content);
+            case 'breeding':
+                return this.generateBreedingResponse(content);
+            case 'stat_calc':
+                return this.generateStatCalcResponse(content);
             case 'general':
             default:
                 return await this.generateGeneralResponse(query);
@@ -31,6 +45,8 @@ class ResponseGenerator {
 
     /**
      * Generate Pokemon response based on performance mode
+     *
+     * Every view renders the structured analysis from src/pokemon/analysis.
      */
     async generatePokemonResponse(pokemon, query, mlParams = null) {
         // Use ML-enhanced generation if available
@@ -38,27 +54,30 @@ class ResponseGenerator {
             return await this.generateMLEnhancedPokemonResponse(pokemon, query, mlParams);
         }
 
+        const analysis = pokemonAnalysis.buildPokemonAnalysis(pokemon);
         // Quick analysis for mode selection
-        const analysis = this.queryAnalyzer.analyzePokemonQuery(query);
+        const queryAnalysis = this.queryAnalyzer.analyzePokemonQuery(query);
         
         switch (this.performanceMode) {
             case 'fast':
-                return this._generateFastPokemonResponse(pokemon, analysis);
+                return this._generateFastPokemonResponse(analysis, queryAnalysis);
             case 'balanced':
-                return this._generateBalancedPokemonResponse(pokemon, analysis, query);
+                return this._generateBalancedPokemonResponse(analysis, queryAnalysis, query);
             case 'quality':
-                return await this._generateQualityPokemonResponse(pokemon, analysis, query);
+                return await this._generateQualityPokemonResponse(analysis, queryAnalysis, query);
             default:
-                return this._generateBalancedPokemonResponse(pokemon, analysis, query);
+                return this._generateBalancedPokemonResponse(analysis, queryAnalysis, query);
         }
     }
 
     /**
      * Generate competitive matchup response
+     *
+     * options.movesets: recommended moves per Pokemon (quality mode)
      */
-    async generateCompetitiveMatchupResponse(pokemonList, query, mlParams = null) {
-        const pokemonNames = pokemonList.map(p => p.name.charAt(0).toUpperCase() + p.name.slice(1));
-        const matchupTitle = pokemonNames.join(' vs ');
+    async generateCompetitiveMatchupResponse(pokemonList, query, mlParams = null, options = {}) {
+        const matchup = pokemonAnalysis.buildMatchupAnalysis(pokemonList, { movesets: options.movesets });
+        const matchupTitle = matchup.pokemon.map(entry => capitalize(entry.pokemon.name)).join(' vs ');
         
         let response = `# 🥊 AI-Enhanced Competitive Matchup Analysis\n\n`;
         response += `## ${matchupTitle} Competitive Assessment\n\n`;
@@ -70,49 +89,51 @@ class ResponseGenerator {
             response += `**ML-Detected Query Parameters:**\n`;
             response += `- Primary Focus: ${mlParams.focus || 'Competitive'}\n`;
             response += `- Detected Intents: ${mlParams.queryIntents.join(', ')}\n`;
-            response += `- Matchup Type: ${pokemonList.length}-way competitive analysis\n\n`;
+            response += `- Matchup Type: ${matchup.pokemon.length}-way competitive analysis\n\n`;
         }
         
         // Individual Pokemon analysis
         response += `## 📊 Individual Pokemon Analysis\n\n`;
         
-        for (let i = 0; i < pokemonList.length; i++) {
-            const pokemon = pokemonList[i];
-            const name = pokemon.name.charAt(0).toUpperCase() + pokemon.name.slice(1);
-            const types = pokemon.types.map(t => t.charAt(0).toUpperCase() + t.slice(1));
-            const totalBST = Object.values(pokemon.base_stats).reduce((sum, stat) => sum + stat, 0);
-            const maxStat = Math.max(...Object.values(pokemon.base_stats));
-            const maxStatName = Object.entries(pokemon.base_stats).find(([k, v]) => v === maxStat)[0];
+        for (const entry of matchup.pokemon) {
+            const types = entry.pokemon.types.map(capitalize);
             
-            response += `### ${name} (${types.join('/')} Type)\n\n`;
+            response += `### ${capitalize(entry.pokemon.name)} (${types.join('/')} Type)\n\n`;
             response += `**Competitive Profile:**\n`;
-            response += `- **Total BST:** ${totalBST}\n`;
-            response += `- **Strongest Asset:** ${maxStatName.replace('-', ' ')} (${maxStat})\n`;
-            response += `- **Abilities:** ${pokemon.abilities.join(', ')}\n`;
-            response += `- **Role:** ${this._determineCompetitiveRole(pokemon)}\n\n`;
+            response += `- **Total BST:** ${entry.stats.total}\n`;
+            response += `- **Strongest Asset:** ${formatStat(entry.stats.strongest.stat)} (${entry.stats.strongest.value})\n`;
+            response += `- **Abilities:** ${entry.pokemon.abilities.join(', ')}\n`;
+            response += `- **Role:** ${entry.role.name}\n\n`;
         }
         
         // Head-to-head analysis for 2 Pokemon
-        if (pokemonList.length === 2) {
-            response += await this._generateHeadToHeadAnalysis(pokemonList[0], pokemonList[1]);
+        if (matchup.head_to_head) {
+            response += this._generateHeadToHeadAnalysis(matchup.head_to_head);
         }
         
         // Strategic recommendations
         response += `## 🎯 Strategic Recommendations\n\n`;
         response += `**Team Building Insights:**\n`;
         
-        for (let i = 0; i < pokemonList.length; i++) {
-            const pokemon = pokemonList[i];
-            const name = pokemon.name.charAt(0).toUpperCase() + pokemon.name.slice(1);
-            const role = this._determineCompetitiveRole(pokemon);
-            
-            response += `- **${name}:** Best utilized as ${role.toLowerCase()} with focus on ${this._getStrengthFocus(pokemon)}\n`;
+        for (const entry of matchup.pokemon) {
+            response += `- **${capitalize(entry.pokemon.name)}:** Best utilized as ${entry.role.name.toLowerCase()} with focus on ${formatStat(entry.stats.strongest.stat)} optimization\n`;
+        }
+        
+        if (matchup.recommended_moves) {
+            response += `\n**Recommended Moves:**\n`;
+            for (const moveset of matchup.recommended_moves) {
+                const stab = moveset.stab.map(move => `${move.name} (${capitalize(move.type)}, ${move.power} power)`);
+                const coverage = moveset.coverage.map(move => `${move.name} (${move.reason})`);
+                response += `- **${moveset.pokemon}** (${moveset.version_group.name}): ${stab.length > 0 ? `STAB ${stab.join(', ')}` : 'no STAB attacks'}${coverage.length > 0 ? `; coverage ${coverage.join(', ')}` : ''}\n`;
+            }
         }
         
         response += `\n**Competitive Environment:**\n`;
         response += `- Consider team synergy and coverage gaps\n`;
         response += `- Account for common meta threats\n`;
-        response += `- Optimize movesets for intended roles\n`;
+        response += matchup.recommended_moves
+            ? `- Build movesets around the recommended STAB and coverage moves\n`
+            : `- Optimize movesets for intended roles\n`;
         response += `- Factor in ability choices and item builds\n\n`;
         
         if (mlParams) {
@@ -126,38 +147,397 @@ class ResponseGenerator {
     }
 
     /**
-     * Generate head-to-head analysis for two Pokemon
+     * Render the head-to-head section of a matchup analysis
      */
-    async _generateHeadToHeadAnalysis(pokemon1, pokemon2) {
-        const name1 = pokemon1.name.charAt(0).toUpperCase() + pokemon1.name.slice(1);
-        const name2 = pokemon2.name.charAt(0).toUpperCase() + pokemon2.name.slice(1);
-        
+    _generateHeadToHeadAnalysis(headToHead) {
         let analysis = `## ⚔️ Head-to-Head Matchup Analysis\n\n`;
         
         // Type effectiveness analysis
-        const typeMatchup = this._analyzeTypeMatchup(pokemon1.types, pokemon2.types);
         analysis += `**Type Effectiveness:**\n`;
-        analysis += `- ${name1} vs ${name2}: ${typeMatchup.pokemon1vs2}\n`;
-        analysis += `- ${name2} vs ${name1}: ${typeMatchup.pokemon2vs1}\n\n`;
+        for (const attack of headToHead.type_effectiveness) {
+            analysis += `- ${capitalize(attack.attacker)} vs ${capitalize(attack.defender)}: ${this._formatTypeAttack(attack)}\n`;
+        }
+        analysis += `\n`;
         
         // Stat comparison
-        const statComparison = this._compareStats(pokemon1.base_stats, pokemon2.base_stats);
         analysis += `**Statistical Advantages:**\n`;
-        analysis += `- ${name1} leads in: ${statComparison.pokemon1Advantages.join(', ')}\n`;
-        analysis += `- ${name2} leads in: ${statComparison.pokemon2Advantages.join(', ')}\n\n`;
+        for (const lead of headToHead.stat_leads) {
+            analysis += `- ${capitalize(lead.pokemon)} leads in: ${lead.stats.map(formatStat).join(', ')}\n`;
+        }
+        analysis += `\n`;
+        
+        const simulation = headToHead.simulation;
+        analysis += `**Damage Calculations** (level ${simulation.level}, 31 IVs, 252 EVs in the attacking stat and Speed):\n`;
+        simulation.sides.forEach((side, index) => {
+            const defender = simulation.sides[1 - index].name;
+            if (!side.damage) {
+                analysis += `- ${side.name} has no move that can hit ${defender}\n`;
+                return;
+            }
+            analysis += `- ${capitalize(side.spread.nature)} ${side.name} ${side.move.name} vs ${defender}: ${side.damage.min}-${side.damage.max} (${side.damage.min_percent}-${side.damage.max_percent}%), ${side.damage.ko}; critical hit ${side.critical.min_percent}-${side.critical.max_percent}%\n`;
+        });
+        analysis += `\n`;
         
         // Speed comparison (crucial for competitive)
-        const speedAdvantage = pokemon1.base_stats.speed > pokemon2.base_stats.speed ? name1 : 
-                              pokemon2.base_stats.speed > pokemon1.base_stats.speed ? name2 : 'Tie';
-        analysis += `**Speed Control:** ${speedAdvantage} ${speedAdvantage !== 'Tie' ? 'has speed advantage' : '- equal speed'}\n\n`;
+        const [leader, trailer] = simulation.speed_order.map(name => simulation.sides.find(side => side.name === name));
+        analysis += simulation.speed_tie
+            ? `**Speed Control:** Tie - both at ${leader.stats.speed} Speed, so either may move first\n\n`
+            : `**Speed Control:** ${leader.name} moves first (${leader.stats.speed} vs ${trailer.stats.speed} Speed)\n\n`;
+        
+        if (simulation.turns.length > 0) {
+            analysis += `**Battle Simulation** (median damage rolls, no critical hits):\n`;
+            for (const turn of simulation.turns) {
+                analysis += `- Turn ${turn.turn}: ${turn.attacker}'s ${turn.move} deals ${turn.damage} - ${turn.defender} ${turn.remaining_hp > 0 ? `at ${turn.remaining_percent}%` : 'faints'}\n`;
+            }
+            analysis += `\n`;
+        }
         
         // Overall matchup verdict
-        const verdict = this._calculateMatchupVerdict(pokemon1, pokemon2);
-        analysis += `**AI Matchup Verdict:** ${verdict}\n\n`;
+        analysis += `**AI Matchup Verdict:** ${headToHead.verdict.summary}\n\n`;
         
         return analysis;
     }
 
+    /**
+     * Render a learnset result from PokemonTool
+     */
+    generateLearnsetResponse(result) {
+        const { pokemon, version_group: versionGroup } = result;
+        const groups = result.methods.map(method => ({ method, label: learnset.formatLearnMethod(method), moves: result.moves.filter(move => move.method === method) }));
+        const describe = move => move.type ? `${capitalize(move.type)}, ${move.category}${move.power ? `, ${move.power} power` : ''}` : 'details unavailable';
+        const withLevel = move => move.method === 'level-up' ? `Lv ${move.level} ${move.name}` : move.name;
+        
+        switch (this.performanceMode) {
+            case 'fast':
+                return `${pokemon.name} (${versionGroup.name}): ` + groups
+                    .map(group => `${group.label}: ${group.moves.length > 0 ? group.moves.map(move => move.method === 'level-up' ? `${move.name} (${move.level})` : move.name).join(', ') : 'none'}`)
+                    .join('; ') + '.';
+            
+            case 'quality': {
+                let response = `# ${pokemon.name} Learnset - ${versionGroup.name}\n\n`;
+                for (const group of groups) {
+                    response += `## ${group.label}\n\n`;
+                    if (group.moves.length === 0) {
+                        response += `${pokemon.name} learns no moves this way in ${versionGroup.name}.\n\n`;
+                        continue;
+                    }
+                    response += `| ${group.method === 'level-up' ? 'Level | ' : ''}Move | Type | Category | Power | Accuracy | PP | Effect |\n`;
+                    response += `|${group.method === 'level-up' ? '-------|' : ''}------|------|----------|-------|----------|----|--------|\n`;
+                    for (const move of group.moves) {
+                        const stab = move.type && pokemon.types.includes(move.type) ? ' (STAB)' : '';
+                        response += `| ${group.method === 'level-up' ? `${move.level} | ` : ''}${move.name}${stab} | ${move.type ? capitalize(move.type) : '-'} | ${move.category ? capitalize(move.category) : '-'} | ${move.power || '-'} | ${move.accuracy ? `${move.accuracy}%` : '-'} | ${move.pp || '-'} | ${move.effect || '-'} |\n`;
+                    }
+                    response += `\n`;
+                }
+                const others = result.available_version_groups.filter(group => group.slug !== versionGroup.slug);
+                if (others.length > 0) {
+                    response += `*Learnsets are also available for ${others.map(group => group.name).join(', ')}.*`;
+                }
+                return response.trim();
+            }
+            
+            default: { // balanced
+                let response = `Here's what ${pokemon.name} learns in ${versionGroup.name}:\n`;
+                for (const group of groups) {
+                    response += `\n**${group.label}:**\n`;
+                    response += group.moves.length > 0
+                        ? group.moves.map(move => `- ${withLevel(move)} (${describe(move)})`).join('\n') + '\n'
+                        : `- None\n`;
+                }
+                return response.trim();
+            }
+        }
+    }
+
+    /**
+     * Render a species' forms from PokemonTool side by side
+     */
+    generateFormsResponse(result) {
+        const { species, forms } = pokemonAnalysis.buildFormsAnalysis(result.species, result.forms);
+        const typeText = form => form.types.map(capitalize).join('/');
+        const tags = form => form.form ? [form.form.is_mega ? 'Mega Evolution' : null, form.form.is_battle_only ? 'battle only' : null].filter(Boolean) : [];
+        const withTags = form => tags(form).length > 0 ? ` (${tags(form).join(', ')})` : '';
+        const heading = forms.length === species.form_count ? `${species.name} has ${forms.length} forms` : `Comparing ${forms.length} of ${species.name}'s ${species.form_count} forms`;
+        
+        if (species.form_count < 2) {
+            const [form] = forms;
+            return `${species.name} has no alternate forms: it is always ${typeText(form)} type, with a base stat total of ${form.stats.total}.`;
+        }
+        
+        switch (this.performanceMode) {
+            case 'fast':
+                return `${species.name} forms: ${forms.map(form => `${form.name} (${typeText(form)}, BST ${form.stats.total})`).join(', ')}.`;
+            
+            case 'quality': {
+                let response = `# ${species.name} Forms\n\n`;
+                response += `${heading}. Here they are side by side:\n\n`;
+                response += `| | ${forms.map(form => form.name).join(' | ')} |\n`;
+                response += `|---|${forms.map(() => '---').join('|')}|\n`;
+                response += `| Type | ${forms.map(typeText).join(' | ')} |\n`;
+                response += `| Abilities | ${forms.map(form => form.abilities.map(formatSlug).join(', ')).join(' | ')} |\n`;
+                for (const stat of pokemonAnalysis.STAT_NAMES) {
+                    response += `| ${formatStatLabel(stat)} | ${forms.map(form => form.stats.base[stat]).join(' | ')} |\n`;
+                }
+                response += `| **Total** | ${forms.map(form => `**${form.stats.total}**`).join(' | ')} |\n\n`;
+                
+                response += `## What Each Form Changes\n\n`;
+                for (const form of forms.filter(entry => entry.changes)) {
+                    response += `- **${form.name}**${withTags(form)} vs ${form.changes.from}: ${describeFormChanges(form.changes)}\n`;
+                }
+                return response.trim();
+            }
+            
+            default: { // balanced
+                let response = `${heading}:\n\n`;
+                for (const form of forms) {
+                    response += `- **${form.name}**${withTags(form)} - ${typeText(form)}, base stat total ${form.stats.total}`;
+                    response += form.changes ? `: ${describeFormChanges(form.changes)}\n` : `${form.form ? '' : ' (default form)'}\n`;
+                }
+                return response.trim();
+            }
+        }
+    }
+
+    /**
+     * Render a breeding result from PokemonTool: compatibility of two
+     * Pokemon, or one Pokemon's partners and egg move chain, with how to
+     * pass IVs and a nature down
+     */
+    generateBreedingResponse(result) {
+        const { pokemon, compatibility, partners, egg_move_chain: chain, inheritance } = result;
+        const [first] = pokemon;
+        const groupText = breeder => breeder.egg_groups.length > 0 ? breeder.egg_groups.map(breeding.formatEggGroup).join('/') : 'unknown';
+        const partnerLimit = this.performanceMode === 'quality' ? 40 : 15;
+        
+        switch (this.performanceMode) {
+            case 'fast': {
+                if (compatibility) {
+                    const [a, b] = pokemon;
+                    let response = `${compatibility.compatible ? 'Yes' : 'No'}: ${a.name} and ${b.name} ${compatibility.compatible ? 'can' : 'can\'t'} breed. ${compatibility.reason}.`;
+                    if (compatibility.offspring.length > 0) {
+                        response += ` Eggs hatch into ${compatibility.offspring.map(entry => describeOffspring(entry.hatches)).join(' or ')}.`;
+                    }
+                    return response;
+                }
+                let response = `${first.name}: ${groupText(first)} egg group${first.egg_groups.length > 1 ? 's' : ''}, ${describeGender(first.gender)}, ${describeHatch(first.hatch, true)}.`;
+                response += ` ${describePartnerCount(first, partners)}`;
+                if (chain) {
+                    response += ` ${describeEggMoveChain(first, chain)}`;
+                }
+                return response;
+            }
+            
+            case 'quality': {
+                let response = `# ${pokemon.map(breeder => breeder.name).join(' × ')} Breeding\n\n`;
+                response += `| | ${pokemon.map(breeder => breeder.name).join(' | ')} |\n`;
+                response += `|---|${pokemon.map(() => '---').join('|')}|\n`;
+                response += `| Egg groups | ${pokemon.map(groupText).join(' | ')} |\n`;
+                response += `| Gender | ${pokemon.map(breeder => describeGender(breeder.gender)).join(' | ')} |\n`;
+                response += `| Egg cycles | ${pokemon.map(breeder => breeder.hatch ? breeder.hatch.egg_cycles : '-').join(' | ')} |\n`;
+                response += `| Steps to hatch | ${pokemon.map(breeder => breeder.hatch ? `${formatNumber(breeder.hatch.steps)} (${formatNumber(breeder.hatch.steps_with_flame_body)} with Flame Body)` : '-').join(' | ')} |\n`;
+                response += `| Hatches into | ${pokemon.map(breeder => breeder.can_breed ? describeOffspring(breeder.offspring) : '-').join(' | ')} |\n\n`;
+                
+                if (compatibility) {
+                    response += `## Compatibility\n\n`;
+                    response += `**${compatibility.compatible ? 'Compatible' : 'Not compatible'}.** ${compatibility.reason}.\n\n`;
+                    for (const entry of compatibility.offspring) {
+                        response += `- With ${entry.mother} as the mother${compatibility.via_ditto ? '' : ' (the egg is always the mother\'s species)'}: ${describeOffspring(entry.hatches)}\n`;
+                    }
+                    response += compatibility.offspring.length > 0 ? '\n' : '';
+                }
+                if (partners) {
+                    response += `## Breeding Partners\n\n${describePartnerCount(first, partners)}\n\n`;
+                    for (const group of partners.egg_groups) {
+                        response += `**${group.name}** (${group.partners.length}): ${formatList(group.partners.map(partner => partner.name), partnerLimit) || 'none'}\n\n`;
+                    }
+                }
+                if (chain) {
+                    response += `## Egg Move: ${chain.move.name}\n\n${describeEggMoveChain(first, chain)}\n\n`;
+                    chain.chains.forEach(path => {
+                        response += `- ${path.map(entry => entry.name).join(' → ')}\n`;
+                    });
+                    response += chain.chains.length > 0 ? '\n' : '';
+                }
+                
+                response += `## Passing Down IVs and Nature\n\n`;
+                for (const item of inheritance.items) {
+                    response += `- **${item.item}** on ${item.holder}: ${item.effect}.\n`;
+                }
+                response += `\n${inheritance.notes.map(note => `*${note}*`).join('\n')}`;
+                return response.trim();
+            }
+            
+            default: { // balanced
+                let response = '';
+                if (compatibility) {
+                    const [a, b] = pokemon;
+                    response += `**${compatibility.compatible ? 'Yes' : 'No'}**, ${a.name} and ${b.name} ${compatibility.compatible ? 'can' : 'can\'t'} breed. ${compatibility.reason}.\n`;
+                    for (const entry of compatibility.offspring) {
+                        response += `- ${entry.mother} as the mother: eggs hatch into ${describeOffspring(entry.hatches)}\n`;
+                    }
+                    response += '\n';
+                }
+                for (const breeder of pokemon) {
+                    response += `**${breeder.name}** - ${groupText(breeder)} egg group${breeder.egg_groups.length > 1 ? 's' : ''}, ${describeGender(breeder.gender)}, ${describeHatch(breeder.hatch, false)}.\n`;
+                }
+                if (partners) {
+                    response += `\n${describePartnerCount(first, partners)}\n`;
+                    for (const group of partners.egg_groups.filter(entry => entry.partners.length > 0)) {
+                        response += `- ${group.name}: ${formatList(group.partners.map(partner => partner.name), partnerLimit)}\n`;
+                    }
+                }
+                if (chain) {
+                    response += `\n${describeEggMoveChain(first, chain)}\n`;
+                    chain.chains.forEach(path => {
+                        response += `- ${path.map(entry => entry.name).join(' → ')}\n`;
+                    });
+                }
+                response += `\n**IVs and nature:** ${inheritance.items.map(item => `${item.item} on ${item.holder} (${item.effect})`).join('; ')}.`;
+                return response.trim();
+            }
+        }
+    }
+
+    /**
+     * Render a stat_calc result from PokemonTool: actual stats, solved IVs
+     * or a Speed comparison
+     */
+    generateStatCalcResponse(result) {
+        switch (result.mode) {
+            case 'ivs':
+                return this._generateIVResponse(result);
+            case 'speed':
+                return this._generateSpeedResponse(result);
+            default:
+                return this._generateActualStatsResponse(result);
+        }
+    }
+
+    _generateActualStatsResponse(result) {
+        const { pokemon, level, spread, stats, ranges } = result;
+        const setup = `${describeNature(result)}, ${describeIVs(spread.ivs)} and ${describeEVs(spread.evs)}`;
+        
+        switch (this.performanceMode) {
+            case 'fast':
+                return `${pokemon.name} at level ${level} (${setup}): ${STAT_NAMES.map(stat => `${stats[stat]} ${STAT_ABBREVIATIONS[stat]}`).join(' / ')}.`;
+            
+            case 'quality': {
+                let response = `# ${pokemon.name} Stats at Level ${level}\n\n`;
+                response += `With ${setup}:\n\n`;
+                response += `| Stat | Base | IV | EV | Nature | Actual | Range at Lv ${level} |\n`;
+                response += `|------|------|----|----|--------|--------|-------------|\n`;
+                for (const stat of STAT_NAMES) {
+                    response += `| ${formatStatLabel(stat)} | ${pokemon.base_stats[stat]} | ${spread.ivs[stat]} | ${spread.evs[stat]} | ${natureEffect(spread.nature, stat)} | **${stats[stat]}** | ${ranges[stat].min}-${ranges[stat].max} |\n`;
+                }
+                response += `\n*Ranges run from 0 IVs, 0 EVs and a hindering nature to 31 IVs, 252 EVs and a boosting one.*`;
+                return response;
+            }
+            
+            default: // balanced
+                return `**${pokemon.name}** at level ${level} with ${setup}:\n\n` +
+                    STAT_NAMES.map(stat => `- ${formatStatLabel(stat)}: **${stats[stat]}** (base ${pokemon.base_stats[stat]})`).join('\n');
+        }
+    }
+
+    _generateIVResponse(result) {
+        const { pokemon, level, spread, observed, ivs } = result;
+        const subject = `level ${level} ${result.assumed.includes('nature') ? '' : `${capitalize(spread.nature)} `}${pokemon.name}`;
+        const describe = stat => ivs[stat].min === ivs[stat].max ? `${ivs[stat].min}` : `${ivs[stat].min}-${ivs[stat].max}`;
+        const solved = Object.keys(ivs);
+        const impossible = solved.filter(stat => !ivs[stat]);
+        const note = [
+            result.assumed.includes('nature') ? 'a neutral nature' : null,
+            result.assumed.includes('evs') ? 'no EVs' : null
+        ].filter(Boolean);
+        const assumptions = note.length > 0 ? `Assuming ${note.join(' and ')}. ` : '';
+        const mismatch = impossible.length > 0
+            ? `No IV gives ${impossible.map(stat => `${observed[stat]} ${formatStatLabel(stat)}`).join(' or ')}: check the level, nature and EVs.`
+            : '';
+        
+        switch (this.performanceMode) {
+            case 'fast':
+                return `${capitalize(subject)}: ${solved.map(stat => ivs[stat] ? `${formatStatLabel(stat)} IV ${describe(stat)}` : `no IV gives ${observed[stat]} ${formatStatLabel(stat)}`).join(', ')}.`;
+            
+            case 'quality': {
+                let response = `# ${pokemon.name} IVs at Level ${level}\n\n`;
+                response += `| Stat | Seen | Base | EV | Nature | Possible IVs |\n`;
+                response += `|------|------|------|----|--------|--------------|\n`;
+                for (const stat of solved) {
+                    response += `| ${formatStatLabel(stat)} | ${observed[stat]} | ${pokemon.base_stats[stat]} | ${spread.evs[stat]} | ${natureEffect(spread.nature, stat)} | ${ivs[stat] ? `**${describe(stat)}**` : 'none'} |\n`;
+                }
+                response += `\n${assumptions}${mismatch}`.trimEnd();
+                if (solved.some(stat => ivs[stat] && ivs[stat].min !== ivs[stat].max)) {
+                    response += `\n\n*Several IVs give the same stat at low levels; the range narrows as ${pokemon.name} levels up.*`;
+                }
+                return response.trim();
+            }
+            
+            default: // balanced
+                return `IVs of a ${subject}:\n\n` +
+                    solved.map(stat => `- ${formatStatLabel(stat)} ${observed[stat]}: ${ivs[stat] ? `IV **${describe(stat)}**` : 'no IV fits'}`).join('\n') +
+                    (assumptions || mismatch ? `\n\n${assumptions}${mismatch}`.trimEnd() : '');
+        }
+    }
+
+    _generateSpeedResponse(result) {
+        const { pokemon, level, spread, modifiers, opponents } = result;
+        const effects = [
+            modifiers.stage ? `${modifiers.stage > 0 ? '+' : ''}${modifiers.stage}` : null,
+            modifiers.scarf ? 'Choice Scarf' : null,
+            modifiers.tailwind ? 'Tailwind' : null
+        ].filter(Boolean);
+        const setup = `${describeNature(result)}, ${spread.iv} IVs and ${spread.ev} EVs`;
+        const speedText = `${result.battle_speed} Speed${effects.length > 0 ? ` with ${effects.join(', ')} (${result.speed} without)` : ''}`;
+        const tierText = tier => `${tier.label} (${tier.speed})`;
+        const verdict = opponent => {
+            const grouped = outcome => opponent.tiers.filter(tier => tier.outcome === outcome).map(tierText);
+            return [
+                grouped('faster').length > 0 ? `outspeeds ${grouped('faster').join(', ')}` : null,
+                grouped('tie').length > 0 ? `ties ${grouped('tie').join(', ')}` : null,
+                grouped('slower').length > 0 ? `is slower than ${grouped('slower').join(', ')}` : null
+            ].filter(Boolean).join('; ');
+        };
+        
+        switch (this.performanceMode) {
+            case 'fast': {
+                let response = `${pokemon.name} (${setup}): ${speedText} at level ${level}.`;
+                opponents.forEach(opponent => {
+                    response += ` Vs ${opponent.name}: ${verdict(opponent)}.`;
+                });
+                return response;
+            }
+            
+            case 'quality': {
+                let response = `# ${pokemon.name} Speed at Level ${level}\n\n`;
+                response += `With ${setup}, ${pokemon.name} (base ${pokemon.base_stats.speed}) has **${speedText}**.\n\n`;
+                for (const opponent of opponents) {
+                    response += `## vs ${opponent.name}${opponent.slug ? ` (base ${opponent.base_speed})` : ''}\n\n`;
+                    response += `| Spread | Speed | ${pokemon.name} |\n|--------|-------|${'-'.repeat(pokemon.name.length + 2)}|\n`;
+                    opponent.tiers.forEach(tier => {
+                        response += `| ${capitalize(tier.label)} | ${tier.speed} | ${OUTCOME_LABELS[tier.outcome]} |\n`;
+                    });
+                    response += `\n`;
+                }
+                response += `## ${pokemon.name}'s Speed Tiers\n\n`;
+                response += result.tiers.map(tier => `- ${capitalize(tier.label)}: ${tier.speed}`).join('\n');
+                response += `\n\n*Max Speed is 31 IVs, 252 EVs and a boosting nature; min Speed is 0 IVs, 0 EVs and a hindering nature. Speed ties are decided at random.*`;
+                return response;
+            }
+            
+            default: { // balanced
+                let response = `**${pokemon.name}** at level ${level} with ${setup} has **${speedText}**.`;
+                opponents.forEach(opponent => {
+                    response += `\n\nAgainst ${opponent.name}${opponent.slug ? ` (base ${opponent.base_speed})` : ''}:\n`;
+                    response += opponent.tiers.map(tier => `- ${capitalize(tier.label)} (${tier.speed}): ${OUTCOME_LABELS[tier.outcome].toLowerCase()}`).join('\n');
+                });
+                if (opponents.length === 0) {
+                    response += `\n\nIts Speed tiers: ${result.tiers.map(tierText).join(', ')}.`;
+                }
+                return response;
+            }
+        }
+    }
+
     /**
      * Generate general response for non-Pokemon queries
      */
@@ -179,48 +559,59 @@ class ResponseGenerator {
     /**
      * Fast mode: Concise, focused responses
      */
-    _generateFastPokemonResponse(pokemon, analysis) {
-        const name = pokemon.name.charAt(0).toUpperCase() + pokemon.name.slice(1);
-        const types = pokemon.types.map(t => t.charAt(0).toUpperCase() + t.slice(1));
-        
-        if (analysis.wantsStats) {
-            const stats = pokemon.base_stats;
-            return `${name} Stats: HP ${stats.hp}, ATK ${stats.attack}, DEF ${stats.defense}, SPA ${stats['special-attack']}, SPD ${stats['special-defense']}, SPE ${stats.speed}. Total: ${Object.values(stats).reduce((a, b) => a + b, 0)}`;
+    _generateFastPokemonResponse(analysis, queryAnalysis) {
+        const { pokemon, stats, type_profile: profile, evolution } = analysis;
+        const name = capitalize(pokemon.name);
+        const types = pokemon.types.map(capitalize);
+        
+        if (queryAnalysis.wantsStats) {
+            const base = stats.base;
+            return `${name} Stats: HP ${base.hp}, ATK ${base.attack}, DEF ${base.defense}, SPA ${base['special-attack']}, SPD ${base['special-defense']}, SPE ${base.speed}. Total: ${stats.total}`;
         }
         
-        if (analysis.wantsTypes) {
-            return `${name} is a ${types.join('/')} type Pokemon. Abilities: ${pokemon.abilities.join(', ')}.`;
+        if (queryAnalysis.wantsTypes) {
+            let summary = `${name} is a ${types.join('/')} type Pokemon.`;
+            summary += ` Weak to: ${profile.weaknesses.length > 0 ? typeChart.formatTypeMultipliers(profile.weaknesses) : 'nothing'}.`;
+            summary += ` Resists: ${profile.resistances.length > 0 ? typeChart.formatTypeMultipliers(profile.resistances) : 'nothing'}.`;
+            if (profile.immunities.length > 0) {
+                summary += ` Immune to: ${profile.immunities.map(capitalize).join(', ')}.`;
+            }
+            return summary;
         }
         
-        if (analysis.wantsEvolution && pokemon.evolution_info) {
-            return `${name} Evolution: ${pokemon.evolution_info}`;
+        if (queryAnalysis.wantsEvolution && evolution) {
+            return `${name} Evolution: ${evolution.pathways.map(pokemonAnalysis.formatPathway).join(' | ')}`;
         }
         
         // General quick summary
-        return `${name} (#${pokemon.id}): ${types.join('/')} type, ${pokemon.height}m, ${pokemon.weight}kg. Abilities: ${pokemon.abilities.join(', ')}. Notable for its ${Object.entries(pokemon.base_stats).reduce((a, b) => pokemon.base_stats[a[0]] > pokemon.base_stats[b[0]] ? a : b)[0]} stat.`;
+        return `${name} (#${pokemon.id}): ${types.join('/')} type, ${pokemon.height_m}m, ${pokemon.weight_kg}kg. Abilities: ${pokemon.abilities.join(', ')}. Notable for its ${stats.strongest.stat} stat.`;
     }
 
     /**
      * Balanced mode: Natural, conversational responses
      */
-    _generateBalancedPokemonResponse(pokemon, analysis, query) {
-        const name = pokemon.name.charAt(0).toUpperCase() + pokemon.name.slice(1);
-        const types = pokemon.types.map(t => t.charAt(0).toUpperCase() + t.slice(1));
+    _generateBalancedPokemonResponse(analysis, queryAnalysis, query) {
+        const { pokemon, type_profile: profile, evolution } = analysis;
+        const name = capitalize(pokemon.name);
+        const types = pokemon.types.map(capitalize);
         const typeText = types.length > 1 ? `${types.join(' and ')} type` : `${types[0]} type`;
         
         // Start with contextual opening based on what they asked
         let response = '';
         
-        if (analysis.wantsStrategy || analysis.wantsStats) {
+        if (queryAnalysis.wantsStrategy || queryAnalysis.wantsStats) {
             response = `Great question about ${name}! This ${typeText} Pokemon is quite interesting from a strategic perspective. `;
-        } else if (analysis.wantsEvolution) {
+        } else if (queryAnalysis.wantsEvolution) {
             response = `${name} has some fascinating evolutionary characteristics! `;
         } else {
             response = `${name} is a wonderful ${typeText} Pokemon with some really unique traits. `;
         }
+        if (pokemon.form) {
+            response += `${describeForm(pokemon)} `;
+        }
         
         // Add abilities context
-        const abilities = pokemon.abilities.map(a => a.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '));
+        const abilities = pokemon.abilities.map(formatSlug);
         if (abilities.length > 1) {
             response += `It can have either ${abilities.slice(0, -1).join(', ')} or ${abilities.slice(-1)} as its ability, which gives it some strategic flexibility. `;
         } else {
@@ -228,15 +619,31 @@ class ResponseGenerator {
         }
         
         // Add evolution context if relevant
-        if (pokemon.evolution_info && (analysis.wantsEvolution || analysis.isGeneral)) {
-            response += `As for evolution, ${pokemon.evolution_info} `;
+        if (evolution && (queryAnalysis.wantsEvolution || queryAnalysis.isGeneral)) {
+            response += `As for evolution, ${evolution.summary} `;
+            if (queryAnalysis.wantsEvolution && evolution.is_branching) {
+                response += `Its line branches into ${evolution.pathways.length} different paths: ${evolution.pathways.map(pokemonAnalysis.formatPathway).join('; ')}. `;
+            }
+        }
+        
+        // Type matchups if they asked about them
+        if (queryAnalysis.wantsTypes) {
+            if (profile.weaknesses.length > 0) {
+                response += `Watch out for ${typeChart.formatTypeMultipliers(profile.weaknesses)} attacks, which hit it super effectively. `;
+            }
+            if (profile.resistances.length > 0) {
+                response += `On the bright side, it resists ${typeChart.formatTypeMultipliers(profile.resistances)}`;
+                response += profile.immunities.length > 0 ? ` and is completely immune to ${profile.immunities.map(capitalize).join(' and ')}. ` : '. ';
+            } else if (profile.immunities.length > 0) {
+                response += `It is completely immune to ${profile.immunities.map(capitalize).join(' and ')}. `;
+            }
         }
         
         // Physical description with personality
-        response += `**Physical Stats:** This Pokemon stands ${pokemon.height}m tall and weighs ${pokemon.weight}kg, `;
-        if (pokemon.height < 1) {
+        response += `**Physical Stats:** This Pokemon stands ${pokemon.height_m}m tall and weighs ${pokemon.weight_kg}kg, `;
+        if (pokemon.height_m < 1) {
             response += `making it quite compact and agile. `;
-        } else if (pokemon.height > 2) {
+        } else if (pokemon.height_m > 2) {
             response += `giving it an impressive and imposing presence. `;
         } else {
             response += `making it well-proportioned for both offense and defense. `;
@@ -250,21 +657,26 @@ class ResponseGenerator {
     /**
      * Quality mode: Comprehensive, analytical responses
      */
-    async _generateQualityPokemonResponse(pokemon, analysis, query) {
-        // This would include the comprehensive quality response logic
-        // For brevity, returning a structured response
-        const name = pokemon.name.charAt(0).toUpperCase() + pokemon.name.slice(1);
+    async _generateQualityPokemonResponse(analysis, queryAnalysis, query) {
+        const name = capitalize(analysis.pokemon.name);
         
         let response = `# Advanced ${name} Analysis & Strategic Assessment\n\n`;
         response += `Thank you for your inquiry regarding ${name}. I'll provide a comprehensive analysis drawing from multiple analytical frameworks.\n\n`;
+        if (analysis.pokemon.form) {
+            response += `*${describeForm(analysis.pokemon)}*\n\n`;
+        }
         
         // Add detailed sections based on analysis
-        if (analysis.wantsEvolution) {
-            response += await this._generateEvolutionSection(pokemon);
+        if (queryAnalysis.wantsEvolution) {
+            response += this._generateEvolutionSection(analysis);
         }
         
-        response += this._generateStatsSection(pokemon);
-        response += this._generateStrategicSection(pokemon);
+        if (queryAnalysis.wantsTypes) {
+            response += this._generateTypeSection(analysis);
+        }
+        
+        response += this._generateStatsSection(analysis);
+        response += this._generateStrategicSection(analysis);
         
         return response;
     }
@@ -322,133 +734,255 @@ class ResponseGenerator {
     // Helper Methods
 
     _determineCompetitiveRole(pokemon) {
-        const stats = pokemon.base_stats;
-        const maxStat = Math.max(...Object.values(stats));
-        const maxStatName = Object.entries(stats).find(([k, v]) => v === maxStat)[0];
-        
-        if (maxStatName === 'attack' && stats.speed >= 80) return 'Physical Sweeper';
-        if (maxStatName === 'special-attack' && stats.speed >= 80) return 'Special Sweeper';
-        if (maxStatName === 'defense') return 'Physical Wall';
-        if (maxStatName === 'special-defense') return 'Special Wall';
-        if (maxStatName === 'speed') return 'Speed Control';
-        if (maxStatName === 'hp') return 'Tank/Support';
-        return 'Balanced Fighter';
-    }
-
-    _analyzeTypeMatchup(types1, types2) {
-        // Simplified type effectiveness
-        const typeChart = {
-            'electric': { strongAgainst: ['water', 'flying'], weakAgainst: ['ground', 'grass'] },
-            'ground': { strongAgainst: ['electric', 'fire', 'rock'], weakAgainst: ['water', 'grass'] },
-            'water': { strongAgainst: ['fire', 'ground', 'rock'], weakAgainst: ['electric', 'grass'] },
-            'fire': { strongAgainst: ['grass', 'ice'], weakAgainst: ['water', 'ground', 'rock'] },
-            'grass': { strongAgainst: ['water', 'ground', 'rock'], weakAgainst: ['fire', 'ice', 'flying'] },
-            'rock': { strongAgainst: ['fire', 'ice', 'flying'], weakAgainst: ['water', 'grass', 'ground'] }
-        };
-        
-        const getEffectiveness = (attackerTypes, defenderTypes) => {
-            let effectiveness = 'Normal';
-            for (const attackType of attackerTypes) {
-                const chart = typeChart[attackType.toLowerCase()];
-                if (chart) {
-                    for (const defType of defenderTypes) {
-                        if (chart.strongAgainst?.includes(defType.toLowerCase())) {
-                            effectiveness = 'Super Effective';
-                        } else if (chart.weakAgainst?.includes(defType.toLowerCase())) {
-                            effectiveness = 'Not Very Effective';
-                        }
-                    }
-                }
-            }
-            return effectiveness;
-        };
-        
-        return {
-            pokemon1vs2: getEffectiveness(types1, types2),
-            pokemon2vs1: getEffectiveness(types2, types1)
-        };
+        return pokemonAnalysis.determineRole(pokemon.base_stats).name;
     }
 
-    _compareStats(stats1, stats2) {
-        const pokemon1Advantages = [];
-        const pokemon2Advantages = [];
-        
-        for (const [stat, value1] of Object.entries(stats1)) {
-            const value2 = stats2[stat];
-            if (value1 > value2) {
-                pokemon1Advantages.push(stat.replace('-', ' '));
-            } else if (value2 > value1) {
-                pokemon2Advantages.push(stat.replace('-', ' '));
-            }
+    _formatTypeAttack(attack) {
+        if (!attack.type) {
+            return 'Unknown';
         }
-        
-        return { pokemon1Advantages, pokemon2Advantages };
+        return `${attack.label} (${attack.multiplier}x with ${capitalize(attack.type)} STAB)`;
     }
 
-    _calculateMatchupVerdict(pokemon1, pokemon2) {
-        const name1 = pokemon1.name.charAt(0).toUpperCase() + pokemon1.name.slice(1);
-        const name2 = pokemon2.name.charAt(0).toUpperCase() + pokemon2.name.slice(1);
-        
-        const total1 = Object.values(pokemon1.base_stats).reduce((sum, stat) => sum + stat, 0);
-        const total2 = Object.values(pokemon2.base_stats).reduce((sum, stat) => sum + stat, 0);
-        
-        const typeMatchup = this._analyzeTypeMatchup(pokemon1.types, pokemon2.types);
-        
-        if (Math.abs(total1 - total2) < 50) {
-            return `Close matchup - ${typeMatchup.pokemon1vs2 === 'Super Effective' ? name1 : typeMatchup.pokemon2vs1 === 'Super Effective' ? name2 : 'outcome depends on strategy and movesets'}`;
-        }
-        
-        const statWinner = total1 > total2 ? name1 : name2;
-        return `${statWinner} has statistical advantage, but type effectiveness and strategy matter significantly`;
-    }
-
-    _getStrengthFocus(pokemon) {
-        const stats = pokemon.base_stats;
-        const maxStat = Math.max(...Object.values(stats));
-        const maxStatName = Object.entries(stats).find(([k, v]) => v === maxStat)[0];
-        return maxStatName.replace('-', ' ') + ' optimization';
-    }
-
-    _generateStatsSection(pokemon) {
-        const stats = pokemon.base_stats;
-        const total = Object.values(stats).reduce((sum, stat) => sum + stat, 0);
+    _generateStatsSection(analysis) {
+        const { stats } = analysis;
         
         let section = `## Statistical Analysis\n\n`;
-        section += `**Base Stat Total:** ${total}\n\n`;
+        section += `**Base Stat Total:** ${stats.total}\n\n`;
         section += `| Stat | Value |\n|------|-------|\n`;
         
-        Object.entries(stats).forEach(([stat, value]) => {
-            const statName = stat.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase());
-            section += `| ${statName} | ${value} |\n`;
+        Object.entries(stats.base).forEach(([stat, value]) => {
+            section += `| ${formatStat(stat).replace(/\b\w/g, l => l.toUpperCase())} | ${value} |\n`;
         });
         
         section += `\n`;
         return section;
     }
 
-    _generateStrategicSection(pokemon) {
-        const role = this._determineCompetitiveRole(pokemon);
-        const types = pokemon.types.map(t => t.charAt(0).toUpperCase() + t.slice(1));
-        
+    _generateStrategicSection(analysis) {
         let section = `## Strategic Assessment\n\n`;
-        section += `**Competitive Role:** ${role}\n`;
-        section += `**Type Coverage:** ${types.join('/')}\n`;
-        section += `**Abilities:** ${pokemon.abilities.join(', ')}\n\n`;
+        section += `**Competitive Role:** ${analysis.role.name}\n`;
+        section += `**Type Coverage:** ${analysis.pokemon.types.map(capitalize).join('/')}\n`;
+        section += `**Abilities:** ${analysis.pokemon.abilities.join(', ')}\n\n`;
+        
+        return section;
+    }
+
+    _generateTypeSection(analysis) {
+        const profile = analysis.type_profile;
+        const coverage = profile.stab_coverage;
+        
+        let section = `## Type Effectiveness Analysis\n\n`;
+        section += `**Weaknesses:** ${profile.weaknesses.length > 0 ? typeChart.formatTypeMultipliers(profile.weaknesses) : 'None'}\n`;
+        section += `**Resistances:** ${profile.resistances.length > 0 ? typeChart.formatTypeMultipliers(profile.resistances) : 'None'}\n`;
+        section += `**Immunities:** ${profile.immunities.length > 0 ? profile.immunities.map(capitalize).join(', ') : 'None'}\n\n`;
+        section += `**STAB Coverage:** Super effective against ${coverage.super_effective.length > 0 ? coverage.super_effective.map(capitalize).join(', ') : 'no types'}`;
+        if (coverage.no_effect.length > 0) {
+            section += `; no effect on ${coverage.no_effect.map(capitalize).join(', ')}`;
+        }
+        section += `\n\n`;
         
         return section;
     }
 
-    async _generateEvolutionSection(pokemon) {
+    _generateEvolutionSection(analysis) {
         let section = `## Evolution Analysis\n\n`;
+        const evolution = analysis.evolution;
         
-        if (pokemon.evolution_info && pokemon.evolution_info !== 'Evolution data available on request') {
-            section += `**Evolution Information:** ${pokemon.evolution_info}\n\n`;
+        if (!evolution) {
+            section += `**Evolution Information:** Evolution data unavailable\n\n`;
+            return section;
+        }
+        
+        if (evolution.total_stages > 1) {
+            section += `**Evolution Stage:** Stage ${evolution.stage} of ${evolution.total_stages}${evolution.is_final_stage ? ' (final stage)' : ''}\n`;
         } else {
-            section += `**Evolution Information:** Detailed evolution data available upon specific request.\n\n`;
+            section += `**Evolution Stage:** Does not evolve\n`;
+        }
+        
+        if (evolution.evolves_from) {
+            section += `**Evolves From:** ${evolution.evolves_from.name} (${evolution.evolves_from.method})\n`;
+        }
+        for (const target of evolution.evolves_to) {
+            section += `**Evolves Into:** ${target.name} (${target.method})\n`;
+        }
+        section += `\n${evolution.summary}\n\n`;
+        
+        if (evolution.total_stages > 1) {
+            section += `**Evolution ${evolution.is_branching ? 'Pathways' : 'Pathway'}:**\n`;
+            for (const pathway of evolution.pathways) {
+                section += `- ${pokemonAnalysis.formatPathway(pathway)}\n`;
+            }
+            section += '\n';
         }
         
         return section;
     }
 }
 
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatSlug(slug) {
+    return slug.split('-').map(capitalize).join(' ');
+}
+
+function formatStat(stat) {
+    return stat.replace('-', ' ');
+}
+
+function formatStatLabel(stat) {
+    return stat === 'hp' ? 'HP' : formatSlug(stat);
+}
+
+/**
+ * "gains Water, loses Ghost; +15 Attack, +30 Defense; base stat total +80"
+ */
+function describeFormChanges(changes) {
+    const signed = value => value > 0 ? `+${value}` : `${value}`;
+    const parts = [];
+    
+    const typeChanges = [
+        changes.types_gained.length > 0 ? `gains ${changes.types_gained.map(capitalize).join('/')}` : null,
+        changes.types_lost.length > 0 ? `loses ${changes.types_lost.map(capitalize).join('/')}` : null
+    ].filter(Boolean);
+    if (typeChanges.length > 0) {
+        parts.push(typeChanges.join(', '));
+    }
+    if (changes.abilities_gained.length > 0) {
+        parts.push(`${changes.abilities_gained.length > 1 ? 'abilities' : 'ability'} ${changes.abilities_gained.map(formatSlug).join(', ')}`);
+    }
+    const stats = Object.entries(changes.stats);
+    if (stats.length > 0) {
+        parts.push(stats.map(([stat, difference]) => `${signed(difference)} ${formatStatLabel(stat)}`).join(', '));
+        parts.push(`base stat total ${signed(changes.total)}`);
+    }
+    return parts.length > 0 ? parts.join('; ') : 'same typing, abilities and stats';
+}
+
+/**
+ * What a Pokemon's form is, for the single-Pokemon views; empty for a default form
+ */
+function describeForm(pokemon) {
+    const { form } = pokemon;
+    if (!form) {
+        return '';
+    }
+    const species = formatSlug(form.species);
+    if (form.is_mega) {
+        return `${pokemon.name} is ${species}'s Mega Evolution, a form it only takes in battle.`;
+    }
+    return form.is_battle_only
+        ? `${pokemon.name} is a form ${species} only takes in battle.`
+        : `${pokemon.name} is an alternate form of ${species}.`;
+}
+
+function describeGender(gender) {
+    if (!gender) {
+        return 'gender ratio unknown';
+    }
+    if (gender.genderless) {
+        return 'genderless';
+    }
+    if (gender.female_percent === 0 || gender.male_percent === 0) {
+        return gender.female_percent === 0 ? 'always male' : 'always female';
+    }
+    return `${formatPercent(gender.male_percent)} male, ${formatPercent(gender.female_percent)} female`;
+}
+
+function describeHatch(hatch, short) {
+    if (!hatch) {
+        return 'hatch steps unknown';
+    }
+    return short
+        ? `${formatNumber(hatch.steps)} steps to hatch`
+        : `${formatNumber(hatch.steps)} steps to hatch (${hatch.egg_cycles} egg cycles; ${formatNumber(hatch.steps_with_flame_body)} with Flame Body)`;
+}
+
+function describeOffspring(offspring) {
+    const name = speciesName(offspring.species);
+    return offspring.baby
+        ? `${name} (${speciesName(offspring.baby)} if a parent holds ${formatSlug(offspring.incense)})`
+        : name;
+}
+
+function describePartnerCount(breeder, partners) {
+    if (!breeder.can_breed) {
+        return `${breeder.name} can't breed${breeder.egg_groups.length > 0 ? ': it is in the Undiscovered egg group' : ''}.`;
+    }
+    if (partners.any) {
+        return 'Ditto can breed with any Pokemon outside the Undiscovered egg group.';
+    }
+    if (partners.ditto_only) {
+        return `${breeder.name} is genderless, so it can only breed with Ditto.`;
+    }
+    return `${breeder.name} can breed with ${partners.total} other species${partners.total > 0 ? ' in its egg groups' : ''}, and with Ditto.`;
+}
+
+function describeEggMoveChain(breeder, chain) {
+    const where = `in ${chain.version_group.name}`;
+    if (chain.learns_directly) {
+        return `${breeder.name} learns ${chain.move.name} itself ${where}, so it doesn't need to be bred onto it.`;
+    }
+    if (!chain.is_egg_move) {
+        return `${chain.move.name} is not one of ${breeder.name}'s egg moves ${where}.`;
+    }
+    if (chain.chains.length === 0) {
+        return `${chain.move.name} is an egg move for ${breeder.name} ${where}, but no breeding chain of up to ${breeding.MAX_CHAIN_PARENTS} parents was found among its egg groups.`;
+    }
+    return `${chain.move.name} is an egg move for ${breeder.name} ${where}. Breed it down ${chain.chains.length > 1 ? 'any of these chains' : 'this chain'}, father to mother:`;
+}
+
+const STAT_ABBREVIATIONS = { hp: 'HP', attack: 'Atk', defense: 'Def', 'special-attack': 'SpA', 'special-defense': 'SpD', speed: 'Spe' };
+
+const OUTCOME_LABELS = { faster: 'Outspeeds', tie: 'Speed tie', slower: 'Outsped' };
+
+// The nature a stat result used, or what was assumed when the question didn't name one
+function describeNature(result) {
+    if (!result.assumed.includes('nature')) {
+        return `a ${capitalize(result.spread.nature)} nature`;
+    }
+    if (result.mode !== 'speed') {
+        return 'a neutral nature';
+    }
+    return result.spread.nature === 'brave' ? 'a Speed-lowering nature' : 'a Speed-boosting nature';
+}
+
+function describeIVs(ivs) {
+    const values = STAT_NAMES.map(stat => ivs[stat]);
+    if (values.every(value => value === values[0])) {
+        return `${values[0]} IVs`;
+    }
+    const common = values.sort((a, b) => values.filter(v => v === b).length - values.filter(v => v === a).length)[0];
+    return `${common} IVs except ${STAT_NAMES.filter(stat => ivs[stat] !== common).map(stat => `${ivs[stat]} ${STAT_ABBREVIATIONS[stat]}`).join(', ')}`;
+}
+
+function describeEVs(evs) {
+    const invested = STAT_NAMES.filter(stat => evs[stat] > 0);
+    return invested.length > 0 ? `${invested.map(stat => `${evs[stat]} ${STAT_ABBREVIATIONS[stat]}`).join(' / ')} EVs` : 'no EVs';
+}
+
+function natureEffect(nature, stat) {
+    const multiplier = stat === 'hp' ? 1 : natureMultiplier(nature, stat);
+    return multiplier > 1 ? '+' : multiplier < 1 ? '-' : '';
+}
+
+function speciesName(slug) {
+    return nameResolver.getDisplayName(slug) || formatSlug(slug);
+}
+
+function formatList(names, limit) {
+    const more = names.length - limit;
+    return more > 0 ? `${names.slice(0, limit).join(', ')} and ${more} more` : names.join(', ');
+}
+
+function formatNumber(value) {
+    return value.toLocaleString('en-US');
+}
+
+function formatPercent(value) {
+    return `${Number(value.toFixed(1))}%`;
+}
+
 module.exports = ResponseGenerator;
@@ -0,0 +1,144 @@
+/**
+ * ConversationStore - Multi-turn sessions with entity memory
+ *
+ * Keeps the recent turns of each session and the Pokemon mentioned most
+ * recently, which FollowUpResolver uses to resolve "it" and "what about...".
+ * Sessions live in memory and expire after SESSION_TTL seconds of inactivity.
+ */
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const nameResolver = require('../../pokemon/name_resolver');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_RECENT_POKEMON = 10;
+
+class ConversationStore {
+    constructor(options = {}) {
+        this.ttl = options.ttl || parseInt(process.env.SESSION_TTL) || 3600;
+        this.maxTurns = options.maxTurns || 20;
+        this.maxSessions = options.maxSessions || 1000;
+        this.sessions = new NodeCache({ stdTTL: this.ttl, checkperiod: 300, useClones: false });
+    }
+
+    /**
+     * Whether a client-supplied session id is acceptable
+     */
+    static isValidSessionId(sessionId) {
+        return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+    }
+
+    /**
+     * Start a session, generating an id unless one is given
+     */
+    createSession(sessionId = crypto.randomUUID()) {
+        if (this.sessions.keys().length >= this.maxSessions) {
+            this._evictOldestSession();
+        }
+
+        const session = this.createTransientSession(sessionId);
+        this.sessions.set(sessionId, session);
+        return session;
+    }
+
+    /**
+     * A session that is never stored, for replaying a conversation held by
+     * the client; it doesn't count toward maxSessions or evict stored ones
+     */
+    createTransientSession(sessionId = crypto.randomUUID()) {
+        const now = new Date().toISOString();
+        return {
+            id: sessionId,
+            created_at: now,
+            updated_at: now,
+            turns: [],
+            entities: {
+                last_pokemon: [],
+                recent_pokemon: []
+            }
+        };
+    }
+
+    /**
+     * Get a session, extending its lifetime
+     */
+    getSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (session) {
+            this.sessions.ttl(sessionId, this.ttl);
+        }
+        return session;
+    }
+
+    getOrCreateSession(sessionId) {
+        return this.getSession(sessionId) || this.createSession(sessionId);
+    }
+
+    /**
+     * Append a turn and update the session's entity memory
+     *
+     * turn: { task, resolved_task, performance_mode, cached, result }
+     */
+    addTurn(sessionId, turn) {
+        return this.recordTurn(this.getOrCreateSession(sessionId), turn);
+    }
+
+    /**
+     * Append a turn to a session object, stored or transient
+     */
+    recordTurn(session, turn) {
+        const pokemon = nameResolver.findPokemonNames(turn.resolved_task || turn.task)
+            .map(match => ({ slug: match.slug, name: match.name }));
+
+        session.turns.push({
+            ...turn,
+            pokemon: pokemon.map(p => p.name),
+            timestamp: new Date().toISOString()
+        });
+        if (session.turns.length > this.maxTurns) {
+            session.turns.splice(0, session.turns.length - this.maxTurns);
+        }
+
+        // Turns that name no Pokemon keep the previous subject
+        if (pokemon.length > 0) {
+            session.entities.last_pokemon = pokemon;
+            session.entities.recent_pokemon = [
+                ...pokemon,
+                ...session.entities.recent_pokemon.filter(recent => !pokemon.some(p => p.slug === recent.slug))
+            ].slice(0, MAX_RECENT_POKEMON);
+        }
+
+        session.updated_at = new Date().toISOString();
+        return session;
+    }
+
+    /**
+     * Summaries of all live sessions, most recently active first
+     */
+    listSessions() {
+        return this.sessions.keys()
+            .map(sessionId => this.sessions.get(sessionId))
+            .filter(Boolean)
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+            .map(session => ({
+                session_id: session.id,
+                created_at: session.created_at,
+                updated_at: session.updated_at,
+                turn_count: session.turns.length,
+                last_pokemon: session.entities.last_pokemon.map(p => p.name)
+            }));
+    }
+
+    deleteSession(sessionId) {
+        return this.sessions.del(sessionId) > 0;
+    }
+
+    _evictOldestSession() {
+        const [oldest] = this.listSessions().slice(-1);
+        if (oldest) {
+            this.sessions.del(oldest.session_id);
+        }
+    }
+}
+
+module.exports = ConversationStore;
@@ -0,0 +1,137 @@
+/**
+ * ExecutionContext - Request-scoped state for a single task
+ *
+ * Carries the performance mode, its configuration, the response format,
+ * the mode-specific modules, any ML parameters and the request's seed
+ * through processTask → tool → generator, so concurrent requests in
+ * different modes never share mutable state.
+ */
+
+const logger = require('../../utils/logger');
+const { getGlobalSeed } = require('../../utils/random');
+
+const PERFORMANCE_MODES = ['fast', 'balanced', 'quality'];
+
+const PERFORMANCE_CONFIGS = {
+    fast: {
+        useML: false,
+        useStemming: false,
+        useAdvancedNLP: false,
+        maxTokens: 100
+    },
+    balanced: {
+        useML: false,
+        useStemming: true,
+        useAdvancedNLP: true,
+        maxTokens: 200
+    },
+    quality: {
+        useML: true,
+        useStemming: true,
+        useAdvancedNLP: true,
+        maxTokens: 500
+    }
+};
+
+class ExecutionContext {
+    constructor(options = {}) {
+        this.performanceMode = options.performanceMode || 'balanced';
+        this.config = PERFORMANCE_CONFIGS[this.performanceMode] || PERFORMANCE_CONFIGS.balanced;
+        // markdown, json or text (see utils/response_format)
+        this.format = options.format || 'markdown';
+
+        // Mode-specific modules resolved by the agent
+        this.intentClassifier = options.intentClassifier;
+        this.responseGenerator = options.responseGenerator;
+        this.mlEngine = options.mlEngine || null;
+
+        // Filled in during execution (quality mode parameter extraction, raw tool output)
+        this.mlParams = null;
+        this.toolOutput = null;
+
+        // Structured outputs of the plan steps this step depends on, by step id
+        this.dependencies = options.dependencies || {};
+
+        // Echoed and part of the cache key; nothing in the request pipeline is
+        // random, so answers depend only on the task, mode and format
+        this.seed = options.seed === undefined ? getGlobalSeed() : options.seed;
+
+        // Streaming and cancellation hooks
+        this.onEvent = options.onEvent;
+        this.signal = options.signal;
+    }
+
+    /**
+     * Forward a progress event to the caller, if it asked for them
+     */
+    emit(event, data) {
+        if (typeof this.onEvent !== 'function') {
+            return;
+        }
+
+        try {
+            this.onEvent(event, data);
+        } catch (error) {
+            logger.warn(`Event listener failed for '${event}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop processing once the caller has cancelled the task
+     */
+    throwIfAborted() {
+        if (this.signal && this.signal.aborted) {
+            const error = new Error('Task cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
+
+    /**
+     * Child context for one plan step
+     *
+     * Shares modules, events and cancellation with the task, but has its own
+     * ML parameters and tool output so parallel steps never overwrite each
+     * other. Events are tagged with the step id.
+     */
+    createStepContext(stepId, dependencies = {}) {
+        return new ExecutionContext({
+            performanceMode: this.performanceMode,
+            format: this.format,
+            intentClassifier: this.intentClassifier,
+            responseGenerator: this.responseGenerator,
+            mlEngine: this.mlEngine,
+            signal: this.signal,
+            dependencies,
+            seed: this.seed,
+            onEvent: typeof this.onEvent === 'function'
+                ? (event, data) => this.onEvent(event, { step: stepId, ...data })
+                : undefined
+        });
+    }
+
+    /**
+     * Options passed to tool.execute()
+     */
+    toToolOptions() {
+        return {
+            performanceMode: this.performanceMode,
+            config: this.config,
+            mlParams: this.mlParams || undefined,
+            dependencies: this.dependencies,
+            signal: this.signal
+        };
+    }
+}
+
+/**
+ * Check whether a performance mode name is supported
+ */
+function isValidPerformanceMode(mode) {
+    return PERFORMANCE_MODES.includes(mode);
+}
+
+module.exports = ExecutionContext;
+module.exports.PERFORMANCE_MODES = PERFORMANCE_MODES;
+module.exports.PERFORMANCE_CONFIGS = PERFORMANCE_CONFIGS;
+module.exports.isValidPerformanceMode = isValidPerformanceMode;
@@ -0,0 +1,181 @@
+/**
+ * FollowUpResolver - Rewrites follow-up questions using conversation memory
+ *
+ * Runs before intent classification so "what about its evolution?" after a
+ * question about Gengar reaches the classifier as "what about Gengar's
+ * evolution?". Handles pronouns ("it", "its", "them", "this pokemon"),
+ * elliptical follow-ups ("and the stats?") and subject swaps ("what about
+ * Alakazam?" repeats the previous question for Alakazam).
+ */
+
+const nameResolver = require('../../pokemon/name_resolver');
+
+// Lead-ins that mark a follow-up to the previous turn
+const FOLLOW_UP_LEAD = /^\s*(?:(?:ok(?:ay)?|so|and|also|then),?\s+)?(?:what about|how about|and|also)\s+/i;
+
+// Words that may surround a bare Pokemon name in a subject swap ("what about Alakazam then?")
+const SWAP_FILLER = new Set(['then', 'instead', 'too', 'now', 'the', 'pokemon', 'itself', 'and', 'vs']);
+
+// "it's" before one of these is a misspelt "its" ("it's stats")
+const POSSESSED_WORDS = new Set([
+    'stats', 'stat', 'base', 'evolution', 'evolutions', 'type', 'types', 'weakness', 'weaknesses',
+    'strengths', 'resistances', 'ability', 'abilities', 'moves', 'moveset', 'height', 'weight',
+    'speed', 'attack', 'defense', 'hp', 'counters', 'forms', 'egg', 'habitat', 'description'
+]);
+
+class FollowUpResolver {
+    /**
+     * Resolve references in a task against a session's entity memory
+     *
+     * Returns { task, original, changed, references: [{ kind, phrase, pokemon }] }
+     * where kind is 'pronoun', 'ellipsis' or 'swap'.
+     */
+    resolve(task, session) {
+        const unchanged = { task, original: task, changed: false, references: [] };
+        const lastPokemon = session && session.entities ? session.entities.last_pokemon : [];
+        if (!lastPokemon || lastPokemon.length === 0) {
+            return unchanged;
+        }
+
+        const mentioned = nameResolver.findPokemonNames(task);
+        const references = [];
+
+        // "what about Alakazam?" - same question as last turn, new subject
+        if (mentioned.length > 0) {
+            const swapped = this._swapSubject(task, mentioned, session);
+            if (swapped) {
+                return { task: swapped, original: task, changed: true, references: [{ kind: 'swap', phrase: task.trim(), pokemon: mentioned.map(m => m.name) }] };
+            }
+        }
+
+        let resolved = this._replacePronouns(task, lastPokemon, mentioned, references);
+
+        // "and the stats?" - no Pokemon and no pronoun, so attach the last one
+        if (references.length === 0 && mentioned.length === 0 && FOLLOW_UP_LEAD.test(resolved)) {
+            const subject = this._joinNames(lastPokemon);
+            const rest = resolved.replace(FOLLOW_UP_LEAD, '').replace(/[?.!\s]+$/, '');
+            if (rest) {
+                resolved = `What about the ${rest.replace(/^the\s+/i, '')} of ${subject}?`;
+                references.push({ kind: 'ellipsis', phrase: rest, pokemon: lastPokemon.map(p => p.name) });
+            }
+        }
+
+        if (references.length === 0) {
+            return unchanged;
+        }
+        return { task: resolved, original: task, changed: resolved !== task, references };
+    }
+
+    /**
+     * Replace pronouns that refer to the last-mentioned Pokemon
+     *
+     * "it"/"its" refer to the most recent single Pokemon; "they"/"them"/"their"
+     * and "both" to everything mentioned in the last turn.
+     */
+    _replacePronouns(task, lastPokemon, mentioned, references) {
+        const single = lastPokemon[lastPokemon.length - 1].name;
+        const group = this._joinNames(lastPokemon);
+        const record = (phrase, names) => references.push({ kind: 'pronoun', phrase, pokemon: names });
+
+        return task
+            .replace(/\b(?:this|that|the same) (?:pokemon|pokémon|one|mon)\b/gi, (phrase) => {
+                record(phrase, [single]);
+                return single;
+            })
+            .replace(/\bit's(\s+(\w+))?/gi, (phrase, rest = '', nextWord = '') => {
+                record("it's", [single]);
+                return POSSESSED_WORDS.has(nextWord.toLowerCase()) ? `${single}'s${rest}` : `${single} is${rest}`;
+            })
+            .replace(/\bitself\b/gi, (phrase) => {
+                // "Charizard itself" refers to the Pokemon just named
+                if (mentioned.length > 0) {
+                    return phrase;
+                }
+                record(phrase, [single]);
+                return single;
+            })
+            .replace(/\bits\b/gi, (phrase) => {
+                record(phrase, [single]);
+                return `${single}'s`;
+            })
+            .replace(/\bit\b/gi, (phrase, offset, text) => {
+                // "what time is it" - a sentence-final "it" after a copula is not a reference
+                const before = text.slice(0, offset).trim().split(/\s+/).pop() || '';
+                const after = text.slice(offset + phrase.length).replace(/[?.!\s]+$/, '');
+                if (!after && /^(is|was|'s)$/i.test(before)) {
+                    return phrase;
+                }
+                record(phrase, [single]);
+                return single;
+            })
+            .replace(/\b(their|them|they|both of them|both)\b/gi, (phrase) => {
+                const names = lastPokemon.map(p => p.name);
+                record(phrase, names);
+                return phrase.toLowerCase() === 'their' ? `${group}'s` : group;
+            });
+    }
+
+    /**
+     * Re-ask the previous question about a new Pokemon
+     *
+     * Only applies when the follow-up is just a lead-in plus names, and the
+     * previous question's Pokemon can be found in its text.
+     */
+    _swapSubject(task, mentioned, session) {
+        if (!FOLLOW_UP_LEAD.test(task)) {
+            return null;
+        }
+
+        const matchedWords = new Set(mentioned.flatMap(m => m.matched.split(' ')));
+        const remaining = nameResolver.normalizeText(task.replace(FOLLOW_UP_LEAD, ''))
+            .split(' ')
+            .filter(word => word && !matchedWords.has(word) && !SWAP_FILLER.has(word));
+        if (remaining.length > 0) {
+            return null;
+        }
+
+        const previousTurn = session.turns[session.turns.length - 1];
+        if (!previousTurn) {
+            return null;
+        }
+
+        const previousTask = previousTurn.resolved_task;
+        const previousMentions = nameResolver.findPokemonNames(previousTask);
+        if (previousMentions.length === 0) {
+            return null;
+        }
+
+        // Same number of names: swap pairwise. One new name: it replaces the
+        // most recent subject ("Gengar vs Squirtle", "what about Pikachu?" → "Gengar vs Pikachu")
+        let pairs;
+        if (mentioned.length === previousMentions.length) {
+            pairs = previousMentions.map((previous, index) => [previous, mentioned[index]]);
+        } else if (mentioned.length === 1) {
+            pairs = [[previousMentions[previousMentions.length - 1], mentioned[0]]];
+        } else {
+            return null;
+        }
+
+        let swapped = previousTask;
+        for (const [previous, replacement] of pairs) {
+            swapped = swapped.replace(this._namePattern(previous.matched), replacement.name);
+        }
+
+        return swapped === previousTask ? null : swapped;
+    }
+
+    /**
+     * Regex matching a resolver span ("mr mime") in raw text ("Mr. Mime")
+     */
+    _namePattern(matched) {
+        const words = matched.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`\\b${words.join('[^a-z0-9]+')}\\b`, 'i');
+    }
+
+    _joinNames(pokemon) {
+        const names = pokemon.map(p => p.name);
+        return names.length <= 1 ? names.join('') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    }
+}
+
+module.exports = FollowUpResolver;
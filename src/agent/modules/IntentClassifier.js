@@ -8,6 +8,29 @@
 const natural = require('natural');
 const logger = require('../../utils/logger');
 
+// Utterances that no tool handles
+const GENERAL_EXAMPLES = [
+    'what is the weather',
+    'how are you today',
+    'tell me a joke',
+    'what is programming',
+    'explain machine learning',
+    'best programming language',
+    'how to learn coding'
+];
+
+// Tools for questions that don't name a Pokemon but also mention "pokemon"
+// or read like descriptive searches: set-based Pokedex searches ("fastest
+// Fire types") and ability, move, item or nature lookups ("who learns
+// Earthquake"). When their patterns match, the first of them in this order
+// takes the query over the other matching tools, unless only its
+// `priority: false` matchers did.
+const PRIORITY_TOOLS = ['pokedex_search', 'pokedex_lookup'];
+
+// Classifier score a tool without patterns needs to be routed on its
+// examples alone
+const ROUTING_THRESHOLD = 0.95;
+
 class IntentClassifier {
     constructor(tools = [], performanceMode = 'balanced') {
         this.tools = tools;
@@ -53,69 +76,29 @@ class IntentClassifier {
     }
 
     /**
-     * Setup tool routing patterns
+     * Setup tool routing patterns from each tool's declared matchers
      */
     _setupToolPatterns() {
+        this.toolPatterns = new Map();
         for (const tool of this.tools) {
-            const patterns = this._generateToolPatterns(tool);
-            this.toolPatterns.set(tool.name, patterns);
+            this.toolPatterns.set(tool.name, tool.patterns || []);
         }
         
         logger.info(`Setup tool patterns for ${this.tools.length} tools`);
     }
 
     /**
-     * Generate patterns for a specific tool
-     */
-    _generateToolPatterns(tool) {
-        const patterns = [];
-        
-        if (tool.name === 'pokemon_info') {
-            patterns.push(
-                /\b(pokemon|pokémon|poke)\b/i,
-                /\b(pikachu|charizard|bulbasaur|squirtle|charmander|mew|mewtwo|lucario|garchomp|rayquaza|arceus|dialga|palkia|giratina|kyogre|groudon|latios|latias|deoxys|jirachi|celebi|manaphy|darkrai|shaymin|victini|keldeo|genesect|diancie|hoopa|volcanion|magearna|marshadow|zeraora|meltan|melmetal|zarude|calyrex|glastrier|spectrier|enamorus|koraidon|miraidon|rhyhorn)\b/i,
-                /tell me about (pikachu|charizard|bulbasaur|squirtle|charmander|\w+mon)/i,
-                /what (is|are) (pikachu|charizard|bulbasaur|squirtle|charmander|\w+mon)/i,
-                /(pikachu|charizard|bulbasaur|squirtle|charmander|\w+mon)\s+(stats?|info|information|details|data)/i,
-                /does\s+(pikachu|charizard|bulbasaur|squirtle|charmander|\w+mon)\s+(evolve|belong)/i,
-                /when does\s+(pikachu|charizard|bulbasaur|squirtle|charmander|\w+mon)\s+evolve/i,
-                /\b(evolution|evolve|egg group|generation|habitat)\b.*\b(pokemon|pokémon)\b/i,
-                /(pokemon|pokémon)\s+(stats?|abilities|evolution|type|height|weight)/i,
-                /how does\s+\w+\s+(matchup|versus|vs)\s+\w+/i,
-                /\w+\s+(vs|versus)\s+\w+.*competitive/i
-            );
-        }
-        
-        return patterns;
-    }
-
-    /**
-     * Initialize NLP classifier using natural library
+     * Train the NLP classifier on each tool's example utterances
+     *
+     * Tool examples are labelled with the tool name; everything else the
+     * service can answer is labelled 'general'.
      */
     _initializeClassifier() {
         this.classifier = new natural.LogisticRegressionClassifier();
         
-        // Train with sample data for intent classification
         const trainingData = [
-            // Pokemon intents
-            { text: 'tell me about pikachu', label: 'pokemon' },
-            { text: 'what are charizard stats', label: 'pokemon' },
-            { text: 'pokemon bulbasaur info', label: 'pokemon' },
-            { text: 'does squirtle evolve', label: 'pokemon' },
-            { text: 'charmander evolution', label: 'pokemon' },
-            { text: 'pokemon height weight', label: 'pokemon' },
-            { text: 'egg group abilities', label: 'pokemon' },
-            { text: 'how does pikachu matchup versus rhyhorn', label: 'pokemon' },
-            { text: 'charizard vs blastoise competitive', label: 'pokemon' },
-            
-            // General intents
-            { text: 'what is the weather', label: 'general' },
-            { text: 'how are you today', label: 'general' },
-            { text: 'tell me a joke', label: 'general' },
-            { text: 'what is programming', label: 'general' },
-            { text: 'explain machine learning', label: 'general' },
-            { text: 'best programming language', label: 'general' },
-            { text: 'how to learn coding', label: 'general' }
+            ...this.tools.flatMap(tool => tool.examples.map(text => ({ text, label: tool.name }))),
+            ...GENERAL_EXAMPLES.map(text => ({ text, label: 'general' }))
         ];
         
         // Add training data to classifier
@@ -127,7 +110,7 @@ class IntentClassifier {
         // Train the classifier
         this.classifier.train();
         
-        logger.info('NLP classifier trained with sample data');
+        logger.info(`NLP classifier trained on ${trainingData.length} examples`);
     }
 
     /**
@@ -139,41 +122,69 @@ class IntentClassifier {
 
     /**
      * Pattern-based intent classification (fallback and fast/balanced modes)
+     *
+     * A Pokedex search (a question about a set of Pokemon rather than a named
+     * one) goes to the search tool, and a question about one ability, move,
+     * item or nature to the lookup tool. Otherwise a single tool whose patterns
+     * match wins outright; when several match, the classifier's scores decide
+     * between them. A query no tool's patterns match only goes to a tool that
+     * declares no patterns, when the classifier scores it at ROUTING_THRESHOLD
+     * or above; tools with patterns are reached through them alone.
      */
     _patternClassifyIntent(text) {
         try {
-            // First, try tool pattern matching
-            for (const [toolName, patterns] of this.toolPatterns) {
-                for (const pattern of patterns) {
-                    if (pattern.test(text)) {
-                        return {
-                            intent: 'tool',
-                            tool: toolName,
-                            confidence: 0.9
-                        };
-                    }
-                }
+            const matches = [...this.toolPatterns]
+                .map(([toolName, patterns]) => ({ toolName, matched: patterns.filter(pattern => pattern.test(text)) }))
+                .filter(({ matched }) => matched.length > 0);
+            const matchedTools = matches.map(({ toolName }) => toolName);
+            
+            const priorityTool = PRIORITY_TOOLS.find(toolName => matches.some(match =>
+                match.toolName === toolName && match.matched.some(pattern => pattern.priority !== false)));
+            if (priorityTool) {
+                return {
+                    intent: 'tool',
+                    tool: priorityTool,
+                    confidence: 0.9
+                };
+            }
+            
+            if (matchedTools.length === 1) {
+                return {
+                    intent: 'tool',
+                    tool: matchedTools[0],
+                    confidence: 0.9
+                };
             }
             
             // Then try NLP classifier
             const tokens = this._preprocessText(text);
             const classifications = this.classifier.getClassifications(tokens);
             
+            if (matchedTools.length > 1) {
+                const best = classifications.find(classification => matchedTools.includes(classification.label));
+                return {
+                    intent: 'tool',
+                    tool: best ? best.label : matchedTools[0],
+                    confidence: 0.9
+                };
+            }
+            
+            // No tool's patterns matched: route on the examples only to a tool
+            // that has nothing else to route it, and only when confident
             if (classifications.length > 0) {
                 const topClass = classifications[0];
-                
-                if (topClass.label === 'pokemon') {
+                const patterns = this.toolPatterns.get(topClass.label);
+                if (patterns && patterns.length === 0 && topClass.value >= ROUTING_THRESHOLD) {
                     return {
                         intent: 'tool',
-                        tool: 'pokemon_info',
-                        confidence: topClass.value
-                    };
-                } else {
-                    return {
-                        intent: topClass.label,
+                        tool: topClass.label,
                         confidence: topClass.value
                     };
                 }
+                return {
+                    intent: patterns ? 'general' : topClass.label,
+                    confidence: topClass.value
+                };
             }
             
             // Default to general intent
@@ -227,11 +238,12 @@ class IntentClassifier {
     }
 
     /**
-     * Update tools and regenerate patterns
+     * Update tools, regenerating patterns and retraining the classifier
      */
     updateTools(tools) {
         this.tools = tools;
         this._setupToolPatterns();
+        this._initializeClassifier();
     }
 
     /**
@@ -0,0 +1,372 @@
+/**
+ * IntentModel - Trained intent classifier for quality mode query analysis
+ *
+ * A small dense network over bag-of-words features. The vocabulary is built
+ * from the labelled dataset in src/data/intents.json; Pokemon names are
+ * replaced by a placeholder token so the model generalises to every species.
+ * The trained model is saved with model.save('file://...') together with its
+ * vocabulary and evaluation report, and is retrained whenever the dataset or
+ * featurizer changes.
+ *
+ * Usage: npm run train:intents -- [--dataset src/data/intents.json] [--out models/intent] [--epochs 60]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const natural = require('natural');
+const tf = require('@tensorflow/tfjs-node');
+const logger = require('../../utils/logger');
+const nameResolver = require('../../pokemon/name_resolver');
+const { createRandom, getGlobalSeed, shuffle } = require('../../utils/random');
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, '..', '..', 'data', 'intents.json');
+const DEFAULT_MODEL_DIR = path.join(__dirname, '..', '..', '..', 'models', 'intent');
+
+// Bump when tokenization or features change so saved models are retrained
+const FEATURIZER_VERSION = 1;
+
+const POKEMON_TOKEN = '__pokemon__';
+const VALIDATION_FRACTION = 0.2;
+
+class IntentModel {
+    /**
+     * options: { datasetPath, modelDir, epochs, seed }
+     */
+    constructor(options = {}) {
+        this.datasetPath = options.datasetPath || DEFAULT_DATASET_PATH;
+        this.modelDir = options.modelDir || process.env.INTENT_MODEL_DIR || DEFAULT_MODEL_DIR;
+        this.epochs = options.epochs || 60;
+        this.seed = options.seed === undefined ? getGlobalSeed() : options.seed;
+
+        this.model = null;
+        this.labels = [];
+        this.vocabulary = new Map();
+        this.report = null;
+        this.stemmer = natural.PorterStemmer;
+    }
+
+    /**
+     * Read the labelled dataset: { labels: [...], examples: [{ text, label }] }
+     */
+    loadDataset() {
+        const raw = fs.readFileSync(this.datasetPath, 'utf8');
+        const dataset = JSON.parse(raw);
+
+        const unknown = dataset.examples.find(example => !dataset.labels.includes(example.label));
+        if (unknown) {
+            throw new Error(`Example "${unknown.text}" has unknown label '${unknown.label}'`);
+        }
+
+        dataset.hash = crypto.createHash('sha1').update(`${FEATURIZER_VERSION}:${raw}`).digest('hex');
+        return dataset;
+    }
+
+    /**
+     * Lowercase, replace Pokemon names with a placeholder and stem
+     */
+    tokenize(text) {
+        let normalized = ` ${nameResolver.normalizeText(text)} `;
+        for (const match of nameResolver.findPokemonNames(text)) {
+            normalized = normalized.replace(` ${match.matched} `, ` ${POKEMON_TOKEN} `);
+        }
+
+        return normalized.trim().split(/\s+/)
+            .filter(Boolean)
+            .map(token => token === POKEMON_TOKEN ? token : this.stemmer.stem(token));
+    }
+
+    /**
+     * Binary bag-of-words vector over the vocabulary
+     */
+    featurize(text) {
+        const vector = new Array(this.vocabulary.size).fill(0);
+        for (const token of this.tokenize(text)) {
+            const index = this.vocabulary.get(token);
+            if (index !== undefined) {
+                vector[index] = 1;
+            }
+        }
+        return vector;
+    }
+
+    _buildVocabulary(examples) {
+        const tokens = new Set(examples.flatMap(example => this.tokenize(example.text)));
+        this.vocabulary = new Map([...tokens].sort().map((token, index) => [token, index]));
+    }
+
+    /**
+     * Hold out VALIDATION_FRACTION of every label for validation
+     */
+    _splitDataset(examples, random) {
+        const train = [];
+        const validation = [];
+
+        for (const label of this.labels) {
+            const labelled = shuffle(examples.filter(example => example.label === label), random);
+            const validationCount = Math.max(1, Math.round(labelled.length * VALIDATION_FRACTION));
+            validation.push(...labelled.slice(0, validationCount));
+            train.push(...labelled.slice(validationCount));
+        }
+
+        return { train: shuffle(train, random), validation };
+    }
+
+    _buildModel() {
+        const initializer = seed => tf.initializers.glorotUniform({ seed });
+
+        const model = tf.sequential({
+            layers: [
+                tf.layers.dense({ inputShape: [this.vocabulary.size], units: 32, activation: 'relu', kernelInitializer: initializer(this.seed) }),
+                tf.layers.dropout({ rate: 0.2, seed: this.seed }),
+                tf.layers.dense({ units: this.labels.length, activation: 'softmax', kernelInitializer: initializer(this.seed + 1) })
+            ]
+        });
+
+        model.compile({
+            optimizer: tf.train.adam(0.01),
+            loss: 'categoricalCrossentropy',
+            metrics: ['accuracy']
+        });
+        return model;
+    }
+
+    _toTensors(examples) {
+        return {
+            xs: tf.tensor2d(examples.map(example => this.featurize(example.text)), [examples.length, this.vocabulary.size]),
+            ys: tf.oneHot(tf.tensor1d(examples.map(example => this.labels.indexOf(example.label)), 'int32'), this.labels.length)
+        };
+    }
+
+    /**
+     * Train on the dataset, holding out a validation split, and evaluate
+     *
+     * Returns the evaluation report.
+     */
+    async train() {
+        const dataset = this.loadDataset();
+        const random = createRandom(this.seed);
+
+        this.labels = dataset.labels;
+        const { train, validation } = this._splitDataset(dataset.examples, random);
+        this._buildVocabulary(train);
+
+        logger.info(`Training intent model on ${train.length} examples (${validation.length} held out, ${this.vocabulary.size} features)`);
+
+        this.model = this._buildModel();
+        const trainTensors = this._toTensors(train);
+        const validationTensors = this._toTensors(validation);
+
+        try {
+            const history = await this.model.fit(trainTensors.xs, trainTensors.ys, {
+                epochs: this.epochs,
+                batchSize: 16,
+                shuffle: false,
+                validationData: [validationTensors.xs, validationTensors.ys],
+                verbose: 0
+            });
+
+            const finalEpoch = history.history.loss.length - 1;
+            this.report = {
+                trained_at: new Date().toISOString(),
+                dataset: path.basename(this.datasetPath),
+                dataset_hash: dataset.hash,
+                epochs: this.epochs,
+                final_loss: history.history.loss[finalEpoch],
+                final_val_loss: history.history.val_loss[finalEpoch],
+                train: this.evaluate(train),
+                validation: this.evaluate(validation)
+            };
+        } finally {
+            tf.dispose([trainTensors, validationTensors]);
+        }
+
+        return this.report;
+    }
+
+    /**
+     * Accuracy, per-label precision/recall and confusion matrix for examples
+     *
+     * confusion_matrix[i][j] counts examples labelled labels[i] predicted as labels[j].
+     */
+    evaluate(examples) {
+        const matrix = this.labels.map(() => new Array(this.labels.length).fill(0));
+        const misclassified = [];
+
+        for (const example of examples) {
+            const { label } = this.predict(example.text);
+            matrix[this.labels.indexOf(example.label)][this.labels.indexOf(label)]++;
+            if (label !== example.label) {
+                misclassified.push({ text: example.text, label: example.label, predicted: label });
+            }
+        }
+
+        const correct = this.labels.reduce((sum, label, i) => sum + matrix[i][i], 0);
+        const perLabel = {};
+        this.labels.forEach((label, i) => {
+            const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+            const support = matrix[i].reduce((sum, count) => sum + count, 0);
+            perLabel[label] = {
+                precision: predicted > 0 ? matrix[i][i] / predicted : 0,
+                recall: support > 0 ? matrix[i][i] / support : 0,
+                support
+            };
+        });
+
+        return {
+            examples: examples.length,
+            accuracy: examples.length > 0 ? correct / examples.length : 0,
+            labels: this.labels,
+            confusion_matrix: matrix,
+            per_label: perLabel,
+            misclassified
+        };
+    }
+
+    /**
+     * Predict the intent of a query: { label, confidence, scores }
+     */
+    predict(text) {
+        if (!this.model) {
+            throw new Error('Intent model is not trained or loaded');
+        }
+
+        const scores = tf.tidy(() => this.model.predict(tf.tensor2d([this.featurize(text)], [1, this.vocabulary.size])).dataSync());
+        let best = 0;
+        for (let i = 1; i < scores.length; i++) {
+            if (scores[i] > scores[best]) {
+                best = i;
+            }
+        }
+
+        return {
+            label: this.labels[best],
+            confidence: scores[best],
+            scores: Object.fromEntries(this.labels.map((label, i) => [label, scores[i]]))
+        };
+    }
+
+    /**
+     * Save the model, vocabulary and report to modelDir
+     */
+    async save() {
+        await this.model.save(`file://${this.modelDir}`);
+        fs.writeFileSync(path.join(this.modelDir, 'metadata.json'), JSON.stringify({
+            featurizer_version: FEATURIZER_VERSION,
+            labels: this.labels,
+            vocabulary: [...this.vocabulary.keys()],
+            report: this.report
+        }, null, 2));
+    }
+
+    /**
+     * Load a saved model; returns false when there is none or it is out of date
+     */
+    async load() {
+        const metadataPath = path.join(this.modelDir, 'metadata.json');
+        if (!fs.existsSync(metadataPath) || !fs.existsSync(path.join(this.modelDir, 'model.json'))) {
+            return false;
+        }
+
+        const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        if (metadata.featurizer_version !== FEATURIZER_VERSION || metadata.report.dataset_hash !== this.loadDataset().hash) {
+            logger.info('Saved intent model is out of date with the dataset');
+            return false;
+        }
+
+        this.model = await tf.loadLayersModel(`file://${path.join(this.modelDir, 'model.json')}`);
+        this.labels = metadata.labels;
+        this.vocabulary = new Map(metadata.vocabulary.map((token, index) => [token, index]));
+        this.report = metadata.report;
+        return true;
+    }
+
+    /**
+     * Load the saved model, training and saving a new one if needed
+     */
+    async loadOrTrain() {
+        if (await this.load()) {
+            logger.info(`Loaded intent model from ${this.modelDir} (validation accuracy ${(this.report.validation.accuracy * 100).toFixed(1)}%)`);
+            return this.report;
+        }
+
+        await this.train();
+        try {
+            await this.save();
+            logger.info(`Saved intent model to ${this.modelDir}`);
+        } catch (error) {
+            logger.warn(`Could not save intent model: ${error.message}`);
+        }
+        return this.report;
+    }
+
+    /**
+     * Human-readable accuracy and confusion-matrix report
+     */
+    static formatReport(report) {
+        const { labels, confusion_matrix: matrix } = report.validation;
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const width = Math.max(...labels.map(label => label.length), 6) + 2;
+        const cell = value => String(value).padStart(width);
+
+        const lines = [
+            `Intent model (${report.dataset}, ${report.epochs} epochs)`,
+            `Train accuracy:      ${percent(report.train.accuracy)} (${report.train.examples} examples)`,
+            `Validation accuracy: ${percent(report.validation.accuracy)} (${report.validation.examples} examples)`,
+            '',
+            'Confusion matrix (rows: actual, columns: predicted)',
+            ' '.repeat(width) + labels.map(cell).join(''),
+            ...labels.map((label, i) => label.padEnd(width) + matrix[i].map(cell).join('')),
+            '',
+            `${'label'.padEnd(width)}${cell('prec')}${cell('recall')}${cell('n')}`,
+            ...labels.map(label => {
+                const stats = report.validation.per_label[label];
+                return `${label.padEnd(width)}${cell(percent(stats.precision))}${cell(percent(stats.recall))}${cell(stats.support)}`;
+            })
+        ];
+
+        if (report.validation.misclassified.length > 0) {
+            lines.push('', 'Misclassified:');
+            report.validation.misclassified.forEach(miss => lines.push(`  "${miss.text}" (${miss.label} → ${miss.predicted})`));
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Parse command line arguments for the trainer
+ */
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dataset') {
+            options.datasetPath = argv[++i];
+        } else if (arg === '--out') {
+            options.modelDir = path.resolve(argv[++i]);
+        } else if (arg === '--epochs') {
+            options.epochs = parseInt(argv[++i]);
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const intentModel = new IntentModel(parseArgs(process.argv.slice(2)));
+            const report = await intentModel.train();
+            await intentModel.save();
+            console.log(IntentModel.formatReport(report));
+            logger.info(`Saved intent model to ${intentModel.modelDir}`);
+        } catch (error) {
+            logger.error(`Intent model training failed: ${error.message}`);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = IntentModel;
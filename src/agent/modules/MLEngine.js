@@ -7,24 +7,22 @@
 
 const tf = require('@tensorflow/tfjs-node');
 const logger = require('../../utils/logger');
-
-// Import Universal Sentence Encoder for advanced semantic understanding
-let USE;
-try {
-    USE = require('@tensorflow-models/universal-sentence-encoder');
-} catch (error) {
-    logger.warn('Universal Sentence Encoder not available - quality mode will use fallback');
-}
+const nameResolver = require('../../pokemon/name_resolver');
+const IntentModel = require('./IntentModel');
+const { createEmbeddingBackend } = require('../embeddings');
+const intentDataset = require('../../data/intents.json');
 
 class MLEngine {
-    constructor(performanceMode = 'balanced') {
+    /**
+     * options.embeddingBackend replaces the configured sentence embedding backend
+     */
+    constructor(performanceMode = 'balanced', options = {}) {
         this.performanceMode = performanceMode;
         this.model = null;
         this.customModel = null;
-        this.universalSentenceEncoder = null;
-        this.sentenceEncoder = null;
+        this.embeddingBackend = options.embeddingBackend || null;
         this.intentEmbeddings = null;
-        this.intentVectors = null;
+        this.intentModel = null;
         this.mlCapabilities = null;
         this.isInitialized = false;
     }
@@ -41,22 +39,27 @@ class MLEngine {
         try {
             logger.info('Initializing ML models...');
             
-            // Try to load Universal Sentence Encoder (may fail offline)
+            // Sentence embeddings from a local model; the trained intent model is the fallback
             try {
-                logger.info('Loading Universal Sentence Encoder...');
-                this.sentenceEncoder = await USE.load();
-                this.universalSentenceEncoder = this.sentenceEncoder;
+                this.embeddingBackend = this.embeddingBackend || createEmbeddingBackend();
+                if (!this.embeddingBackend) {
+                    throw new Error('disabled by EMBEDDING_BACKEND=none');
+                }
+                
+                logger.info(`Loading sentence embedding backend: ${this.embeddingBackend.describe()}`);
+                await this.embeddingBackend.load();
                 await this._computeIntentEmbeddings();
                 
                 this.mlCapabilities = {
-                    universal_sentence_encoder: true,
+                    universal_sentence_encoder: this.embeddingBackend.type === 'use',
+                    sentence_embeddings: true,
+                    embedding_backend: this.embeddingBackend.describe(),
                     custom_neural_network: false,
                     semantic_similarity: true
                 };
-                
-                logger.info('Universal Sentence Encoder loaded successfully');
-            } catch (useError) {
-                logger.warn(`Universal Sentence Encoder failed: ${useError.message}`);
+            } catch (embeddingError) {
+                logger.warn(`Sentence embeddings unavailable: ${embeddingError.message}`);
+                this.embeddingBackend = null;
                 await this._initializeCustomNeuralNetwork();
             }
             
@@ -69,57 +72,32 @@ class MLEngine {
     }
 
     /**
-     * Compute embeddings for different intent categories
+     * Compute a mean embedding for each intent in the labelled dataset
+     *
+     * All examples are embedded in one batched call.
      */
     async _computeIntentEmbeddings() {
-        if (!this.sentenceEncoder) return;
+        if (!this.embeddingBackend) return;
         
         try {
-            // Define representative sentences for each intent
-            const intentSamples = {
-                pokemon: [
-                    "Tell me about a Pokemon character",
-                    "What are the stats of this Pokemon",
-                    "Pokemon type information and abilities",
-                    "Show me Pokemon evolution details",
-                    "Pokemon height weight and characteristics"
-                ],
-                general: [
-                    "What is the weather like today",
-                    "Tell me about programming languages",
-                    "How does machine learning work",
-                    "Explain artificial intelligence concepts",
-                    "What can you help me with today"
-                ],
-                greeting: [
-                    "Hello how are you doing",
-                    "Good morning nice to meet you",
-                    "Hi there what's up today",
-                    "Hey can you help me",
-                    "Greetings and salutations"
-                ]
-            };
+            const { labels, examples } = intentDataset;
+            const vectors = await this.embeddingBackend.embed(examples.map(example => example.text));
             
-            // Compute embeddings for each intent category
             this.intentEmbeddings = {};
-            
-            for (const [intent, samples] of Object.entries(intentSamples)) {
-                const embeddings = await this.sentenceEncoder.embed(samples);
-                const embeddingData = await embeddings.data();
+            for (const label of labels) {
+                const labelled = vectors.filter((vector, i) => examples[i].label === label);
+                const meanEmbedding = new Array(labelled[0].length).fill(0);
                 
-                // Store mean embedding for each intent
-                const embeddingSize = embeddingData.length / samples.length;
-                const meanEmbedding = new Array(embeddingSize).fill(0);
-                
-                for (let i = 0; i < embeddingData.length; i++) {
-                    meanEmbedding[i % embeddingSize] += embeddingData[i] / samples.length;
+                for (const vector of labelled) {
+                    vector.forEach((value, i) => {
+                        meanEmbedding[i] += value / labelled.length;
+                    });
                 }
                 
-                this.intentEmbeddings[intent] = meanEmbedding;
-                embeddings.dispose();
+                this.intentEmbeddings[label] = meanEmbedding;
             }
             
-            logger.info('Intent embeddings computed successfully');
+            logger.info(`Intent embeddings computed for ${labels.length} intents from ${examples.length} examples`);
             
         } catch (error) {
             logger.error(`Intent embedding computation failed: ${error.message}`);
@@ -128,44 +106,28 @@ class MLEngine {
     }
 
     /**
-     * Initialize custom neural network as fallback when USE is unavailable
+     * Load (or train) the intent model as fallback when sentence embeddings are unavailable
      */
     async _initializeCustomNeuralNetwork() {
         try {
-            logger.info('Initializing custom neural network for intent classification...');
-            
-            // Create a simple neural network for intent classification
-            this.customModel = tf.sequential({
-                layers: [
-                    tf.layers.dense({ inputShape: [100], units: 64, activation: 'relu' }),
-                    tf.layers.dropout({ rate: 0.3 }),
-                    tf.layers.dense({ units: 32, activation: 'relu' }),
-                    tf.layers.dense({ units: 3, activation: 'softmax' })
-                ]
-            });
+            logger.info('Initializing trained intent model...');
             
-            this.customModel.compile({
-                optimizer: 'adam',
-                loss: 'categoricalCrossentropy',
-                metrics: ['accuracy']
-            });
-            
-            // Generate simple word vectors for intent classification
-            this.intentVectors = {
-                pokemon: this._generateWordVector(['pokemon', 'pikachu', 'charizard', 'bulbasaur', 'type', 'stats', 'abilities']),
-                general: this._generateWordVector(['explain', 'tell', 'what', 'how', 'why', 'machine', 'learning']),
-                greeting: this._generateWordVector(['hello', 'hi', 'hey', 'good', 'morning', 'evening', 'how', 'are', 'you'])
-            };
+            this.intentModel = new IntentModel();
+            await this.intentModel.loadOrTrain();
+            this.customModel = this.intentModel.model;
             
             this.mlCapabilities = {
                 universal_sentence_encoder: false,
                 custom_neural_network: true,
-                semantic_similarity: true
+                semantic_similarity: false,
+                intent_model_accuracy: this.intentModel.report.validation.accuracy
             };
             
-            logger.info('Custom neural network initialized successfully');
+            logger.info('Intent model ready');
         } catch (error) {
-            logger.error(`Custom neural network initialization failed: ${error.message}`);
+            logger.error(`Intent model initialization failed: ${error.message}`);
+            this.intentModel = null;
+            this.customModel = null;
             this.mlCapabilities = {
                 universal_sentence_encoder: false,
                 custom_neural_network: false,
@@ -174,22 +136,6 @@ class MLEngine {
         }
     }
 
-    /**
-     * Generate simple word vector for fallback semantic similarity
-     */
-    _generateWordVector(words) {
-        // Simple word vector generation (100-dimensional)
-        const vector = new Array(100).fill(0);
-        words.forEach((word, idx) => {
-            for (let i = 0; i < word.length && i < 100; i++) {
-                vector[i] += word.charCodeAt(i) * (idx + 1);
-            }
-        });
-        // Normalize
-        const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-        return magnitude > 0 ? vector.map(val => val / magnitude) : vector;
-    }
-
     /**
      * ML-enhanced parameter extraction for Pokemon queries
      */
@@ -232,9 +178,9 @@ class MLEngine {
      */
     async _mlAnalyzePokemonQuery(query, analysis) {
         try {
-            if (this.universalSentenceEncoder && this.intentEmbeddings) {
+            if (this.embeddingBackend && this.intentEmbeddings) {
                 await this._useAnalyzePokemonQuery(query, analysis);
-            } else if (this.customModel && this.intentVectors) {
+            } else if (this.intentModel) {
                 await this._customModelAnalyzePokemonQuery(query, analysis);
             } else {
                 analysis.confidence = 0.2;
@@ -246,80 +192,51 @@ class MLEngine {
     }
 
     /**
-     * USE-based Pokemon query analysis
+     * Embedding-based Pokemon query analysis
+     *
+     * The nearest intent embedding becomes a query intent, as with the
+     * trained intent model.
      */
     async _useAnalyzePokemonQuery(query, analysis) {
         try {
-            const embedding = await this.universalSentenceEncoder.embed([query]);
-            const embeddingData = await embedding.data();
+            const [embedding] = await this.embeddingBackend.embed([query]);
             
             // Compare with intent embeddings
             let bestMatch = { intent: 'general', confidence: 0 };
             
             for (const [intent, intentEmbedding] of Object.entries(this.intentEmbeddings)) {
-                const similarity = this._cosineSimilarity(Array.from(embeddingData), intentEmbedding);
+                const similarity = this._cosineSimilarity(embedding, intentEmbedding);
                 if (similarity > bestMatch.confidence) {
                     bestMatch = { intent, confidence: similarity };
                 }
             }
             
             analysis.confidence = bestMatch.confidence;
-            if (bestMatch.intent === 'pokemon') {
-                analysis.queryIntents.push('pokemon');
-            }
-            
-            embedding.dispose();
+            analysis.queryIntents.push(bestMatch.intent);
         } catch (error) {
-            logger.error(`USE analysis failed: ${error.message}`);
+            logger.error(`Embedding analysis failed: ${error.message}`);
             analysis.confidence = 0.2;
         }
     }
 
     /**
-     * Custom model Pokemon query analysis
+     * Intent model Pokemon query analysis
+     *
+     * The predicted intent (stats, evolution, competitive, ...) becomes a
+     * query intent, which drives the response focus.
      */
     async _customModelAnalyzePokemonQuery(query, analysis) {
         try {
-            const vector = this._textToVector(query);
-            const prediction = this.customModel.predict(tf.tensor2d([vector]));
-            const predictionData = await prediction.data();
+            const prediction = this.intentModel.predict(query);
             
-            const maxConfidence = Math.max(...predictionData);
-            const predictedIndex = predictionData.indexOf(maxConfidence);
-            
-            const intents = ['pokemon', 'general', 'greeting'];
-            if (predictedIndex < intents.length) {
-                analysis.queryIntents.push(intents[predictedIndex]);
-                analysis.confidence = maxConfidence;
-            }
-            
-            prediction.dispose();
+            analysis.queryIntents.push(prediction.label);
+            analysis.confidence = prediction.confidence;
         } catch (error) {
-            logger.error(`Custom model analysis failed: ${error.message}`);
+            logger.error(`Intent model analysis failed: ${error.message}`);
             analysis.confidence = 0.2;
         }
     }
 
-    /**
-     * Convert text to feature vector for custom neural network
-     */
-    _textToVector(text) {
-        // Simple bag-of-words style feature extraction
-        const words = text.toLowerCase().split(/\s+/);
-        const vector = new Array(100).fill(0);
-        
-        // Add word-based features
-        words.forEach((word, idx) => {
-            if (idx < 100) {
-                vector[idx] = word.length / 10; // Normalize word length
-            }
-        });
-        
-        // Normalize the vector
-        const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-        return magnitude > 0 ? vector.map(val => val / magnitude) : vector;
-    }
-
     /**
      * Fallback pattern analysis when ML confidence is low
      */
@@ -327,10 +244,8 @@ class MLEngine {
         const lowerQuery = query.toLowerCase();
         
         // Pokemon name detection
-        const pokemonNames = lowerQuery.match(/\b(pikachu|charizard|bulbasaur|squirtle|charmander|mew|mewtwo|lucario|garchomp|rayquaza|arceus|dialga|palkia|giratina|kyogre|groudon|latios|latias|deoxys|jirachi|celebi|manaphy|darkrai|shaymin|victini|keldeo|genesect|diancie|hoopa|volcanion|magearna|marshadow|zeraora|meltan|melmetal|zarude|calyrex|glastrier|spectrier|enamorus|koraidon|miraidon|rhyhorn)\b/g);
-        if (pokemonNames) {
-            analysis.pokemonNames.push(...pokemonNames);
-        }
+        const pokemonNames = nameResolver.findPokemonNames(query).map(match => match.slug);
+        analysis.pokemonNames.push(...pokemonNames);
         
         // Intent detection
         if (/\b(stats?|attack|defense|speed|hp|base)\b/i.test(lowerQuery)) {
@@ -0,0 +1,132 @@
+/**
+ * TaskPlanner - Splits a compound task into a small DAG of tool calls
+ *
+ * "compare Garchomp and Salamence, then suggest a teammate" becomes two
+ * steps where the second depends on the first and is rewritten to name its
+ * Pokemon. Steps that name their own subjects are independent, so the agent
+ * can run them in parallel.
+ */
+
+const nameResolver = require('../../pokemon/name_resolver');
+const FollowUpResolver = require('./FollowUpResolver');
+
+// Clause boundaries: only explicit connectives ("then", "after that", ";"), so
+// asides like "Who wins, Garchomp or Salamence? I think Garchomp" stay one step
+const STEP_SEPARATOR = /\s*(?:,?\s*\b(?:and then|then|after that|afterwards)\b,?|;)\s*/i;
+
+// Plural references ("compare them") point at every earlier subject, not just the last
+const PLURAL_REFERENCE = /\b(them|they|their|both|all of these|all)\b/i;
+
+// Clauses with these words but no Pokemon of their own are about the previous subject
+const SUBJECT_WORDS = /\b(team(mate)?s?|partners?|counters?|weak(ness|nesses)?|resist(s|ances)?|evol\w*|stats?|moves?|moveset|abilit(y|ies)|types?|matchup|compare|faster|stronger|better|best|build|suggest|recommend)\b/i;
+
+class TaskPlanner {
+    constructor(options = {}) {
+        this.followUpResolver = options.followUpResolver || new FollowUpResolver();
+        this.maxSteps = options.maxSteps || 5;
+    }
+
+    /**
+     * Split a task into clauses; anything past maxSteps stays in the last clause
+     */
+    splitTask(task) {
+        const clauses = task.split(STEP_SEPARATOR)
+            .map(clause => (clause || '').trim())
+            .filter(clause => /[a-z0-9]/i.test(clause));
+
+        // Single-step tasks run exactly as written
+        if (clauses.length <= 1) {
+            return [task];
+        }
+        if (clauses.length <= this.maxSteps) {
+            return clauses;
+        }
+        return [...clauses.slice(0, this.maxSteps - 1), clauses.slice(this.maxSteps - 1).join('; ')];
+    }
+
+    /**
+     * Build the plan for a task
+     *
+     * Returns { task, steps: [{ id, task, original_task?, intent, tool, confidence,
+     * depends_on, pokemon }], parallel_groups: [[stepId]] }.
+     */
+    plan(task, intentClassifier) {
+        const steps = [];
+
+        for (const clause of this.splitTask(task)) {
+            const step = { id: `step${steps.length + 1}`, task: clause, depends_on: [] };
+            const subjectSteps = steps.filter(previous => previous.pokemon.length > 0);
+
+            if (subjectSteps.length > 0) {
+                this._linkToSubject(step, PLURAL_REFERENCE.test(clause) ? subjectSteps : subjectSteps.slice(-1));
+            }
+
+            step.pokemon = nameResolver.findPokemonNames(step.task).map(match => ({ slug: match.slug, name: match.name }));
+
+            const classification = intentClassifier.classifyIntent(step.task);
+            step.intent = classification.intent;
+            step.tool = classification.tool || null;
+            step.confidence = classification.confidence;
+
+            steps.push(step);
+        }
+
+        return { task, steps, parallel_groups: this._groupSteps(steps) };
+    }
+
+    /**
+     * Resolve references to earlier steps' Pokemon and record the dependencies
+     */
+    _linkToSubject(step, subjectSteps) {
+        const subjectPokemon = [];
+        for (const pokemon of subjectSteps.flatMap(subject => subject.pokemon)) {
+            if (!subjectPokemon.some(p => p.slug === pokemon.slug)) {
+                subjectPokemon.push(pokemon);
+            }
+        }
+        const dependsOn = subjectSteps.map(subject => subject.id);
+
+        const resolution = this.followUpResolver.resolve(step.task, {
+            entities: { last_pokemon: subjectPokemon },
+            turns: [{ resolved_task: subjectSteps[subjectSteps.length - 1].task }]
+        });
+
+        if (resolution.changed) {
+            step.original_task = step.task;
+            step.task = resolution.task;
+            // A subject swap ("what about Alakazam?") names its own Pokemon
+            if (resolution.references.some(reference => reference.kind !== 'swap')) {
+                step.depends_on.push(...dependsOn);
+            }
+            return;
+        }
+
+        // "suggest a teammate" - about the previous step's Pokemon
+        if (nameResolver.findPokemonNames(step.task).length === 0 && SUBJECT_WORDS.test(step.task)) {
+            step.original_task = step.task;
+            step.task = `${step.task.replace(/[?.!\s]+$/, '')} for ${subjectPokemon.map(p => p.name).join(' and ')}`;
+            step.depends_on.push(...dependsOn);
+        }
+    }
+
+    /**
+     * Group steps into waves; every step in a wave only depends on earlier waves
+     */
+    _groupSteps(steps) {
+        const level = new Map();
+        for (const step of steps) {
+            const dependencyLevels = step.depends_on.map(id => level.get(id));
+            level.set(step.id, dependencyLevels.length > 0 ? Math.max(...dependencyLevels) + 1 : 0);
+        }
+
+        const groups = [];
+        for (const step of steps) {
+            const index = level.get(step.id);
+            groups[index] = groups[index] || [];
+            groups[index].push(step.id);
+        }
+        return groups;
+    }
+}
+
+module.exports = TaskPlanner;
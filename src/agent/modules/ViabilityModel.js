@@ -0,0 +1,482 @@
+/**
+ * ViabilityModel - Trained competitive viability scores for quality mode
+ *
+ * A linear regression from a Pokemon's stat distribution, type profile and
+ * ability effects to a 0-100 viability score, trained on the labelled
+ * Pokemon in src/data/viability.json (each tier has a score, from Ubers 100
+ * down to Untiered 0). Features are standardized, so a prediction is the
+ * model's bias plus one contribution per feature: that breakdown is how the
+ * answers explain a score. The trained model is saved with its feature
+ * scaling and evaluation report, and is retrained whenever the dataset or
+ * features change.
+ *
+ * Usage: npm run train:viability -- [--dataset src/data/viability.json] [--out models/viability] [--epochs 400]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const tf = require('@tensorflow/tfjs-node');
+const logger = require('../../utils/logger');
+const typeChart = require('../../pokemon/type_chart');
+const { createRandom, getGlobalSeed, shuffle } = require('../../utils/random');
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, '..', '..', 'data', 'viability.json');
+const DEFAULT_MODEL_DIR = path.join(__dirname, '..', '..', '..', 'models', 'viability');
+
+// Bump when FEATURES change so saved models are retrained
+const FEATURIZER_VERSION = 1;
+
+const VALIDATION_FRACTION = 0.2;
+
+const ABILITY_TAGS = ['power', 'speed', 'defensive', 'immunity', 'field', 'hindering'];
+
+const STAT_LABELS = {
+    hp: 'HP',
+    attack: 'Attack',
+    defense: 'Defense',
+    'special-attack': 'Special Attack',
+    'special-defense': 'Special Defense',
+    speed: 'Speed'
+};
+
+/**
+ * Model inputs: each reads one number from a Pokemon ({ types, abilities,
+ * base_stats }) and describes it for explanations
+ */
+const FEATURES = [
+    {
+        key: 'base_stat_total',
+        value: p => Object.values(p.base_stats).reduce((sum, stat) => sum + stat, 0),
+        describe: (p, value) => `base stat total ${value}`
+    },
+    {
+        key: 'best_attack',
+        value: p => Math.max(p.base_stats.attack, p.base_stats['special-attack']),
+        describe: p => `${STAT_LABELS[bestAttackStat(p)]} ${p.base_stats[bestAttackStat(p)]}`
+    },
+    {
+        key: 'speed',
+        value: p => p.base_stats.speed,
+        describe: (p, value) => `Speed ${value}`
+    },
+    {
+        key: 'physical_bulk',
+        value: p => p.base_stats.hp * p.base_stats.defense / 100,
+        describe: p => `physical bulk (HP ${p.base_stats.hp}, Defense ${p.base_stats.defense})`
+    },
+    {
+        key: 'special_bulk',
+        value: p => p.base_stats.hp * p.base_stats['special-defense'] / 100,
+        describe: p => `special bulk (HP ${p.base_stats.hp}, Special Defense ${p.base_stats['special-defense']})`
+    },
+    {
+        key: 'attack_focus',
+        value: p => Math.abs(p.base_stats.attack - p.base_stats['special-attack']),
+        describe: (p, value) => `Attack and Special Attack ${value} apart`
+    },
+    {
+        key: 'weaknesses',
+        value: p => typeChart.getDefensiveProfile(p.types).weaknesses.length,
+        describe: (p, value) => plural(value, 'weakness', 'weaknesses')
+    },
+    {
+        key: 'double_weaknesses',
+        value: p => typeChart.getDefensiveProfile(p.types).weaknesses.filter(weakness => weakness.multiplier >= 4).length,
+        describe: (p, value) => plural(value, '4× weakness', '4× weaknesses')
+    },
+    {
+        key: 'resistances',
+        value: p => typeChart.getDefensiveProfile(p.types).resistances.length,
+        describe: (p, value) => plural(value, 'resistance', 'resistances')
+    },
+    {
+        key: 'immunities',
+        value: p => typeChart.getDefensiveProfile(p.types).immunities.length,
+        describe: (p, value) => plural(value, 'type immunity', 'type immunities')
+    },
+    {
+        key: 'stab_coverage',
+        value: p => typeChart.getOffensiveCoverage(p.types).super_effective.length,
+        describe: (p, value) => `STAB hitting ${value} of 18 types super effectively`
+    },
+    ...ABILITY_TAGS.map(tag => ({
+        key: `${tag}_ability`,
+        value: (p, effects) => p.abilities.some(ability => effects[ability] === tag) ? 1 : 0,
+        describe: (p, value, effects, tags) => {
+            const ability = p.abilities.find(name => effects[name] === tag);
+            return ability ? `${formatSlug(ability)} (${tags[tag].charAt(0).toLowerCase()}${tags[tag].slice(1)})` : `no ${tag} ability`;
+        }
+    }))
+];
+
+class ViabilityModel {
+    /**
+     * options: { datasetPath, modelDir, epochs, seed }
+     */
+    constructor(options = {}) {
+        this.datasetPath = options.datasetPath || DEFAULT_DATASET_PATH;
+        this.modelDir = options.modelDir || process.env.VIABILITY_MODEL_DIR || DEFAULT_MODEL_DIR;
+        this.epochs = options.epochs || 400;
+        this.seed = options.seed === undefined ? getGlobalSeed() : options.seed;
+
+        this.model = null;
+        this.dataset = null;
+        this.scaling = null;
+        this.report = null;
+    }
+
+    /**
+     * Read the labelled dataset: { tiers, ability_effect_tags, ability_effects, examples }
+     */
+    loadDataset() {
+        if (this.dataset) {
+            return this.dataset;
+        }
+        const raw = fs.readFileSync(this.datasetPath, 'utf8');
+        const dataset = JSON.parse(raw);
+
+        const labels = dataset.tiers.map(tier => tier.label);
+        const unknown = dataset.examples.find(example => !labels.includes(example.tier));
+        if (unknown) {
+            throw new Error(`Example '${unknown.slug}' has unknown tier '${unknown.tier}'`);
+        }
+
+        dataset.hash = crypto.createHash('sha1').update(`${FEATURIZER_VERSION}:${raw}`).digest('hex');
+        this.dataset = dataset;
+        return dataset;
+    }
+
+    /**
+     * Raw feature values of a Pokemon, in FEATURES order
+     */
+    featurize(pokemon) {
+        const { ability_effects: effects } = this.loadDataset();
+        return FEATURES.map(feature => feature.value(pokemon, effects));
+    }
+
+    /**
+     * featurize() keyed by feature name
+     */
+    featureValues(pokemon) {
+        const values = this.featurize(pokemon);
+        return Object.fromEntries(FEATURES.map((feature, i) => [feature.key, values[i]]));
+    }
+
+    /**
+     * Hold out VALIDATION_FRACTION of every tier for validation
+     */
+    _splitDataset(dataset, random) {
+        const train = [];
+        const validation = [];
+
+        for (const { label } of dataset.tiers) {
+            const labelled = shuffle(dataset.examples.filter(example => example.tier === label), random);
+            const validationCount = Math.max(1, Math.round(labelled.length * VALIDATION_FRACTION));
+            validation.push(...labelled.slice(0, validationCount));
+            train.push(...labelled.slice(validationCount));
+        }
+
+        return { train: shuffle(train, random), validation };
+    }
+
+    /**
+     * Mean and standard deviation of each feature over the training examples
+     */
+    _fitScaling(examples) {
+        const rows = examples.map(example => this.featurize(example));
+        const means = FEATURES.map((feature, i) => rows.reduce((sum, row) => sum + row[i], 0) / rows.length);
+        const stds = FEATURES.map((feature, i) => {
+            const variance = rows.reduce((sum, row) => sum + (row[i] - means[i]) ** 2, 0) / rows.length;
+            // A constant feature carries no information; keep it from dividing by zero
+            return Math.sqrt(variance) || 1;
+        });
+        return { means, stds };
+    }
+
+    _standardize(values) {
+        return values.map((value, i) => (value - this.scaling.means[i]) / this.scaling.stds[i]);
+    }
+
+    _tierScore(label) {
+        return this.loadDataset().tiers.find(tier => tier.label === label).score;
+    }
+
+    _buildModel(meanScore) {
+        const model = tf.sequential({
+            layers: [
+                tf.layers.dense({
+                    inputShape: [FEATURES.length],
+                    units: 1,
+                    kernelInitializer: tf.initializers.glorotUniform({ seed: this.seed }),
+                    biasInitializer: tf.initializers.constant({ value: meanScore }),
+                    kernelRegularizer: tf.regularizers.l2({ l2: 0.01 })
+                })
+            ]
+        });
+
+        model.compile({
+            optimizer: tf.train.adam(0.05),
+            loss: 'meanSquaredError'
+        });
+        return model;
+    }
+
+    /**
+     * Train on the dataset, holding out a validation split, and evaluate
+     *
+     * Returns the evaluation report.
+     */
+    async train() {
+        const dataset = this.loadDataset();
+        const random = createRandom(this.seed);
+        const { train, validation } = this._splitDataset(dataset, random);
+        this.scaling = this._fitScaling(train);
+
+        logger.info(`Training viability model on ${train.length} Pokemon (${validation.length} held out, ${FEATURES.length} features)`);
+
+        const targets = train.map(example => this._tierScore(example.tier));
+        this.model = this._buildModel(targets.reduce((sum, score) => sum + score, 0) / targets.length);
+        const xs = tf.tensor2d(train.map(example => this._standardize(this.featurize(example))), [train.length, FEATURES.length]);
+        const ys = tf.tensor2d(targets, [train.length, 1]);
+
+        try {
+            const history = await this.model.fit(xs, ys, {
+                epochs: this.epochs,
+                batchSize: train.length,
+                shuffle: false,
+                verbose: 0
+            });
+
+            this.report = {
+                trained_at: new Date().toISOString(),
+                dataset: path.basename(this.datasetPath),
+                dataset_hash: dataset.hash,
+                epochs: this.epochs,
+                final_loss: history.history.loss[history.history.loss.length - 1],
+                train: this.evaluate(train),
+                validation: this.evaluate(validation)
+            };
+        } finally {
+            tf.dispose([xs, ys]);
+        }
+
+        return this.report;
+    }
+
+    /**
+     * Mean absolute error in score points, and how often the nearest tier is
+     * the labelled one or next to it
+     */
+    evaluate(examples) {
+        const labels = this.loadDataset().tiers.map(tier => tier.label);
+        let error = 0;
+        let exact = 0;
+        let withinOne = 0;
+        const misranked = [];
+
+        for (const example of examples) {
+            const prediction = this.predict(example);
+            const distance = Math.abs(labels.indexOf(prediction.tier.label) - labels.indexOf(example.tier));
+            error += Math.abs(prediction.raw_score - this._tierScore(example.tier));
+            exact += distance === 0 ? 1 : 0;
+            withinOne += distance <= 1 ? 1 : 0;
+            if (distance > 1) {
+                misranked.push({ slug: example.slug, tier: example.tier, predicted: prediction.tier.label });
+            }
+        }
+
+        return {
+            examples: examples.length,
+            mean_absolute_error: examples.length > 0 ? error / examples.length : 0,
+            tier_accuracy: examples.length > 0 ? exact / examples.length : 0,
+            within_one_tier: examples.length > 0 ? withinOne / examples.length : 0,
+            misranked
+        };
+    }
+
+    /**
+     * Viability of a Pokemon ({ types, abilities, base_stats })
+     *
+     * Returns { score, raw_score, tier: { label, name, score }, bias,
+     * contributions: [{ feature, value, description, contribution }] } with
+     * contributions largest first; bias plus every contribution is raw_score,
+     * and score is raw_score rounded and clamped to 0-100.
+     */
+    predict(pokemon) {
+        if (!this.model) {
+            throw new Error('Viability model is not trained or loaded');
+        }
+
+        const { tiers, ability_effects: effects, ability_effect_tags: tags } = this.loadDataset();
+        const values = this.featurize(pokemon);
+        const standardized = this._standardize(values);
+        const rawScore = tf.tidy(() => this.model.predict(tf.tensor2d([standardized], [1, FEATURES.length])).dataSync()[0]);
+        const [kernel, bias] = this.model.getWeights().map(weights => weights.dataSync());
+
+        const contributions = FEATURES.map((feature, i) => ({
+            feature: feature.key,
+            value: values[i],
+            description: feature.describe(pokemon, values[i], effects, tags),
+            contribution: kernel[i] * standardized[i]
+        })).sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+        const tier = tiers.reduce((best, candidate) =>
+            Math.abs(candidate.score - rawScore) < Math.abs(best.score - rawScore) ? candidate : best);
+
+        return {
+            score: Math.max(0, Math.min(100, Math.round(rawScore))),
+            raw_score: rawScore,
+            tier,
+            bias: bias[0],
+            contributions
+        };
+    }
+
+    /**
+     * Share (0-1) of the dataset's fully evolved Pokemon with a lower value of
+     * a feature; ties count half
+     */
+    percentile(featureKey, value) {
+        const reference = this.referenceValues(featureKey);
+        const below = reference.filter(other => other < value).length;
+        const equal = reference.filter(other => other === value).length;
+        return (below + equal / 2) / reference.length;
+    }
+
+    /**
+     * A feature's values over the dataset's fully evolved Pokemon
+     */
+    referenceValues(featureKey) {
+        const index = FEATURES.findIndex(feature => feature.key === featureKey);
+        if (index === -1) {
+            throw new Error(`Unknown feature '${featureKey}'`);
+        }
+        return this.loadDataset().examples
+            .filter(example => example.tier !== 'untiered')
+            .map(example => this.featurize(example)[index]);
+    }
+
+    /**
+     * Save the model, feature scaling and report to modelDir
+     */
+    async save() {
+        await this.model.save(`file://${this.modelDir}`);
+        fs.writeFileSync(path.join(this.modelDir, 'metadata.json'), JSON.stringify({
+            featurizer_version: FEATURIZER_VERSION,
+            features: FEATURES.map(feature => feature.key),
+            scaling: this.scaling,
+            report: this.report
+        }, null, 2));
+    }
+
+    /**
+     * Load a saved model; returns false when there is none or it is out of date
+     */
+    async load() {
+        const metadataPath = path.join(this.modelDir, 'metadata.json');
+        if (!fs.existsSync(metadataPath) || !fs.existsSync(path.join(this.modelDir, 'model.json'))) {
+            return false;
+        }
+
+        const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        if (metadata.featurizer_version !== FEATURIZER_VERSION || metadata.report.dataset_hash !== this.loadDataset().hash) {
+            logger.info('Saved viability model is out of date with the dataset');
+            return false;
+        }
+
+        this.model = await tf.loadLayersModel(`file://${path.join(this.modelDir, 'model.json')}`);
+        this.scaling = metadata.scaling;
+        this.report = metadata.report;
+        return true;
+    }
+
+    /**
+     * Load the saved model, training and saving a new one if needed
+     */
+    async loadOrTrain() {
+        if (await this.load()) {
+            logger.info(`Loaded viability model from ${this.modelDir} (within one tier on ${(this.report.validation.within_one_tier * 100).toFixed(1)}% of held-out Pokemon)`);
+            return this.report;
+        }
+
+        await this.train();
+        try {
+            await this.save();
+            logger.info(`Saved viability model to ${this.modelDir}`);
+        } catch (error) {
+            logger.warn(`Could not save viability model: ${error.message}`);
+        }
+        return this.report;
+    }
+
+    /**
+     * Human-readable evaluation report
+     */
+    static formatReport(report) {
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const lines = [
+            `Viability model (${report.dataset}, ${report.epochs} epochs)`,
+            ...['train', 'validation'].map(split => {
+                const result = report[split];
+                return `${`${split.charAt(0).toUpperCase()}${split.slice(1)}:`.padEnd(12)}MAE ${result.mean_absolute_error.toFixed(1)}, tier accuracy ${percent(result.tier_accuracy)}, within one tier ${percent(result.within_one_tier)} (${result.examples} Pokemon)`;
+            })
+        ];
+
+        if (report.validation.misranked.length > 0) {
+            lines.push('', 'Off by more than one tier:');
+            report.validation.misranked.forEach(miss => lines.push(`  ${miss.slug} (${miss.tier} → ${miss.predicted})`));
+        }
+        return lines.join('\n');
+    }
+}
+
+function bestAttackStat(pokemon) {
+    return pokemon.base_stats.attack >= pokemon.base_stats['special-attack'] ? 'attack' : 'special-attack';
+}
+
+function plural(count, singular, pluralForm) {
+    return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+function formatSlug(slug) {
+    return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Parse command line arguments for the trainer
+ */
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dataset') {
+            options.datasetPath = argv[++i];
+        } else if (arg === '--out') {
+            options.modelDir = path.resolve(argv[++i]);
+        } else if (arg === '--epochs') {
+            options.epochs = parseInt(argv[++i]);
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const viabilityModel = new ViabilityModel(parseArgs(process.argv.slice(2)));
+            const report = await viabilityModel.train();
+            await viabilityModel.save();
+            console.log(ViabilityModel.formatReport(report));
+            logger.info(`Saved viability model to ${viabilityModel.modelDir}`);
+        } catch (error) {
+            logger.error(`Viability model training failed: ${error.message}`);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = ViabilityModel;
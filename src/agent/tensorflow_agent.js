@@ -9,6 +9,8 @@ const tf = require('@tensorflow/tfjs-node');
 const natural = require('natural');
 const compromise = require('compromise');
 const logger = require('../utils/logger');
+const { getGlobalSeed } = require('../utils/random');
+const typeChart = require('../pokemon/type_chart');
 
 // Import Universal Sentence Encoder for advanced semantic understanding
 let USE;
@@ -24,6 +26,9 @@ class TensorFlowAgent {
         this.performanceMode = options.performanceMode || 'balanced';
         this.cache = options.cache;
         
+        // Weights and dropout are seeded (options.seed or the global seed)
+        this.seed = options.seed === undefined ? getGlobalSeed() : options.seed;
+        
         // NLP processors
         this.tokenizer = new natural.WordTokenizer();
         this.stemmer = natural.PorterStemmer;
@@ -222,10 +227,10 @@ class TensorFlowAgent {
             // Create a simple neural network for intent classification
             this.customModel = tf.sequential({
                 layers: [
-                    tf.layers.dense({ inputShape: [100], units: 64, activation: 'relu' }),
-                    tf.layers.dropout({ rate: 0.3 }),
-                    tf.layers.dense({ units: 32, activation: 'relu' }),
-                    tf.layers.dense({ units: 3, activation: 'softmax' }) // 3 intents: pokemon, general, greeting
+                    tf.layers.dense({ inputShape: [100], units: 64, activation: 'relu', kernelInitializer: this._initializer(0) }),
+                    tf.layers.dropout({ rate: 0.3, seed: this.seed }),
+                    tf.layers.dense({ units: 32, activation: 'relu', kernelInitializer: this._initializer(1) }),
+                    tf.layers.dense({ units: 3, activation: 'softmax', kernelInitializer: this._initializer(2) }) // 3 intents: pokemon, general, greeting
                 ]
             });
             
@@ -305,12 +310,12 @@ class TensorFlowAgent {
             // Create a simple sequential model for intent classification
             this.model = tf.sequential({
                 layers: [
-                    tf.layers.dense({ inputShape: [100], units: 128, activation: 'relu' }),
-                    tf.layers.dropout({ rate: 0.3 }),
-                    tf.layers.dense({ units: 64, activation: 'relu' }),
-                    tf.layers.dropout({ rate: 0.2 }),
-                    tf.layers.dense({ units: 32, activation: 'relu' }),
-                    tf.layers.dense({ units: 4, activation: 'softmax' }) // pokemon, general, greeting, unknown
+                    tf.layers.dense({ inputShape: [100], units: 128, activation: 'relu', kernelInitializer: this._initializer(3) }),
+                    tf.layers.dropout({ rate: 0.3, seed: this.seed }),
+                    tf.layers.dense({ units: 64, activation: 'relu', kernelInitializer: this._initializer(4) }),
+                    tf.layers.dropout({ rate: 0.2, seed: this.seed + 1 }),
+                    tf.layers.dense({ units: 32, activation: 'relu', kernelInitializer: this._initializer(5) }),
+                    tf.layers.dense({ units: 4, activation: 'softmax', kernelInitializer: this._initializer(6) }) // pokemon, general, greeting, unknown
                 ]
             });
             
@@ -331,6 +336,13 @@ class TensorFlowAgent {
         }
     }
     
+    /**
+     * Glorot initializer seeded from the agent's seed; each layer passes its own offset
+     */
+    _initializer(offset) {
+        return tf.initializers.glorotUniform({ seed: this.seed + offset });
+    }
+    
     /**
      * Train the custom model with synthetic training data
      */
@@ -340,17 +352,17 @@ class TensorFlowAgent {
         try {
             // Generate training data
             const trainingSize = 1000;
-            const features = tf.randomNormal([trainingSize, 100]);
+            const features = tf.randomNormal([trainingSize, 100], 0, 1, 'float32', this.seed);
             
             // Create synthetic labels (one-hot encoded)
-            const labels = tf.oneHot(tf.randomUniform([trainingSize], 0, 4, 'int32'), 4);
+            const labels = tf.oneHot(tf.randomUniform([trainingSize], 0, 4, 'int32', this.seed + 1), 4);
             
-            // Train the model
+            // Train the model; tfjs shuffles with Math.random(), so batches stay in order
             await this.model.fit(features, labels, {
                 epochs: 5,
                 batchSize: 32,
                 verbose: 0,
-                shuffle: true
+                shuffle: false
             });
             
             // Clean up tensors
@@ -1543,16 +1555,8 @@ class TensorFlowAgent {
     }
     
     _mlCalculateTypeEffectiveness(types) {
-        // Simplified type effectiveness calculation
-        const offense = types.length * 45 + Math.random() * 20;
-        const defense = 100 - (types.length - 1) * 15 + Math.random() * 10;
-        const overall = Math.round((offense + defense) / 2) >= 70 ? 'Excellent' : 'Good';
-        
-        return { 
-            offense: Math.round(offense), 
-            defense: Math.round(defense), 
-            overall 
-        };
+        // Scored from the type chart, so the same typing always gets the same scores
+        return typeChart.scoreTyping(types);
     }
     
     /**
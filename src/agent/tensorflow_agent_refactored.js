@@ -6,6 +6,10 @@
  */
 
 const logger = require('../utils/logger');
+const responseFormat = require('../utils/response_format');
+const random = require('../utils/random');
+const pokemonAnalysis = require('../pokemon/analysis');
+const { validateTools, describeTool } = require('../tools/tool_registry');
 
 // Import specialized modules
 const MLEngine = require('./modules/MLEngine');
@@ -13,19 +17,28 @@ const IntentClassifier = require('./modules/IntentClassifier');
 const QueryAnalyzer = require('./analyzers/QueryAnalyzer');
 const ResponseGenerator = require('./generators/ResponseGenerator');
 const MLPokemonAnalyzer = require('./analyzers/MLPokemonAnalyzer');
+const ExecutionContext = require('./modules/ExecutionContext');
+const FollowUpResolver = require('./modules/FollowUpResolver');
+const TaskPlanner = require('./modules/TaskPlanner');
 
 class TensorFlowAgent {
     constructor(options = {}) {
-        this.tools = options.tools || [];
+        this.tools = validateTools(options.tools || []);
         this.performanceMode = options.performanceMode || 'balanced';
         this.cache = options.cache;
         
+        // Mode-specific modules are built lazily and shared by every request in that mode
+        this.modeModules = new Map();
+        this.qualityMLEngine = null;
+        this.qualityMLEnginePromise = null;
+        
         // Initialize specialized modules
         this.mlEngine = new MLEngine(this.performanceMode);
-        this.intentClassifier = new IntentClassifier(this.tools, this.performanceMode);
         this.queryAnalyzer = new QueryAnalyzer();
-        this.responseGenerator = new ResponseGenerator(this.performanceMode);
         this.mlPokemonAnalyzer = new MLPokemonAnalyzer();
+        this.followUpResolver = new FollowUpResolver();
+        this.taskPlanner = new TaskPlanner({ followUpResolver: this.followUpResolver });
+        this._bindDefaultModeModules();
         
         this.isInitialized = false;
     }
@@ -37,9 +50,15 @@ class TensorFlowAgent {
         try {
             logger.info('Initializing TensorFlow.js Agent...');
             
+            // Tools with startup work (name indexes) finish it before the first request
+            await Promise.all(this.tools.filter(tool => typeof tool.initialize === 'function').map(tool => tool.initialize()));
+            
             // Initialize all modules
-            await this.mlEngine.initialize();
-            this.intentClassifier.initialize();
+            if (this.performanceMode === 'quality') {
+                this.mlEngine = await this._getQualityMLEngine();
+            } else {
+                await this.mlEngine.initialize();
+            }
             
             this.isInitialized = true;
             logger.info(`Agent initialized in ${this.performanceMode} mode`);
@@ -52,36 +71,238 @@ class TensorFlowAgent {
     
     /**
      * Process a task using the agent
+     *
+     * Options:
+     * - performanceMode: mode for this request only (defaults to the agent's mode)
+     * - format: 'markdown' (default) or 'text' return a string; 'json' returns
+     *   the structured analysis object (see src/data/analysis.schema.json)
+     * - onEvent(event, data): progress callback used for streaming responses;
+     *   receives the executed plan as a final 'plan' event
+     * - signal: AbortSignal that cancels the remaining work when aborted
+     * - seed: echoed on the context and part of the response cache key
+     *   (defaults to the global seed, see utils/random); the pipeline itself
+     *   is deterministic
      */
-    async processTask(task) {
+    async processTask(task, options = {}) {
         try {
             if (!this.isInitialized) {
                 throw new Error('Agent not initialized');
             }
             
-            logger.info(`Processing task: ${task.substring(0, 50)}...`);
+            const context = await this.createExecutionContext(options);
             
-            // Classify intent using specialized module
-            const classification = this.intentClassifier.classifyIntent(task);
-            logger.info(`Intent classification: ${JSON.stringify(classification)}`);
+            logger.info(`Processing task (${context.performanceMode} mode): ${task.substring(0, 50)}...`);
             
-            // Route to appropriate handler
-            if (classification.intent === 'tool' && classification.tool) {
-                return await this._executeToolTask(classification.tool, task);
-            } else {
-                return await this._executeGeneralTask(task);
+            // Split compound tasks into steps; each step is classified and routed on its own
+            const plan = this.taskPlanner.plan(task, context.intentClassifier);
+            if (plan.steps.length > 1) {
+                logger.info(`Planned ${plan.steps.length} steps: ${plan.steps.map(step => `${step.id} (${step.tool || step.intent})`).join(', ')}`);
             }
+            context.throwIfAborted();
+            
+            const { result, executedPlan } = await this._executePlan(plan, context);
+            context.emit('plan', executedPlan);
+            return result;
             
         } catch (error) {
-            logger.error(`Task processing failed: ${error.message}`);
+            if (error.name === 'AbortError') {
+                logger.info('Task processing cancelled by client');
+            } else {
+                logger.error(`Task processing failed: ${error.message}`);
+            }
             throw error;
         }
     }
     
+    /**
+     * Rewrite a follow-up ("what about its evolution?") using the session's memory
+     *
+     * Call before processTask so classification sees the resolved task.
+     */
+    resolveFollowUp(task, session) {
+        const resolution = this.followUpResolver.resolve(task, session);
+        if (resolution.changed) {
+            logger.info(`Resolved follow-up: "${task}" → "${resolution.task}"`);
+        }
+        return resolution;
+    }
+    
+    /**
+     * Build the request-scoped context for a task
+     */
+    async createExecutionContext(options = {}) {
+        const performanceMode = options.performanceMode || this.performanceMode;
+        const format = options.format || 'markdown';
+        
+        if (!ExecutionContext.isValidPerformanceMode(performanceMode)) {
+            throw new Error(`Invalid performance mode: ${performanceMode}`);
+        }
+        if (!responseFormat.isValidFormat(format)) {
+            throw new Error(`Invalid format: ${format}`);
+        }
+        if (options.seed !== undefined && !random.isValidSeed(options.seed)) {
+            throw new Error(`Invalid seed: ${options.seed}`);
+        }
+        
+        const modules = this._getModeModules(performanceMode);
+        
+        return new ExecutionContext({
+            performanceMode,
+            format,
+            intentClassifier: modules.intentClassifier,
+            responseGenerator: modules.responseGenerator,
+            mlEngine: performanceMode === 'quality' ? await this._getQualityMLEngine() : null,
+            seed: options.seed,
+            onEvent: options.onEvent,
+            signal: options.signal
+        });
+    }
+    
+    /**
+     * Get (or lazily build) the classifier and generator for a mode
+     */
+    _getModeModules(performanceMode) {
+        if (!this.modeModules.has(performanceMode)) {
+            const intentClassifier = new IntentClassifier(this.tools, performanceMode);
+            intentClassifier.initialize();
+            
+            this.modeModules.set(performanceMode, {
+                intentClassifier,
+                responseGenerator: new ResponseGenerator(performanceMode)
+            });
+        }
+        
+        return this.modeModules.get(performanceMode);
+    }
+    
+    /**
+     * Get the shared quality-mode ML engine, initializing it on first use
+     */
+    async _getQualityMLEngine() {
+        if (!this.qualityMLEnginePromise) {
+            const engine = new MLEngine('quality');
+            this.qualityMLEnginePromise = engine.initialize()
+                .then(() => {
+                    this.qualityMLEngine = engine;
+                    return engine;
+                })
+                .catch(error => {
+                    // Allow a later request to retry initialization
+                    this.qualityMLEnginePromise = null;
+                    throw error;
+                });
+        }
+        
+        return this.qualityMLEnginePromise;
+    }
+    
+    /**
+     * Point the legacy module properties at the default mode's modules
+     */
+    _bindDefaultModeModules() {
+        const modules = this._getModeModules(this.performanceMode);
+        this.intentClassifier = modules.intentClassifier;
+        this.responseGenerator = modules.responseGenerator;
+    }
+    
+    /**
+     * Run a plan wave by wave; steps within a wave run in parallel
+     *
+     * Each step gets the structured tool output of the steps it depends on.
+     */
+    async _executePlan(plan, context) {
+        const outputs = new Map();
+        
+        for (const group of plan.parallel_groups) {
+            const steps = group.map(id => plan.steps.find(step => step.id === id));
+            await Promise.all(steps.map(step => this._executeStep(step, context, outputs)));
+            context.throwIfAborted();
+        }
+        
+        return {
+            result: this._composePlanResult(plan, outputs, context.format),
+            executedPlan: {
+                steps: plan.steps.map(step => ({
+                    id: step.id,
+                    task: step.task,
+                    ...(step.original_task ? { original_task: step.original_task } : {}),
+                    intent: step.intent,
+                    tool: step.tool,
+                    confidence: step.confidence,
+                    depends_on: step.depends_on,
+                    pokemon: step.pokemon.map(p => p.name),
+                    result_type: outputs.get(step.id).resultType,
+                    processing_time: outputs.get(step.id).processingTime
+                })),
+                parallel_groups: plan.parallel_groups
+            }
+        };
+    }
+    
+    /**
+     * Execute one plan step in its own child context
+     */
+    async _executeStep(step, context, outputs) {
+        const dependencies = {};
+        for (const id of step.depends_on) {
+            dependencies[id] = outputs.get(id).output;
+        }
+        
+        const stepContext = context.createStepContext(step.id, dependencies);
+        const classification = { intent: step.intent, tool: step.tool, confidence: step.confidence };
+        logger.info(`Intent classification: ${JSON.stringify(classification)}`);
+        stepContext.emit('classification', classification);
+        
+        const startTime = Date.now();
+        const result = step.intent === 'tool' && step.tool
+            ? await this._executeToolTask(step.tool, step.task, stepContext)
+            : await this._executeGeneralTask(step.task, stepContext);
+        
+        const output = stepContext.toolOutput;
+        outputs.set(step.id, {
+            result,
+            output,
+            resultType: output && typeof output === 'object' ? output.type : 'text',
+            processingTime: Date.now() - startTime
+        });
+    }
+    
+    /**
+     * Compose the final answer from every step's result
+     *
+     * JSON answers wrap plain-text step results as { type: 'text', text } and
+     * multi-step plans as { type: 'plan', steps }.
+     */
+    _composePlanResult(plan, outputs, format = 'markdown') {
+        const results = plan.steps.map(step => outputs.get(step.id).result);
+        
+        if (format === 'json') {
+            const structured = results.map(result => typeof result === 'string'
+                ? { type: 'text', text: responseFormat.markdownToText(result) }
+                : result);
+            if (structured.length === 1) {
+                return { schema_version: pokemonAnalysis.SCHEMA_VERSION, ...structured[0] };
+            }
+            return {
+                schema_version: pokemonAnalysis.SCHEMA_VERSION,
+                type: 'plan',
+                steps: plan.steps.map((step, index) => ({ id: step.id, task: step.original_task || step.task, result: structured[index] }))
+            };
+        }
+        
+        const markdown = results.length === 1 ? results[0] : plan.steps.map((step, index) => {
+            const title = step.original_task || step.task;
+            const result = typeof results[index] === 'string' ? results[index] : JSON.stringify(results[index]);
+            return `## Step ${index + 1}: ${title.charAt(0).toUpperCase() + title.slice(1)}\n\n${result}`;
+        }).join('\n\n');
+        
+        return format === 'text' ? responseFormat.markdownToText(markdown) : markdown;
+    }
+    
     /**
      * Execute task using a specific tool
      */
-    async _executeToolTask(toolName, task) {
+    async _executeToolTask(toolName, task, context) {
         const tool = this.tools.find(t => t.name === toolName);
         
         if (!tool) {
@@ -92,35 +313,27 @@ class TensorFlowAgent {
         
         try {
             // In quality mode, use ML to enhance tool execution with intelligent parameter extraction
-            if (this.performanceMode === 'quality' && toolName === 'pokemon_info') {
-                const enhancedParams = await this.mlEngine.mlEnhancedParameterExtraction(task);
-                const result = await tool.execute(task, {
-                    performanceMode: this.performanceMode,
-                    config: this._getConfig(),
-                    mlParams: enhancedParams
-                });
-                
-                // Process with ML-enhanced understanding
-                if (typeof result === 'object' && (result.type === 'pokemon_data' || result.type === 'competitive_matchup')) {
-                    return await this._processToolData(result, task, enhancedParams);
-                }
-                return result;
-            } else {
-                // Standard tool execution for fast/balanced modes
-                const result = await tool.execute(task, {
-                    performanceMode: this.performanceMode,
-                    config: this._getConfig()
-                });
-                
-                // Check if the tool returned structured data that needs intelligent processing
-                if (typeof result === 'object' && (result.type === 'pokemon_data' || result.type === 'competitive_matchup')) {
-                    return await this._processToolData(result, task, null);
-                }
-                
-                // For simple string responses, return as-is
-                return result;
+            if (context.performanceMode === 'quality' && tool.mlParameterExtraction) {
+                context.mlParams = await context.mlEngine.mlEnhancedParameterExtraction(task);
             }
+            
+            const result = await this._runTool(tool, task, context);
+            
+            // Structured results are rendered by the tool that produced them
+            if (typeof result === 'object' && result !== null && tool.outputTypes.includes(result.type)) {
+                return await this._processToolData(tool, result, task, context);
+            }
+            if (typeof result === 'object' && result !== null) {
+                logger.warn(`Tool ${toolName} returned undeclared output type '${result.type}'`);
+                return 'I received data from the tool but cannot process it properly.';
+            }
+            
+            // For simple string responses, return as-is
+            return result;
         } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             logger.error(`Tool execution failed: ${error.message}`);
             // Fallback to general response
             return `I encountered an error while using the ${toolName} tool: ${error.message}. Please try rephrasing your request.`;
@@ -128,90 +341,84 @@ class TensorFlowAgent {
     }
     
     /**
-     * Process structured data from tools using AI capabilities
+     * Run a tool, reporting start/finish events and honouring cancellation
      */
-    async _processToolData(toolData, originalQuery, mlParams = null) {
-        switch (toolData.type) {
-            case 'pokemon_data':
-                if (mlParams) {
-                    return await this.mlPokemonAnalyzer.generateMLEnhancedPokemonResponse(
-                        toolData.pokemon, originalQuery, toolData.performanceMode, mlParams
-                    );
-                } else {
-                    return await this.responseGenerator.generateResponse(
-                        toolData.pokemon, originalQuery, 'pokemon', mlParams
-                    );
-                }
-            case 'competitive_matchup':
-                return await this.responseGenerator.generateResponse(
-                    toolData.pokemon, originalQuery, 'competitive_matchup', mlParams
-                );
-            default:
-                return 'I received data from the tool but cannot process it properly.';
+    async _runTool(tool, task, context) {
+        const startTime = Date.now();
+        context.emit('tool_start', { tool: tool.name });
+        
+        const result = await tool.execute(task, context.toToolOptions());
+        context.throwIfAborted();
+        context.toolOutput = result;
+        
+        context.emit('tool_end', {
+            tool: tool.name,
+            result_type: typeof result === 'object' && result !== null ? result.type : 'text',
+            duration: Date.now() - startTime
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Process structured data from tools using the tool's renderer, or its
+     * serializer for JSON requests
+     */
+    async _processToolData(tool, toolData, originalQuery, context) {
+        const renderContext = {
+            query: originalQuery,
+            performanceMode: context.performanceMode,
+            mlParams: context.mlParams,
+            responseGenerator: context.responseGenerator,
+            mlPokemonAnalyzer: this.mlPokemonAnalyzer
+        };
+        
+        if (context.format === 'json' && typeof tool.serialize === 'function') {
+            return tool.serialize(toolData, renderContext);
         }
+        return await tool.render(toolData, renderContext);
     }
     
     /**
      * Execute general task (without tools)
      */
-    async _executeGeneralTask(task) {
+    async _executeGeneralTask(task, context) {
         logger.info('Executing general task');
         
         // Generate response using specialized response generator
-        return await this.responseGenerator.generateResponse(null, task, 'general');
+        return await context.responseGenerator.generateResponse(null, task, 'general');
     }
     
     /**
      * Get performance configuration
      */
-    _getConfig() {
-        const configs = {
-            fast: {
-                useML: false,
-                useStemming: false,
-                useAdvancedNLP: false,
-                maxTokens: 100
-            },
-            balanced: {
-                useML: false,
-                useStemming: true,
-                useAdvancedNLP: true,
-                maxTokens: 200
-            },
-            quality: {
-                useML: true,
-                useStemming: true,
-                useAdvancedNLP: true,
-                maxTokens: 500
-            }
-        };
-        
-        return configs[this.performanceMode] || configs.balanced;
+    _getConfig(performanceMode = this.performanceMode) {
+        return ExecutionContext.PERFORMANCE_CONFIGS[performanceMode] || ExecutionContext.PERFORMANCE_CONFIGS.balanced;
     }
     
     /**
-     * Switch performance mode
+     * Switch the default performance mode
+     *
+     * Only affects requests that do not specify their own mode. Modules are
+     * reused from the per-mode cache; the quality ML engine is built once.
      */
     async switchPerformanceMode(newMode) {
-        if (!['fast', 'balanced', 'quality'].includes(newMode)) {
+        if (!ExecutionContext.isValidPerformanceMode(newMode)) {
             throw new Error(`Invalid performance mode: ${newMode}`);
         }
         
         const oldMode = this.performanceMode;
         this.performanceMode = newMode;
         
-        // Reinitialize components that depend on performance mode
-        this.mlEngine = new MLEngine(this.performanceMode);
-        this.intentClassifier = new IntentClassifier(this.tools, this.performanceMode);
-        this.responseGenerator = new ResponseGenerator(this.performanceMode);
-        
-        // Reinitialize if needed
-        if (newMode === 'quality' && oldMode !== 'quality') {
+        this._bindDefaultModeModules();
+        if (newMode === 'quality') {
+            // Shared and already initialized
+            this.mlEngine = await this._getQualityMLEngine();
+        } else {
+            this.mlEngine = new MLEngine(newMode);
             await this.mlEngine.initialize();
         }
         
-        this.intentClassifier.initialize();
-        
         logger.info(`Performance mode switched from ${oldMode} to ${newMode}`);
     }
     
@@ -219,18 +426,17 @@ class TensorFlowAgent {
      * Add or update tools
      */
     updateTools(tools) {
-        this.tools = tools;
-        this.intentClassifier.updateTools(tools);
+        this.tools = validateTools(tools);
+        for (const modules of this.modeModules.values()) {
+            modules.intentClassifier.updateTools(tools);
+        }
     }
     
     /**
      * Get information about available tools
      */
     getToolsInfo() {
-        return this.tools.map(tool => ({
-            name: tool.name,
-            description: tool.description || 'No description available'
-        }));
+        return this.tools.map(describeTool);
     }
     
     /**
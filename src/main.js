@@ -9,6 +9,7 @@
  * - Pokemon information tool integration
  * - Response caching for performance
  * - RESTful API compatible with LangChain service
+ * - OpenAI-compatible chat completions
  * 
  * Author: AI Agent Developer
  * Version: 1.0.0
@@ -20,23 +21,45 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
-const NodeCache = require('node-cache');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const TensorFlowAgent = require('./agent/tensorflow_agent_refactored');
+const ExecutionContext = require('./agent/modules/ExecutionContext');
+const ConversationStore = require('./agent/modules/ConversationStore');
 const PokemonTool = require('./tools/pokemon_tool');
+const SemanticSearchTool = require('./tools/semantic_search_tool');
+const TeamBuilderTool = require('./tools/team_builder_tool');
+const PokedexSearchTool = require('./tools/pokedex_search_tool');
+const PokedexLookupTool = require('./tools/pokedex_lookup_tool');
+const { loadToolsFromDirectory } = require('./tools/tool_registry');
 const logger = require('./utils/logger');
+const TieredCache = require('./utils/tiered_cache');
+const nameResolver = require('./pokemon/name_resolver');
+const pokemonAnalysis = require('./pokemon/analysis');
+const statQuery = require('./pokemon/stat_query');
+const { openEventStream, sendEvent, sendData, splitMarkdownSections } = require('./utils/sse');
+const { RESPONSE_FORMATS, isValidFormat } = require('./utils/response_format');
+const random = require('./utils/random');
+const chatCompletions = require('./utils/chat_completions');
 
 // Global agent instance
 let agent = null;
+let pokemonTool = null;
 
 // Performance configuration
 const PERFORMANCE_MODE = process.env.PERFORMANCE_MODE || 'balanced';
 const PORT = process.env.PORT || 3000;
 const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 1800; // 30 minutes
 
-// Response cache
-const responseCache = new NodeCache({ stdTTL: CACHE_TTL });
+// Reported as the `created` time of the /v1/models entries
+const STARTED_AT = Math.floor(Date.now() / 1000);
+
+// Response cache (memory + disk under CACHE_DIR, survives restarts)
+const responseCache = new TieredCache({ namespace: 'responses', ttl: CACHE_TTL });
+
+// Multi-turn conversation sessions
+const conversationStore = new ConversationStore();
 
 /**
  * Initialize the TensorFlow.js agent with tools
@@ -45,9 +68,9 @@ async function initializeAgent() {
     try {
         logger.info('Initializing TensorFlow.js Agent...');
         
-        // Initialize tools
-        const pokemonTool = new PokemonTool();
-        const tools = [pokemonTool];
+        // Initialize tools: built-in tools plus any drop-in tools from TOOLS_DIR
+        pokemonTool = new PokemonTool();
+        const tools = [pokemonTool, new SemanticSearchTool(), new TeamBuilderTool({ pokemonTool }), new PokedexSearchTool(), new PokedexLookupTool({ pokemonTool }), ...loadToolsFromDirectory()];
         
         // Create agent with tools
         agent = new TensorFlowAgent({
@@ -60,6 +83,8 @@ async function initializeAgent() {
         
         logger.info(`Agent initialized successfully with ${tools.length} tools`);
         logger.info(`Performance mode: ${PERFORMANCE_MODE}`);
+        logger.info(`Random seed: ${random.getGlobalSeed()}`);
+        logger.info(`PokeAPI data source: ${pokemonTool.dataSource.describe()}`);
         
         return agent;
         
@@ -69,6 +94,226 @@ async function initializeAgent() {
     }
 }
 
+/**
+ * Find the session a request belongs to
+ *
+ * `session_id` continues (or starts) a named session; `session: true` starts
+ * one with a generated id. Requests without either stay stateless.
+ */
+function getRequestSession(body) {
+    if (body.session_id !== undefined) {
+        if (!ConversationStore.isValidSessionId(body.session_id)) {
+            throw new Error('session_id must be 1-64 letters, digits, "-" or "_"');
+        }
+        return conversationStore.getOrCreateSession(body.session_id);
+    }
+    return body.session === true ? conversationStore.createSession() : null;
+}
+
+/**
+ * Split a cache entry into its result and executed plan
+ *
+ * Entries are stored as { result, plan }; entries cached before plans were
+ * recorded hold the bare result.
+ */
+function readCachedResponse(entry) {
+    if (entry && typeof entry === 'object' && 'result' in entry && 'plan' in entry) {
+        return entry;
+    }
+    return { result: entry, plan: null };
+}
+
+/**
+ * Response cache key; mode and format change the answer, the seed doesn't
+ */
+function taskCacheKey(task, performanceMode, format) {
+    return `task_${performanceMode}_${format}_${Buffer.from(task.toLowerCase().trim()).toString('base64')}`;
+}
+
+/**
+ * Answer a task from the response cache, or run it and cache the answer
+ *
+ * Returns { result, plan, cached }.
+ */
+async function runCachedTask(task, options) {
+    const cacheKey = taskCacheKey(task, options.performanceMode, options.format);
+    const cachedEntry = await responseCache.get(cacheKey);
+    if (cachedEntry) {
+        return { ...readCachedResponse(cachedEntry), cached: true };
+    }
+    
+    let plan = null;
+    const result = await agent.processTask(task, {
+        ...options,
+        onEvent: (event, data) => {
+            if (event === 'plan') {
+                plan = data;
+            }
+        }
+    });
+    await responseCache.set(cacheKey, { result, plan });
+    return { result, plan, cached: false };
+}
+
+/**
+ * Resolve the last message of a chat against the user messages before it
+ *
+ * The earlier messages are replayed into a transient session, so "what
+ * about its evolution?" works the same as in a /run_task/ session without
+ * touching the stored ones.
+ */
+function resolveChatTask(task, history) {
+    const session = conversationStore.createTransientSession();
+    for (const earlier of history) {
+        const resolution = agent.resolveFollowUp(earlier, session);
+        conversationStore.recordTurn(session, { task: earlier, resolved_task: resolution.task });
+    }
+    return agent.resolveFollowUp(task, session);
+}
+
+/**
+ * Stream a chat completion as OpenAI `chat.completion.chunk` events
+ *
+ * Sends the assistant role first, then one delta per tool call the plan
+ * made, the answer section by section, a final chunk with
+ * `finish_reason: "stop"` and `[DONE]`. Closing the connection aborts the
+ * agent's remaining work.
+ */
+async function streamChatCompletion(res, completion, task, options) {
+    const controller = new AbortController();
+    
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            logger.info('Client disconnected, cancelling chat completion');
+            controller.abort();
+        }
+    });
+    
+    openEventStream(res);
+    sendData(res, chatCompletions.completionChunk(completion, { role: 'assistant', content: '' }));
+    
+    try {
+        const { result, plan } = await runCachedTask(task, { ...options, signal: controller.signal });
+        chatCompletions.toolCallDeltas(plan).forEach(delta => sendData(res, chatCompletions.completionChunk(completion, delta)));
+        const chunks = typeof result === 'string' ? splitMarkdownSections(result) : [JSON.stringify(result)];
+        chunks.forEach(content => sendData(res, chatCompletions.completionChunk(completion, { content })));
+        sendData(res, chatCompletions.completionChunk(completion, {}, 'stop'));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        logger.error(`Error streaming chat completion: ${error.message}`);
+        sendData(res, chatCompletions.errorBody(`Task processing failed: ${error.message}`, 'server_error'));
+    }
+    
+    sendData(res, '[DONE]');
+    res.end();
+}
+
+/**
+ * Record a completed turn and return the session fields for the response
+ */
+function recordTurn(session, resolution, { performanceMode, cached, result }) {
+    if (!session) {
+        return {};
+    }
+    
+    conversationStore.addTurn(session.id, {
+        task: resolution.original,
+        resolved_task: resolution.task,
+        performance_mode: performanceMode,
+        cached,
+        result
+    });
+    
+    return {
+        session_id: session.id,
+        resolved_task: resolution.task
+    };
+}
+
+/**
+ * Stream a task response as Server-Sent Events
+ *
+ * Emits classification and tool progress while the agent works, then the
+ * executed plan and the markdown answer section by section (a JSON answer is
+ * sent as one chunk), then a final `done` event with metadata. Cached answers are replayed through the same
+ * plan/chunk/done events.
+ * Closing the connection aborts the agent's remaining work.
+ */
+async function streamTaskResponse(req, res, { task, performanceMode, format, seed, cacheKey, startTime, session, resolution }) {
+    const controller = new AbortController();
+    
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            logger.info('Client disconnected, cancelling streamed task');
+            controller.abort();
+        }
+    });
+    
+    openEventStream(res);
+    
+    const sendResult = (result, cached) => {
+        const chunks = typeof result === 'string' ? splitMarkdownSections(result) : [JSON.stringify(result)];
+        chunks.forEach((content, index) => sendEvent(res, 'chunk', { index, content }));
+        
+        sendEvent(res, 'done', {
+            cached,
+            performance_mode: performanceMode,
+            format,
+            seed,
+            processing_time: Date.now() - startTime,
+            chunks: chunks.length,
+            ...recordTurn(session, resolution, { performanceMode, cached, result })
+        });
+        res.end();
+    };
+    
+    const cachedEntry = await responseCache.get(cacheKey);
+    if (cachedEntry) {
+        logger.info(`Replaying cached response as stream (${performanceMode} mode)`);
+        const { result, plan } = readCachedResponse(cachedEntry);
+        if (plan) {
+            sendEvent(res, 'plan', plan);
+        }
+        return sendResult(result, true);
+    }
+    
+    try {
+        let plan = null;
+        const result = await agent.processTask(task, {
+            performanceMode,
+            format,
+            seed,
+            signal: controller.signal,
+            onEvent: (event, data) => {
+                if (event === 'plan') {
+                    plan = data;
+                }
+                sendEvent(res, event, data);
+            }
+        });
+        
+        await responseCache.set(cacheKey, { result, plan });
+        logger.info(`Streamed task completed in ${Date.now() - startTime}ms`);
+        sendResult(result, false);
+        
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        
+        const processingTime = Date.now() - startTime;
+        logger.error(`Error streaming task after ${processingTime}ms: ${error.message}`);
+        
+        sendEvent(res, 'error', {
+            error: `Task processing failed: ${error.message}`,
+            processing_time: processingTime
+        });
+        res.end();
+    }
+}
+
 /**
  * Create Express.js application
  */
@@ -128,7 +373,7 @@ function createApp() {
                 });
             }
             
-            const { task, stream = false, mode } = req.body;
+            const { task, stream = false, mode, format = 'markdown', seed = random.getGlobalSeed() } = req.body;
             
             if (!task) {
                 return res.status(400).json({
@@ -136,50 +381,95 @@ function createApp() {
                 });
             }
             
-            // Handle performance mode change
-            if (mode && ['fast', 'balanced', 'quality'].includes(mode)) {
-                if (agent.performanceMode !== mode) {
-                    logger.info(`Switching performance mode from ${agent.performanceMode} to ${mode}`);
-                    agent.performanceMode = mode;
-                }
+            if (!isValidFormat(format)) {
+                return res.status(400).json({
+                    error: `Invalid format '${format}' (expected ${RESPONSE_FORMATS.slice(0, -1).join(', ')} or ${RESPONSE_FORMATS[RESPONSE_FORMATS.length - 1]})`
+                });
             }
             
-            logger.info(`Processing task: ${task.substring(0, 50)}...`);
+            if (!random.isValidSeed(seed)) {
+                return res.status(400).json({
+                    error: `Invalid seed '${seed}' (expected an integer from 0 to ${random.MAX_SEED})`
+                });
+            }
             
-            // Include mode in cache key to differentiate responses by performance mode
-            const cacheKey = `task_${mode || agent.performanceMode}_${Buffer.from(task.toLowerCase().trim()).toString('base64')}`;
-            const cachedResult = responseCache.get(cacheKey);
+            let session;
+            try {
+                session = getRequestSession(req.body);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            // Resolve "it", "what about..." etc. against the session before classification
+            const resolution = session ? agent.resolveFollowUp(task, session) : { task, original: task, changed: false };
+            const resolvedTask = resolution.task;
+            
+            // Performance mode applies to this request only; the shared agent is never mutated
+            const performanceMode = ExecutionContext.isValidPerformanceMode(mode) ? mode : agent.performanceMode;
             
-            if (cachedResult) {
-                logger.info(`Returning cached response for task (${mode || agent.performanceMode} mode)`);
+            logger.info(`Processing task: ${resolvedTask.substring(0, 50)}...`);
+            
+            const cacheKey = taskCacheKey(resolvedTask, performanceMode, format);
+            
+            if (stream === true || stream === 'true') {
+                return await streamTaskResponse(req, res, { task: resolvedTask, performanceMode, format, seed, cacheKey, startTime, session, resolution });
+            }
+            
+            const cachedEntry = await responseCache.get(cacheKey);
+            
+            if (cachedEntry) {
+                logger.info(`Returning cached response for task (${performanceMode} mode)`);
+                const { result: cachedResult, plan: cachedPlan } = readCachedResponse(cachedEntry);
                 return res.json({
                     result: cachedResult,
+                    plan: cachedPlan,
                     cached: true,
-                    performance_mode: mode || agent.performanceMode,
-                    processing_time: Date.now() - startTime
+                    performance_mode: performanceMode,
+                    format,
+                    seed,
+                    processing_time: Date.now() - startTime,
+                    ...recordTurn(session, resolution, { performanceMode, cached: true, result: cachedResult })
                 });
             }
             
-            // Process task with agent
-            const result = await agent.processTask(task);
+            // Process task with agent, keeping the executed plan for the response
+            let plan = null;
+            const result = await agent.processTask(resolvedTask, {
+                performanceMode,
+                format,
+                seed,
+                onEvent: (event, data) => {
+                    if (event === 'plan') {
+                        plan = data;
+                    }
+                }
+            });
             
             // Cache the result
-            responseCache.set(cacheKey, result);
+            await responseCache.set(cacheKey, { result, plan });
             
             const processingTime = Date.now() - startTime;
             logger.info(`Task completed in ${processingTime}ms`);
             
             res.json({
                 result,
+                plan,
                 cached: false,
-                performance_mode: mode || agent.performanceMode,
-                processing_time: processingTime
+                performance_mode: performanceMode,
+                format,
+                seed,
+                processing_time: processingTime,
+                ...recordTurn(session, resolution, { performanceMode, cached: false, result })
             });
             
         } catch (error) {
             const processingTime = Date.now() - startTime;
             logger.error(`Error processing task after ${processingTime}ms: ${error.message}`);
             
+            if (res.headersSent) {
+                return res.end();
+            }
+            
             res.status(500).json({
                 error: `Task processing failed: ${error.message}`,
                 processing_time: processingTime
@@ -187,6 +477,99 @@ function createApp() {
         }
     });
     
+    // Stat calculator: actual stats, IVs from observed stats, or Speed comparisons
+    app.post('/stats/', async (req, res) => {
+        if (!pokemonTool) {
+            return res.status(503).json({ error: 'Agent not initialized' });
+        }
+        
+        const { pokemon, stats, ...body } = req.body || {};
+        if (!pokemon) {
+            return res.status(400).json({ error: 'pokemon is required' });
+        }
+        
+        let request;
+        try {
+            request = statQuery.normalizeRequest({ ...body, observed: stats });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const names = [pokemon, ...request.compare.filter(entry => entry.pokemon).map(entry => entry.pokemon)];
+        const unknown = names.find(name => !nameResolver.resolvePokemonName(name));
+        if (unknown) {
+            return res.status(404).json({ error: `Unknown Pokemon '${unknown}'` });
+        }
+        request.compare = request.compare.map(entry => entry.pokemon ? { pokemon: nameResolver.resolvePokemonName(entry.pokemon).slug } : entry);
+        
+        try {
+            const result = await pokemonTool.calculateStats(nameResolver.resolvePokemonName(pokemon).slug, request);
+            if (result.error) {
+                return res.status(502).json({ error: `Couldn't fetch ${result.pokemon}: ${result.error}` });
+            }
+            res.json({ schema_version: pokemonAnalysis.SCHEMA_VERSION, ...result });
+        } catch (error) {
+            logger.error(`Error calculating stats: ${error.message}`);
+            res.status(500).json({ error: `Stat calculation failed: ${error.message}` });
+        }
+    });
+    
+    // OpenAI-compatible models: one per performance mode
+    app.get('/v1/models', (req, res) => {
+        res.json(chatCompletions.listModels(ExecutionContext.PERFORMANCE_MODES, STARTED_AT));
+    });
+    
+    // OpenAI-compatible chat completions: the model selects the mode, the messages the task
+    app.post('/v1/chat/completions', async (req, res) => {
+        if (!agent) {
+            return res.status(503).json(chatCompletions.errorBody('Agent not initialized', 'server_error'));
+        }
+        
+        const { model, messages, stream = false, n = 1, seed = random.getGlobalSeed(), response_format: responseFormat } = req.body || {};
+        const performanceMode = chatCompletions.modeForModel(model, ExecutionContext.PERFORMANCE_MODES, agent.performanceMode);
+        if (!performanceMode) {
+            return res.status(404).json(chatCompletions.errorBody(`The model '${model}' does not exist; GET /v1/models lists the available models`, 'invalid_request_error', 'model', 'model_not_found'));
+        }
+        if (n !== 1) {
+            return res.status(400).json(chatCompletions.errorBody('Only n=1 is supported', 'invalid_request_error', 'n'));
+        }
+        if (!random.isValidSeed(seed)) {
+            return res.status(400).json(chatCompletions.errorBody(`seed must be an integer from 0 to ${random.MAX_SEED}`, 'invalid_request_error', 'seed'));
+        }
+        const formatType = responseFormat ? responseFormat.type : 'text';
+        if (formatType !== 'text' && formatType !== 'json_object') {
+            return res.status(400).json(chatCompletions.errorBody(`response_format.type must be 'text' or 'json_object'`, 'invalid_request_error', 'response_format'));
+        }
+        
+        let parsed;
+        try {
+            parsed = chatCompletions.parseMessages(messages);
+        } catch (error) {
+            return res.status(400).json(chatCompletions.errorBody(error.message, 'invalid_request_error', 'messages'));
+        }
+        
+        const resolution = resolveChatTask(parsed.task, parsed.history);
+        const options = { performanceMode, format: formatType === 'json_object' ? 'json' : 'markdown', seed };
+        const completion = { id: `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`, created: Math.floor(Date.now() / 1000), model };
+        logger.info(`Chat completion (${model}): ${resolution.task.substring(0, 50)}...`);
+        
+        if (stream === true) {
+            return await streamChatCompletion(res, completion, resolution.task, options);
+        }
+        
+        try {
+            const { result, plan } = await runCachedTask(resolution.task, options);
+            res.json(chatCompletions.completion({
+                ...completion,
+                content: typeof result === 'string' ? result : JSON.stringify(result),
+                plan
+            }));
+        } catch (error) {
+            logger.error(`Error processing chat completion: ${error.message}`);
+            res.status(500).json(chatCompletions.errorBody(`Task processing failed: ${error.message}`, 'server_error'));
+        }
+    });
+    
     // List available tools
     app.get('/tools/', (req, res) => {
         if (!agent) {
@@ -205,8 +588,15 @@ function createApp() {
     });
     
     // Detailed health check
-    app.get('/health/', (req, res) => {
-        const cacheStats = responseCache.getStats();
+    app.get('/health/', async (req, res) => {
+        let cacheStats;
+        try {
+            cacheStats = await responseCache.getStats();
+        } catch (error) {
+            logger.error(`Error reading cache stats: ${error.message}`);
+            return res.status(500).json({ service: 'unhealthy', error: `Cache stats failed: ${error.message}` });
+        }
+        const { memory, disk } = cacheStats.tiers;
         
         res.json({
             service: 'healthy',
@@ -214,12 +604,12 @@ function createApp() {
             tools_count: agent ? agent.getToolsInfo().length : 0,
             performance_mode: PERFORMANCE_MODE,
             framework: 'TensorFlow.js',
-            cache_entries: cacheStats.keys,
-            cache_hits: cacheStats.hits,
+            cache_entries: disk ? disk.keys : memory.keys,
+            cache_hits: cacheStats.fresh_hits,
             cache_misses: cacheStats.misses,
             performance_optimizations: [
-                'Response caching (30min TTL)',
-                'Pokemon API caching (1hr TTL)',
+                'Response caching (30min TTL, memory + disk)',
+                'Pokemon API caching (1hr TTL, stale-while-revalidate)',
                 'Connection pooling',
                 `NLP-based intent classification`,
                 'Pattern matching for tool routing',
@@ -259,16 +649,92 @@ function createApp() {
     });
     
     // Cache management
-    app.post('/cache/clear/', (req, res) => {
-        responseCache.flushAll();
+    app.post('/cache/clear/', async (req, res) => {
+        try {
+            await responseCache.flush();
+            await pokemonTool.cache.flush();
+            res.json({
+                message: 'Cache cleared successfully'
+            });
+        } catch (error) {
+            logger.error(`Error clearing cache: ${error.message}`);
+            res.status(500).json({ error: `Cache clear failed: ${error.message}` });
+        }
+    });
+    
+    // Invalidate by key prefix, or by Pokemon / performance mode
+    app.post('/cache/invalidate/', async (req, res) => {
+        const { prefix, pokemon, mode } = req.body || {};
+        if (!prefix && !pokemon && !mode) {
+            return res.status(400).json({ error: 'Provide a prefix, pokemon or mode to invalidate' });
+        }
+        if (mode && !ExecutionContext.isValidPerformanceMode(mode)) {
+            return res.status(400).json({ error: `Unknown performance mode: ${mode}` });
+        }
+        
+        try {
+            const removed = {};
+            if (pokemon) {
+                const match = nameResolver.resolvePokemonName(pokemon);
+                const slug = match ? match.slug : String(pokemon).toLowerCase().trim().replace(/\s+/g, '-');
+                removed.pokeapi = await pokemonTool.cache.invalidatePrefix(`pokemon_${slug}`);
+            }
+            if (mode) {
+                removed.responses = await responseCache.invalidatePrefix(`task_${mode}_`);
+            }
+            if (prefix) {
+                removed.prefix = {
+                    responses: await responseCache.invalidatePrefix(prefix),
+                    pokeapi: await pokemonTool.cache.invalidatePrefix(prefix)
+                };
+            }
+            res.json({ message: 'Cache entries invalidated', removed });
+        } catch (error) {
+            logger.error(`Error invalidating cache: ${error.message}`);
+            res.status(500).json({ error: `Cache invalidation failed: ${error.message}` });
+        }
+    });
+    
+    app.get('/cache/stats/', async (req, res) => {
+        try {
+            res.json({
+                responses: await responseCache.getStats(),
+                pokeapi: await pokemonTool.cache.getStats()
+            });
+        } catch (error) {
+            logger.error(`Error reading cache stats: ${error.message}`);
+            res.status(500).json({ error: `Cache stats failed: ${error.message}` });
+        }
+    });
+    
+    // Conversation sessions
+    app.get('/sessions/', (req, res) => {
+        const sessions = conversationStore.listSessions();
+        res.json({
+            sessions,
+            total_sessions: sessions.length
+        });
+    });
+    
+    app.get('/sessions/:id/', (req, res) => {
+        const session = conversationStore.getSession(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: `Session '${req.params.id}' not found` });
+        }
         res.json({
-            message: 'Cache cleared successfully'
+            session_id: session.id,
+            created_at: session.created_at,
+            updated_at: session.updated_at,
+            entities: session.entities,
+            turns: session.turns
         });
     });
     
-    app.get('/cache/stats/', (req, res) => {
-        const stats = responseCache.getStats();
-        res.json(stats);
+    app.delete('/sessions/:id/', (req, res) => {
+        if (!conversationStore.deleteSession(req.params.id)) {
+            return res.status(404).json({ error: `Session '${req.params.id}' not found` });
+        }
+        res.json({ message: `Session '${req.params.id}' deleted` });
     });
     
     // Error handling middleware
@@ -287,11 +753,18 @@ function createApp() {
             available_endpoints: [
                 'GET /',
                 'POST /run_task/',
+                'POST /stats/',
+                'GET /v1/models',
+                'POST /v1/chat/completions',
                 'GET /tools/',
                 'GET /health/',
                 'GET /performance/modes/',
                 'POST /cache/clear/',
-                'GET /cache/stats/'
+                'POST /cache/invalidate/',
+                'GET /cache/stats/',
+                'GET /sessions/',
+                'GET /sessions/:id/',
+                'DELETE /sessions/:id/'
             ]
         });
     });
@@ -0,0 +1,289 @@
+/**
+ * Pokemon analysis - the structured facts behind every Pokemon answer
+ *
+ * buildPokemonAnalysis(), buildMatchupAnalysis() and buildFormsAnalysis() turn PokemonTool info
+ * into plain JSON. Requests with `format: "json"` get these objects as-is;
+ * the markdown and text answers are views rendered from the same objects.
+ * The shape is documented in src/data/analysis.schema.json.
+ */
+
+const typeChart = require('./type_chart');
+const evolutionChain = require('./evolution_chain');
+const battleSim = require('./battle_sim');
+const forms = require('./forms');
+
+const SCHEMA_VERSION = 1;
+
+const STAT_NAMES = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+// Base stat totals closer than this give neither side the statistical edge
+const CLOSE_MATCHUP_BST = 50;
+
+/**
+ * Competitive role from the highest base stat
+ *
+ * Returns { name, primary_stat, primary_value }.
+ */
+function determineRole(stats) {
+    const strongest = strongestStat(stats);
+    let name = 'Balanced Fighter';
+
+    if (strongest.stat === 'attack' && stats.speed >= 80) name = 'Physical Sweeper';
+    else if (strongest.stat === 'special-attack' && stats.speed >= 80) name = 'Special Sweeper';
+    else if (strongest.stat === 'defense') name = 'Physical Wall';
+    else if (strongest.stat === 'special-defense') name = 'Special Wall';
+    else if (strongest.stat === 'speed') name = 'Speed Control';
+    else if (strongest.stat === 'hp') name = 'Tank/Support';
+
+    return { name, primary_stat: strongest.stat, primary_value: strongest.value };
+}
+
+/**
+ * Highest base stat; ties go to the first stat in game order
+ */
+function strongestStat(stats) {
+    return Object.entries(stats).reduce((best, [stat, value]) => value > best.value ? { stat, value } : best, { stat: null, value: -Infinity });
+}
+
+function statTotal(stats) {
+    return Object.values(stats).reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Weaknesses, resistances, immunities and STAB coverage of a typing
+ */
+function buildTypeProfile(types) {
+    const profile = typeChart.getDefensiveProfile(types);
+    const coverage = typeChart.getOffensiveCoverage(types);
+
+    return {
+        weaknesses: profile.weaknesses,
+        resistances: profile.resistances,
+        immunities: profile.immunities,
+        stab_coverage: {
+            super_effective: coverage.super_effective,
+            resisted: coverage.resisted,
+            no_effect: coverage.no_effect
+        }
+    };
+}
+
+/**
+ * Evolution summary with methods described in plain English; null when the
+ * chain could not be fetched
+ */
+function buildEvolution(evolution, displayName) {
+    if (!evolution) {
+        return null;
+    }
+
+    const describe = node => ({
+        species: node.species,
+        name: evolutionChain.formatName(node.species),
+        method: node.methods && node.methods.length > 0 ? evolutionChain.describeMethods(node.methods) : null
+    });
+
+    return {
+        chain_id: evolution.chain_id,
+        stage: evolution.stage,
+        total_stages: evolution.total_stages,
+        is_final_stage: evolution.is_final_stage,
+        is_branching: evolution.is_branching,
+        evolves_from: evolution.evolves_from ? { ...describe(evolution.evolves_from), method: evolutionChain.describeMethods(evolution.evolves_from.methods) } : null,
+        evolves_to: evolution.evolves_to.map(target => ({ ...describe(target), method: evolutionChain.describeMethods(target.methods) })),
+        pathways: evolution.pathways.map(pathway => pathway.map(describe)),
+        summary: evolutionChain.describeEvolution(evolution, displayName)
+    };
+}
+
+/**
+ * Render a pathway from an analysis as "Charmander → Charmeleon (Level 16) → Charizard (Level 36)"
+ */
+function formatPathway(pathway) {
+    return pathway.map((node, index) => index === 0 ? node.name : `${node.name} (${node.method || 'Special condition'})`).join(' → ');
+}
+
+/**
+ * Base stats in game order
+ */
+function orderedStats(baseStats) {
+    const stats = {};
+    for (const stat of STAT_NAMES.filter(name => baseStats[name] !== undefined)) {
+        stats[stat] = baseStats[stat];
+    }
+    return stats;
+}
+
+/**
+ * Form of a Pokemon: null for a species' default form
+ */
+function buildForm(info) {
+    if (!info.form_name) {
+        return null;
+    }
+    return {
+        name: info.form_name,
+        species: info.species,
+        is_mega: Boolean(info.is_mega),
+        is_battle_only: Boolean(info.is_battle_only)
+    };
+}
+
+/**
+ * Structured analysis of one Pokemon
+ */
+function buildPokemonAnalysis(info) {
+    const stats = orderedStats(info.base_stats);
+    const total = statTotal(stats);
+    const strongest = strongestStat(stats);
+
+    return {
+        type: 'pokemon',
+        pokemon: {
+            id: info.id,
+            name: info.name,
+            form: buildForm(info),
+            types: info.types,
+            abilities: info.abilities,
+            height_m: info.height,
+            weight_kg: info.weight,
+            generation: info.generation || null,
+            habitat: info.habitat || null,
+            egg_groups: info.egg_groups || [],
+            description: info.description || null,
+            sprite: info.sprite || null
+        },
+        stats: {
+            base: stats,
+            total,
+            average: Math.round(total / STAT_NAMES.length * 10) / 10,
+            strongest
+        },
+        type_profile: buildTypeProfile(info.types),
+        role: determineRole(stats),
+        evolution: buildEvolution(info.evolution, evolutionChain.formatName(info.form_name ? info.species : info.name))
+    };
+}
+
+/**
+ * Structured side-by-side view of a species' forms
+ *
+ * species: { slug, name, id, form_count }; infos: PokemonTool info for each form, the
+ * default form first. Each form lists what it changes from the default
+ * (changes is null for the default itself).
+ */
+function buildFormsAnalysis(species, infos) {
+    const base = infos.find(info => !info.form_name) || infos[0];
+
+    return {
+        type: 'pokemon_forms',
+        species,
+        forms: infos.map(info => {
+            const stats = orderedStats(info.base_stats);
+            return {
+                slug: info.slug,
+                name: info.name,
+                form: buildForm(info),
+                types: info.types,
+                abilities: info.abilities,
+                stats: { base: stats, total: statTotal(stats) },
+                changes: info === base ? null : forms.compareToBase(base, info)
+            };
+        })
+    };
+}
+
+/**
+ * Verdict for a two-Pokemon matchup
+ *
+ * The simulated 1v1 decides who is favored; base stat totals and STAB
+ * typing are reported alongside. Returns { favored, stat_favored,
+ * type_favored, summary }; names are null where neither side has the edge.
+ */
+function matchupVerdict(first, second, simulation = battleSim.simulateMatchup(first, second)) {
+    const total1 = statTotal(first.base_stats);
+    const total2 = statTotal(second.base_stats);
+    const typeMatchup = typeChart.analyzeTypeMatchup(first.types, second.types);
+
+    const multiplier1 = typeMatchup.pokemon1vs2.multiplier;
+    const multiplier2 = typeMatchup.pokemon2vs1.multiplier;
+    const typeWinner = multiplier1 > multiplier2 ? first.name : multiplier2 > multiplier1 ? second.name : null;
+    const statWinner = Math.abs(total1 - total2) < CLOSE_MATCHUP_BST ? null : total1 > total2 ? first.name : second.name;
+
+    let summary = simulation.summary;
+    if (typeWinner && simulation.winner && typeWinner !== simulation.winner) {
+        summary += ` (despite ${typeWinner}'s type advantage)`;
+    }
+
+    return {
+        favored: simulation.winner,
+        stat_favored: statWinner,
+        type_favored: typeWinner,
+        summary
+    };
+}
+
+/**
+ * Head-to-head facts for two Pokemon: best STAB hit each way, which stats
+ * each leads in, who moves first, the simulated 1v1 and the verdict
+ *
+ * moves: [moves, moves] for the simulation to pick from (optional).
+ */
+function buildHeadToHead(first, second, moves) {
+    const typeMatchup = typeChart.analyzeTypeMatchup(first.types, second.types);
+    const leads = (a, b) => STAT_NAMES.filter(stat => a.base_stats[stat] > b.base_stats[stat]);
+    const speed1 = first.base_stats.speed;
+    const speed2 = second.base_stats.speed;
+    const simulation = battleSim.simulateMatchup(first, second, { moves });
+
+    return {
+        type_effectiveness: [
+            { attacker: first.name, defender: second.name, ...typeMatchup.pokemon1vs2 },
+            { attacker: second.name, defender: first.name, ...typeMatchup.pokemon2vs1 }
+        ],
+        stat_leads: [
+            { pokemon: first.name, stats: leads(first, second) },
+            { pokemon: second.name, stats: leads(second, first) }
+        ],
+        faster: speed1 > speed2 ? first.name : speed2 > speed1 ? second.name : null,
+        simulation,
+        verdict: matchupVerdict(first, second, simulation)
+    };
+}
+
+/**
+ * Structured analysis of a competitive matchup; head_to_head is only set
+ * for exactly two Pokemon
+ *
+ * options.movesets: recommended moves per Pokemon (see PokemonTool
+ * getRecommendedMoves), in the same order as infos; entries may be null.
+ * When given they are reported as recommended_moves and the simulation
+ * picks from them.
+ */
+function buildMatchupAnalysis(infos, options = {}) {
+    const movesets = options.movesets || [];
+    const moves = infos.map((info, index) => movesets[index] ? [...movesets[index].stab, ...movesets[index].coverage] : null);
+    const analysis = {
+        type: 'competitive_matchup',
+        pokemon: infos.map(buildPokemonAnalysis),
+        head_to_head: infos.length === 2 ? buildHeadToHead(infos[0], infos[1], moves) : null
+    };
+    if (movesets.some(Boolean)) {
+        analysis.recommended_moves = movesets.filter(Boolean);
+    }
+    return analysis;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    STAT_NAMES,
+    buildPokemonAnalysis,
+    buildMatchupAnalysis,
+    buildFormsAnalysis,
+    buildTypeProfile,
+    buildEvolution,
+    determineRole,
+    matchupVerdict,
+    formatPathway,
+    statTotal
+};
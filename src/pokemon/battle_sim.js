@@ -0,0 +1,206 @@
+/**
+ * Battle simulator - deterministic turn-by-turn 1v1 between two Pokemon
+ *
+ * Each side gets a standard competitive spread (level 100, 31 IVs, 252 EVs
+ * in its better attacking stat and Speed, a nature boosting that attacking
+ * stat), picks the move with the highest expected damage, and the two
+ * trade hits in Speed order until one faints. Every hit does the median
+ * damage roll and there are no critical hits, so the same matchup always
+ * plays out the same way. Moves come from the caller (e.g. learnset
+ * recommendations); without them each Pokemon attacks with the standard STAB
+ * moves in src/data/standard_moves.json.
+ */
+
+const damageCalc = require('./damage_calc');
+const statCalc = require('./stat_calc');
+const { moves: STANDARD_MOVES } = require('../data/standard_moves.json');
+
+const DEFAULT_LEVEL = 100;
+
+// Nature boosting each attacking stat without touching Speed
+const ATTACKING_NATURES = {
+    attack: 'adamant',
+    'special-attack': 'modest'
+};
+
+/**
+ * Standard competitive spread for a Pokemon's base stats
+ */
+function defaultSpread(baseStats, level = DEFAULT_LEVEL) {
+    const attackStat = baseStats['special-attack'] > baseStats.attack ? 'special-attack' : 'attack';
+    return {
+        level,
+        nature: ATTACKING_NATURES[attackStat],
+        evs: { hp: 4, [attackStat]: 252, speed: 252 }
+    };
+}
+
+/**
+ * STAB moves from the standard move table for a typing
+ */
+function standardMoves(types) {
+    return types.flatMap(type => STANDARD_MOVES[type] || []);
+}
+
+function medianRoll(damage) {
+    return damage.rolls[Math.floor(damage.rolls.length / 2)];
+}
+
+/**
+ * The move with the highest expected damage (median roll times accuracy);
+ * ties go to the stronger, then alphabetically first, move
+ */
+function pickBestMove(attacker, defender, moves) {
+    const expected = ({ move, damage }) => medianRoll(damage) * (move.accuracy ? move.accuracy / 100 : 1);
+    const best = moves
+        .filter(move => move.power > 0)
+        .map(move => ({ move, damage: damageCalc.calculateDamage(attacker, defender, move) }))
+        .sort((a, b) => expected(b) - expected(a) || b.move.power - a.move.power || a.move.name.localeCompare(b.move.name))[0];
+    return best ? best.damage : null;
+}
+
+function buildSide(info, spread, moves) {
+    statCalc.validateSpread(spread);
+    return {
+        name: info.name,
+        types: info.types,
+        level: spread.level || DEFAULT_LEVEL,
+        spread,
+        stats: statCalc.calcStats(info.base_stats, spread),
+        moves: moves && moves.length > 0 ? moves : standardMoves(info.types)
+    };
+}
+
+/**
+ * Trade hits in the given order until someone faints
+ *
+ * Returns { winner (side index or null), turns: [...] }.
+ */
+function runBattle(sides, choices, order) {
+    const hp = sides.map(side => side.stats.hp);
+    const perHit = choices.map(choice => choice ? medianRoll(choice) : 0);
+    const turns = [];
+
+    if (perHit.every(damage => damage === 0)) {
+        return { winner: null, turns };
+    }
+
+    for (let turn = 1; ; turn++) {
+        for (const attacker of order) {
+            const defender = 1 - attacker;
+            if (perHit[attacker] === 0) {
+                continue;
+            }
+            hp[defender] = Math.max(0, hp[defender] - perHit[attacker]);
+            turns.push({
+                turn,
+                attacker: sides[attacker].name,
+                move: choices[attacker].move.name,
+                defender: sides[defender].name,
+                damage: perHit[attacker],
+                remaining_hp: hp[defender],
+                remaining_percent: Math.round(hp[defender] / sides[defender].stats.hp * 1000) / 10
+            });
+            if (hp[defender] === 0) {
+                return { winner: attacker, turns };
+            }
+        }
+    }
+}
+
+function damageSummary(damage) {
+    return {
+        min: damage.min,
+        max: damage.max,
+        min_percent: damage.min_percent,
+        max_percent: damage.max_percent,
+        ko: damage.ko
+    };
+}
+
+function describeSide(side, choice, opponent) {
+    return {
+        name: side.name,
+        spread: side.spread,
+        stats: side.stats,
+        move: choice ? choice.move : null,
+        damage: choice ? { ...damageSummary(choice), effectiveness: choice.effectiveness, stab: choice.stab, hits_to_ko: choice.hits_to_ko } : null,
+        critical: choice ? damageSummary(damageCalc.calculateDamage(side, opponent, choice.move, { critical: true })) : null
+    };
+}
+
+function summarize(sides, choices, result, speedTie) {
+    if (result.winner === null) {
+        if (speedTie && result.turns.length > 0) {
+            return `Speed tie - whichever of ${sides[0].name} and ${sides[1].name} moves first wins`;
+        }
+        return `Neither ${sides[0].name} nor ${sides[1].name} can damage the other with its moves`;
+    }
+
+    const winner = sides[result.winner];
+    const loser = sides[1 - result.winner];
+    const hits = result.turns.filter(turn => turn.attacker === winner.name).length;
+    const loserChoice = choices[1 - result.winner];
+    const loserHits = loserChoice ? damageCalc.hitsToKO(winner.stats.hp, medianRoll(loserChoice)) : null;
+
+    let summary = `${winner.name} wins the 1v1: ${choices[result.winner].move.name} KOs ${loser.name} in ${hits} ${hits === 1 ? 'hit' : 'hits'}`;
+    summary += loserHits
+        ? `, while ${loser.name}'s ${loserChoice.move.name} needs ${loserHits}`
+        : `, and ${loser.name} can't damage it`;
+    if (loserHits && loserHits <= hits) {
+        summary += ` - ${winner.name} is faster, so it lands the KO first`;
+    } else if (loserHits && !speedTie && winner.stats.speed < loser.stats.speed) {
+        summary += ` despite ${loser.name} moving first`;
+    }
+    return summary;
+}
+
+/**
+ * Simulate a 1v1 between two Pokemon (PokemonTool info)
+ *
+ * Options:
+ * - level: level for both sides (default 100)
+ * - spreads: [spread, spread] overriding the default spreads
+ * - moves: [moves, moves] to pick from instead of the standard STAB moves,
+ *   e.g. recommended moves from the learnset; each move is
+ *   { name, type, category, power, accuracy }
+ *
+ * Returns { level, sides: [{ name, spread, stats, move, damage, critical }],
+ * speed_order, speed_tie, turns, winner, summary }. winner is null when
+ * neither side can damage the other, or on a speed tie that decides it.
+ */
+function simulateMatchup(first, second, options = {}) {
+    const level = options.level || DEFAULT_LEVEL;
+    const spreads = options.spreads || [];
+    const movesets = options.moves || [];
+    const sides = [first, second].map((info, index) => buildSide(info, spreads[index] || defaultSpread(info.base_stats, level), movesets[index]));
+    const choices = [pickBestMove(sides[0], sides[1], sides[0].moves), pickBestMove(sides[1], sides[0], sides[1].moves)];
+
+    const speedTie = sides[0].stats.speed === sides[1].stats.speed;
+    const order = sides[1].stats.speed > sides[0].stats.speed ? [1, 0] : [0, 1];
+    let result = runBattle(sides, choices, order);
+    if (speedTie) {
+        // Either side may move first; only a result that holds both ways counts
+        const reversed = runBattle(sides, choices, [1, 0]);
+        if (reversed.winner !== result.winner) {
+            result = { winner: null, turns: result.turns };
+        }
+    }
+
+    return {
+        level,
+        sides: sides.map((side, index) => describeSide(side, choices[index], sides[1 - index])),
+        speed_order: order.map(index => sides[index].name),
+        speed_tie: speedTie,
+        turns: result.turns,
+        winner: result.winner === null ? null : sides[result.winner].name,
+        summary: summarize(sides, choices, result, speedTie)
+    };
+}
+
+module.exports = {
+    DEFAULT_LEVEL,
+    defaultSpread,
+    standardMoves,
+    simulateMatchup
+};
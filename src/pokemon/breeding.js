@@ -0,0 +1,334 @@
+/**
+ * Breeding - egg groups, compatibility, egg move chains and inheritance
+ *
+ * Works on breeders built from PokemonTool info (egg groups, gender rate,
+ * hatch counter and evolution line) and on PokeAPI `/egg-group/{name}`
+ * payloads. checkCompatibility() answers "can X breed with Y",
+ * findEggMoveChains() finds the parents an egg move can be passed down
+ * through, and planInheritance() explains how IVs and nature are passed on
+ * with a Destiny Knot and an Everstone. The rules are those of Generation VI
+ * onward.
+ */
+
+const { NATURES } = require('./stat_calc');
+
+const NO_EGGS = 'no-eggs';
+const DITTO = 'ditto';
+
+// PokeAPI egg group slugs and their in-game names
+const EGG_GROUP_NAMES = {
+    monster: 'Monster',
+    water1: 'Water 1',
+    bug: 'Bug',
+    flying: 'Flying',
+    ground: 'Field',
+    fairy: 'Fairy',
+    plant: 'Grass',
+    humanshape: 'Human-Like',
+    water3: 'Water 3',
+    mineral: 'Mineral',
+    indeterminate: 'Amorphous',
+    water2: 'Water 2',
+    ditto: 'Ditto',
+    dragon: 'Dragon',
+    'no-eggs': 'Undiscovered'
+};
+
+// PokeAPI: an egg hatches after 255 × (hatch_counter + 1) steps
+const STEPS_PER_CYCLE = 255;
+
+// IVs passed down from the parents' twelve, without and with a Destiny Knot
+const INHERITED_IVS = 3;
+const DESTINY_KNOT_IVS = 5;
+const TOTAL_IVS = 6;
+
+// Parents between the Pokemon that learns a move directly and the target
+const MAX_CHAIN_PARENTS = 3;
+const MAX_CHAINS = 5;
+
+function formatEggGroup(slug) {
+    return EGG_GROUP_NAMES[slug] || slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Egg group facts from a PokeAPI `/egg-group/{name}` payload:
+ * { slug, name, species: [species slugs] }
+ */
+function parseEggGroup(data) {
+    const english = (data.names || []).find(entry => entry.language && entry.language.name === 'en');
+    return {
+        slug: data.name,
+        name: english ? english.name : formatEggGroup(data.name),
+        species: (data.pokemon_species || []).map(species => species.name)
+    };
+}
+
+/**
+ * Gender split from PokeAPI's gender_rate (eighths female, -1 genderless)
+ *
+ * Returns { genderless, female_percent, male_percent }, or null when unknown.
+ */
+function genderRatio(genderRate) {
+    if (genderRate === null || genderRate === undefined) {
+        return null;
+    }
+    if (genderRate < 0) {
+        return { genderless: true, female_percent: null, male_percent: null };
+    }
+    const female = genderRate / 8 * 100;
+    return { genderless: false, female_percent: female, male_percent: 100 - female };
+}
+
+/**
+ * Steps to hatch from PokeAPI's hatch_counter, or null when unknown;
+ * Flame Body or Magma Armor in the party halves them
+ */
+function hatchSteps(hatchCounter) {
+    if (hatchCounter === null || hatchCounter === undefined) {
+        return null;
+    }
+    const steps = STEPS_PER_CYCLE * (hatchCounter + 1);
+    return { egg_cycles: hatchCounter, steps, steps_with_flame_body: Math.ceil(steps / 2) };
+}
+
+/**
+ * What hatches from an egg of a species' line (PokemonTool evolution summary)
+ *
+ * Returns { species, baby, incense }: the first stage of the line, or for
+ * lines whose baby needs an incense (Azurill, Munchlax) the stage after it,
+ * with the baby and the incense a parent must hold to hatch it.
+ */
+function offspringOf(evolution, species) {
+    if (!evolution || !evolution.chain) {
+        return { species, baby: null, incense: null };
+    }
+    const root = evolution.chain;
+    if (root.is_baby && evolution.baby_trigger_item && root.evolves_to.length > 0) {
+        return { species: root.evolves_to[0].species, baby: root.species, incense: evolution.baby_trigger_item };
+    }
+    return { species: root.species, baby: null, incense: null };
+}
+
+/**
+ * Breeding facts of a Pokemon from PokemonTool info
+ *
+ * Returns { slug, name, species, egg_groups, gender, hatch, can_breed,
+ * is_ditto, offspring }.
+ */
+function describeBreeder(info) {
+    const eggGroups = (info.egg_groups || []).filter(group => group !== 'Unknown');
+    return {
+        slug: info.slug,
+        name: info.name,
+        species: info.species,
+        egg_groups: eggGroups,
+        gender: genderRatio(info.gender_rate),
+        hatch: hatchSteps(info.hatch_counter),
+        can_breed: eggGroups.length > 0 && !eggGroups.includes(NO_EGGS),
+        is_ditto: eggGroups.includes(DITTO),
+        offspring: offspringOf(info.evolution, info.species)
+    };
+}
+
+// Unknown genders are given the benefit of the doubt
+function canBeFemale(breeder) {
+    return !breeder.gender || (!breeder.gender.genderless && breeder.gender.female_percent > 0);
+}
+
+function canBeMale(breeder) {
+    return !breeder.gender || (!breeder.gender.genderless && breeder.gender.male_percent > 0);
+}
+
+function sharedEggGroups(a, b) {
+    return a.egg_groups.filter(group => group !== NO_EGGS && group !== DITTO && b.egg_groups.includes(group));
+}
+
+/**
+ * Whether a father can pass a move to a mother's species: they share an egg
+ * group, the first can be male and the second female
+ */
+function canPassMove(father, mother) {
+    return sharedEggGroups(father, mother).length > 0 && canBeMale(father) && canBeFemale(mother);
+}
+
+/**
+ * Whether two breeders (describeBreeder) can produce an egg
+ *
+ * Returns { compatible, reason, shared_egg_groups, via_ditto, offspring:
+ * [{ mother, hatches }] }; offspring lists what hatches for each parent
+ * that can be the mother (or the one that isn't Ditto).
+ */
+function checkCompatibility(a, b) {
+    const result = (compatible, reason, extra = {}) => ({ compatible, reason, shared_egg_groups: [], via_ditto: false, offspring: [], ...extra });
+    const groups = breeder => breeder.egg_groups.map(formatEggGroup).join('/');
+
+    for (const breeder of [a, b]) {
+        if (breeder.egg_groups.length === 0) {
+            return result(false, `${breeder.name}'s egg groups are unknown`);
+        }
+        if (!breeder.can_breed) {
+            return result(false, `${breeder.name} is in the Undiscovered egg group and can't breed`);
+        }
+    }
+
+    if (a.is_ditto && b.is_ditto) {
+        return result(false, 'Two Ditto can\'t breed with each other');
+    }
+    if (a.is_ditto || b.is_ditto) {
+        const other = a.is_ditto ? b : a;
+        return result(true, `Ditto can breed with any Pokemon outside the Undiscovered egg group, including ${other.name}`, {
+            via_ditto: true,
+            offspring: [{ mother: other.name, hatches: other.offspring }]
+        });
+    }
+
+    for (const breeder of [a, b]) {
+        if (breeder.gender && breeder.gender.genderless) {
+            return result(false, `${breeder.name} is genderless and can only breed with Ditto`);
+        }
+    }
+
+    const shared = sharedEggGroups(a, b);
+    if (shared.length === 0) {
+        return result(false, `${a.name} (${groups(a)}) and ${b.name} (${groups(b)}) share no egg group`);
+    }
+
+    const mothers = [[a, b], [b, a]].filter(([mother, father]) => canBeFemale(mother) && canBeMale(father)).map(([mother]) => mother);
+    if (mothers.length === 0) {
+        const gender = canBeMale(a) ? 'male' : 'female';
+        return result(false, `${a.name} and ${b.name} are both ${gender}-only`, { shared_egg_groups: shared });
+    }
+
+    return result(true, `Both are in the ${shared.map(formatEggGroup).join(' and ')} egg group${shared.length > 1 ? 's' : ''}`, {
+        shared_egg_groups: shared,
+        offspring: mothers.map(mother => ({ mother: mother.name, hatches: mother.offspring }))
+    });
+}
+
+/**
+ * Shortest ways to pass an egg move down to a target breeder
+ *
+ * nodes are candidate parents: breeders ({ slug, name, species, egg_groups,
+ * gender }) with method 'direct' when they learn the move themselves (level
+ * up, TM or tutor) or 'egg' when they can only get it by breeding too. Each
+ * chain runs from a Pokemon that learns the move directly, through egg
+ * learners, to the target; every step breeds a father with a mother of the
+ * next species. Returns up to MAX_CHAINS chains of node lists, shortest first.
+ */
+function findEggMoveChains(target, nodes) {
+    if (!canBeFemale(target) || !target.can_breed) {
+        return [];
+    }
+
+    // Walk backwards from the target: each layer holds the fathers of the one before
+    const reached = new Set([target.species]);
+    let frontier = [{ node: target, path: [] }];
+    for (let depth = 1; depth <= MAX_CHAIN_PARENTS && frontier.length > 0; depth++) {
+        const next = [];
+        const chains = [];
+        for (const { node, path } of frontier) {
+            for (const candidate of nodes) {
+                if (reached.has(candidate.species) || !canPassMove(candidate, node)) {
+                    continue;
+                }
+                if (candidate.method === 'direct') {
+                    chains.push([candidate, ...path]);
+                } else if (candidate.method === 'egg') {
+                    next.push({ node: candidate, path: [candidate, ...path] });
+                }
+            }
+        }
+        if (chains.length > 0) {
+            return chains
+                .sort((x, y) => x[0].name.localeCompare(y[0].name))
+                .slice(0, MAX_CHAINS)
+                .map(chain => [...chain, target]);
+        }
+        for (const entry of next) {
+            reached.add(entry.node.species);
+        }
+        frontier = next;
+    }
+    return [];
+}
+
+/**
+ * Nature and IV goal of a breeding question ("5IV Adamant", "perfect IVs")
+ *
+ * Returns { nature, ivs }, each null when not asked for.
+ */
+function parseBreedingGoal(query) {
+    const text = String(query).toLowerCase();
+    const nature = Object.keys(NATURES).find(name => new RegExp(`\\b${name}\\b`).test(text)) || null;
+    const count = /\b([1-6])\s*-?\s*(?:x\s*)?(?:perfect\s+)?ivs?\b/.exec(text);
+    const ivs = count ? parseInt(count[1], 10) : /\b(perfect|max(?:ed)?|flawless)\s+ivs?\b/.test(text) ? TOTAL_IVS : null;
+    return { nature, ivs };
+}
+
+/**
+ * How to pass IVs and a nature down
+ *
+ * Returns { nature, ivs, items: [{ item, holder, effect }], inherited_ivs,
+ * notes }: the held items to use for the goal (a Destiny Knot when asking
+ * for more than three perfect IVs, an Everstone for a nature) and the rules
+ * they rely on.
+ */
+function planInheritance(goal = {}) {
+    const nature = goal.nature || null;
+    const ivs = goal.ivs || null;
+    const items = [];
+
+    const knot = !ivs || ivs > INHERITED_IVS;
+    if (knot) {
+        items.push({
+            item: 'Destiny Knot',
+            holder: 'either parent',
+            effect: `${DESTINY_KNOT_IVS} of the parents' 12 IVs are passed down instead of ${INHERITED_IVS}`
+        });
+    }
+    items.push({
+        item: 'Everstone',
+        holder: nature ? `the parent with ${withArticle(capitalize(nature))} nature` : 'the parent with the nature you want',
+        effect: 'its nature is passed down every time'
+    });
+
+    const notes = [
+        `Without a Destiny Knot, ${INHERITED_IVS} of the parents' IVs are passed down at random; the rest are rolled from 0 to 31.`,
+        'Each parent can hold only one item, so the Destiny Knot and the Everstone go on different parents.'
+    ];
+    if (ivs === TOTAL_IVS) {
+        notes.push(`A Destiny Knot passes ${DESTINY_KNOT_IVS} IVs, so even with two ${TOTAL_IVS} IV parents the last IV is rolled at random: each egg has a 1 in 32 chance of ${TOTAL_IVS} perfect IVs.`);
+    } else if (ivs && ivs <= INHERITED_IVS) {
+        notes.push(`${ivs} perfect IVs only need parents with those IVs at 31; a Destiny Knot makes them more likely to be picked.`);
+    }
+
+    return { nature, ivs, items, inherited_ivs: knot ? DESTINY_KNOT_IVS : INHERITED_IVS, notes };
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function withArticle(name) {
+    return `${/^[aeiou]/i.test(name) ? 'an' : 'a'} ${name}`;
+}
+
+module.exports = {
+    NO_EGGS,
+    DITTO,
+    EGG_GROUP_NAMES,
+    MAX_CHAIN_PARENTS,
+    formatEggGroup,
+    parseEggGroup,
+    genderRatio,
+    hatchSteps,
+    offspringOf,
+    describeBreeder,
+    canBeFemale,
+    canBeMale,
+    canPassMove,
+    checkCompatibility,
+    findEggMoveChains,
+    parseBreedingGoal,
+    planInheritance
+};
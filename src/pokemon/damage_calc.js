@@ -0,0 +1,118 @@
+/**
+ * Damage calculator - the Generation V+ damage formula
+ *
+ *   base = floor(floor(floor(2L/5 + 2) * Power * A / D) / 50) + 2
+ *
+ * then, in game order, each modifier is applied with the game's rounding:
+ * critical hit (1.5x), random roll (85-100%), STAB (1.5x) and type
+ * effectiveness. Abilities, items, weather and stat stages are not modeled.
+ */
+
+const typeChart = require('./type_chart');
+
+const CRITICAL_MULTIPLIER = 1.5;
+const STAB_MULTIPLIER = 1.5;
+const ROLLS = Array.from({ length: 16 }, (_, index) => 85 + index);
+
+// Attack and defense stat used by each damage class
+const CATEGORY_STATS = {
+    physical: { attack: 'attack', defense: 'defense' },
+    special: { attack: 'special-attack', defense: 'special-defense' }
+};
+
+/**
+ * The game rounds modifiers half down: 1.5 → 1, 1.51 → 2
+ */
+function pokeRound(value) {
+    return value % 1 > 0.5 ? Math.ceil(value) : Math.floor(value);
+}
+
+/**
+ * Damage before the random roll and type modifiers
+ */
+function baseDamage(level, power, attack, defense) {
+    return Math.floor(Math.floor(Math.floor(2 * level / 5 + 2) * power * attack / defense) / 50) + 2;
+}
+
+/**
+ * Hits needed to KO at a fixed damage per hit; null when it does none
+ */
+function hitsToKO(hp, damage) {
+    return damage > 0 ? Math.ceil(hp / damage) : null;
+}
+
+/**
+ * "guaranteed 2HKO", "possible OHKO (guaranteed 2HKO)" or "no damage"
+ */
+function describeKO(best, worst) {
+    if (best === null) return 'no damage';
+    const label = hits => hits === 1 ? 'OHKO' : `${hits}HKO`;
+    return best === worst ? `guaranteed ${label(best)}` : `possible ${label(best)} (guaranteed ${label(worst)})`;
+}
+
+/**
+ * Every damage roll of one move
+ *
+ * attacker: { types, stats, level }; defender: { types, stats } with actual
+ * (not base) stats; move: { name, type, category, power }.
+ * Options: critical (default false).
+ *
+ * Returns { move, effectiveness, stab, critical, rolls, min, max,
+ * defender_hp, min_percent, max_percent, hits_to_ko: { best, worst }, ko }.
+ */
+function calculateDamage(attacker, defender, move, options = {}) {
+    const statsUsed = CATEGORY_STATS[move.category];
+    if (!statsUsed) {
+        throw new Error(`Move ${move.name} has no damage class to calculate (${move.category})`);
+    }
+
+    const critical = Boolean(options.critical);
+    const effectiveness = typeChart.getEffectiveness(move.type, defender.types);
+    const stab = attacker.types.includes(move.type);
+    const hp = defender.stats.hp;
+
+    let rolls = ROLLS.map(() => 0);
+    if (move.power > 0 && effectiveness > 0) {
+        let damage = baseDamage(attacker.level || 100, move.power, attacker.stats[statsUsed.attack], defender.stats[statsUsed.defense]);
+        if (critical) {
+            damage = Math.floor(damage * CRITICAL_MULTIPLIER);
+        }
+        rolls = ROLLS.map(roll => {
+            let rolled = Math.floor(damage * roll / 100);
+            if (stab) rolled = pokeRound(rolled * STAB_MULTIPLIER);
+            rolled = Math.floor(rolled * effectiveness);
+            return Math.max(1, rolled);
+        });
+    }
+
+    const min = rolls[0];
+    const max = rolls[rolls.length - 1];
+    const best = hitsToKO(hp, max);
+    const worst = hitsToKO(hp, min);
+    const percent = damage => Math.round(damage / hp * 1000) / 10;
+
+    return {
+        move: { name: move.name, type: move.type, category: move.category, power: move.power },
+        effectiveness,
+        stab,
+        critical,
+        rolls,
+        min,
+        max,
+        defender_hp: hp,
+        min_percent: percent(min),
+        max_percent: percent(max),
+        hits_to_ko: { best, worst },
+        ko: describeKO(best, worst)
+    };
+}
+
+module.exports = {
+    CRITICAL_MULTIPLIER,
+    STAB_MULTIPLIER,
+    pokeRound,
+    baseDamage,
+    hitsToKO,
+    describeKO,
+    calculateDamage
+};
@@ -0,0 +1,280 @@
+/**
+ * Evolution chain parsing and formatting
+ *
+ * Turns PokeAPI `/evolution-chain/{id}` payloads into a structured,
+ * possibly branching tree with a readable description of every trigger
+ * (level, item, trade, friendship, time of day, location, known move, ...),
+ * plus helpers that render the tree for the response generators.
+ */
+
+/**
+ * Convert an API slug such as "water-stone" into "Water Stone"
+ */
+function formatName(slug) {
+    if (!slug) {
+        return '';
+    }
+    return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Prefix a name with "a" or "an"
+ */
+function withArticle(name) {
+    return `${/^[aeiou]/i.test(name) ? 'an' : 'a'} ${name}`;
+}
+
+/**
+ * Extract the numeric id from a PokeAPI resource URL
+ */
+function idFromUrl(url) {
+    const match = /\/(\d+)\/?$/.exec(url || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+const TIME_OF_DAY = {
+    day: 'during the day',
+    night: 'at night',
+    dusk: 'at dusk'
+};
+
+const PHYSICAL_STATS = {
+    1: 'with Attack higher than Defense',
+    0: 'with Attack equal to Defense',
+    '-1': 'with Attack lower than Defense'
+};
+
+/**
+ * Normalize a single PokeAPI evolution_details entry into a compact method object
+ */
+function parseEvolutionDetail(detail) {
+    const method = { trigger: detail.trigger ? detail.trigger.name : 'unknown' };
+
+    const named = ['item', 'held_item', 'known_move', 'known_move_type', 'location', 'party_species', 'party_type', 'trade_species'];
+    for (const field of named) {
+        if (detail[field]) {
+            method[field] = detail[field].name;
+        }
+    }
+
+    const numeric = ['min_level', 'min_happiness', 'min_affection', 'min_beauty', 'relative_physical_stats', 'gender'];
+    for (const field of numeric) {
+        if (detail[field] !== null && detail[field] !== undefined) {
+            method[field] = detail[field];
+        }
+    }
+
+    if (detail.time_of_day) {
+        method.time_of_day = detail.time_of_day;
+    }
+    if (detail.needs_overworld_rain) {
+        method.needs_overworld_rain = true;
+    }
+    if (detail.turn_upside_down) {
+        method.turn_upside_down = true;
+    }
+
+    method.description = describeEvolutionMethod(method);
+    return method;
+}
+
+/**
+ * Describe an evolution method in plain English, e.g. "Level 16" or
+ * "Level up with high friendship, during the day"
+ */
+function describeEvolutionMethod(method) {
+    let base;
+    switch (method.trigger) {
+        case 'level-up':
+            base = method.min_level ? `Level ${method.min_level}` : 'Level up';
+            break;
+        case 'use-item':
+            base = `Use ${method.item ? withArticle(formatName(method.item)) : 'an item'}`;
+            break;
+        case 'trade':
+            base = method.trade_species ? `Trade for ${formatName(method.trade_species)}` : 'Trade';
+            break;
+        case 'shed':
+            base = 'Level 20 with an empty party slot and a spare Poke Ball';
+            break;
+        default:
+            base = formatName(method.trigger);
+    }
+
+    const conditions = [];
+    if (method.trigger !== 'level-up' && method.min_level) conditions.push(`at level ${method.min_level} or higher`);
+    if (method.held_item) conditions.push(`holding ${formatName(method.held_item)}`);
+    if (method.min_happiness) conditions.push(`with high friendship (${method.min_happiness}+)`);
+    if (method.min_affection) conditions.push(`with high affection (${method.min_affection}+ hearts)`);
+    if (method.min_beauty) conditions.push(`with high beauty (${method.min_beauty}+)`);
+    if (method.known_move) conditions.push(`knowing ${formatName(method.known_move)}`);
+    if (method.known_move_type) conditions.push(`knowing ${withArticle(formatName(method.known_move_type))}-type move`);
+    if (method.location) conditions.push(`at ${formatName(method.location)}`);
+    if (method.time_of_day && TIME_OF_DAY[method.time_of_day]) conditions.push(TIME_OF_DAY[method.time_of_day]);
+    if (method.relative_physical_stats !== undefined) conditions.push(PHYSICAL_STATS[method.relative_physical_stats]);
+    if (method.party_species) conditions.push(`with ${formatName(method.party_species)} in the party`);
+    if (method.party_type) conditions.push(`with ${withArticle(formatName(method.party_type))}-type Pokemon in the party`);
+    if (method.needs_overworld_rain) conditions.push('while it is raining');
+    if (method.turn_upside_down) conditions.push('while holding the console upside down');
+    if (method.gender === 1) conditions.push('(female only)');
+    if (method.gender === 2) conditions.push('(male only)');
+
+    return conditions.length > 0 ? `${base} ${conditions.join(', ')}` : base;
+}
+
+/**
+ * Parse a PokeAPI chain link recursively into a tree node
+ */
+function parseChainLink(link) {
+    return {
+        species: link.species.name,
+        id: idFromUrl(link.species.url),
+        is_baby: !!link.is_baby,
+        // How this species evolves from its parent (alternatives, any one suffices)
+        methods: (link.evolution_details || []).map(parseEvolutionDetail),
+        evolves_to: (link.evolves_to || []).map(parseChainLink)
+    };
+}
+
+/**
+ * Parse a full `/evolution-chain/{id}` payload
+ */
+function parseEvolutionChain(chainData) {
+    return parseChainLink(chainData.chain);
+}
+
+/**
+ * Flatten the tree into every root-to-leaf pathway
+ */
+function getEvolutionPathways(tree) {
+    if (tree.evolves_to.length === 0) {
+        return [[tree]];
+    }
+
+    const pathways = [];
+    for (const child of tree.evolves_to) {
+        for (const path of getEvolutionPathways(child)) {
+            pathways.push([tree, ...path]);
+        }
+    }
+    return pathways;
+}
+
+/**
+ * Locate a species in the tree, returning the node, its parent and its stage (1-based)
+ */
+function findInChain(tree, speciesName, parent = null, stage = 1) {
+    if (tree.species === speciesName) {
+        return { node: tree, parent, stage };
+    }
+
+    for (const child of tree.evolves_to) {
+        const found = findInChain(child, speciesName, tree, stage + 1);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Join alternative methods, e.g. "Level 20 or Use a Water Stone"
+ */
+function describeMethods(methods) {
+    return methods.length > 0 ? methods.map(m => m.description).join(' or ') : 'Special condition';
+}
+
+/**
+ * Render one pathway as "Charmander → Charmeleon (Level 16) → Charizard (Level 36)"
+ */
+function formatPathway(pathway) {
+    return pathway.map((node, index) => {
+        const name = formatName(node.species);
+        return index === 0 ? name : `${name} (${describeMethods(node.methods)})`;
+    }).join(' → ');
+}
+
+/**
+ * Build the structured evolution summary attached to Pokemon info
+ */
+function buildEvolutionSummary(tree, speciesName, chainId = null) {
+    const pathways = getEvolutionPathways(tree);
+    const location = findInChain(tree, speciesName) || { node: tree, parent: null, stage: 1 };
+    const maxStages = Math.max(...pathways.map(p => p.length));
+
+    return {
+        chain_id: chainId,
+        chain: tree,
+        pathways: pathways.map(path => path.map(node => ({
+            species: node.species,
+            id: node.id,
+            methods: node === path[0] ? [] : node.methods
+        }))),
+        stage: location.stage,
+        total_stages: maxStages,
+        is_final_stage: location.node.evolves_to.length === 0,
+        is_branching: pathways.length > 1,
+        evolves_from: location.parent ? {
+            species: location.parent.species,
+            methods: location.node.methods
+        } : null,
+        evolves_to: location.node.evolves_to.map(child => ({
+            species: child.species,
+            methods: child.methods
+        }))
+    };
+}
+
+/**
+ * Short text form of the evolution line (kept as `evolution_info` for text renderers)
+ */
+function summarizeEvolution(evolution) {
+    if (!evolution) {
+        return 'Evolution data unavailable';
+    }
+    if (evolution.pathways.length === 1 && evolution.pathways[0].length === 1) {
+        return `${formatName(evolution.chain.species)} does not evolve.`;
+    }
+    return evolution.pathways.map(formatPathway).join('; ');
+}
+
+/**
+ * Describe where a Pokemon sits in its line as a sentence
+ */
+function describeEvolution(evolution, displayName) {
+    if (!evolution) {
+        return `Evolution data for ${displayName} is currently unavailable.`;
+    }
+
+    if (!evolution.evolves_from && evolution.evolves_to.length === 0) {
+        return `${displayName} does not evolve.`;
+    }
+
+    const parts = [];
+    if (evolution.evolves_from) {
+        parts.push(`evolves from ${formatName(evolution.evolves_from.species)} (${describeMethods(evolution.evolves_from.methods)})`);
+    }
+    if (evolution.evolves_to.length > 0) {
+        const targets = evolution.evolves_to.map(t => `${formatName(t.species)} (${describeMethods(t.methods)})`);
+        parts.push(`evolves into ${targets.length > 1 ? `${targets.slice(0, -1).join(', ')} or ${targets[targets.length - 1]}` : targets[0]}`);
+    } else {
+        parts.push('is the final stage of its line');
+    }
+
+    return `${displayName} ${parts.join(' and ')}.`;
+}
+
+module.exports = {
+    parseEvolutionChain,
+    parseEvolutionDetail,
+    describeEvolutionMethod,
+    describeMethods,
+    getEvolutionPathways,
+    findInChain,
+    buildEvolutionSummary,
+    formatPathway,
+    summarizeEvolution,
+    describeEvolution,
+    formatName,
+    idFromUrl
+};
@@ -0,0 +1,106 @@
+/**
+ * Pokemon forms - Mega Evolutions, regional variants and other alternate forms
+ *
+ * A species lists its forms as `varieties` (one `/pokemon/{name}` resource
+ * each, e.g. "rotom-wash"); each variety's `/pokemon-form/{name}` resource
+ * carries the form's name and display label. findVariety() picks the
+ * variety for a form, parseForm() reads the form resource and
+ * compareToBase() lists what a form changes from the species' default.
+ */
+
+const { STAT_NAMES } = require('./stat_calc');
+
+function englishName(entries) {
+    const entry = (entries || []).find(name => name.language && name.language.name === 'en');
+    return entry ? entry.name : null;
+}
+
+/**
+ * Variety slugs of a species, default form first
+ */
+function listVarieties(speciesData) {
+    return (speciesData.varieties || [])
+        .slice()
+        .sort((a, b) => Number(b.is_default) - Number(a.is_default))
+        .map(variety => variety.pokemon.name);
+}
+
+/**
+ * The variety slug for a form of a species ("mega-x" → "charizard-mega-x"), or null
+ *
+ * Without a form this is the default variety. Form names are matched word by
+ * word as well, so "dusk" finds a variety named "necrozma-dusk-mane".
+ */
+function findVariety(speciesData, formName) {
+    const varieties = speciesData.varieties || [];
+    if (!formName) {
+        const defaultVariety = varieties.find(variety => variety.is_default);
+        return defaultVariety ? defaultVariety.pokemon.name : null;
+    }
+
+    const words = formName.split('-');
+    const suffix = variety => variety.pokemon.name.slice(speciesData.name.length + 1).split('-');
+    const variety = varieties.find(entry => entry.pokemon.name === `${speciesData.name}-${formName}`)
+        || varieties.find(entry => !entry.is_default && words.every(word => suffix(entry).includes(word)));
+    return variety ? variety.pokemon.name : null;
+}
+
+/**
+ * Form name of a variety slug: "charizard-mega-x" → "mega-x"; null for the species itself
+ */
+function formNameFromSlug(slug, species) {
+    return slug.startsWith(`${species}-`) ? slug.slice(species.length + 1) : null;
+}
+
+/**
+ * Form facts from a PokeAPI `/pokemon-form/{name}` payload
+ *
+ * Returns { form_name, label, is_mega, is_battle_only }; label is the
+ * English display name ("Mega Charizard X", "Wash Rotom"), built from the
+ * form's name ("Deoxys (Attack Forme)") when it has no full one, or null.
+ */
+function parseForm(formData, speciesName) {
+    const formLabel = englishName(formData.form_names);
+    return {
+        form_name: formData.form_name || null,
+        label: englishName(formData.names) || (formLabel ? (formLabel.includes(speciesName) ? formLabel : `${speciesName} (${formLabel})`) : null),
+        is_mega: Boolean(formData.is_mega),
+        is_battle_only: Boolean(formData.is_battle_only)
+    };
+}
+
+/**
+ * What a form changes from the species' default form (PokemonTool info for both)
+ *
+ * Returns { from, types_gained, types_lost, abilities_gained, abilities_lost,
+ * stats: { [stat]: difference }, total } - stats lists only the stats that change.
+ */
+function compareToBase(base, form) {
+    const stats = {};
+    let total = 0;
+    for (const stat of STAT_NAMES) {
+        const difference = (form.base_stats[stat] || 0) - (base.base_stats[stat] || 0);
+        if (difference !== 0) {
+            stats[stat] = difference;
+        }
+        total += difference;
+    }
+
+    return {
+        from: base.name,
+        types_gained: form.types.filter(type => !base.types.includes(type)),
+        types_lost: base.types.filter(type => !form.types.includes(type)),
+        abilities_gained: form.abilities.filter(ability => !base.abilities.includes(ability)),
+        abilities_lost: base.abilities.filter(ability => !form.abilities.includes(ability)),
+        stats,
+        total
+    };
+}
+
+module.exports = {
+    listVarieties,
+    findVariety,
+    formNameFromSlug,
+    parseForm,
+    compareToBase
+};
@@ -0,0 +1,160 @@
+/**
+ * Learnsets - the moves a Pokemon learns, by version group and learn method
+ *
+ * parseLearnset() turns the `moves` list of a PokeAPI `/pokemon/{name}`
+ * payload into { [version group]: [{ move, method, level }] }, and the
+ * resolvers read the game ("in Scarlet/Violet", "gen 4") and learn method
+ * ("by level up", "TMs", "egg moves") out of a question.
+ */
+
+// Main-series version groups in release order
+const VERSION_GROUPS = [
+    { slug: 'red-blue', name: 'Red/Blue', generation: 1, pattern: /\b(red|blue)\b/ },
+    { slug: 'yellow', name: 'Yellow', generation: 1, pattern: /\byellow\b/ },
+    { slug: 'gold-silver', name: 'Gold/Silver', generation: 2, pattern: /\b(gold|silver)\b/ },
+    { slug: 'crystal', name: 'Crystal', generation: 2, pattern: /\bcrystal\b/ },
+    { slug: 'ruby-sapphire', name: 'Ruby/Sapphire', generation: 3, pattern: /\b(ruby|sapphire)\b/ },
+    { slug: 'emerald', name: 'Emerald', generation: 3, pattern: /\bemerald\b/ },
+    { slug: 'firered-leafgreen', name: 'FireRed/LeafGreen', generation: 3, pattern: /\b(fire ?red|leaf ?green|frlg)\b/ },
+    { slug: 'diamond-pearl', name: 'Diamond/Pearl', generation: 4, pattern: /\b(diamond|pearl|dp)\b/ },
+    { slug: 'platinum', name: 'Platinum', generation: 4, pattern: /\bplatinum\b/ },
+    { slug: 'heartgold-soulsilver', name: 'HeartGold/SoulSilver', generation: 4, pattern: /\b(heart ?gold|soul ?silver|hgss)\b/ },
+    { slug: 'black-white', name: 'Black/White', generation: 5, pattern: /\b(black|white|bw)\b/ },
+    { slug: 'black-2-white-2', name: 'Black 2/White 2', generation: 5, pattern: /\b(black|white) ?2\b|\bb2w2\b/ },
+    { slug: 'x-y', name: 'X/Y', generation: 6, pattern: /\bx ?(\/|and|&) ?y\b|\bxy\b/ },
+    { slug: 'omega-ruby-alpha-sapphire', name: 'Omega Ruby/Alpha Sapphire', generation: 6, pattern: /\b(omega ruby|alpha sapphire|oras)\b/ },
+    { slug: 'sun-moon', name: 'Sun/Moon', generation: 7, pattern: /\b(sun|moon|sm)\b/ },
+    { slug: 'ultra-sun-ultra-moon', name: 'Ultra Sun/Ultra Moon', generation: 7, pattern: /\bultra (sun|moon)\b|\busum\b/ },
+    { slug: 'lets-go-pikachu-lets-go-eevee', name: "Let's Go Pikachu/Eevee", generation: 7, pattern: /\blet'?s go\b/ },
+    { slug: 'sword-shield', name: 'Sword/Shield', generation: 8, pattern: /\b(sword|shield|swsh)\b/ },
+    { slug: 'brilliant-diamond-and-shining-pearl', name: 'Brilliant Diamond/Shining Pearl', generation: 8, pattern: /\b(brilliant diamond|shining pearl|bdsp)\b/ },
+    { slug: 'legends-arceus', name: 'Legends: Arceus', generation: 8, pattern: /\blegends:? arceus\b|\bpla\b/ },
+    { slug: 'scarlet-violet', name: 'Scarlet/Violet', generation: 9, pattern: /\b(scarlet|violet|sv)\b/ }
+];
+
+// The main pair of each generation, for "gen 4" or "generation 8"
+const GENERATION_VERSION_GROUPS = {
+    1: 'red-blue',
+    2: 'gold-silver',
+    3: 'ruby-sapphire',
+    4: 'diamond-pearl',
+    5: 'black-white',
+    6: 'x-y',
+    7: 'sun-moon',
+    8: 'sword-shield',
+    9: 'scarlet-violet'
+};
+
+const ROMAN_NUMERALS = { i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9 };
+
+// PokeAPI learn methods the answers cover, in display order
+const LEARN_METHODS = {
+    'level-up': { label: 'Level up', pattern: /\blevel(l?ing)?[\s-]*up\b|\blevels?\b|\blv\.?\b/ },
+    machine: { label: 'TM', pattern: /\b(tms?|hms?|trs?|machines?|technical)\b/ },
+    egg: { label: 'Egg move', pattern: /\begg\b|\bbreed(ing)?\b/ },
+    tutor: { label: 'Move tutor', pattern: /\btutors?\b/ }
+};
+
+/**
+ * Group a PokeAPI `moves` list by version group
+ *
+ * Returns { [version group]: [{ move, method, level }] }; level-up moves come
+ * first by level, the rest alphabetically. Methods other than the four
+ * above (form changes, event-only) are dropped.
+ */
+function parseLearnset(moves) {
+    const learnset = {};
+    for (const entry of moves || []) {
+        for (const detail of entry.version_group_details || []) {
+            const method = detail.move_learn_method.name;
+            if (!LEARN_METHODS[method]) {
+                continue;
+            }
+            const versionGroup = detail.version_group.name;
+            const list = learnset[versionGroup] || (learnset[versionGroup] = []);
+            const level = method === 'level-up' ? detail.level_learned_at : null;
+            // A move can be learned at two levels in the same game; keep both
+            if (!list.some(known => known.move === entry.move.name && known.method === method && known.level === level)) {
+                list.push({ move: entry.move.name, method, level });
+            }
+        }
+    }
+
+    const methodOrder = Object.keys(LEARN_METHODS);
+    for (const list of Object.values(learnset)) {
+        list.sort((a, b) => methodOrder.indexOf(a.method) - methodOrder.indexOf(b.method) || (a.level || 0) - (b.level || 0) || a.move.localeCompare(b.move));
+    }
+    return learnset;
+}
+
+// Unknown version groups (Colosseum, DLC) sort before the main series
+function versionGroupIndex(slug) {
+    return VERSION_GROUPS.findIndex(group => group.slug === slug);
+}
+
+/**
+ * Display name of a version group; unknown slugs are title-cased
+ */
+function formatVersionGroup(slug) {
+    const group = VERSION_GROUPS.find(entry => entry.slug === slug);
+    return group ? group.name : slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Version groups a learnset covers, oldest first
+ */
+function listVersionGroups(learnset) {
+    return Object.keys(learnset).sort((a, b) => versionGroupIndex(a) - versionGroupIndex(b) || a.localeCompare(b));
+}
+
+/**
+ * Most recent version group the Pokemon learns moves in, or null
+ */
+function latestVersionGroup(learnset) {
+    const groups = listVersionGroups(learnset);
+    return groups.length > 0 ? groups[groups.length - 1] : null;
+}
+
+/**
+ * Version group named in a question ("in Scarlet/Violet", "gen 4"), or null
+ */
+function resolveVersionGroup(text) {
+    const lower = String(text).toLowerCase();
+
+    const generation = lower.match(/\bgen(?:eration)?\s*([1-9]|[ivx]+)\b/);
+    if (generation) {
+        const number = /^\d$/.test(generation[1]) ? parseInt(generation[1], 10) : ROMAN_NUMERALS[generation[1]];
+        if (GENERATION_VERSION_GROUPS[number]) {
+            return GENERATION_VERSION_GROUPS[number];
+        }
+    }
+
+    // Newest first, so "Ultra Sun" wins over "Sun" and "Black 2" over "Black"
+    const group = [...VERSION_GROUPS].reverse().find(entry => entry.pattern.test(lower));
+    return group ? group.slug : null;
+}
+
+/**
+ * Learn methods named in a question, in display order; empty when none are
+ */
+function resolveLearnMethods(text) {
+    const lower = String(text).toLowerCase();
+    return Object.keys(LEARN_METHODS).filter(method => LEARN_METHODS[method].pattern.test(lower));
+}
+
+function formatLearnMethod(method) {
+    return LEARN_METHODS[method] ? LEARN_METHODS[method].label : method;
+}
+
+module.exports = {
+    VERSION_GROUPS,
+    ROMAN_NUMERALS,
+    LEARN_METHODS,
+    parseLearnset,
+    formatVersionGroup,
+    listVersionGroups,
+    latestVersionGroup,
+    resolveVersionGroup,
+    resolveLearnMethods,
+    formatLearnMethod
+};
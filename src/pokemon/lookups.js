@@ -0,0 +1,270 @@
+/**
+ * Ability, item, move and nature lookups
+ *
+ * Turns PokeAPI `/ability`, `/item`, `/move` and `/nature` payloads into
+ * the facts the answers use: English effect and flavor text, the
+ * generation the entry was introduced in, and the Pokemon that have the
+ * ability, hold the item in the wild or learn the move. Every result
+ * carries its `kind`. parseLookupQuery() reads which entry a question is
+ * about ("what does Levitate do", "who learns Earthquake").
+ */
+
+const moves = require('./moves');
+const nameResolver = require('./name_resolver');
+const { NATURES } = require('./stat_calc');
+const { ROMAN_NUMERALS } = require('./learnset');
+
+const KINDS = ['ability', 'move', 'item', 'nature'];
+
+const ROMAN = Object.fromEntries(Object.entries(ROMAN_NUMERALS).map(([numeral, number]) => [number, numeral.toUpperCase()]));
+
+// Natures have no generation field; they were introduced in Ruby/Sapphire
+const NATURE_GENERATION = 3;
+
+function english(entries) {
+    return (entries || []).filter(entry => entry.language && entry.language.name === 'en');
+}
+
+function englishName(data) {
+    const name = english(data.names)[0];
+    return name ? name.name : titleCase(data.name);
+}
+
+function titleCase(slug) {
+    return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function cleanText(text) {
+    return text.replace(/[\n\f\u00ad]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * English { full_effect, effect } of a payload, with $effect_chance filled in
+ */
+function parseEffect(data) {
+    const entry = english(data.effect_entries)[0];
+    if (!entry) {
+        return { full_effect: null, effect: null };
+    }
+    const chance = data.effect_chance === null || data.effect_chance === undefined ? 'a' : data.effect_chance;
+    const fill = text => text ? cleanText(text.replace(/\$effect_chance/g, chance)) : null;
+    return { full_effect: fill(entry.effect), effect: fill(entry.short_effect) };
+}
+
+/**
+ * Most recent English flavor text; items call the field `text`
+ */
+function parseFlavorText(data) {
+    const entries = english(data.flavor_text_entries);
+    const latest = entries[entries.length - 1];
+    if (!latest) {
+        return null;
+    }
+    return cleanText(latest.flavor_text || latest.text || '') || null;
+}
+
+/**
+ * Generation number of a PokeAPI generation resource ("generation-iv" → 4), or null
+ */
+function parseGeneration(generation) {
+    const match = generation && /^generation-([ivx]+)$/.exec(generation.name);
+    return match ? ROMAN_NUMERALS[match[1]] || null : null;
+}
+
+function pokemonEntry(slug) {
+    return { slug, name: nameResolver.getDisplayName(slug) || titleCase(slug) };
+}
+
+/**
+ * Ability facts from a PokeAPI `/ability/{name}` payload
+ *
+ * Returns { kind, slug, name, effect, full_effect, flavor_text, generation,
+ * pokemon: [{ slug, name, is_hidden }] }.
+ */
+function parseAbility(data) {
+    return {
+        kind: 'ability',
+        slug: data.name,
+        name: englishName(data),
+        ...parseEffect(data),
+        flavor_text: parseFlavorText(data),
+        generation: parseGeneration(data.generation),
+        pokemon: (data.pokemon || []).map(entry => ({ ...pokemonEntry(entry.pokemon.name), is_hidden: Boolean(entry.is_hidden) }))
+    };
+}
+
+/**
+ * Move facts from a PokeAPI `/move/{name}` payload: parseMove() plus
+ * { kind, full_effect, flavor_text, generation, learned_by: [{ slug, name }] }
+ */
+function parseMoveEntry(data) {
+    return {
+        kind: 'move',
+        ...moves.parseMove(data),
+        full_effect: parseEffect(data).full_effect,
+        flavor_text: parseFlavorText(data),
+        generation: parseGeneration(data.generation),
+        learned_by: (data.learned_by_pokemon || []).map(entry => pokemonEntry(entry.name))
+    };
+}
+
+/**
+ * Item facts from a PokeAPI `/item/{name}` payload
+ *
+ * Returns { kind, slug, name, category, cost, fling_power, effect,
+ * full_effect, flavor_text, generation, held_by: [{ slug, name }] }.
+ * generation is the earliest one with a game index for the item; held_by
+ * lists wild Pokemon that may carry it.
+ */
+function parseItem(data) {
+    const generations = (data.game_indices || []).map(entry => parseGeneration(entry.generation)).filter(Boolean);
+    return {
+        kind: 'item',
+        slug: data.name,
+        name: englishName(data),
+        category: data.category ? data.category.name : null,
+        cost: data.cost || 0,
+        fling_power: data.fling_power === undefined ? null : data.fling_power,
+        ...parseEffect(data),
+        flavor_text: parseFlavorText(data),
+        generation: generations.length > 0 ? Math.min(...generations) : null,
+        held_by: (data.held_by_pokemon || []).map(entry => pokemonEntry(entry.pokemon.name))
+    };
+}
+
+/**
+ * Nature facts from a PokeAPI `/nature/{name}` payload
+ *
+ * Returns { kind, slug, name, increased_stat, decreased_stat, likes_flavor,
+ * hates_flavor, generation }; the stats and flavors are null for neutral
+ * natures.
+ */
+function parseNature(data) {
+    const slugOf = resource => resource ? resource.name : null;
+    return {
+        kind: 'nature',
+        slug: data.name,
+        name: englishName(data),
+        increased_stat: slugOf(data.increased_stat),
+        decreased_stat: slugOf(data.decreased_stat),
+        likes_flavor: slugOf(data.likes_flavor),
+        hates_flavor: slugOf(data.hates_flavor),
+        generation: NATURE_GENERATION
+    };
+}
+
+const PARSERS = {
+    ability: parseAbility,
+    move: parseMoveEntry,
+    item: parseItem,
+    nature: parseNature
+};
+
+/**
+ * Parse a payload of one of KINDS
+ */
+function parseLookup(kind, data) {
+    if (!PARSERS[kind]) {
+        throw new Error(`Unknown lookup kind '${kind}'`);
+    }
+    return PARSERS[kind](data);
+}
+
+function formatGeneration(generation) {
+    return `Generation ${ROMAN[generation] || generation}`;
+}
+
+const KIND_WORD = '(ability|move|item|held item)';
+const ASK = '(?:tell me about|what is|what are|whats|info on|info about|information on|information about|details on|details about|details of|describe|explain|look ?up|show me|show)';
+const WHO = '(?:who|which pokemon|what pokemon)(?: can)?';
+
+// Question shapes, each naming the entry and its kind when it says which
+const LOOKUP_QUESTIONS = [
+    // Who has it: "which pokemon learn earthquake", "who has levitate as a hidden ability", "who holds leftovers"
+    { pattern: new RegExp(`^${WHO} (?:learns?|gets?) (?:the )?(?:move )?(.+?)(?: move)?$`), name: 1, kind: 'move', list: true },
+    { pattern: new RegExp(`^${WHO} (?:has|have) (?:the )?(?:ability )?(.+?)(?: as (?:an? |their )?(?:hidden )?ability| ability)?$`), name: 1, kind: 'ability', list: true },
+    { pattern: new RegExp(`^${WHO} (?:holds?|carr(?:y|ies)|(?:is|are) holding|(?:is|are) found holding) (?:the |an? )?(?:item )?(.+?)(?: item)?$`), name: 1, kind: 'item', list: true },
+    // "what does Levitate do", "how does the item Choice Scarf work"
+    { pattern: new RegExp(`^(?:what|how) (?:does|do) (?:the )?(?:${KIND_WORD} )?(.+?)(?: ${KIND_WORD})? (?:do|work)$`), name: 2, kinds: [1, 3] },
+    // "effect of Life Orb", "what is the effect of the ability Static"
+    { pattern: new RegExp(`^(?:${ASK} )?(?:the )?effects? of (?:the )?(?:${KIND_WORD} )?(.+?)(?: ${KIND_WORD})?$`), name: 2, kinds: [1, 3] },
+    // "tell me about the ability Levitate", "move earthquake"
+    { pattern: new RegExp(`^(?:${ASK} )?(?:the )?${KIND_WORD} (?:called |named )?(.+)$`), name: 2, kinds: [1] },
+    // "what is the Levitate ability", "Leftovers item"
+    { pattern: new RegExp(`^(?:${ASK} )?(?:the )?(.+?) ${KIND_WORD}$`), name: 1, kinds: [2] }
+];
+
+// Words that make a question about choosing something ("the best item"), not about a named entry
+const NOT_A_NAME = /\b(best|better|good|strongest|strong|fastest|top|most|my|your|this|that|which|what|any|every|all|some|pokemon|team)\b/;
+
+// Names made only of filler words: "how do you do" (you), "tell me about the move" (the)
+const FILLER_NAME = /^(?:(?:the|a|an|it|its|you|i|we|they|he|she|me|us|them|there|here|one)(?: |$))+$/;
+
+const MAX_NAME_WORDS = 4;
+
+/**
+ * The ability, move, item or nature a question is about
+ *
+ * Returns { kind, slug, name, list } or null; kind is null when the question
+ * doesn't say ("what does Intimidate do"), and list is true for "who learns
+ * / has / holds" questions. Natures are only read from "<name> nature" or
+ * "nature <name>" with a known nature name.
+ */
+function parseLookupQuery(query) {
+    const text = String(query).toLowerCase()
+        .replace(/[’']/g, '')
+        .replace(/pokémon/g, 'pokemon')
+        .replace(/[?!.,]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const nature = /\b([a-z]+) nature\b|\bnature (?:called |named )?([a-z]+)\b/.exec(text);
+    const natureName = nature && (nature[1] || nature[2]);
+    if (natureName && NATURES[natureName]) {
+        return { kind: 'nature', slug: natureName, name: natureName, list: false };
+    }
+
+    for (const question of LOOKUP_QUESTIONS) {
+        const match = question.pattern.exec(text);
+        if (!match) {
+            continue;
+        }
+        const name = match[question.name].trim();
+        if (!name || NOT_A_NAME.test(name) || FILLER_NAME.test(name) || name.split(' ').length > MAX_NAME_WORDS) {
+            continue;
+        }
+        const kindWord = question.kind || (question.kinds || []).map(group => match[group]).find(Boolean) || null;
+        return {
+            kind: kindWord === 'held item' ? 'item' : kindWord,
+            slug: toSlug(name),
+            name,
+            list: Boolean(question.list)
+        };
+    }
+    return null;
+}
+
+/**
+ * PokeAPI slug for a name as typed ("King's Rock" → "kings-rock")
+ */
+function toSlug(name) {
+    return String(name)
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’.]/g, '')
+        .trim()
+        .replace(/[\s_]+/g, '-');
+}
+
+module.exports = {
+    KINDS,
+    parseGeneration,
+    formatGeneration,
+    parseAbility,
+    parseMoveEntry,
+    parseItem,
+    parseNature,
+    parseLookup,
+    parseLookupQuery,
+    toSlug
+};
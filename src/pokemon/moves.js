@@ -0,0 +1,134 @@
+/**
+ * Move details and moveset recommendations
+ *
+ * parseMove() turns a PokeAPI `/move/{name}` payload into the facts the
+ * answers use; recommendMoves() picks a Pokemon's best STAB attacks and the
+ * coverage moves that hit what its STAB types can't.
+ */
+
+const typeChart = require('./type_chart');
+
+const STAB_MULTIPLIER = 1.5;
+const COVERAGE_MOVES = 2;
+
+// Damaging moves too situational to recommend: charge or recharge turns,
+// self-KOs, semi-invulnerable turns and moves that need setup to work
+const SITUATIONAL_MOVES = new Set([
+    'hyper-beam', 'giga-impact', 'blast-burn', 'hydro-cannon', 'frenzy-plant', 'rock-wrecker', 'roar-of-time',
+    'prismatic-laser', 'eternabeam', 'meteor-assault', 'solar-beam', 'solar-blade', 'sky-attack', 'skull-bash',
+    'razor-wind', 'meteor-beam', 'freeze-shock', 'ice-burn', 'geomancy', 'fly', 'dig', 'dive', 'bounce',
+    'phantom-force', 'shadow-force', 'sky-drop', 'explosion', 'self-destruct', 'misty-explosion', 'memento',
+    'final-gambit', 'dream-eater', 'focus-punch', 'last-resort', 'belch', 'synchronoise', 'future-sight',
+    'doom-desire', 'snore', 'fake-out', 'first-impression', 'burn-up', 'double-shock', 'steel-beam', 'mind-blown',
+    'head-smash', 'struggle'
+]);
+
+/**
+ * English name of a PokeAPI resource, title-casing the slug as a fallback
+ */
+function englishName(data) {
+    const name = (data.names || []).find(entry => entry.language && entry.language.name === 'en');
+    return name ? name.name : data.name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Move facts from a PokeAPI `/move/{name}` payload
+ *
+ * Returns { slug, name, type, category, power, accuracy, pp, priority, effect };
+ * power and accuracy are null for moves without them (status moves, OHKO
+ * moves' power, never-miss moves' accuracy).
+ */
+function parseMove(data) {
+    const effect = (data.effect_entries || []).find(entry => entry.language && entry.language.name === 'en');
+    return {
+        slug: data.name,
+        name: englishName(data),
+        type: data.type ? data.type.name : null,
+        category: data.damage_class ? data.damage_class.name : null,
+        power: data.power === undefined ? null : data.power,
+        accuracy: data.accuracy === undefined ? null : data.accuracy,
+        pp: data.pp === undefined ? null : data.pp,
+        priority: data.priority || 0,
+        effect: effect ? effect.short_effect.replace(/\$effect_chance/g, data.effect_chance === null || data.effect_chance === undefined ? 'a' : data.effect_chance).replace(/\s+/g, ' ').trim() : null
+    };
+}
+
+function isDamaging(move) {
+    return (move.category === 'physical' || move.category === 'special') && move.power > 0;
+}
+
+/**
+ * Expected strength of a move in a Pokemon's hands: power, accuracy, STAB
+ * and how its attacking stat compares with its better one
+ */
+function scoreMove(move, info) {
+    const attack = info.base_stats.attack;
+    const specialAttack = info.base_stats['special-attack'];
+    const stat = move.category === 'physical' ? attack : specialAttack;
+    const stab = info.types.includes(move.type) ? STAB_MULTIPLIER : 1;
+    const accuracy = move.accuracy === null ? 1 : move.accuracy / 100;
+
+    return Math.round(move.power * accuracy * stab * stat / Math.max(attack, specialAttack) * 10) / 10;
+}
+
+/**
+ * Defending types a set of attacking types hits super effectively
+ */
+function superEffectiveAgainst(attackTypes) {
+    return typeChart.TYPES.filter(defender => attackTypes.some(type => typeChart.getEffectiveness(type, [defender]) > 1));
+}
+
+/**
+ * Recommended attacks from the moves a Pokemon can learn
+ *
+ * info: PokemonTool info (types, base_stats); moves: parsed move details.
+ * Returns { stab, coverage } - the best-scoring attack of each of the
+ * Pokemon's types, then up to two moves of other types, picked for the most
+ * new super-effective hits. Each move carries its score and a reason.
+ */
+function recommendMoves(info, moves, options = {}) {
+    const limit = options.coverage === undefined ? COVERAGE_MOVES : options.coverage;
+    const candidates = moves
+        .filter(move => move && isDamaging(move) && !SITUATIONAL_MOVES.has(move.slug))
+        .map(move => ({ ...move, score: scoreMove(move, info) }))
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+    const stab = [];
+    for (const type of info.types) {
+        const best = candidates.find(move => move.type === type);
+        if (best) {
+            stab.push({ ...best, reason: `strongest ${capitalize(type)} STAB` });
+        }
+    }
+
+    const coverage = [];
+    const attackTypes = stab.map(move => move.type);
+    while (coverage.length < limit) {
+        const covered = new Set(superEffectiveAgainst(attackTypes));
+        const ranked = candidates
+            .filter(move => !attackTypes.includes(move.type) && !info.types.includes(move.type))
+            .map(move => ({ move, hits: superEffectiveAgainst([move.type]).filter(type => !covered.has(type)) }))
+            .filter(entry => entry.hits.length > 0)
+            .sort((a, b) => b.hits.length - a.hits.length || b.move.score - a.move.score);
+        if (ranked.length === 0) {
+            break;
+        }
+        const { move, hits } = ranked[0];
+        coverage.push({ ...move, hits, reason: `hits ${hits.map(capitalize).join(', ')} super effectively` });
+        attackTypes.push(move.type);
+    }
+
+    return { stab, coverage };
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    SITUATIONAL_MOVES,
+    parseMove,
+    isDamaging,
+    scoreMove,
+    recommendMoves
+};
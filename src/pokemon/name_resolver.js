@@ -0,0 +1,309 @@
+/**
+ * Pokemon name resolution
+ *
+ * Finds Pokemon names in free text using the bundled national dex index
+ * (src/data/species_index.json). Handles multi-word and punctuated names
+ * (Mr. Mime, Ho-Oh, Tapu Koko), regional forms ("Alolan Ninetales"), Mega
+ * Evolutions and other alternate forms ("Mega Charizard X", "Rotom Wash")
+ * and typos via Damerau-Levenshtein distance backed by a Metaphone check.
+ */
+
+const natural = require('natural');
+const speciesIndex = require('../data/species_index.json');
+
+const REGION_ADJECTIVES = {
+    alola: 'alolan',
+    galar: 'galarian',
+    hisui: 'hisuian',
+    paldea: 'paldean'
+};
+
+// Words that are never fuzzy-matched against names ("ground" is not a typo of "Groudon")
+const DOMAIN_WORDS = new Set([
+    'normal', 'fire', 'water', 'electric', 'grass', 'ice', 'fighting', 'poison', 'ground',
+    'flying', 'psychic', 'bug', 'rock', 'ghost', 'dragon', 'dark', 'steel', 'fairy',
+    'pokemon', 'pokedex', 'stat', 'stats', 'move', 'moves', 'moveset', 'ability', 'abilities',
+    'evolution', 'evolve', 'evolves', 'evolved', 'team', 'attack', 'defense', 'special', 'speed',
+    'level', 'item', 'items', 'nature', 'natures', 'breed', 'breeding', 'egg', 'eggs', 'group',
+    'matchup', 'versus', 'vs', 'compare', 'competitive', 'battle', 'weakness', 'weaknesses',
+    'strong', 'strength', 'strengths', 'tell', 'info', 'best', 'good', 'learn', 'learns',
+    'type', 'types', 'form', 'forms', 'mega', 'shiny', 'generation', 'region', 'habitat',
+    'hatch', 'damage', 'build', 'rate', 'finish', 'show', 'list', 'height', 'weight'
+]);
+
+// Region words only make sense as part of a longer name ("alolan ninetails")
+const REGION_WORDS = new Set([...Object.keys(REGION_ADJECTIVES), ...Object.values(REGION_ADJECTIVES)]);
+
+const STOP_WORDS = new Set(natural.stopwords);
+
+let index = null;
+
+/**
+ * Lowercase, strip accents and punctuation, and collapse separators to single spaces
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/♀/g, ' f')
+        .replace(/♂/g, ' m')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’.:]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Build alias and fuzzy lookup tables from the bundled index (once)
+ */
+function getIndex() {
+    if (index) {
+        return index;
+    }
+
+    const aliases = new Map();
+    const bySlug = new Map();
+    let maxAliasTokens = 1;
+
+    const addAlias = (alias, entry) => {
+        const key = normalizeText(alias);
+        const compactKey = key.replace(/ /g, '');
+        for (const candidate of [key, compactKey]) {
+            if (candidate && !aliases.has(candidate)) {
+                aliases.set(candidate, entry);
+            }
+        }
+        maxAliasTokens = Math.max(maxAliasTokens, key.split(' ').length);
+    };
+
+    for (const species of speciesIndex.species) {
+        const entry = { slug: species.slug, name: species.name, id: species.id, species: species.slug, region: null, form: null };
+        bySlug.set(entry.slug, entry);
+        addAlias(species.name, entry);
+        addAlias(species.slug, entry);
+    }
+
+    for (const form of speciesIndex.regional_forms) {
+        const entry = { slug: form.slug, name: form.name, id: form.id, species: form.species, region: form.region, form: form.region };
+        const baseName = bySlug.get(form.species).name;
+        bySlug.set(entry.slug, entry);
+        addAlias(form.name, entry);
+        addAlias(`${REGION_ADJECTIVES[form.region]} ${baseName}`, entry);
+        addAlias(`${form.region} ${baseName}`, entry);
+        addAlias(`${baseName} ${form.region}`, entry);
+        addAlias(form.slug, entry);
+    }
+
+    for (const form of speciesIndex.forms) {
+        const entry = { slug: form.slug, name: form.name, id: form.id, species: form.species, region: null, form: form.form };
+        const baseName = bySlug.get(form.species).name;
+        const [kind, ...variant] = form.form.split('-');
+        bySlug.set(entry.slug, entry);
+        addAlias(form.name, entry);
+        if (kind === 'mega' || kind === 'primal') {
+            // "Mega Charizard X", "Charizard Mega X"
+            addAlias(`${kind} ${baseName} ${variant.join(' ')}`, entry);
+            addAlias(form.slug, entry);
+            continue;
+        }
+        // "Rotom Wash", "Wash Rotom", "Giratina Origin Forme"; a bare form word that
+        // is also a stat or type ("Deoxys Speed", "Calyrex Ice") needs "forme" after it
+        const formWords = form.form.replace(/-/g, ' ');
+        const suffixes = form.form.split('-').some(word => DOMAIN_WORDS.has(word)) ? ['forme', 'form'] : ['', 'forme', 'form'];
+        for (const suffix of suffixes) {
+            addAlias(`${baseName} ${formWords} ${suffix}`, entry);
+            addAlias(`${formWords} ${suffix} ${baseName}`, entry);
+        }
+    }
+
+    // Compact keys ("mrmime", "alolanninetales") are what typos are measured against
+    const fuzzyCandidates = [];
+    for (const [key, entry] of aliases) {
+        if (!key.includes(' ')) {
+            fuzzyCandidates.push({ key, entry, phonetic: natural.Metaphone.process(key) });
+        }
+    }
+
+    index = { aliases, bySlug, fuzzyCandidates, maxAliasTokens };
+    return index;
+}
+
+/**
+ * Whether a typo distance is small enough to accept for a term of this length
+ */
+function isAcceptableDistance(length, distance, samePhonetic) {
+    if (length <= 5) return distance <= 1 && samePhonetic;
+    if (length <= 7) return distance <= 1 || (distance <= 2 && samePhonetic);
+    return distance <= 2 || (distance <= 3 && samePhonetic);
+}
+
+/**
+ * Closest index entry to a compact term, or null if nothing is close enough
+ */
+function fuzzyLookup(term) {
+    if (term.length < 4) {
+        return null;
+    }
+
+    const phonetic = natural.Metaphone.process(term);
+    let best = null;
+
+    for (const candidate of getIndex().fuzzyCandidates) {
+        if (Math.abs(candidate.key.length - term.length) > 3) {
+            continue;
+        }
+
+        const distance = natural.DamerauLevenshteinDistance(term, candidate.key);
+        const samePhonetic = candidate.phonetic === phonetic;
+        if (!isAcceptableDistance(term.length, distance, samePhonetic)) {
+            continue;
+        }
+
+        if (!best || distance < best.distance || (distance === best.distance && samePhonetic && !best.samePhonetic)) {
+            best = { entry: candidate.entry, distance, samePhonetic };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Whether a word can be part of a fuzzy-matched name
+ */
+function isFuzzyCandidateWord(word) {
+    return !STOP_WORDS.has(word) && !DOMAIN_WORDS.has(word);
+}
+
+/**
+ * Try to match a name starting at token position `start`
+ */
+function matchAt(tokens, start) {
+    const { aliases, maxAliasTokens } = getIndex();
+    const longest = Math.min(maxAliasTokens, tokens.length - start);
+
+    // Exact aliases first, longest span wins ("mr mime" before "mr")
+    for (let length = longest; length >= 1; length--) {
+        const words = tokens.slice(start, start + length);
+        const entry = aliases.get(words.join(' '));
+        if (entry && !(length === 1 && STOP_WORDS.has(words[0]))) {
+            return { entry, length, text: words.join(' '), distance: 0 };
+        }
+    }
+
+    // Then typo-tolerant matching on the compacted span
+    for (let length = Math.min(3, longest); length >= 1; length--) {
+        const words = tokens.slice(start, start + length);
+        if (!words.every(isFuzzyCandidateWord) || (length === 1 && REGION_WORDS.has(words[0]))) {
+            continue;
+        }
+        // A span containing an exact name is not a typo of a longer one ("xy squirtle")
+        if (length > 1 && words.some(word => aliases.has(word))) {
+            continue;
+        }
+
+        const fuzzy = fuzzyLookup(words.join(''));
+        if (fuzzy) {
+            return { entry: fuzzy.entry, length, text: words.join(' '), distance: fuzzy.distance };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find every Pokemon named in a query, in order of appearance
+ *
+ * Returns [{ slug, name, id, species, region, form, matched, corrected, distance }]
+ * where slug is the PokeAPI resource name ("mr-mime", "ninetales-alola",
+ * "charizard-mega-x") and form the form's name ("alola", "mega-x"), null for
+ * a species' default form.
+ */
+function findPokemonNames(query) {
+    const tokens = normalizeText(query).split(' ').filter(Boolean);
+    const matches = [];
+    const seen = new Set();
+
+    let position = 0;
+    while (position < tokens.length) {
+        const match = matchAt(tokens, position);
+        if (!match) {
+            position++;
+            continue;
+        }
+
+        if (!seen.has(match.entry.slug)) {
+            seen.add(match.entry.slug);
+            matches.push({
+                ...match.entry,
+                matched: match.text,
+                corrected: match.distance > 0,
+                distance: match.distance
+            });
+        }
+        position += match.length;
+    }
+
+    return matches;
+}
+
+/**
+ * Resolve a single name (e.g. "charzard", "Alolan Ninetales" or "Rotom Wash") to an index entry
+ */
+function resolvePokemonName(name) {
+    return findPokemonNames(name)[0] || null;
+}
+
+/**
+ * Closest names for "did you mean" hints when nothing resolved
+ */
+function suggestPokemonNames(query, limit = 3) {
+    const tokens = normalizeText(query).split(' ').filter(word => word.length >= 3 && isFuzzyCandidateWord(word) && !REGION_WORDS.has(word));
+    const terms = [...tokens];
+    for (let i = 0; i < tokens.length - 1; i++) {
+        terms.push(tokens[i] + tokens[i + 1]);
+    }
+
+    const scored = new Map();
+    for (const term of terms) {
+        const maxDistance = Math.max(2, Math.floor(term.length / 2));
+        for (const candidate of getIndex().fuzzyCandidates) {
+            if (Math.abs(candidate.key.length - term.length) > maxDistance) {
+                continue;
+            }
+            const distance = natural.DamerauLevenshteinDistance(term, candidate.key);
+            const previous = scored.get(candidate.entry.slug);
+            if (distance <= maxDistance && (!previous || distance < previous.distance)) {
+                scored.set(candidate.entry.slug, { name: candidate.entry.name, distance });
+            }
+        }
+    }
+
+    return [...scored.values()]
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(suggestion => suggestion.name);
+}
+
+/**
+ * Index entry ({ slug, name, id, species, region, form }) for a PokeAPI slug, or null if unknown
+ */
+function getEntry(slug) {
+    return getIndex().bySlug.get(slug) || null;
+}
+
+/**
+ * Display name for a PokeAPI slug ("mr-mime" → "Mr. Mime"), or null if unknown
+ */
+function getDisplayName(slug) {
+    const entry = getEntry(slug);
+    return entry ? entry.name : null;
+}
+
+module.exports = {
+    findPokemonNames,
+    resolvePokemonName,
+    suggestPokemonNames,
+    getEntry,
+    getDisplayName,
+    normalizeText
+};
@@ -0,0 +1,516 @@
+/**
+ * Pokedex queries - set-based questions as filter and sort expressions
+ *
+ * parseQuery() reads a question such as "fastest Fire types" or "Pokemon
+ * with base attack over 130 from gen 4" into
+ *
+ *   { filters: [{ field, op, value }], sort: { field, order } or null,
+ *     limit, include_forms }
+ *
+ * and runQuery() applies it to species table rows (src/pokemon/species_table.js),
+ * returning the matches ranked by the sort field.
+ */
+
+const typeChart = require('./type_chart');
+const { ROMAN_NUMERALS } = require('./learnset');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Filterable and sortable fields besides types, abilities, generation and status
+const FIELD_LABELS = {
+    hp: 'HP',
+    attack: 'Attack',
+    defense: 'Defense',
+    'special-attack': 'Special Attack',
+    'special-defense': 'Special Defense',
+    speed: 'Speed',
+    total: 'base stat total',
+    weight: 'weight',
+    height: 'height'
+};
+const OP_LABELS = { gt: 'over', gte: 'at least', lt: 'under', lte: 'at most', eq: 'of exactly' };
+const ROMAN = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX'];
+
+// Stat names as people write them; longer names first so "special attack" wins over "attack"
+const STAT_ALIASES = [
+    ['special-attack', 'special[ -]?attack|sp ?atk|sp ?attack|spatk|spa'],
+    ['special-defense', 'special[ -]?defen[cs]e|sp ?def(?:en[cs]e)?|spdef'],
+    ['total', 'base stat total|total base stats?|stat total|total stats?|bst'],
+    ['hp', 'hp|hit points'],
+    ['attack', 'attack|atk'],
+    ['defense', 'defen[cs]e|def'],
+    ['speed', 'speed|spe'],
+    ['weight', 'weight'],
+    ['height', 'height']
+];
+const STAT = `(?:base\\s+)?(${STAT_ALIASES.map(([, alias]) => alias).join('|')})(?:\\s+stats?)?`;
+
+const COMPARATORS = [
+    ['gte', 'at least|no less than|>='],
+    ['lte', 'at most|no more than|<='],
+    ['gt', 'over|above|greater than|more than|higher than|exceeding|>'],
+    ['lt', 'under|below|less than|lower than|<'],
+    ['eq', 'exactly|equal to|of|=']
+];
+const COMPARATOR = `(${COMPARATORS.map(([, words]) => words).join('|')})`;
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+// Units that name their field without it: "2 meters tall", "100 kg"
+const UNITS = [
+    ['height', 'm|meters?|metres?'],
+    ['weight', 'kg|kilos?|kilograms?']
+];
+const UNIT = `(${UNITS.map(([, words]) => words).join('|')})\\b(?:\\s+(?:tall|heavy))?`;
+
+// "base attack over 130", "attack of at least 120"
+const STAT_THEN_VALUE = new RegExp(`\\b${STAT}\\s*(?:is\\s+|of\\s+)?${COMPARATOR}\\s*${NUMBER}`, 'g');
+// "over 130 attack", "at least 100 base speed"
+const VALUE_THEN_STAT = new RegExp(`${COMPARATOR}\\s*${NUMBER}\\s+${STAT}\\b`, 'g');
+// "130+ attack", "100 or more speed"
+const OPEN_VALUE_STAT = new RegExp(`\\b${NUMBER}\\s*(\\+|or more|or higher|or less|or lower)\\s+${STAT}\\b`, 'g');
+// "speed between 90 and 110", "weight from 100 to 200 kg"
+const STAT_RANGE = new RegExp(`\\b${STAT}\\s*(?:is\\s+)?(?:between|from)\\s+${NUMBER}\\s*(?:and|to|-)\\s*${NUMBER}`, 'g');
+// "between 90 and 110 speed", "between 1 and 2 meters tall"
+const RANGE_THEN_STAT = new RegExp(`\\b(?:between|from)\\s+${NUMBER}\\s*(?:and|to|-)\\s*${NUMBER}\\s*(?:${UNIT}|${STAT}\\b)`, 'g');
+// "over 2 meters tall", "under 10 kg"
+const VALUE_THEN_UNIT = new RegExp(`${COMPARATOR}\\s*${NUMBER}\\s*${UNIT}`, 'g');
+// "taller than 2 meters", "lighter than 5 kg"
+const MEASURE_COMPARISON = new RegExp(`\\b(taller|shorter|heavier|lighter)\\s+than\\s+${NUMBER}(?:\\s*${UNIT})?`, 'g');
+
+// Rankings by a named stat: "highest special attack", "sorted by speed"
+const STAT_SORT = new RegExp(`\\b(highest|most|best|biggest|greatest|largest|top|max(?:imum)?|strongest|lowest|least|worst|smallest|min(?:imum)?|weakest|(?:sorted|ordered|ranked) by)\\s+${STAT}\\b`);
+const ASCENDING_WORDS = /^(lowest|least|worst|smallest|min(?:imum)?|weakest)$/;
+
+// Superlatives that imply a stat; "strongest against" is a matchup question
+const SUPERLATIVES = [
+    [/\bfastest\b/, 'speed', 'desc'],
+    [/\bslowest\b/, 'speed', 'asc'],
+    [/\bstrongest\b(?!\s+(?:against|to|vs)\b)/, 'total', 'desc'],
+    [/\bweakest\b(?!\s+(?:against|to|vs)\b)/, 'total', 'asc'],
+    [/\bheaviest\b/, 'weight', 'desc'],
+    [/\blightest\b/, 'weight', 'asc'],
+    [/\b(tallest|biggest|largest)\b/, 'height', 'desc'],
+    [/\b(shortest|smallest)\b/, 'height', 'asc']
+];
+const RANKED_COUNT = /\b(?:top|first)\s+(\d+)\b|\b(\d+)\s+(?:of\s+the\s+)?(?:fastest|slowest|strongest|weakest|heaviest|lightest|tallest|shortest|smallest|biggest|largest|highest|lowest|best|worst)\b/;
+
+const REGIONS = { kanto: 1, johto: 2, hoenn: 3, sinnoh: 4, unova: 5, kalos: 6, alola: 7, galar: 8, hisui: 8, paldea: 9 };
+const GENERATION = '(?:gen(?:eration)?s?\\s*)';
+const GENERATION_NUMBER = '([1-9]|i{1,3}|iv|vi{0,3}|ix)';
+
+// Words that make a bare type or generation a question about a set of Pokemon
+const SET_CUE = /\b(pokemon|species|types|all|every|list|which|show)\b/;
+// Type questions about matchups, not species ("what is fire weak to")
+const MATCHUP_CUE = /\b(weak|weakness(?:es)?|resist(?:s|ant|ances?)?|effective|immune|immunit(?:y|ies)|strong against|super)\b/;
+const FORMS_CUE = /\b(megas?|mega evolutions?|primals?|gigantamax|gmax|(?:all|including|with|and) (?:alternate |battle )?forms)\b/;
+const MEGA_CUE = /\b(megas|mega evolutions?|mega forms?)\b/;
+
+// "have Levitate", "with the hidden ability Levitate", "Levitate as a hidden ability"
+const ABILITY_BEFORE = /(?:\b(?:have|has|having|with|get|gets|getting)\s+(?:the\s+|an?\s+)?(?:(hidden)\s+)?(?:abilit(?:y|ies)\s+)?|\b(?:(hidden)\s+)?abilit(?:y|ies)\s+(?:called\s+|named\s+|of\s+)?)$/;
+const ABILITY_AFTER = /^\s+(?:as\s+(?:an?|its|their)\s+)?(?:(hidden)\s+)?abilit(?:y|ies)\b/;
+
+function normalize(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/é/g, 'e')
+        .replace(/[^a-z0-9.+<>=/\s-]+/g, ' ')
+        .replace(/\.(?!\d)|(?<!\d)\./g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function parseNumber(text) {
+    return /^\d+$/.test(text) ? parseInt(text, 10) : ROMAN_NUMERALS[text] || null;
+}
+
+function statField(text) {
+    const match = STAT_ALIASES.find(([, alias]) => new RegExp(`^(?:${alias})$`).test(text));
+    return match ? match[0] : null;
+}
+
+function unitField(text) {
+    return UNITS.find(([, words]) => new RegExp(`^(?:${words})$`).test(text))[0];
+}
+
+function range(low, high) {
+    return [Number(low), Number(high)].sort((a, b) => a - b);
+}
+
+function comparatorOp(text) {
+    return COMPARATORS.find(([, words]) => new RegExp(`^(?:${words})$`).test(text))[0];
+}
+
+/**
+ * Blank out a matched span so later clauses do not read it again
+ */
+function consume(text, index, length) {
+    return text.slice(0, index) + ' '.repeat(length) + text.slice(index + length);
+}
+
+function parseAbilities(text, abilities) {
+    // Longest names first, so "speed boost" is not also read as the Speed stat
+    const found = [];
+    for (const slug of abilities.slice().sort((a, b) => b.length - a.length)) {
+        const match = new RegExp(`\\b${slug.replace(/-/g, '[ -]')}\\b`).exec(text);
+        if (match && !found.some(other => match.index < other.index + other.length && other.index < match.index + match[0].length)) {
+            found.push({ slug, index: match.index, length: match[0].length });
+        }
+    }
+
+    // Then left to right, so a list shares one cue: "with levitate or flash fire"
+    const filters = [];
+    for (const { slug, index, length } of found.sort((a, b) => a.index - b.index)) {
+        const before = ABILITY_BEFORE.exec(text.slice(0, index));
+        const after = ABILITY_AFTER.exec(text.slice(index + length));
+        const listed = filters.length > 0 ? /(?:\b(or|and)|,)\s*$/.exec(text.slice(0, index)) : null;
+        if (listed && !before) {
+            const previous = filters[filters.length - 1];
+            previous.value.push(slug);
+            previous.op = listed[1] === 'or' ? 'any' : 'all';
+            previous.hidden = previous.hidden || Boolean(after && after[1]);
+        } else if (before || after) {
+            filters.push({ field: 'abilities', op: 'all', value: [slug], hidden: Boolean((before && (before[1] || before[2])) || (after && after[1])) });
+        } else {
+            continue;
+        }
+        text = consume(text, index, length);
+    }
+    return { filters, text };
+}
+
+function parseStatFilters(text) {
+    const filters = [];
+    // Ranges first, so their bounds are not read as thresholds
+    const patterns = [
+        [STAT_RANGE, match => ({ field: statField(match[1]), op: 'between', value: range(match[2], match[3]) })],
+        [RANGE_THEN_STAT, match => ({ field: match[3] ? unitField(match[3]) : statField(match[4]), op: 'between', value: range(match[1], match[2]) })],
+        [MEASURE_COMPARISON, match => ({ field: /taller|shorter/.test(match[1]) ? 'height' : 'weight', op: /taller|heavier/.test(match[1]) ? 'gt' : 'lt', value: Number(match[2]) })],
+        [VALUE_THEN_UNIT, match => ({ field: unitField(match[3]), op: comparatorOp(match[1]), value: Number(match[2]) })],
+        [STAT_THEN_VALUE, match => ({ field: statField(match[1]), op: comparatorOp(match[2]), value: Number(match[3]) })],
+        [VALUE_THEN_STAT, match => ({ field: statField(match[3]), op: comparatorOp(match[1]), value: Number(match[2]) })],
+        [OPEN_VALUE_STAT, match => ({ field: statField(match[3]), op: /less|lower/.test(match[2]) ? 'lte' : 'gte', value: Number(match[1]) })]
+    ];
+    for (const [pattern, read] of patterns) {
+        for (const match of text.matchAll(pattern)) {
+            filters.push(read(match));
+            text = consume(text, match.index, match[0].length);
+        }
+    }
+    return { filters, text };
+}
+
+function parseSort(text) {
+    const explicit = STAT_SORT.exec(text);
+    if (explicit) {
+        return {
+            sort: { field: statField(explicit[2]), order: ASCENDING_WORDS.test(explicit[1]) ? 'asc' : 'desc' },
+            text: consume(text, explicit.index, explicit[0].length)
+        };
+    }
+    for (const [pattern, field, order] of SUPERLATIVES) {
+        const match = pattern.exec(text);
+        if (match) {
+            return { sort: { field, order }, text: consume(text, match.index, match[0].length) };
+        }
+    }
+    return { sort: null, text };
+}
+
+/**
+ * Types named as types in a question: "dragon/ground" (both), "fire or
+ * water types" (either), "pure fire" (only that type)
+ *
+ * A bare type word is not a filter ("glows in the dark", "breathes fire");
+ * it has to be followed by "type(s)" or "Pokemon", be part of a slashed
+ * pair or carry a "pure" prefix.
+ */
+function parseTypes(text) {
+    const type = `(?:${typeChart.TYPES.join('|')})`;
+    const group = new RegExp(`\\b(?:(pure|mono|single)[ -]?)?(${type}(?:\\s*(?:/|,|&|\\bor\\b|\\band\\b)\\s*${type})*)\\b(?=([ -]?types?\\b|\\s+(?:pokemon|mons?)\\b)?)`, 'g');
+    const phrases = [...text.matchAll(group)].filter(match => match[1] || match[3] || match[2].includes('/'));
+    if (phrases.length === 0) {
+        return [];
+    }
+
+    const types = [...new Set(phrases.flatMap(match => match[2].match(new RegExp(`\\b${type}\\b`, 'g'))))];
+    if (types.length === 1) {
+        return [{ field: 'types', op: phrases[0][1] ? 'exact' : 'all', value: types }];
+    }
+    const last = phrases[phrases.length - 1];
+    const between = text.slice(phrases[0].index, last.index + last[0].length);
+    return [{ field: 'types', op: /\bor\b/.test(between) ? 'any' : 'all', value: types }];
+}
+
+function parseGeneration(text) {
+    const range = new RegExp(`\\b${GENERATION}${GENERATION_NUMBER}\\s*(?:-|to|through)\\s*${GENERATION}?${GENERATION_NUMBER}\\b`).exec(text);
+    if (range) {
+        const [from, to] = [parseNumber(range[1]), parseNumber(range[2])].sort((a, b) => a - b);
+        return [{ field: 'generation', op: 'between', value: [from, to] }];
+    }
+
+    const single = new RegExp(`\\b(before|after|since|from)?\\s*${GENERATION}${GENERATION_NUMBER}\\b(\\s+(?:or|and)\\s+(?:later|newer|after|up|earlier|older|before))?`).exec(text);
+    if (single) {
+        const value = parseNumber(single[2]);
+        const suffix = single[3] || '';
+        if (single[1] === 'before') return [{ field: 'generation', op: 'lt', value }];
+        if (single[1] === 'after') return [{ field: 'generation', op: 'gt', value }];
+        if (single[1] === 'since' || /later|newer|after|up/.test(suffix)) return [{ field: 'generation', op: 'gte', value }];
+        if (/earlier|older|before/.test(suffix)) return [{ field: 'generation', op: 'lte', value }];
+        return [{ field: 'generation', op: 'eq', value }];
+    }
+
+    const region = new RegExp(`\\b(${Object.keys(REGIONS).join('|')})\\b`).exec(text);
+    return region ? [{ field: 'generation', op: 'eq', value: REGIONS[region[1]] }] : [];
+}
+
+function parseStatus(text) {
+    const included = [];
+    const excluded = [];
+    for (const [status, pattern] of [['legendary', /\b(non[ -]?|not\s+)?legendar(?:y|ies)\b/], ['mythical', /\b(non[ -]?|not\s+)?myth(?:ical|icals|ic)\b/]]) {
+        const match = pattern.exec(text);
+        if (match) {
+            (match[1] ? excluded : included).push(status);
+        }
+    }
+    const filters = [];
+    if (included.length > 0) filters.push({ field: 'status', op: 'in', value: included });
+    if (excluded.length > 0) filters.push({ field: 'status', op: 'not_in', value: excluded });
+    return filters;
+}
+
+/**
+ * Read a set-based question into a filter and sort expression
+ *
+ * abilities lists the ability slugs that can be filtered on (the species
+ * table's). Returns null when the question has nothing to filter or rank
+ * by, or only a type or generation without asking for a set of Pokemon.
+ */
+function parseQuery(query, options = {}) {
+    let text = normalize(query);
+    const original = text;
+
+    const abilities = parseAbilities(text, options.abilities || []);
+    text = abilities.text;
+    const stats = parseStatFilters(text);
+    text = stats.text;
+    const sorted = parseSort(text);
+    text = sorted.text;
+
+    const filters = [...parseTypes(text), ...stats.filters, ...abilities.filters, ...parseGeneration(text), ...parseStatus(text)];
+    if (MEGA_CUE.test(original)) {
+        filters.push({ field: 'form', op: 'eq', value: 'mega' });
+    }
+    const sort = sorted.sort;
+
+    const specific = sort || abilities.filters.length > 0 || stats.filters.length > 0;
+    if (!specific && (filters.length === 0 || !SET_CUE.test(original) || MATCHUP_CUE.test(original))) {
+        return null;
+    }
+
+    const count = RANKED_COUNT.exec(original);
+    const limit = count ? parseInt(count[1] || count[2], 10) : /\b(all|every)\b/.test(original) ? MAX_LIMIT : DEFAULT_LIMIT;
+
+    return {
+        filters,
+        sort,
+        limit: Math.min(Math.max(limit, 1), MAX_LIMIT),
+        include_forms: FORMS_CUE.test(original)
+    };
+}
+
+function fieldValue(row, field) {
+    switch (field) {
+        case 'total': return row.total;
+        case 'weight': return row.weight_kg;
+        case 'height': return row.height_m;
+        default: return row.stats[field];
+    }
+}
+
+function matchesFilter(row, filter) {
+    switch (filter.field) {
+        case 'types':
+            if (filter.op === 'any') return filter.value.some(type => row.types.includes(type));
+            if (filter.op === 'exact') return row.types.length === filter.value.length && filter.value.every(type => row.types.includes(type));
+            return filter.value.every(type => row.types.includes(type));
+        case 'abilities': {
+            const has = ability => filter.hidden ? row.hidden_ability === ability : row.abilities.includes(ability);
+            return filter.op === 'any' ? filter.value.some(has) : filter.value.every(has);
+        }
+        case 'status': {
+            const statuses = [row.is_legendary && 'legendary', row.is_mythical && 'mythical'].filter(Boolean);
+            const listed = filter.value.some(status => statuses.includes(status));
+            return filter.op === 'in' ? listed : !listed;
+        }
+        case 'generation':
+            return compare(row.generation, filter.op, filter.value);
+        case 'form':
+            return Boolean(row.form) && (row.form === filter.value || row.form.startsWith(`${filter.value}-`));
+        default:
+            return compare(fieldValue(row, filter.field), filter.op, filter.value);
+    }
+}
+
+function compare(actual, op, value) {
+    if (actual === null || actual === undefined) return false;
+    switch (op) {
+        case 'gt': return actual > value;
+        case 'gte': return actual >= value;
+        case 'lt': return actual < value;
+        case 'lte': return actual <= value;
+        case 'between': return actual >= value[0] && actual <= value[1];
+        default: return actual === value;
+    }
+}
+
+/**
+ * The sort a query ranks by: its own, else the first stat it filters on
+ * (highest first, lowest first for "under" and "at most"), else none
+ */
+function effectiveSort(query) {
+    if (query.sort) {
+        return query.sort;
+    }
+    const statFilter = query.filters.find(filter => FIELD_LABELS[filter.field]);
+    return statFilter ? { field: statFilter.field, order: ['lt', 'lte'].includes(statFilter.op) ? 'asc' : 'desc' } : null;
+}
+
+/**
+ * Apply a parsed query to species table rows
+ *
+ * Battle-only forms (Mega Evolutions, Primal Reversions, Gigantamax) only
+ * count when the query asks for them. Without a sort, matches stay in
+ * Pokedex order. Returns { total, sort, results: [{ rank, ...row, value }] };
+ * value is the sort field's value, or null.
+ */
+function runQuery(rows, query) {
+    const sort = effectiveSort(query);
+    const matches = rows
+        .filter(row => query.include_forms || !row.is_battle_only)
+        .filter(row => query.filters.every(filter => matchesFilter(row, filter)));
+
+    if (sort) {
+        const direction = sort.order === 'asc' ? 1 : -1;
+        matches.sort((a, b) => direction * (fieldValue(a, sort.field) - fieldValue(b, sort.field)) || a.id - b.id || Number(b.is_default) - Number(a.is_default));
+    }
+
+    return {
+        total: matches.length,
+        sort,
+        results: matches.slice(0, query.limit).map((row, index) => ({
+            rank: index + 1,
+            ...row,
+            value: sort ? fieldValue(row, sort.field) : null
+        }))
+    };
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatAbility(slug) {
+    return slug.split('-').map(capitalize).join(' ');
+}
+
+/**
+ * A field's value with its unit: "100", "90.5 kg", "1.7 m"
+ */
+function formatValue(field, value) {
+    if (field === 'weight') return `${value} kg`;
+    if (field === 'height') return `${value} m`;
+    return `${value}`;
+}
+
+/**
+ * Short column label of a field: "Speed", "BST", "Weight"
+ */
+function formatFieldLabel(field) {
+    return field === 'total' ? 'BST' : capitalize(FIELD_LABELS[field]);
+}
+
+/**
+ * A stat filter's bound in words: "over 130", "between 1 m and 2 m"
+ */
+function describeThreshold(filter) {
+    if (filter.op === 'between') {
+        return `between ${formatValue(filter.field, filter.value[0])} and ${formatValue(filter.field, filter.value[1])}`;
+    }
+    return `${OP_LABELS[filter.op]} ${formatValue(filter.field, filter.value)}`;
+}
+
+function describeGeneration(filter) {
+    switch (filter.op) {
+        case 'between': return `from Generations ${ROMAN[filter.value[0]]}-${ROMAN[filter.value[1]]}`;
+        case 'lt': return `from before Generation ${ROMAN[filter.value]}`;
+        case 'lte': return `from Generation ${ROMAN[filter.value]} or earlier`;
+        case 'gt': return `from after Generation ${ROMAN[filter.value]}`;
+        case 'gte': return `from Generation ${ROMAN[filter.value]} onward`;
+        default: return `from Generation ${ROMAN[filter.value]}`;
+    }
+}
+
+/**
+ * What a query selects, in words: "Fire-type Pokemon with base Attack over
+ * 130 from Generation IV"
+ */
+function describeQuery(query) {
+    const byField = field => query.filters.filter(filter => filter.field === field);
+
+    const status = byField('status').map(filter => filter.op === 'in'
+        ? filter.value.join(' or ')
+        : filter.value.map(value => `non-${value}`).join(', '));
+    const types = byField('types').map(filter => {
+        const names = filter.value.map(capitalize);
+        if (filter.op === 'exact') return `pure ${names[0]}-type`;
+        return filter.op === 'any' ? names.map(name => `${name}-type`).join(' or ') : `${names.join('/')}-type`;
+    });
+
+    const conditions = [
+        ...byField('abilities').map(filter => `${filter.value.map(formatAbility).join(filter.op === 'any' ? ' or ' : ' and ')}${filter.hidden ? ` as ${filter.value.length > 1 ? 'hidden abilities' : 'a hidden ability'}` : ''}`),
+        ...query.filters
+            .filter(filter => FIELD_LABELS[filter.field])
+            .map(filter => `${['weight', 'height'].includes(filter.field) ? '' : 'base '}${FIELD_LABELS[filter.field]} ${describeThreshold(filter)}`)
+    ];
+
+    const megas = byField('form').length > 0;
+    let description = [...status, ...types, megas ? 'Mega Evolutions' : 'Pokemon'].join(' ');
+    if (conditions.length > 0) {
+        description += ` with ${conditions.join(' and ')}`;
+    }
+    for (const filter of byField('generation')) {
+        description += ` ${describeGeneration(filter)}`;
+    }
+    if (query.include_forms && !megas) {
+        description += ' (including battle-only forms)';
+    }
+    return description;
+}
+
+/**
+ * How results are ranked, in words ("fastest first"), or null when unsorted
+ */
+function describeSort(sort) {
+    if (!sort) {
+        return null;
+    }
+    const desc = sort.order === 'desc';
+    switch (sort.field) {
+        case 'speed': return desc ? 'fastest first' : 'slowest first';
+        case 'weight': return desc ? 'heaviest first' : 'lightest first';
+        case 'height': return desc ? 'tallest first' : 'shortest first';
+        default: return `${desc ? 'highest' : 'lowest'} ${FIELD_LABELS[sort.field]} first`;
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseQuery,
+    runQuery,
+    describeQuery,
+    describeSort,
+    formatFieldLabel,
+    formatValue
+};
@@ -0,0 +1,404 @@
+/**
+ * Semantic index - embedding search over Pokedex entries, abilities and moves
+ *
+ * Documents are built from PokeAPI payloads (species flavor text and genus,
+ * ability and move effects plus their flavor text), embedded with a sentence
+ * embedding backend and stored on disk:
+ *
+ *   <directory>/index.json   manifest: backend, dimensions and document list
+ *   <directory>/vectors.bin  Float32 vectors, one row per document
+ *
+ * Builds are incremental: each document keeps a hash of its text, so a rebuild
+ * only embeds new or changed documents. Switching backends re-embeds
+ * everything.
+ *
+ * Usage: npm run index:build -- [--kinds pokemon,ability,move] [--limit n] [--dir data/semantic_index]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createEmbeddingBackend } = require('../agent/embeddings');
+const HashingBackend = require('../agent/embeddings/hashing_backend');
+
+const DEFAULT_INDEX_DIR = path.join(__dirname, '..', '..', 'data', 'semantic_index');
+const INDEX_VERSION = 1;
+const FETCH_CONCURRENCY = 8;
+
+/**
+ * Document kinds: the PokeAPI resource each is built from, the payload cache
+ * key (species share PokemonTool's keys) and the text extracted from it
+ */
+const DOCUMENT_KINDS = {
+    pokemon: {
+        resource: 'pokemon-species',
+        cacheKey: name => `pokemon_${name}_species`,
+        extract: data => {
+            const genus = englishEntries(data.genera, 'genus')[0];
+            return [genus ? `${englishName(data)}, the ${genus}.` : `${englishName(data)}.`, ...englishEntries(data.flavor_text_entries, 'flavor_text')];
+        }
+    },
+    ability: {
+        resource: 'ability',
+        cacheKey: name => `ability_${name}`,
+        extract: data => [...effectText(data), ...englishEntries(data.flavor_text_entries, 'flavor_text')]
+    },
+    move: {
+        resource: 'move',
+        cacheKey: name => `move_${name}`,
+        extract: data => [...effectText(data), ...englishEntries(data.flavor_text_entries, 'flavor_text')]
+    }
+};
+
+/**
+ * Unique English values of a PokeAPI localized list, whitespace-normalized
+ */
+function englishEntries(entries, field) {
+    const seen = new Set();
+    const values = [];
+    for (const entry of entries || []) {
+        if (!entry.language || entry.language.name !== 'en') {
+            continue;
+        }
+        const value = cleanText(entry[field]);
+        if (value && !seen.has(value.toLowerCase())) {
+            seen.add(value.toLowerCase());
+            values.push(value);
+        }
+    }
+    return values;
+}
+
+function englishName(data) {
+    const name = (data.names || []).find(entry => entry.language && entry.language.name === 'en');
+    return name ? name.name : data.name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Short effect of an ability or move, with "$effect_chance%" filled in
+ */
+function effectText(data) {
+    return englishEntries(data.effect_entries, 'short_effect')
+        .map(text => text.replace(/\$effect_chance/g, data.effect_chance === null || data.effect_chance === undefined ? 'a' : data.effect_chance));
+}
+
+function cleanText(text) {
+    return String(text || '')
+        .replace(/[\s\u000c\u00ad]+/g, ' ')
+        .replace(/POKéMON/g, 'Pokémon')
+        .trim();
+}
+
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+class SemanticIndex {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory || process.env.SEMANTIC_INDEX_DIR || DEFAULT_INDEX_DIR);
+        this.dataSource = options.dataSource || null;
+        this.cache = options.cache || null;
+        this.backend = options.backend || null;
+        this.documents = null;
+        this.vectors = null;
+        this.manifest = null;
+    }
+
+    get manifestPath() {
+        return path.join(this.directory, 'index.json');
+    }
+
+    get vectorsPath() {
+        return path.join(this.directory, 'vectors.bin');
+    }
+
+    /**
+     * The configured embedding backend, or the hashing backend when it is
+     * disabled or its model cannot be loaded
+     */
+    async getBackend() {
+        if (this.backend) {
+            return this.backend;
+        }
+
+        let backend = null;
+        try {
+            backend = createEmbeddingBackend();
+            if (backend) {
+                await backend.load();
+            }
+        } catch (error) {
+            logger.warn(`Semantic index falling back to hashed embeddings: ${error.message}`);
+            backend = null;
+        }
+
+        this.backend = backend || new HashingBackend();
+        return this.backend;
+    }
+
+    /**
+     * Read the stored index; returns false when there is none
+     */
+    load() {
+        if (!fs.existsSync(this.manifestPath) || !fs.existsSync(this.vectorsPath)) {
+            return false;
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+        if (manifest.version !== INDEX_VERSION) {
+            return false;
+        }
+
+        const buffer = fs.readFileSync(this.vectorsPath);
+        const values = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+        this.vectors = manifest.documents.map((doc, row) => values.subarray(row * manifest.dimensions, (row + 1) * manifest.dimensions));
+        this.documents = manifest.documents;
+        this.manifest = manifest;
+        return true;
+    }
+
+    isLoaded() {
+        return this.documents !== null;
+    }
+
+    /**
+     * Build or update the index from the data source
+     *
+     * Only documents whose text changed since the last build are embedded.
+     * Kinds that cannot be listed keep their previous documents. Returns
+     * { documents, embedded, reused, removed, backend }.
+     */
+    async build(options = {}) {
+        if (!this.dataSource) {
+            throw new Error('Building the semantic index needs a data source');
+        }
+
+        const kinds = options.kinds || Object.keys(DOCUMENT_KINDS);
+        for (const kind of kinds) {
+            if (!DOCUMENT_KINDS[kind]) {
+                throw new Error(`Unknown document kind '${kind}' (expected ${Object.keys(DOCUMENT_KINDS).join(', ')})`);
+            }
+        }
+
+        const backend = await this.getBackend();
+        const previous = this.load() && this.manifest.backend === backend.describe()
+            ? new Map(this.documents.map((doc, row) => [doc.id, { doc, vector: this.vectors[row] }]))
+            : new Map();
+
+        const documents = [];
+        for (const kind of kinds) {
+            documents.push(...await this._collectDocuments(kind, previous, options));
+        }
+        // Kinds not rebuilt this time are kept as they were
+        for (const entry of previous.values()) {
+            if (!kinds.includes(entry.doc.kind)) {
+                documents.push(entry.doc);
+            }
+        }
+
+        const changed = documents.filter(doc => {
+            const entry = previous.get(doc.id);
+            return !entry || entry.doc.hash !== doc.hash;
+        });
+        const embedded = changed.length > 0 ? await backend.embed(changed.map(doc => doc.text)) : [];
+        const fresh = new Map(changed.map((doc, i) => [doc.id, embedded[i]]));
+
+        const vectors = documents.map(doc => fresh.get(doc.id) || previous.get(doc.id).vector);
+        const ids = new Set(documents.map(doc => doc.id));
+        const removed = [...previous.keys()].filter(id => !ids.has(id)).length;
+
+        this._save(backend, documents, vectors);
+        this.load();
+
+        const stats = { documents: documents.length, embedded: changed.length, reused: documents.length - changed.length, removed, backend: backend.describe() };
+        logger.info(`Semantic index: ${stats.documents} documents (${stats.embedded} embedded, ${stats.reused} reused, ${stats.removed} removed)`);
+        return stats;
+    }
+
+    /**
+     * Rank documents by cosine similarity to the query
+     *
+     * Returns [{ id, kind, name, label, score, snippet }].
+     */
+    async search(query, options = {}) {
+        if (!this.isLoaded() && !this.load()) {
+            throw new Error(`No semantic index in ${this.directory}; run npm run index:build`);
+        }
+
+        const backend = await this.getBackend();
+        if (this.manifest.backend !== backend.describe()) {
+            throw new Error(`The semantic index was built with ${this.manifest.backend} but ${backend.describe()} is configured; run npm run index:build`);
+        }
+
+        const [queryVector] = await backend.embed([query]);
+        const limit = options.limit || 5;
+
+        return this.documents
+            .map((doc, row) => ({ doc, score: cosine(queryVector, this.vectors[row]) }))
+            .filter(({ doc, score }) => score > 0 && (!options.kind || doc.kind === options.kind))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ doc, score }) => ({
+                id: doc.id,
+                kind: doc.kind,
+                name: doc.name,
+                label: doc.label,
+                score: Math.round(score * 1000) / 1000,
+                snippet: this._snippet(doc.text, query, backend)
+            }));
+    }
+
+    /**
+     * Documents for one kind, reusing the previous build's document when the
+     * resource cannot be fetched
+     */
+    async _collectDocuments(kind, previous, options) {
+        const definition = DOCUMENT_KINDS[kind];
+        const keepPrevious = () => [...previous.values()].filter(entry => entry.doc.kind === kind).map(entry => entry.doc);
+
+        let names;
+        try {
+            names = await this.dataSource.list(definition.resource, { signal: options.signal });
+        } catch (error) {
+            logger.warn(`Could not list ${definition.resource}: ${error.message}`);
+            return keepPrevious();
+        }
+        if (options.limit) {
+            names = names.slice(0, options.limit);
+        }
+
+        const documents = new Array(names.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < names.length) {
+                const index = next++;
+                const name = names[index];
+                try {
+                    const data = await this._fetch(definition, name, options);
+                    const text = definition.extract(data).join(' ');
+                    documents[index] = { id: `${kind}:${name}`, kind, name, label: englishName(data), text, hash: hashText(text) };
+                } catch (error) {
+                    logger.warn(`Skipping ${definition.resource}/${name}: ${error.message}`);
+                    const entry = previous.get(`${kind}:${name}`);
+                    documents[index] = entry ? entry.doc : null;
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, names.length) }, worker));
+
+        return documents.filter(doc => doc && doc.text);
+    }
+
+    async _fetch(definition, name, options) {
+        const fetchData = async (signal) => (await this.dataSource.get(`/${definition.resource}/${name}`, { signal })).data;
+        if (!this.cache) {
+            return fetchData(options.signal);
+        }
+        return this.cache.getOrFetch(definition.cacheKey(name), fetchData, { signal: options.signal });
+    }
+
+    /**
+     * Write the manifest and vectors through temp files so readers never see
+     * a half-written index
+     */
+    _save(backend, documents, vectors) {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const dimensions = vectors.length > 0 ? vectors[0].length : 0;
+        const values = new Float32Array(documents.length * dimensions);
+        vectors.forEach((vector, row) => values.set(vector, row * dimensions));
+
+        const manifest = {
+            version: INDEX_VERSION,
+            backend: backend.describe(),
+            dimensions,
+            built_at: new Date().toISOString(),
+            documents
+        };
+
+        const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        fs.writeFileSync(`${this.vectorsPath}.${suffix}`, Buffer.from(values.buffer));
+        fs.writeFileSync(`${this.manifestPath}.${suffix}`, JSON.stringify(manifest));
+        fs.renameSync(`${this.vectorsPath}.${suffix}`, this.vectorsPath);
+        fs.renameSync(`${this.manifestPath}.${suffix}`, this.manifestPath);
+    }
+
+    /**
+     * The sentence of a document that shares the most words with the query
+     */
+    _snippet(text, query, backend) {
+        const tokenize = typeof backend.tokenize === 'function' ? backend.tokenize.bind(backend) : HashingBackend.prototype.tokenize.bind(new HashingBackend());
+        const queryTokens = new Set(tokenize(query));
+        const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+
+        let best = sentences[0];
+        let bestOverlap = -1;
+        for (const sentence of sentences) {
+            const overlap = tokenize(sentence).filter(token => queryTokens.has(token)).length;
+            if (overlap > bestOverlap) {
+                best = sentence;
+                bestOverlap = overlap;
+            }
+        }
+
+        best = best.trim();
+        return best.length > 200 ? `${best.slice(0, 197)}...` : best;
+    }
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function parseArgs(argv) {
+    const options = { kinds: null, limit: null, directory: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--kinds') {
+            options.kinds = argv[++i].split(',').map(kind => kind.trim()).filter(Boolean);
+        } else if (arg === '--limit') {
+            options.limit = parseInt(argv[++i]);
+        } else if (arg === '--dir') {
+            options.directory = argv[++i];
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const { createDataSource } = require('../tools/data_sources');
+            const TieredCache = require('../utils/tiered_cache');
+            const options = parseArgs(process.argv.slice(2));
+
+            const index = new SemanticIndex({
+                directory: options.directory,
+                dataSource: createDataSource(),
+                // Same namespace as PokemonTool, so cached payloads are shared
+                cache: new TieredCache({ namespace: 'pokeapi', ttl: 3600, staleTtl: parseInt(process.env.CACHE_STALE_TTL) || 7 * 24 * 3600 })
+            });
+            await index.build({ kinds: options.kinds, limit: options.limit });
+            logger.info(`Saved semantic index to ${index.directory}`);
+        } catch (error) {
+            logger.error(`Semantic index build failed: ${error.message}`);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = SemanticIndex;
+module.exports.DOCUMENT_KINDS = DOCUMENT_KINDS;
+module.exports.DEFAULT_INDEX_DIR = DEFAULT_INDEX_DIR;
@@ -0,0 +1,259 @@
+/**
+ * Species table - one row of Pokedex facts per Pokemon and alternate form
+ *
+ * Rows are built from PokeAPI `/pokemon`, `/pokemon-species` and
+ * `/pokemon-form` payloads and stored as one JSON file, so set-based
+ * questions ("fastest Fire types") are answered locally:
+ *
+ *   { slug, name, species, id, form, is_default, is_battle_only, types,
+ *     abilities, hidden_ability, stats, total, height_m, weight_kg,
+ *     generation, is_legendary, is_mythical }
+ *
+ * Purely cosmetic forms (same types, abilities and stats as the species'
+ * default, e.g. Pikachu's caps) are left out.
+ *
+ * Usage: npm run table:build -- [--limit n] [--path data/species_table.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const forms = require('./forms');
+const nameResolver = require('./name_resolver');
+const { STAT_NAMES } = require('./stat_calc');
+const { parseGeneration } = require('./lookups');
+
+const DEFAULT_TABLE_PATH = path.join(__dirname, '..', '..', 'data', 'species_table.json');
+const TABLE_VERSION = 1;
+const FETCH_CONCURRENCY = 8;
+
+function englishName(data) {
+    const name = (data.names || []).find(entry => entry.language && entry.language.name === 'en');
+    return name ? name.name : data.name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Table row from a Pokemon's payloads; form is the parsed `/pokemon-form`
+ * of a non-default variety, or null
+ */
+function buildRow(pokemonData, speciesData, form) {
+    const stats = {};
+    for (const entry of pokemonData.stats) {
+        stats[entry.stat.name] = entry.base_stat;
+    }
+    const hidden = pokemonData.abilities.find(entry => entry.is_hidden);
+
+    return {
+        slug: pokemonData.name,
+        name: (form && form.label) || nameResolver.getDisplayName(pokemonData.name) || englishName(speciesData),
+        species: speciesData.name,
+        id: speciesData.id,
+        form: form ? form.form_name : null,
+        is_default: pokemonData.is_default !== false,
+        is_battle_only: Boolean(form && form.is_battle_only),
+        types: pokemonData.types.slice().sort((a, b) => a.slot - b.slot).map(entry => entry.type.name),
+        abilities: pokemonData.abilities.map(entry => entry.ability.name),
+        hidden_ability: hidden ? hidden.ability.name : null,
+        stats,
+        total: STAT_NAMES.reduce((sum, stat) => sum + (stats[stat] || 0), 0),
+        height_m: pokemonData.height / 10,
+        weight_kg: pokemonData.weight / 10,
+        generation: parseGeneration(speciesData.generation),
+        is_legendary: Boolean(speciesData.is_legendary),
+        is_mythical: Boolean(speciesData.is_mythical)
+    };
+}
+
+/**
+ * Whether a form row only looks different from its species' default
+ */
+function isCosmetic(row, base) {
+    return row.types.join('/') === base.types.join('/')
+        && row.abilities.join('/') === base.abilities.join('/')
+        && STAT_NAMES.every(stat => row.stats[stat] === base.stats[stat]);
+}
+
+class SpeciesTable {
+    constructor(options = {}) {
+        this.path = path.resolve(options.path || process.env.SPECIES_TABLE_PATH || DEFAULT_TABLE_PATH);
+        this.dataSource = options.dataSource || null;
+        this.cache = options.cache || null;
+        this.rows = null;
+        this.builtAt = null;
+        this.abilities = null;
+    }
+
+    /**
+     * Read the stored table; returns false when there is none
+     */
+    load() {
+        if (!fs.existsSync(this.path)) {
+            return false;
+        }
+
+        const table = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        if (table.version !== TABLE_VERSION) {
+            return false;
+        }
+
+        this.rows = table.rows;
+        this.builtAt = table.built_at;
+        this.abilities = null;
+        return true;
+    }
+
+    isLoaded() {
+        return this.rows !== null;
+    }
+
+    /**
+     * Rows of the table, loading it on first use
+     */
+    getRows() {
+        if (!this.isLoaded() && !this.load()) {
+            throw new Error(`No species table at ${this.path}; run npm run table:build`);
+        }
+        return this.rows;
+    }
+
+    /**
+     * Every ability slug in the table, or an empty list when there is no table
+     */
+    listAbilities() {
+        if (!this.isLoaded() && !this.load()) {
+            return [];
+        }
+        if (!this.abilities) {
+            this.abilities = [...new Set(this.rows.flatMap(row => row.abilities))].sort();
+        }
+        return this.abilities;
+    }
+
+    /**
+     * Build the table from the data source and store it
+     *
+     * Pokemon that cannot be fetched are skipped. Returns { rows, skipped, cosmetic }.
+     */
+    async build(options = {}) {
+        if (!this.dataSource) {
+            throw new Error('Building the species table needs a data source');
+        }
+
+        let names = await this.dataSource.list('pokemon', { signal: options.signal });
+        if (options.limit) {
+            names = names.slice(0, options.limit);
+        }
+
+        // Varieties of a species share its payload; fetch it once
+        const species = new Map();
+        const fetchSpecies = (pokemonData) => {
+            if (!species.has(pokemonData.species.name)) {
+                species.set(pokemonData.species.name, this._fetch(`pokemon_${pokemonData.species.name}_species`, pokemonData.species.url, options));
+            }
+            return species.get(pokemonData.species.name);
+        };
+
+        const rows = new Array(names.length);
+        let skipped = 0;
+        let next = 0;
+        const worker = async () => {
+            while (next < names.length) {
+                const index = next++;
+                const name = names[index];
+                try {
+                    const pokemonData = await this._fetch(`pokemon_${name}`, `/pokemon/${name}`, options);
+                    const speciesData = await fetchSpecies(pokemonData);
+                    const form = pokemonData.is_default === false && pokemonData.forms && pokemonData.forms.length > 0
+                        ? forms.parseForm(await this._fetch(`pokemon_${pokemonData.name}_form`, pokemonData.forms[0].url, options), englishName(speciesData))
+                        : null;
+                    rows[index] = buildRow(pokemonData, speciesData, form);
+                } catch (error) {
+                    logger.warn(`Skipping pokemon/${name}: ${error.message}`);
+                    skipped++;
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, names.length) }, worker));
+
+        const built = rows.filter(Boolean);
+        const defaults = new Map(built.filter(row => row.is_default).map(row => [row.species, row]));
+        const kept = built
+            .filter(row => row.is_default || !defaults.has(row.species) || !isCosmetic(row, defaults.get(row.species)))
+            .sort((a, b) => a.id - b.id || Number(b.is_default) - Number(a.is_default) || a.slug.localeCompare(b.slug));
+
+        this._save(kept);
+        this.load();
+
+        const stats = { rows: kept.length, skipped, cosmetic: built.length - kept.length };
+        logger.info(`Species table: ${stats.rows} rows (${stats.skipped} skipped, ${stats.cosmetic} cosmetic forms left out)`);
+        return stats;
+    }
+
+    async _fetch(cacheKey, resourcePath, options) {
+        const fetchData = async (signal) => (await this.dataSource.get(resourcePath, { signal })).data;
+        if (!this.cache) {
+            return fetchData(options.signal);
+        }
+        return this.cache.getOrFetch(cacheKey, fetchData, { signal: options.signal });
+    }
+
+    /**
+     * Write through a temp file so readers never see a half-written table
+     */
+    _save(rows) {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+        const table = {
+            version: TABLE_VERSION,
+            built_at: new Date().toISOString(),
+            rows
+        };
+
+        const temporary = `${this.path}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(table));
+        fs.renameSync(temporary, this.path);
+    }
+}
+
+function parseArgs(argv) {
+    const options = { limit: null, path: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--limit') {
+            options.limit = parseInt(argv[++i]);
+        } else if (arg === '--path') {
+            options.path = argv[++i];
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const { createDataSource } = require('../tools/data_sources');
+            const TieredCache = require('../utils/tiered_cache');
+            const options = parseArgs(process.argv.slice(2));
+
+            const table = new SpeciesTable({
+                path: options.path,
+                dataSource: createDataSource(),
+                // Same namespace as PokemonTool, so cached payloads are shared
+                cache: new TieredCache({ namespace: 'pokeapi', ttl: 3600, staleTtl: parseInt(process.env.CACHE_STALE_TTL) || 7 * 24 * 3600 })
+            });
+            await table.build({ limit: options.limit });
+            logger.info(`Saved species table to ${table.path}`);
+        } catch (error) {
+            logger.error(`Species table build failed: ${error.message}`);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = SpeciesTable;
+module.exports.DEFAULT_TABLE_PATH = DEFAULT_TABLE_PATH;
+module.exports.buildRow = buildRow;
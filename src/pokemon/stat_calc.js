@@ -0,0 +1,220 @@
+/**
+ * Stat calculator - actual stats from base stats, level, IVs, EVs and nature
+ *
+ * Uses the Generation III+ formulas:
+ *   HP    = floor((2B + IV + floor(EV/4)) * L / 100) + L + 10
+ *   Other = floor((floor((2B + IV + floor(EV/4)) * L / 100) + 5) * nature)
+ * where nature is 1.1 for the boosted stat, 0.9 for the lowered one.
+ * solveIVs() runs them backwards, from stats seen in game to the IVs that
+ * produce them, and speedTiers() gives the usual Speed benchmarks.
+ */
+
+const STAT_NAMES = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+const MAX_IV = 31;
+const MAX_EV = 252;
+const MAX_TOTAL_EVS = 510;
+
+// Nature → [boosted stat, lowered stat]; neutral natures boost and lower nothing
+const NATURES = {
+    hardy: [null, null],
+    lonely: ['attack', 'defense'],
+    brave: ['attack', 'speed'],
+    adamant: ['attack', 'special-attack'],
+    naughty: ['attack', 'special-defense'],
+    bold: ['defense', 'attack'],
+    docile: [null, null],
+    relaxed: ['defense', 'speed'],
+    impish: ['defense', 'special-attack'],
+    lax: ['defense', 'special-defense'],
+    timid: ['speed', 'attack'],
+    hasty: ['speed', 'defense'],
+    serious: [null, null],
+    jolly: ['speed', 'special-attack'],
+    naive: ['speed', 'special-defense'],
+    modest: ['special-attack', 'attack'],
+    mild: ['special-attack', 'defense'],
+    quiet: ['special-attack', 'speed'],
+    bashful: [null, null],
+    rash: ['special-attack', 'special-defense'],
+    calm: ['special-defense', 'attack'],
+    gentle: ['special-defense', 'defense'],
+    sassy: ['special-defense', 'speed'],
+    careful: ['special-defense', 'special-attack'],
+    quirky: [null, null]
+};
+
+/**
+ * Nature multiplier (0.9, 1 or 1.1) for one stat
+ */
+function natureMultiplier(nature, stat) {
+    const [boosted, lowered] = NATURES[String(nature || 'hardy').toLowerCase()] || [null, null];
+    if (stat === boosted) return 1.1;
+    if (stat === lowered) return 0.9;
+    return 1;
+}
+
+/**
+ * One actual stat
+ */
+function calcStat(stat, base, { level = 100, iv = MAX_IV, ev = 0, nature = 'hardy' } = {}) {
+    const core = Math.floor((2 * base + iv + Math.floor(ev / 4)) * level / 100);
+    if (stat === 'hp') {
+        // Shedinja's HP is always 1
+        return base === 1 ? 1 : core + level + 10;
+    }
+    return Math.floor((core + 5) * natureMultiplier(nature, stat));
+}
+
+/**
+ * All actual stats for a spread
+ *
+ * spread: { level, ivs: { stat: iv }, evs: { stat: ev }, nature }; missing
+ * IVs default to 31 and missing EVs to 0.
+ */
+function calcStats(baseStats, spread = {}) {
+    const ivs = spread.ivs || {};
+    const evs = spread.evs || {};
+    const stats = {};
+
+    for (const stat of STAT_NAMES.filter(name => baseStats[name] !== undefined)) {
+        stats[stat] = calcStat(stat, baseStats[stat], {
+            level: spread.level || 100,
+            iv: ivs[stat] !== undefined ? ivs[stat] : MAX_IV,
+            ev: evs[stat] || 0,
+            nature: spread.nature
+        });
+    }
+    return stats;
+}
+
+/**
+ * Throw if a spread breaks the game's limits
+ */
+function validateSpread(spread = {}) {
+    const level = spread.level === undefined ? 100 : spread.level;
+    if (!Number.isInteger(level) || level < 1 || level > 100) {
+        throw new Error(`Level must be between 1 and 100, got ${level}`);
+    }
+    if (spread.nature && !NATURES[String(spread.nature).toLowerCase()]) {
+        throw new Error(`Unknown nature '${spread.nature}'`);
+    }
+
+    for (const [stat, iv] of Object.entries(spread.ivs || {})) {
+        if (!Number.isInteger(iv) || iv < 0 || iv > MAX_IV) {
+            throw new Error(`${stat} IV must be between 0 and ${MAX_IV}, got ${iv}`);
+        }
+    }
+    const evs = Object.entries(spread.evs || {});
+    for (const [stat, ev] of evs) {
+        if (!Number.isInteger(ev) || ev < 0 || ev > MAX_EV) {
+            throw new Error(`${stat} EV must be between 0 and ${MAX_EV}, got ${ev}`);
+        }
+    }
+    const total = evs.reduce((sum, [, ev]) => sum + ev, 0);
+    if (total > MAX_TOTAL_EVS) {
+        throw new Error(`EVs total ${total}, more than the ${MAX_TOTAL_EVS} allowed`);
+    }
+    return spread;
+}
+
+/**
+ * Lowest and highest value of one stat at a level: 0 IVs, 0 EVs and a
+ * hindering nature against 31 IVs, 252 EVs and a boosting one
+ */
+function statRange(stat, base, level = 100) {
+    const [boosting, hindering] = stat === 'hp' ? ['hardy', 'hardy'] : natureFor(stat);
+    return {
+        min: calcStat(stat, base, { level, iv: 0, ev: 0, nature: hindering }),
+        max: calcStat(stat, base, { level, iv: MAX_IV, ev: MAX_EV, nature: boosting })
+    };
+}
+
+/**
+ * IVs (0-31) that give an observed stat, as { min, max }, or null when none do
+ *
+ * At low levels several IVs give the same stat, so the answer is a range.
+ */
+function solveIV(stat, base, observed, { level = 100, ev = 0, nature = 'hardy' } = {}) {
+    const matches = [];
+    for (let iv = 0; iv <= MAX_IV; iv++) {
+        if (calcStat(stat, base, { level, iv, ev, nature }) === observed) {
+            matches.push(iv);
+        }
+    }
+    return matches.length > 0 ? { min: matches[0], max: matches[matches.length - 1] } : null;
+}
+
+/**
+ * IV range of every observed stat
+ *
+ * observed: { stat: value }; spread: { level, evs, nature } as in calcStats.
+ * Returns { stat: { min, max } | null }.
+ */
+function solveIVs(baseStats, observed, spread = {}) {
+    const evs = spread.evs || {};
+    const ivs = {};
+    for (const stat of STAT_NAMES.filter(name => observed[name] !== undefined && baseStats[name] !== undefined)) {
+        ivs[stat] = solveIV(stat, baseStats[stat], observed[stat], {
+            level: spread.level || 100,
+            ev: evs[stat] || 0,
+            nature: spread.nature
+        });
+    }
+    return ivs;
+}
+
+// The usual Speed benchmarks, fastest first
+const SPEED_SPREADS = [
+    { key: 'max', label: 'max Speed', iv: MAX_IV, ev: MAX_EV, nature: 'timid' },
+    { key: 'neutral', label: 'max Speed, neutral nature', iv: MAX_IV, ev: MAX_EV, nature: 'hardy' },
+    { key: 'uninvested', label: 'no Speed EVs', iv: MAX_IV, ev: 0, nature: 'hardy' },
+    { key: 'min', label: 'min Speed', iv: 0, ev: 0, nature: 'brave' }
+];
+
+/**
+ * Speed of a base Speed stat for each of SPEED_SPREADS:
+ * [{ key, label, iv, ev, nature, speed }]
+ */
+function speedTiers(baseSpeed, level = 100) {
+    return SPEED_SPREADS.map(spread => ({ ...spread, speed: calcStat('speed', baseSpeed, { level, ...spread }) }));
+}
+
+/**
+ * Speed in battle: stat stages (-6 to +6), then Choice Scarf (x1.5), then Tailwind (x2)
+ */
+function applySpeedModifiers(speed, { stage = 0, scarf = false, tailwind = false } = {}) {
+    const clamped = Math.max(-6, Math.min(6, stage));
+    let result = Math.floor(speed * (clamped >= 0 ? (2 + clamped) / 2 : 2 / (2 - clamped)));
+    if (scarf) {
+        result = Math.floor(result * 1.5);
+    }
+    return tailwind ? result * 2 : result;
+}
+
+// A nature that boosts a stat and one that lowers it
+function natureFor(stat) {
+    const natures = Object.entries(NATURES);
+    return [
+        natures.find(([, [boosted]]) => boosted === stat)[0],
+        natures.find(([, [, lowered]]) => lowered === stat)[0]
+    ];
+}
+
+module.exports = {
+    STAT_NAMES,
+    NATURES,
+    MAX_IV,
+    MAX_EV,
+    MAX_TOTAL_EVS,
+    natureMultiplier,
+    calcStat,
+    calcStats,
+    validateSpread,
+    statRange,
+    solveIV,
+    solveIVs,
+    SPEED_SPREADS,
+    speedTiers,
+    applySpeedModifiers
+};
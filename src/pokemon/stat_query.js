@@ -0,0 +1,285 @@
+/**
+ * Stat questions - actual stats, IV solving and Speed tiers
+ *
+ * parseStatQuery() reads a question such as "Jolly Garchomp with 252 Atk /
+ * 252 Spe at level 50", "what IVs does my level 40 Adamant Garchomp with 120
+ * Attack have" or "does max-speed Jolly Garchomp outspeed base 100s?" into a
+ * stat request:
+ *
+ *   { mode: 'stats' | 'ivs' | 'speed', level, nature, ivs, evs, observed,
+ *     modifiers: { stage, scarf, tailwind }, compare: [{ base_speed }],
+ *     hinder }
+ *
+ * where hinder names a stat asked for at its minimum ("min Speed").
+ *
+ * normalizeRequest() checks a request, from a question or the /stats/ route,
+ * against the game's limits and fills in the defaults each mode assumes.
+ */
+
+const statCalc = require('./stat_calc');
+
+const { STAT_NAMES, NATURES, MAX_IV, MAX_EV } = statCalc;
+const MODES = ['stats', 'ivs', 'speed'];
+const DEFAULT_LEVEL = 100;
+const VGC_LEVEL = 50;
+
+// Stat names as people write them (Showdown's SpD is Special Defense); longer names first
+const STAT_ALIASES = [
+    ['special-attack', 'special[ -]?attack|sp\\.? ?atk|sp\\.? ?attack|spatk|spa'],
+    ['special-defense', 'special[ -]?defen[cs]e|sp\\.? ?def(?:en[cs]e)?|spdef|spd'],
+    ['hp', 'hp|hit points'],
+    ['attack', 'attack|atk'],
+    ['defense', 'defen[cs]e|def'],
+    ['speed', 'speed|spe']
+];
+const STAT = `(${STAT_ALIASES.map(([, alias]) => alias).join('|')})`;
+
+const LEVEL = /\b(?:level|lvl|lv)\.?\s*(\d{1,3})\b/;
+const VGC = /\b(vgc|doubles)\b/;
+
+// "6IV", "perfect IVs": every IV at 31
+const PERFECT_IVS = /\b6\s*ivs?\b|\b(?:perfect|max(?:ed)?|flawless)\s+ivs?\b/;
+// "0 IVs in Speed", "0 Speed IV", "Speed IV of 0"
+const IV_PATTERNS = [
+    new RegExp(`\\b(\\d{1,2})\\s*ivs?\\s*(?:in\\s+)?(?:the\\s+)?${STAT}\\b`, 'g'),
+    new RegExp(`\\b(\\d{1,2})\\s+${STAT}\\s+ivs?\\b`, 'g'),
+    new RegExp(`\\b${STAT}\\s+ivs?\\s*(?:of\\s+|is\\s+|=\\s*|:\\s*)?(\\d{1,2})\\b`, 'g')
+];
+// "31 IVs", "all 0 IVs"
+const ALL_IVS = /\b(?:all\s+)?(\d{1,2})\s*ivs?\b/;
+
+// "252 Atk", "252+ Spe", "4 EVs in HP", "Speed EVs of 252"
+const EV_PATTERNS = [
+    new RegExp(`\\b(\\d{1,3})\\s*[+-]?\\s*evs?\\s*(?:in\\s+)?(?:the\\s+)?${STAT}\\b`, 'g'),
+    new RegExp(`\\b${STAT}\\s+evs?\\s*(?:of\\s+|is\\s+|=\\s*|:\\s*)?(\\d{1,3})\\b`, 'g')
+];
+const BARE_EV = new RegExp(`\\b(\\d{1,3})\\s*[+-]?\\s+${STAT}\\b`, 'g');
+
+// "max Speed", "min Speed", "uninvested Speed"
+const INVESTMENT = new RegExp(`\\b(max(?:imum)?|full|min(?:imum)?|uninvested|no)[\\s-]+${STAT}(?:\\s+evs?)?\\b`, 'g');
+
+// Stats seen in game: "120 Attack", "Speed of 95", "has 95 speed"
+const OBSERVED_PATTERNS = [
+    new RegExp(`\\b(\\d{1,3})\\s+${STAT}\\b`, 'g'),
+    new RegExp(`\\b${STAT}\\s*(?:of\\s+|is\\s+|=\\s*|:\\s*)?(\\d{1,3})\\b`, 'g')
+];
+// "stats 183/200/115/90/105/150", in STAT_NAMES order
+const SIX_STATS = /\b(\d{1,3})\s*\/\s*(\d{1,3})\s*\/\s*(\d{1,3})\s*\/\s*(\d{1,3})\s*\/\s*(\d{1,3})\s*\/\s*(\d{1,3})\b/;
+
+const SPEED_QUESTION = /\b(outspeeds?|outspeeding|outpaces?|faster|slower|speed tiers?|speed ties?|speed benchmarks?)\b/;
+const IV_QUESTION = /\b(?:what|which|find|solve|figure out|work out|determine|check)\b(?:\s+\S+){0,3}\s+ivs?\b|\bivs?\s+(?:calc|calculator|check|checker|solver|judge)\b|\bsolve\b.*\bivs?\b/;
+const BASE_SPEED = /\bbase[\s-]*(\d{1,3})s?\b/g;
+const STAGE = /(?:^|\s)([+-][1-6])(?=\s|$)/;
+
+/**
+ * Stat slug for a name as written ("Sp. Atk" → "special-attack")
+ */
+function resolveStat(name) {
+    const text = String(name).toLowerCase().trim();
+    if (STAT_NAMES.includes(text)) {
+        return text;
+    }
+    const match = STAT_ALIASES.find(([, alias]) => new RegExp(`^(?:${alias})$`).test(text));
+    return match ? match[0] : null;
+}
+
+/**
+ * The stat request a question asks for; names of Pokemon are left to the caller
+ */
+function parseStatQuery(query) {
+    let text = String(query).toLowerCase()
+        .replace(/pokémon/g, 'pokemon')
+        .replace(/[’'?!,]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    const request = { mode: 'stats', level: null, nature: null, ivs: {}, evs: {}, observed: {}, modifiers: {}, compare: [] };
+    const take = (pattern, handle) => {
+        text = text.replace(pattern, (...match) => {
+            handle(match);
+            return ' ';
+        });
+    };
+
+    request.mode = SPEED_QUESTION.test(text) ? 'speed' : IV_QUESTION.test(text) ? 'ivs' : 'stats';
+
+    take(new RegExp(LEVEL.source, 'g'), match => { request.level = parseInt(match[1], 10); });
+    if (request.level === null && VGC.test(text)) {
+        request.level = VGC_LEVEL;
+    }
+    request.nature = Object.keys(NATURES).find(name => new RegExp(`\\b${name}\\b`).test(text)) || null;
+    if (!request.nature && /\bneutral(?: nature)?\b/.test(text)) {
+        request.nature = 'hardy';
+    }
+
+    take(new RegExp(BASE_SPEED.source, 'g'), match => { request.compare.push({ base_speed: parseInt(match[1], 10) }); });
+    if (/\b(?:choice )?scarf(?:ed)?\b/.test(text)) {
+        request.modifiers.scarf = true;
+    }
+    if (/\btailwind\b/.test(text)) {
+        request.modifiers.tailwind = true;
+    }
+
+    take(new RegExp(PERFECT_IVS.source, 'g'), () => STAT_NAMES.forEach(stat => { request.ivs[stat] = MAX_IV; }));
+    for (const pattern of IV_PATTERNS) {
+        take(pattern, match => {
+            const [value, stat] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+            request.ivs[resolveStat(stat)] = parseInt(value, 10);
+        });
+    }
+    take(new RegExp(ALL_IVS.source, 'g'), match => {
+        STAT_NAMES.filter(stat => request.ivs[stat] === undefined).forEach(stat => { request.ivs[stat] = parseInt(match[1], 10); });
+    });
+
+    take(INVESTMENT, match => {
+        const stat = resolveStat(match[2]);
+        if (/^(max|full)/.test(match[1])) {
+            request.evs[stat] = MAX_EV;
+            request.ivs[stat] = request.ivs[stat] === undefined ? MAX_IV : request.ivs[stat];
+        } else {
+            request.evs[stat] = 0;
+            if (/^min/.test(match[1])) {
+                request.ivs[stat] = 0;
+                request.hinder = stat;
+            }
+        }
+    });
+    for (const pattern of EV_PATTERNS) {
+        take(pattern, match => {
+            const [value, stat] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+            request.evs[resolveStat(stat)] = parseInt(value, 10);
+        });
+    }
+
+    if (request.mode === 'ivs') {
+        take(SIX_STATS, match => STAT_NAMES.forEach((stat, index) => { request.observed[stat] = parseInt(match[index + 1], 10); }));
+        for (const pattern of OBSERVED_PATTERNS) {
+            take(pattern, match => {
+                const [value, stat] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+                request.observed[resolveStat(stat)] = parseInt(value, 10);
+            });
+        }
+    } else {
+        take(BARE_EV, match => { request.evs[resolveStat(match[2])] = parseInt(match[1], 10); });
+    }
+
+    const stage = STAGE.exec(text);
+    if (stage) {
+        request.modifiers.stage = parseInt(stage[1], 10);
+    }
+    return request;
+}
+
+/**
+ * Check a stat request and fill in what each mode assumes
+ *
+ * Stats default to level 100, 31 IVs, 0 EVs and a neutral nature. Speed
+ * questions default to 31 IVs, 252 Speed EVs and a Speed-boosting nature
+ * (or a hindering one for "min Speed"); solving IVs needs the level and at
+ * least one observed stat, and assumes no EVs and a neutral nature. Returns
+ * the request with `assumed` listing the defaults used for what it didn't
+ * say; throws on values the game doesn't allow.
+ */
+function normalizeRequest(request = {}) {
+    const mode = request.mode || (request.observed && Object.keys(request.observed).length > 0 ? 'ivs' : 'stats');
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown mode '${mode}' (expected stats, ivs or speed)`);
+    }
+    const statMap = (values, label) => {
+        if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+            throw new Error(`${label} must be an object of stat values, e.g. { "speed": 31 }`);
+        }
+        const result = {};
+        for (const [name, value] of Object.entries(values || {})) {
+            const stat = resolveStat(name);
+            if (!stat) {
+                throw new Error(`Unknown stat '${name}' in ${label}`);
+            }
+            result[stat] = value;
+        }
+        return result;
+    };
+    const ivs = statMap(request.ivs, 'ivs');
+    const evs = statMap(request.evs, 'evs');
+    const observed = statMap(request.observed, 'stats');
+    const assumed = [];
+
+    if (mode === 'ivs') {
+        if (!request.level) {
+            throw new Error('Solving IVs needs the Pokemon\'s level');
+        }
+        if (Object.keys(observed).length === 0) {
+            throw new Error('Solving IVs needs at least one stat as seen in game, e.g. "120 Attack"');
+        }
+        for (const [stat, value] of Object.entries(observed)) {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`${stat} must be a positive whole number, got ${value}`);
+            }
+        }
+    }
+
+    let nature = request.nature ? String(request.nature).toLowerCase() : null;
+    if (!nature) {
+        nature = mode === 'speed' ? (request.hinder === 'speed' ? 'brave' : 'timid') : 'hardy';
+        assumed.push('nature');
+    }
+    if (mode === 'speed') {
+        if (ivs.speed === undefined) {
+            ivs.speed = MAX_IV;
+            assumed.push('ivs');
+        }
+        if (evs.speed === undefined) {
+            evs.speed = MAX_EV;
+            assumed.push('evs');
+        }
+    } else if (mode === 'stats') {
+        if (STAT_NAMES.some(stat => ivs[stat] === undefined)) {
+            assumed.push('ivs');
+        }
+    } else if (Object.keys(evs).length === 0) {
+        assumed.push('evs');
+    }
+
+    const spread = statCalc.validateSpread({ level: request.level || DEFAULT_LEVEL, nature, ivs, evs });
+    const modifiers = request.modifiers || {};
+    if (modifiers.stage !== undefined && (!Number.isInteger(modifiers.stage) || modifiers.stage < -6 || modifiers.stage > 6)) {
+        throw new Error(`Stat stage must be between -6 and +6, got ${modifiers.stage}`);
+    }
+
+    if (request.compare !== undefined && request.compare !== null && !Array.isArray(request.compare)) {
+        throw new Error('compare must be an array of Pokemon names or base speeds, e.g. ["garchomp", { "base_speed": 100 }]');
+    }
+    const compare = (request.compare || []).map(entry => {
+        if (typeof entry === 'number' || (entry && entry.base_speed !== undefined)) {
+            const baseSpeed = typeof entry === 'number' ? entry : entry.base_speed;
+            if (!Number.isInteger(baseSpeed) || baseSpeed < 1 || baseSpeed > 255) {
+                throw new Error(`Base Speed must be between 1 and 255, got ${baseSpeed}`);
+            }
+            return { base_speed: baseSpeed };
+        }
+        const pokemon = typeof entry === 'string' ? entry : entry && entry.pokemon;
+        if (!pokemon) {
+            throw new Error('Each compare entry needs a Pokemon name or a base_speed');
+        }
+        return { pokemon: String(pokemon) };
+    });
+
+    return {
+        mode,
+        level: spread.level,
+        nature: spread.nature,
+        ivs: spread.ivs,
+        evs: spread.evs,
+        observed,
+        modifiers: { stage: modifiers.stage || 0, scarf: Boolean(modifiers.scarf), tailwind: Boolean(modifiers.tailwind) },
+        compare,
+        assumed
+    };
+}
+
+module.exports = {
+    MODES,
+    DEFAULT_LEVEL,
+    resolveStat,
+    parseStatQuery,
+    normalizeRequest
+};
@@ -0,0 +1,234 @@
+/**
+ * Team analysis - defensive synergy, STAB coverage and role balance of a team
+ *
+ * buildTeamAnalysis() takes PokemonTool info for up to six Pokemon and
+ * reports the attacking types several members are weak to, the types nobody
+ * hits super effectively, how the competitive roles are spread, and which
+ * Pokemon from the candidate pool (src/data/team_candidates.json) best fill
+ * the gaps.
+ */
+
+const typeChart = require('./type_chart');
+const pokemonAnalysis = require('./analysis');
+const { candidates: DEFAULT_CANDIDATES } = require('../data/team_candidates.json');
+
+const TEAM_SIZE = 6;
+
+// Roles a balanced team wants at least one of
+const ROLE_NEEDS = [
+    { need: 'physical attacker', roles: ['Physical Sweeper'] },
+    { need: 'special attacker', roles: ['Special Sweeper'] },
+    { need: 'defensive backbone', roles: ['Physical Wall', 'Special Wall', 'Tank/Support'] }
+];
+
+// Suggestion scoring weights
+const SCORE = {
+    coversWeakness: 2,
+    immuneBonus: 1,
+    coversUnresisted: 1,
+    hitsGap: 1,
+    fillsRole: 2,
+    stacksWeakness: -2
+};
+
+/**
+ * Who is weak to, resists and is immune to every attacking type
+ */
+function buildDefensiveMatrix(members) {
+    return typeChart.TYPES.map(attackType => {
+        const entry = { type: attackType, weak: [], resist: [], immune: [] };
+        for (const member of members) {
+            const multiplier = typeChart.getEffectiveness(attackType, member.types);
+            if (multiplier === 0) entry.immune.push(member.name);
+            else if (multiplier > 1) entry.weak.push(member.name);
+            else if (multiplier < 1) entry.resist.push(member.name);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Attacking types at least two members are weak to, with fewer members
+ * checking them than suffering from them
+ */
+function findSharedWeaknesses(matrix) {
+    return matrix
+        .filter(entry => entry.weak.length >= 2 && entry.weak.length > entry.resist.length + entry.immune.length)
+        .map(entry => ({ type: entry.type, weak: entry.weak, checked_by: [...entry.resist, ...entry.immune] }))
+        .sort((a, b) => b.weak.length - a.weak.length);
+}
+
+function findSharedResistances(matrix) {
+    return matrix
+        .filter(entry => entry.resist.length + entry.immune.length >= 2)
+        .map(entry => ({ type: entry.type, resisted_by: [...entry.resist, ...entry.immune] }));
+}
+
+/**
+ * Attacking types that hit someone super effectively and nobody resists
+ */
+function findUnresisted(matrix) {
+    return matrix
+        .filter(entry => entry.weak.length > 0 && entry.resist.length === 0 && entry.immune.length === 0)
+        .map(entry => entry.type);
+}
+
+/**
+ * Defending types the team's STAB types hit super effectively, and the gaps
+ */
+function buildCoverage(members) {
+    const superEffective = new Set(members.flatMap(member => typeChart.getOffensiveCoverage(member.types).super_effective));
+    return {
+        super_effective: typeChart.TYPES.filter(type => superEffective.has(type)),
+        gaps: typeChart.TYPES.filter(type => !superEffective.has(type))
+    };
+}
+
+function buildRoleBalance(members) {
+    const counts = {};
+    for (const member of members) {
+        counts[member.role] = (counts[member.role] || 0) + 1;
+    }
+
+    return {
+        counts,
+        missing: ROLE_NEEDS.filter(({ roles }) => !roles.some(role => counts[role])).map(({ need }) => need),
+        // Three of one role leaves the rest of the team thin
+        overloaded: Object.keys(counts).filter(role => counts[role] >= 3)
+    };
+}
+
+// "Rotom Wash" and "Rotom-Wash" are the same Pokemon
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+function toMember(info) {
+    return {
+        name: info.name,
+        types: info.types,
+        role: pokemonAnalysis.determineRole(info.base_stats).name,
+        base_stat_total: pokemonAnalysis.statTotal(info.base_stats)
+    };
+}
+
+/**
+ * Score a candidate against the team's current problems
+ *
+ * Returns { score, covers, hits, fills } so the reason can be explained.
+ */
+function scoreCandidate(candidate, analysis, matrix) {
+    const member = toMember(candidate);
+    const covers = [];
+    let score = 0;
+
+    for (const weakness of analysis.shared_weaknesses) {
+        const multiplier = typeChart.getEffectiveness(weakness.type, candidate.types);
+        if (multiplier < 1) {
+            covers.push(weakness.type);
+            score += SCORE.coversWeakness + (multiplier === 0 ? SCORE.immuneBonus : 0);
+        }
+    }
+    // Weak where the team already has more weak members than checks: starts or deepens a shared weakness
+    for (const entry of matrix) {
+        if (entry.weak.length > 0 && entry.weak.length >= entry.resist.length + entry.immune.length && typeChart.getEffectiveness(entry.type, candidate.types) > 1) {
+            score += SCORE.stacksWeakness;
+        }
+    }
+    for (const type of analysis.unresisted) {
+        if (!covers.includes(type) && typeChart.getEffectiveness(type, candidate.types) < 1) {
+            covers.push(type);
+            score += SCORE.coversUnresisted;
+        }
+    }
+
+    const coverage = typeChart.getOffensiveCoverage(candidate.types).super_effective;
+    const hits = analysis.coverage.gaps.filter(type => coverage.includes(type));
+    score += hits.length * SCORE.hitsGap;
+
+    const need = ROLE_NEEDS.find(({ need: name, roles }) => analysis.roles.missing.includes(name) && roles.includes(member.role));
+    if (need) {
+        score += SCORE.fillsRole;
+    }
+
+    return { member, score, covers, hits, fills: need ? need.need : null };
+}
+
+function describeSuggestion({ covers, hits, fills }) {
+    const capitalize = type => type.charAt(0).toUpperCase() + type.slice(1);
+    const reasons = [];
+    if (covers.length > 0) reasons.push(`checks ${covers.map(capitalize).join(', ')}`);
+    if (hits.length > 0) reasons.push(`hits ${hits.map(capitalize).join(', ')} super effectively`);
+    if (fills) reasons.push(`adds a ${fills}`);
+    return reasons.length > 0 ? reasons.join('; ') : 'solid all-rounder';
+}
+
+/**
+ * Analyze the team without suggestions
+ */
+function analyzeMembers(members, matrix = buildDefensiveMatrix(members)) {
+    return {
+        members,
+        open_slots: Math.max(0, TEAM_SIZE - members.length),
+        shared_weaknesses: findSharedWeaknesses(matrix),
+        shared_resistances: findSharedResistances(matrix),
+        unresisted: findUnresisted(matrix),
+        coverage: buildCoverage(members),
+        roles: buildRoleBalance(members)
+    };
+}
+
+/**
+ * Structured analysis of a team
+ *
+ * Options:
+ * - suggestions: how many open slots to fill (default: all of them)
+ * - candidates: pool to suggest from (default: src/data/team_candidates.json)
+ *
+ * Suggestions are picked greedily: each pick is added to the team before the
+ * next one is scored, so later picks cover what earlier ones left open.
+ */
+function buildTeamAnalysis(infos, options = {}) {
+    const members = infos.slice(0, TEAM_SIZE).map(toMember);
+    let matrix = buildDefensiveMatrix(members);
+    const analysis = analyzeMembers(members, matrix);
+    const pool = options.candidates || DEFAULT_CANDIDATES;
+    const limit = Math.min(options.suggestions !== undefined ? options.suggestions : analysis.open_slots, analysis.open_slots);
+
+    const suggestions = [];
+    let team = members;
+    let current = analysis;
+    while (suggestions.length < limit) {
+        const taken = new Set(team.map(member => slugify(member.name)));
+        const ranked = pool
+            .filter(candidate => !taken.has(slugify(candidate.name)) && !taken.has(candidate.slug))
+            .map(candidate => scoreCandidate(candidate, current, matrix))
+            .sort((a, b) => b.score - a.score || b.member.base_stat_total - a.member.base_stat_total || a.member.name.localeCompare(b.member.name));
+        if (ranked.length === 0) {
+            break;
+        }
+
+        const best = ranked[0];
+        suggestions.push({ ...best.member, score: best.score, reason: describeSuggestion(best) });
+        team = [...team, best.member];
+        matrix = buildDefensiveMatrix(team);
+        current = analyzeMembers(team, matrix);
+    }
+
+    return {
+        type: 'team_analysis',
+        ...analysis,
+        suggestions,
+        // How the team looks with the suggestions added
+        completed: suggestions.length > 0 ? {
+            shared_weaknesses: current.shared_weaknesses,
+            coverage_gaps: current.coverage.gaps,
+            missing_roles: current.roles.missing
+        } : null
+    };
+}
+
+module.exports = {
+    TEAM_SIZE,
+    buildTeamAnalysis
+};
@@ -0,0 +1,196 @@
+/**
+ * Type effectiveness chart
+ *
+ * The full 18-type chart (Generation VI onward) with immunities. Dual types
+ * multiply, so a single attack can land at 0, 0.25, 0.5, 1, 2 or 4x.
+ */
+
+const TYPES = [
+    'normal', 'fire', 'water', 'electric', 'grass', 'ice',
+    'fighting', 'poison', 'ground', 'flying', 'psychic', 'bug',
+    'rock', 'ghost', 'dragon', 'dark', 'steel', 'fairy'
+];
+
+// Attacking type → defending type → multiplier (omitted pairs are neutral)
+const CHART = {
+    normal: { rock: 0.5, ghost: 0, steel: 0.5 },
+    fire: { fire: 0.5, water: 0.5, grass: 2, ice: 2, bug: 2, rock: 0.5, dragon: 0.5, steel: 2 },
+    water: { fire: 2, water: 0.5, grass: 0.5, ground: 2, rock: 2, dragon: 0.5 },
+    electric: { water: 2, electric: 0.5, grass: 0.5, ground: 0, flying: 2, dragon: 0.5 },
+    grass: { fire: 0.5, water: 2, grass: 0.5, poison: 0.5, ground: 2, flying: 0.5, bug: 0.5, rock: 2, dragon: 0.5, steel: 0.5 },
+    ice: { fire: 0.5, water: 0.5, grass: 2, ice: 0.5, ground: 2, flying: 2, dragon: 2, steel: 0.5 },
+    fighting: { normal: 2, ice: 2, poison: 0.5, flying: 0.5, psychic: 0.5, bug: 0.5, rock: 2, ghost: 0, dark: 2, steel: 2, fairy: 0.5 },
+    poison: { grass: 2, poison: 0.5, ground: 0.5, rock: 0.5, ghost: 0.5, steel: 0, fairy: 2 },
+    ground: { fire: 2, electric: 2, grass: 0.5, poison: 2, flying: 0, bug: 0.5, rock: 2, steel: 2 },
+    flying: { electric: 0.5, grass: 2, fighting: 2, bug: 2, rock: 0.5, steel: 0.5 },
+    psychic: { fighting: 2, poison: 2, psychic: 0.5, dark: 0, steel: 0.5 },
+    bug: { fire: 0.5, grass: 2, fighting: 0.5, poison: 0.5, flying: 0.5, psychic: 2, ghost: 0.5, dark: 2, steel: 0.5, fairy: 0.5 },
+    rock: { fire: 2, ice: 2, fighting: 0.5, ground: 0.5, flying: 2, bug: 2, steel: 0.5 },
+    ghost: { normal: 0, psychic: 2, ghost: 2, dark: 0.5 },
+    dragon: { dragon: 2, steel: 0.5, fairy: 0 },
+    dark: { fighting: 0.5, psychic: 2, ghost: 2, dark: 0.5, fairy: 0.5 },
+    steel: { fire: 0.5, water: 0.5, electric: 0.5, ice: 2, rock: 2, steel: 0.5, fairy: 2 },
+    fairy: { fire: 0.5, fighting: 2, poison: 0.5, dragon: 2, dark: 2, steel: 0.5 }
+};
+
+/**
+ * Normalize a list of type names ("Fire", "fire") and drop unknown entries
+ */
+function normalizeTypes(types) {
+    return (types || []).map(t => String(t).toLowerCase()).filter(t => CHART[t]);
+}
+
+/**
+ * Multiplier for one attacking type against a (possibly dual-typed) defender
+ */
+function getEffectiveness(attackType, defenderTypes) {
+    const chart = CHART[String(attackType).toLowerCase()];
+    if (!chart) {
+        return 1;
+    }
+
+    return normalizeTypes(defenderTypes).reduce((multiplier, defType) => {
+        return multiplier * (chart[defType] !== undefined ? chart[defType] : 1);
+    }, 1);
+}
+
+/**
+ * Full defensive profile: every attacking type's multiplier, grouped into
+ * weaknesses (2x/4x), resistances (0.5x/0.25x) and immunities (0x)
+ */
+function getDefensiveProfile(defenderTypes) {
+    const multipliers = {};
+    const weaknesses = [];
+    const resistances = [];
+    const immunities = [];
+
+    for (const attackType of TYPES) {
+        const multiplier = getEffectiveness(attackType, defenderTypes);
+        multipliers[attackType] = multiplier;
+
+        if (multiplier === 0) {
+            immunities.push(attackType);
+        } else if (multiplier > 1) {
+            weaknesses.push({ type: attackType, multiplier });
+        } else if (multiplier < 1) {
+            resistances.push({ type: attackType, multiplier });
+        }
+    }
+
+    // Most severe first
+    weaknesses.sort((a, b) => b.multiplier - a.multiplier);
+    resistances.sort((a, b) => a.multiplier - b.multiplier);
+
+    return { types: normalizeTypes(defenderTypes), multipliers, weaknesses, resistances, immunities };
+}
+
+/**
+ * Offensive coverage of a set of attacking types (typically a Pokemon's STAB types)
+ * against every single defending type
+ */
+function getOffensiveCoverage(attackTypes) {
+    const superEffective = [];
+    const resisted = [];
+    const noEffect = [];
+
+    for (const defType of TYPES) {
+        const best = Math.max(...normalizeTypes(attackTypes).map(t => getEffectiveness(t, [defType])), 0);
+        if (best > 1) {
+            superEffective.push(defType);
+        } else if (best === 0) {
+            noEffect.push(defType);
+        } else if (best < 1) {
+            resisted.push(defType);
+        }
+    }
+
+    return { super_effective: superEffective, resisted, no_effect: noEffect };
+}
+
+/**
+ * Best multiplier an attacker's own types achieve against a defender
+ */
+function getBestAttack(attackerTypes, defenderTypes) {
+    let best = { type: null, multiplier: 0 };
+
+    for (const attackType of normalizeTypes(attackerTypes)) {
+        const multiplier = getEffectiveness(attackType, defenderTypes);
+        if (best.type === null || multiplier > best.multiplier) {
+            best = { type: attackType, multiplier };
+        }
+    }
+
+    return { ...best, label: describeMultiplier(best.multiplier) };
+}
+
+/**
+ * Compare two Pokemon's typings in both directions using their own types as attacks
+ */
+function analyzeTypeMatchup(types1, types2) {
+    return {
+        pokemon1vs2: getBestAttack(types1, types2),
+        pokemon2vs1: getBestAttack(types2, types1)
+    };
+}
+
+/**
+ * Offense and defense scores (0-100) for a typing, with an overall rating
+ *
+ * Offense averages the best STAB multiplier over all 18 defending types
+ * (2x everywhere = 100); defense averages log2 resistance to every
+ * attacking type, centered on 50, with an immunity counting as a 4x resist.
+ * No types scores 0 offense and a neutral 50 defense.
+ */
+function scoreTyping(types) {
+    const bestMultipliers = TYPES.map(defType =>
+        Math.max(...normalizeTypes(types).map(attackType => getEffectiveness(attackType, [defType])), 0));
+    const offense = bestMultipliers.reduce((sum, m) => sum + Math.min(m, 2), 0) / (TYPES.length * 2) * 100;
+
+    const profile = getDefensiveProfile(types);
+    const resistance = TYPES.reduce((sum, attackType) => {
+        const multiplier = profile.multipliers[attackType];
+        return sum + (multiplier === 0 ? 2 : -Math.log2(multiplier));
+    }, 0) / TYPES.length;
+    const defense = Math.max(0, Math.min(100, 50 + resistance * 50));
+
+    const average = (offense + defense) / 2;
+    const overall = average >= 65 ? 'Excellent' : average >= 50 ? 'Good' : 'Fair';
+
+    return {
+        offense: Math.round(offense),
+        defense: Math.round(defense),
+        overall,
+        superEffectiveCount: bestMultipliers.filter(m => m > 1).length
+    };
+}
+
+/**
+ * Human-readable label for a multiplier
+ */
+function describeMultiplier(multiplier) {
+    if (multiplier === 0) return 'No Effect';
+    if (multiplier >= 4) return 'Extremely Effective';
+    if (multiplier >= 2) return 'Super Effective';
+    if (multiplier <= 0.25) return 'Mostly Ineffective';
+    if (multiplier < 1) return 'Not Very Effective';
+    return 'Neutral';
+}
+
+/**
+ * Render a list of {type, multiplier} entries as "Ground (4x), Water (2x)"
+ */
+function formatTypeMultipliers(entries) {
+    return entries.map(({ type, multiplier }) => `${type.charAt(0).toUpperCase() + type.slice(1)} (${multiplier}x)`).join(', ');
+}
+
+module.exports = {
+    TYPES,
+    getEffectiveness,
+    getDefensiveProfile,
+    getOffensiveCoverage,
+    getBestAttack,
+    analyzeTypeMatchup,
+    scoreTyping,
+    describeMultiplier,
+    formatTypeMultipliers
+};
@@ -0,0 +1,77 @@
+/**
+ * Filesystem data source - JSON snapshot written by the snapshot importer
+ *
+ * Layout: <directory>/<resource>/<id>.json plus <directory>/<resource>/index.json
+ * mapping resource names to ids (e.g. "pikachu" → 25).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseResourcePath, createNotFoundError } = require('./index');
+const logger = require('../../utils/logger');
+
+class FileSystemDataSource {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory);
+        this.nameIndexes = new Map();
+
+        if (!fs.existsSync(this.directory)) {
+            logger.warn(`PokeAPI snapshot directory not found: ${this.directory} (run npm run snapshot:import)`);
+        }
+    }
+
+    /**
+     * Fetch a resource by path or full PokeAPI URL
+     */
+    async get(resourcePath, options = {}) {
+        const { resource, key } = parseResourcePath(resourcePath);
+        const id = /^\d+$/.test(key) ? key : (await this._getNameIndex(resource, options))[key];
+
+        if (id === undefined) {
+            throw createNotFoundError(resourcePath);
+        }
+
+        try {
+            const contents = await fs.promises.readFile(path.join(this.directory, resource, `${id}.json`), { encoding: 'utf8', signal: options.signal });
+            return { data: JSON.parse(contents) };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw createNotFoundError(resourcePath);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Names of every resource of a type in the snapshot
+     */
+    async list(resource, options = {}) {
+        return Object.keys(await this._getNameIndex(resource, options));
+    }
+
+    /**
+     * Load (once) the name → id map for a resource
+     */
+    async _getNameIndex(resource, options = {}) {
+        if (!this.nameIndexes.has(resource)) {
+            const indexPath = path.join(this.directory, resource, 'index.json');
+            let names = {};
+            try {
+                names = JSON.parse(await fs.promises.readFile(indexPath, { encoding: 'utf8', signal: options.signal }));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+            this.nameIndexes.set(resource, names);
+        }
+
+        return this.nameIndexes.get(resource);
+    }
+
+    describe() {
+        return `filesystem (${this.directory})`;
+    }
+}
+
+module.exports = FileSystemDataSource;
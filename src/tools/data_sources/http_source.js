@@ -0,0 +1,45 @@
+/**
+ * HTTP data source - live PokeAPI (or a self-hosted mirror) over axios
+ */
+
+const axios = require('axios');
+const { parseResourcePath } = require('./index');
+
+class HttpDataSource {
+    constructor(options = {}) {
+        this.baseURL = options.baseURL;
+
+        // Setup HTTP client with connection pooling
+        this.client = axios.create({
+            baseURL: this.baseURL,
+            timeout: options.timeout || 10000,
+            maxRedirects: 3,
+            // Connection pooling configuration
+            httpAgent: new (require('http').Agent)({ keepAlive: true, maxSockets: 10 }),
+            httpsAgent: new (require('https').Agent)({ keepAlive: true, maxSockets: 10 })
+        });
+    }
+
+    /**
+     * Fetch a resource by path or full PokeAPI URL
+     */
+    async get(resourcePath, options = {}) {
+        const { resource, key } = parseResourcePath(resourcePath);
+        const response = await this.client.get(`/${resource}/${encodeURIComponent(key)}`, { signal: options.signal });
+        return { data: response.data };
+    }
+
+    /**
+     * Names of every resource of a type, from the paginated list endpoint
+     */
+    async list(resource, options = {}) {
+        const response = await this.client.get(`/${resource}`, { params: { limit: 100000 }, signal: options.signal });
+        return response.data.results.map(entry => entry.name);
+    }
+
+    describe() {
+        return `http (${this.baseURL})`;
+    }
+}
+
+module.exports = HttpDataSource;
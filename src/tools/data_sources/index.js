@@ -0,0 +1,95 @@
+/**
+ * PokeAPI data sources
+ *
+ * PokemonTool reads PokeAPI resources through a data source with an
+ * axios-style `get(path, { signal })` that resolves to `{ data }` and rejects
+ * with `error.response.status === 404` for unknown resources, and
+ * `list(resource, { signal })` that resolves to the names of every resource
+ * of a type. The source is chosen by configuration:
+ *
+ *   POKEAPI_SOURCE=http        live PokeAPI (default), POKEAPI_BASE_URL to use a mirror
+ *   POKEAPI_SOURCE=filesystem  JSON snapshot in POKEAPI_SNAPSHOT_DIR (default data/pokeapi)
+ *   POKEAPI_SOURCE=sqlite      SQLite snapshot at POKEAPI_SQLITE_PATH (default data/pokeapi.sqlite)
+ *
+ * Snapshots are built from a PokeAPI dump with `npm run snapshot:import`.
+ */
+
+const path = require('path');
+
+const POKEAPI_BASE_URL = 'https://pokeapi.co/api/v2';
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', '..', '..', 'data', 'pokeapi');
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', '..', 'data', 'pokeapi.sqlite');
+
+// Resources the agent reads; the snapshot importer copies these by default
+const DEFAULT_RESOURCES = ['pokemon', 'pokemon-species', 'pokemon-form', 'evolution-chain', 'ability', 'move', 'item', 'nature', 'egg-group'];
+
+/**
+ * Split a PokeAPI path or URL into its resource and key
+ *
+ * "/pokemon/pikachu", "pokemon-species/25/" and
+ * "https://pokeapi.co/api/v2/evolution-chain/10/" are all accepted.
+ */
+function parseResourcePath(resourcePath) {
+    const relative = String(resourcePath)
+        .replace(/^https?:\/\/[^/]+/, '')
+        .replace(/^\/?api\/v2/, '')
+        .replace(/^\/+|\/+$/g, '');
+
+    const [resource, key, ...rest] = relative.split('/');
+    if (!resource || !key || rest.length > 0 || key.includes('?')) {
+        throw new Error(`Unsupported PokeAPI path: ${resourcePath}`);
+    }
+
+    return { resource, key: decodeURIComponent(key).toLowerCase() };
+}
+
+/**
+ * Error shaped like an axios 404 so callers handle every source the same way
+ */
+function createNotFoundError(resourcePath) {
+    const error = new Error(`Resource not found: ${resourcePath}`);
+    error.response = { status: 404 };
+    return error;
+}
+
+/**
+ * Create the data source selected by config (falls back to environment variables)
+ */
+function createDataSource(config = {}) {
+    const type = (config.type || process.env.POKEAPI_SOURCE || 'http').toLowerCase();
+
+    switch (type) {
+        case 'http': {
+            const HttpDataSource = require('./http_source');
+            return new HttpDataSource({
+                baseURL: config.baseURL || process.env.POKEAPI_BASE_URL || POKEAPI_BASE_URL,
+                timeout: config.timeout
+            });
+        }
+        case 'filesystem': {
+            const FileSystemDataSource = require('./filesystem_source');
+            return new FileSystemDataSource({
+                directory: config.directory || process.env.POKEAPI_SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR
+            });
+        }
+        case 'sqlite': {
+            const SqliteDataSource = require('./sqlite_source');
+            return new SqliteDataSource({
+                path: config.path || process.env.POKEAPI_SQLITE_PATH || DEFAULT_SQLITE_PATH
+            });
+        }
+        default:
+            throw new Error(`Unknown PokeAPI data source: ${type} (expected http, filesystem or sqlite)`);
+    }
+}
+
+module.exports = {
+    createDataSource,
+    parseResourcePath,
+    createNotFoundError,
+    POKEAPI_BASE_URL,
+    DEFAULT_RESOURCES,
+    DEFAULT_SNAPSHOT_DIR,
+    DEFAULT_SQLITE_PATH
+};
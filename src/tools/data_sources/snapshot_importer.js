@@ -0,0 +1,188 @@
+/**
+ * PokeAPI snapshot importer
+ *
+ * Builds the offline snapshot read by the filesystem and SQLite data sources
+ * from a PokeAPI dump in the api-data layout (<root>/data/api/v2/<resource>/<id>/index.json).
+ * Relative URLs in the dump are rewritten to canonical https://pokeapi.co/api/v2
+ * URLs, so payloads look exactly like the live API's.
+ *
+ * Usage: npm run snapshot:import -- <dump-dir> [--out data/pokeapi] [--sqlite data/pokeapi.sqlite] [--resources pokemon,pokemon-species]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { POKEAPI_BASE_URL, DEFAULT_RESOURCES, DEFAULT_SNAPSHOT_DIR } = require('./index');
+const { loadSqlite } = require('./sqlite_source');
+
+/**
+ * Locate the api/v2 directory inside a dump
+ */
+function findApiRoot(dumpDir) {
+    const candidates = [
+        dumpDir,
+        path.join(dumpDir, 'api', 'v2'),
+        path.join(dumpDir, 'data', 'api', 'v2')
+    ];
+
+    const apiRoot = candidates.find(candidate => fs.existsSync(path.join(candidate, 'pokemon')));
+    if (!apiRoot) {
+        throw new Error(`No PokeAPI dump found in ${dumpDir} (expected api/v2/pokemon/<id>/index.json)`);
+    }
+    return apiRoot;
+}
+
+/**
+ * Read one resource from the dump, rewriting relative API URLs
+ */
+function readDumpResource(file) {
+    const raw = fs.readFileSync(file, 'utf8').replace(/"\/api\/v2\//g, `"${POKEAPI_BASE_URL}/`);
+    return JSON.parse(raw);
+}
+
+/**
+ * Create the SQLite schema and return an insert function
+ */
+function openSqliteSnapshot(sqlitePath) {
+    const Database = loadSqlite();
+    fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+    fs.rmSync(sqlitePath, { force: true });
+
+    const db = new Database(sqlitePath);
+    db.exec(`
+        CREATE TABLE resources (
+            resource TEXT NOT NULL,
+            id INTEGER NOT NULL,
+            name TEXT,
+            data TEXT NOT NULL,
+            PRIMARY KEY (resource, id)
+        );
+        CREATE INDEX resources_by_name ON resources (resource, name);
+    `);
+
+    return {
+        insert: db.prepare('INSERT INTO resources (resource, id, name, data) VALUES (?, ?, ?, ?)'),
+        transaction: fn => db.transaction(fn)(),
+        close: () => db.close()
+    };
+}
+
+/**
+ * Import a dump into a JSON snapshot directory and/or a SQLite file
+ *
+ * options: { dumpDir, outDir, sqlitePath, resources }
+ * Returns a manifest with per-resource counts.
+ */
+function importSnapshot(options) {
+    const apiRoot = findApiRoot(options.dumpDir);
+    const resources = options.resources && options.resources.length > 0 ? options.resources : DEFAULT_RESOURCES;
+    const sqlite = options.sqlitePath ? openSqliteSnapshot(options.sqlitePath) : null;
+
+    const manifest = {
+        // Directory name only, so snapshots don't embed the importing machine's paths
+        source: path.basename(path.resolve(options.dumpDir)),
+        imported_at: new Date().toISOString(),
+        resources: {}
+    };
+
+    try {
+        for (const resource of resources) {
+            const resourceDir = path.join(apiRoot, resource);
+            if (!fs.existsSync(resourceDir)) {
+                logger.warn(`Dump has no '${resource}' resource, skipping`);
+                continue;
+            }
+
+            const ids = fs.readdirSync(resourceDir)
+                .filter(entry => /^\d+$/.test(entry) && fs.existsSync(path.join(resourceDir, entry, 'index.json')))
+                .sort((a, b) => a - b);
+
+            const outputDir = options.outDir ? path.join(options.outDir, resource) : null;
+            if (outputDir) {
+                fs.mkdirSync(outputDir, { recursive: true });
+            }
+
+            const names = {};
+            const rows = [];
+            for (const id of ids) {
+                const data = readDumpResource(path.join(resourceDir, id, 'index.json'));
+                if (data.name) {
+                    names[data.name] = data.id;
+                }
+
+                const json = JSON.stringify(data);
+                if (outputDir) {
+                    fs.writeFileSync(path.join(outputDir, `${data.id}.json`), json);
+                }
+                if (sqlite) {
+                    rows.push([resource, data.id, data.name || null, json]);
+                }
+            }
+
+            if (outputDir) {
+                fs.writeFileSync(path.join(outputDir, 'index.json'), JSON.stringify(names, null, 2));
+            }
+            if (sqlite) {
+                sqlite.transaction(() => rows.forEach(row => sqlite.insert.run(...row)));
+            }
+
+            manifest.resources[resource] = ids.length;
+            logger.info(`Imported ${ids.length} ${resource} resources`);
+        }
+    } finally {
+        if (sqlite) {
+            sqlite.close();
+        }
+    }
+
+    if (options.outDir) {
+        fs.writeFileSync(path.join(options.outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    }
+
+    return manifest;
+}
+
+/**
+ * Parse command line arguments for the importer
+ */
+function parseArgs(argv) {
+    const options = { dumpDir: null, outDir: DEFAULT_SNAPSHOT_DIR, sqlitePath: null, resources: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.outDir = argv[++i];
+        } else if (arg === '--sqlite') {
+            options.sqlitePath = argv[++i];
+        } else if (arg === '--resources') {
+            options.resources = argv[++i].split(',').map(resource => resource.trim()).filter(Boolean);
+        } else if (arg === '--no-json') {
+            options.outDir = null;
+        } else if (!options.dumpDir) {
+            options.dumpDir = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!options.dumpDir) {
+        throw new Error('Usage: snapshot_importer <dump-dir> [--out dir] [--sqlite file] [--resources a,b] [--no-json]');
+    }
+    return options;
+}
+
+if (require.main === module) {
+    try {
+        const manifest = importSnapshot(parseArgs(process.argv.slice(2)));
+        const total = Object.values(manifest.resources).reduce((sum, count) => sum + count, 0);
+        logger.info(`Snapshot import complete: ${total} resources`);
+    } catch (error) {
+        logger.error(`Snapshot import failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    importSnapshot,
+    findApiRoot
+};
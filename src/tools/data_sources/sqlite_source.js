@@ -0,0 +1,85 @@
+/**
+ * SQLite data source - single-file snapshot written by the snapshot importer
+ *
+ * Uses the optional `better-sqlite3` package; install it to enable this source.
+ * Schema: resources(resource TEXT, id INTEGER, name TEXT, data TEXT).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseResourcePath, createNotFoundError } = require('./index');
+
+/**
+ * Load better-sqlite3, which is an optional dependency
+ */
+function loadSqlite() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('SQLite data source requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+}
+
+class SqliteDataSource {
+    constructor(options = {}) {
+        this.path = path.resolve(options.path);
+        this.db = null;
+        this.statements = null;
+    }
+
+    /**
+     * Open the database on first use
+     */
+    _open() {
+        if (!this.db) {
+            if (!fs.existsSync(this.path)) {
+                throw new Error(`PokeAPI SQLite snapshot not found: ${this.path} (run npm run snapshot:import -- --sqlite)`);
+            }
+
+            const Database = loadSqlite();
+            this.db = new Database(this.path, { readonly: true, fileMustExist: true });
+            this.statements = {
+                byId: this.db.prepare('SELECT data FROM resources WHERE resource = ? AND id = ?'),
+                byName: this.db.prepare('SELECT data FROM resources WHERE resource = ? AND name = ?'),
+                names: this.db.prepare('SELECT name FROM resources WHERE resource = ? AND name IS NOT NULL ORDER BY id')
+            };
+        }
+        return this.statements;
+    }
+
+    /**
+     * Fetch a resource by path or full PokeAPI URL
+     */
+    async get(resourcePath, options = {}) {
+        if (options.signal && options.signal.aborted) {
+            const error = new Error('Request aborted');
+            error.name = 'AbortError';
+            throw error;
+        }
+
+        const { resource, key } = parseResourcePath(resourcePath);
+        const statements = this._open();
+        const row = /^\d+$/.test(key)
+            ? statements.byId.get(resource, parseInt(key, 10))
+            : statements.byName.get(resource, key);
+
+        if (!row) {
+            throw createNotFoundError(resourcePath);
+        }
+        return { data: JSON.parse(row.data) };
+    }
+
+    /**
+     * Names of every resource of a type in the snapshot
+     */
+    async list(resource) {
+        return this._open().names.all(resource).map(row => row.name);
+    }
+
+    describe() {
+        return `sqlite (${this.path})`;
+    }
+}
+
+module.exports = SqliteDataSource;
+module.exports.loadSqlite = loadSqlite;
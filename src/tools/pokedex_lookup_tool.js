@@ -0,0 +1,259 @@
+/**
+ * Pokedex Lookup Tool - abilities, moves, items and natures
+ *
+ * Answers questions about one entry rather than a Pokemon ("what does
+ * Levitate do", "who learns Earthquake", "Choice Scarf item", "Adamant
+ * nature") from PokeAPI's `/ability`, `/move`, `/item` and `/nature`
+ * resources: effect text, the generation it was introduced in and the
+ * Pokemon that have the ability, learn the move or hold the item.
+ */
+
+const PokemonTool = require('./pokemon_tool');
+const lookups = require('../pokemon/lookups');
+const nameResolver = require('../pokemon/name_resolver');
+const logger = require('../utils/logger');
+const { QUERY_INPUT_SCHEMA } = require('./tool_registry');
+
+// Kinds a name is looked up as, in order, when the question doesn't say which it is
+const UNTYPED_KINDS = ['ability', 'move', 'item'];
+
+// Pokemon named per list before "and N more"
+const LIST_LIMITS = { fast: 10, balanced: 20, quality: 60 };
+
+const STAT_LABELS = {
+    attack: 'Attack',
+    defense: 'Defense',
+    'special-attack': 'Special Attack',
+    'special-defense': 'Special Defense',
+    speed: 'Speed'
+};
+
+class PokedexLookupTool {
+    constructor(options = {}) {
+        this.name = 'pokedex_lookup';
+        this.description = 'Looks up an ability, move, item or nature: its effect, the generation it was introduced in, and the Pokemon that have the ability, learn the move or hold the item.';
+        this.inputSchema = QUERY_INPUT_SCHEMA;
+        this.outputTypes = ['lookup'];
+        this.examples = [
+            'what does levitate do',
+            'who learns earthquake',
+            'which pokemon can learn thunderbolt',
+            'tell me about the ability intimidate',
+            'how does choice scarf work',
+            'what is the life orb item',
+            'who holds leftovers',
+            'adamant nature',
+            'effect of the move dragon dance'
+        ];
+        // Questions about one ability, move, item or nature that name no Pokemon.
+        // A name without its kind ("how does choice scarf work") could also be
+        // another tool's question, so it doesn't take priority over them.
+        this.patterns = [
+            { test: (text) => { const request = this.parse(text); return request !== null && request.kind !== null; } },
+            { test: (text) => { const request = this.parse(text); return request !== null && request.kind === null; }, priority: false }
+        ];
+
+        this.pokemonTool = options.pokemonTool || new PokemonTool();
+        // Known slugs per untyped kind, loaded by initialize()
+        this.names = {};
+    }
+
+    /**
+     * Load the ability, move and item names that untyped questions are checked against
+     */
+    async initialize() {
+        await Promise.all(UNTYPED_KINDS.map(async (kind) => {
+            try {
+                this.names[kind] = new Set(await this.pokemonTool.listLookupNames(kind));
+            } catch (error) {
+                logger.warn(`Could not list ${kind} names; untyped ${kind} lookups are disabled: ${error.message}`);
+            }
+        }));
+    }
+
+    /**
+     * The entry a question is about, or null when it names a Pokemon or
+     * isn't about a single entry
+     *
+     * A name without its kind is only accepted when it is a known ability,
+     * move or item; `kinds` lists which.
+     */
+    parse(query) {
+        if (nameResolver.findPokemonNames(query).length > 0) {
+            return null;
+        }
+        const request = lookups.parseLookupQuery(query);
+        if (!request || request.kind !== null) {
+            return request;
+        }
+        const kinds = UNTYPED_KINDS.filter(kind => this.names[kind] && this.names[kind].has(request.slug));
+        return kinds.length > 0 ? { ...request, kinds } : null;
+    }
+
+    async execute(query, options = {}) {
+        const request = this.parse(query);
+        if (!request) {
+            return `I couldn't tell which ability, move, item or nature "${query}" is about. Try something like "what does Levitate do" or "who learns Earthquake".`;
+        }
+
+        const kinds = request.kind ? [request.kind] : request.kinds;
+        for (const kind of kinds) {
+            try {
+                const entry = await this.pokemonTool.getLookup(kind, request.slug, { signal: options.signal });
+                return { type: 'lookup', query, kind, list: request.list, entry };
+            } catch (error) {
+                if (!error.response || error.response.status !== 404) {
+                    logger.warn(`Lookup of ${kind}/${request.slug} failed: ${error.message}`);
+                    return `I couldn't look up "${request.name}" right now: ${error.message}`;
+                }
+            }
+        }
+        return `I couldn't find ${describeKinds(kinds)} called "${request.name}".`;
+    }
+
+    async render(result, context) {
+        const { entry } = result;
+        const mode = context.performanceMode === 'fast' || context.performanceMode === 'quality' ? context.performanceMode : 'balanced';
+        const facts = this._facts(entry);
+        const pokemon = this._pokemonList(entry);
+        const limit = LIST_LIMITS[mode];
+        const listed = pokemon ? formatList(pokemon.entries.map(formatPokemon), limit) : null;
+        const introduced = entry.generation ? lookups.formatGeneration(entry.generation) : null;
+
+        switch (mode) {
+            case 'fast': {
+                let response = `${entry.name} (${entry.kind}${introduced ? `, ${introduced}` : ''}): ${this._summary(entry)}`;
+                if (pokemon) {
+                    response += result.list && pokemon.entries.length > 0
+                        ? ` ${capitalize(pokemon.label)}: ${listed}.`
+                        : ` ${pokemon.count} ${pokemon.entries.length} Pokemon.`;
+                }
+                return response;
+            }
+
+            case 'quality': {
+                let response = `## ${entry.name} (${capitalize(entry.kind)})\n\n`;
+                response += `| | |\n|---|---|\n${facts.map(([label, value]) => `| ${label} | ${value} |`).join('\n')}\n\n`;
+                const effect = entry.kind === 'nature' ? this._summary(entry) : entry.full_effect || entry.effect;
+                if (effect) {
+                    response += `**Effect:** ${effect}\n\n`;
+                }
+                if (entry.flavor_text) {
+                    response += `> ${entry.flavor_text}\n\n`;
+                }
+                if (pokemon) {
+                    response += `### ${capitalize(pokemon.label)} (${pokemon.entries.length})\n\n`;
+                    response += pokemon.entries.length > 0 ? `${listed}\n\n` : `${pokemon.none}\n\n`;
+                }
+                response += `*From PokeAPI's /${entry.kind}/${entry.slug}.*`;
+                return response;
+            }
+
+            default: { // balanced
+                let response = `**${entry.name}** is ${entry.kind === 'ability' || entry.kind === 'item' ? 'an' : 'a'} ${entry.kind}${introduced ? ` introduced in ${introduced}` : ''}. ${this._summary(entry)}`;
+                if (entry.flavor_text && entry.flavor_text !== entry.effect) {
+                    response += `\n\n*${entry.flavor_text}*`;
+                }
+                if (entry.kind !== 'ability' && entry.kind !== 'nature') {
+                    response += `\n\n${facts.filter(([label]) => label !== 'Introduced').map(([label, value]) => `- ${label}: ${value}`).join('\n')}`;
+                }
+                if (pokemon) {
+                    response += pokemon.entries.length > 0
+                        ? `\n\n${capitalize(pokemon.label)} (${pokemon.entries.length}): ${listed}.`
+                        : `\n\n${pokemon.none}`;
+                }
+                return response;
+            }
+        }
+    }
+
+    serialize(result) {
+        return {
+            type: 'lookup',
+            query: result.query,
+            kind: result.kind,
+            entry: result.entry
+        };
+    }
+
+    /**
+     * One-sentence description: the effect, or what a nature does to stats
+     */
+    _summary(entry) {
+        if (entry.kind === 'nature') {
+            return entry.increased_stat
+                ? `Raises ${STAT_LABELS[entry.increased_stat]} by 10% and lowers ${STAT_LABELS[entry.decreased_stat]} by 10%.`
+                : 'A neutral nature: it raises and lowers no stats.';
+        }
+        return entry.effect || entry.flavor_text || 'No effect text is available.';
+    }
+
+    /**
+     * [label, value] rows describing an entry
+     */
+    _facts(entry) {
+        const facts = [];
+        switch (entry.kind) {
+            case 'move':
+                facts.push(['Type', capitalize(entry.type || 'unknown')]);
+                facts.push(['Category', capitalize(entry.category || 'unknown')]);
+                facts.push(['Power', entry.power === null ? '—' : entry.power]);
+                facts.push(['Accuracy', entry.accuracy === null ? '—' : `${entry.accuracy}%`]);
+                facts.push(['PP', entry.pp === null ? '—' : entry.pp]);
+                if (entry.priority !== 0) {
+                    facts.push(['Priority', entry.priority > 0 ? `+${entry.priority}` : entry.priority]);
+                }
+                break;
+            case 'item':
+                facts.push(['Category', entry.category ? entry.category.split('-').map(capitalize).join(' ') : 'Unknown']);
+                facts.push(['Cost', entry.cost > 0 ? `₽${entry.cost}` : 'Cannot be bought']);
+                if (entry.fling_power) {
+                    facts.push(['Fling power', entry.fling_power]);
+                }
+                break;
+            case 'nature':
+                facts.push(['Raises', entry.increased_stat ? STAT_LABELS[entry.increased_stat] : '—']);
+                facts.push(['Lowers', entry.decreased_stat ? STAT_LABELS[entry.decreased_stat] : '—']);
+                facts.push(['Likes', entry.likes_flavor ? capitalize(entry.likes_flavor) : '—']);
+                facts.push(['Dislikes', entry.hates_flavor ? capitalize(entry.hates_flavor) : '—']);
+                break;
+        }
+        if (entry.generation) {
+            facts.push(['Introduced', lookups.formatGeneration(entry.generation)]);
+        }
+        return facts;
+    }
+
+    /**
+     * The entry's Pokemon list with how to describe it, or null for natures
+     */
+    _pokemonList(entry) {
+        switch (entry.kind) {
+            case 'ability': return { label: `Pokemon with ${entry.name}`, count: 'Found on', none: 'No Pokemon has it.', entries: entry.pokemon };
+            case 'move': return { label: `Pokemon that learn ${entry.name}`, count: 'Learned by', none: 'No Pokemon learns it.', entries: entry.learned_by };
+            case 'item': return { label: `wild Pokemon that may hold ${entry.name}`, count: 'Held by', none: 'No wild Pokemon holds it.', entries: entry.held_by };
+            default: return null;
+        }
+    }
+}
+
+function describeKinds(kinds) {
+    const named = kinds.map(kind => `${kind === 'ability' || kind === 'item' ? 'an' : 'a'} ${kind}`);
+    return named.length > 1 ? `${named.slice(0, -1).join(', ')} or ${named[named.length - 1]}` : named[0];
+}
+
+function formatPokemon(entry) {
+    return entry.is_hidden ? `${entry.name} (hidden)` : entry.name;
+}
+
+function formatList(names, limit) {
+    const more = names.length - limit;
+    return more > 0 ? `${names.slice(0, limit).join(', ')} and ${more} more` : names.join(', ');
+}
+
+function capitalize(text) {
+    const string = String(text);
+    return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+module.exports = PokedexLookupTool;
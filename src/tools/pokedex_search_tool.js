@@ -0,0 +1,161 @@
+/**
+ * Pokedex Search Tool - filters and ranks the whole Pokedex
+ *
+ * Answers set-based questions that name no Pokemon ("fastest Fire types",
+ * "Pokemon with base attack over 130 from gen 4", "which Pokemon have
+ * Levitate") from the local species table built by `npm run table:build`.
+ */
+
+const SpeciesTable = require('../pokemon/species_table');
+const pokedexQuery = require('../pokemon/pokedex_query');
+const nameResolver = require('../pokemon/name_resolver');
+const { STAT_NAMES } = require('../pokemon/stat_calc');
+const logger = require('../utils/logger');
+const { QUERY_INPUT_SCHEMA } = require('./tool_registry');
+
+const STAT_COLUMNS = { hp: 'HP', attack: 'Atk', defense: 'Def', 'special-attack': 'SpA', 'special-defense': 'SpD', speed: 'Spe' };
+
+class PokedexSearchTool {
+    constructor(options = {}) {
+        this.name = 'pokedex_search';
+        this.description = 'Filters and ranks every Pokemon by type, base stats, ability, generation and legendary status, from a local species table.';
+        this.inputSchema = QUERY_INPUT_SCHEMA;
+        this.outputTypes = ['pokedex_results'];
+        this.examples = [
+            'fastest fire types',
+            'pokemon with base attack over 130 from gen 4',
+            'all dragon/ground pokemon',
+            'which pokemon have levitate',
+            'top 5 heaviest steel types',
+            'legendary pokemon with the highest special attack',
+            'slowest water pokemon from kanto',
+            'pokemon with at least 100 speed',
+            'which pokemon have intimidate as a hidden ability'
+        ];
+        // Set-based questions that do not name a Pokemon; an unreadable
+        // species table must not break routing for every other tool
+        this.patterns = [
+            {
+                test: (text) => {
+                    try {
+                        return this.parse(text) !== null;
+                    } catch (error) {
+                        return false;
+                    }
+                }
+            }
+        ];
+
+        this.table = options.table || new SpeciesTable({ path: options.path });
+    }
+
+    /**
+     * The filter and sort expression of a question, or null when it names a
+     * Pokemon or has nothing to filter or rank by
+     */
+    parse(query) {
+        if (nameResolver.findPokemonNames(query).length > 0) {
+            return null;
+        }
+        return pokedexQuery.parseQuery(query, { abilities: this.table.listAbilities() });
+    }
+
+    async execute(query) {
+        let criteria;
+        let rows;
+        try {
+            criteria = this.parse(query);
+            rows = criteria && this.table.getRows();
+        } catch (error) {
+            logger.warn(`Pokedex search unavailable: ${error.message}`);
+            return `Pokedex search is not available yet: ${error.message}`;
+        }
+        if (!criteria) {
+            return `I couldn't read a Pokedex search from "${query}". Try something like "fastest Fire types" or "Pokemon with base attack over 130 from gen 4".`;
+        }
+
+        const { total, sort, results } = pokedexQuery.runQuery(rows, criteria);
+        return {
+            type: 'pokedex_results',
+            query,
+            criteria: { ...criteria, sort },
+            description: pokedexQuery.describeQuery(criteria),
+            order: pokedexQuery.describeSort(sort),
+            total,
+            results,
+            table: { rows: rows.length, built_at: this.table.builtAt }
+        };
+    }
+
+    async render(result, context) {
+        const { results, criteria } = result;
+        const heading = result.order ? `${result.description}, ${result.order}` : result.description;
+        if (results.length === 0) {
+            return `No ${result.description} found in the Pokedex.`;
+        }
+        const more = result.total - results.length;
+
+        switch (context.performanceMode) {
+            case 'fast':
+                return `${capitalize(heading)}: ${results.map(row => `${row.name} (${this._detail(row, criteria.sort)})`).join(', ')}${more > 0 ? ` (+${more} more)` : ''}`;
+
+            case 'quality': {
+                const header = `| # | Pokemon | Type | ${STAT_NAMES.map(stat => STAT_COLUMNS[stat]).join(' | ')} | Total |`;
+                const divider = `|---|---|---|${STAT_NAMES.map(() => '---').join('|')}|---|`;
+                const lines = results.map(row => `| ${row.rank} | ${row.name} | ${row.types.map(capitalize).join('/')} | ${STAT_NAMES.map(stat => row.stats[stat]).join(' | ')} | ${row.total} |`);
+                let response = `## ${capitalize(heading)}\n\n`;
+                response += `${result.total} ${result.total === 1 ? 'match' : 'matches'}${more > 0 ? `; showing the top ${results.length}` : ''}.\n\n`;
+                response += `${header}\n${divider}\n${lines.join('\n')}\n\n`;
+                response += `*Filtered from the local species table (${result.table.rows} Pokemon and forms${result.table.built_at ? `, built ${result.table.built_at.slice(0, 10)}` : ''}). Battle-only forms such as Mega Evolutions are only included when asked for.*`;
+                return response;
+            }
+
+            default: { // balanced
+                const lines = results.map(row => `${row.rank}. **${row.name}** - ${row.types.map(capitalize).join('/')}, ${this._detail(row, criteria.sort)}`);
+                return `Found ${result.total} ${result.description}${result.order ? ` (${result.order})` : ''}${more > 0 ? `; here are the top ${results.length}` : ''}:\n\n${lines.join('\n')}`;
+            }
+        }
+    }
+
+    serialize(result) {
+        return {
+            type: 'pokedex_results',
+            query: result.query,
+            criteria: result.criteria,
+            description: result.description,
+            total: result.total,
+            results: result.results.map(row => ({
+                rank: row.rank,
+                slug: row.slug,
+                name: row.name,
+                id: row.id,
+                form: row.form,
+                types: row.types,
+                abilities: row.abilities,
+                hidden_ability: row.hidden_ability,
+                stats: { base: row.stats, total: row.total },
+                height_m: row.height_m,
+                weight_kg: row.weight_kg,
+                generation: row.generation,
+                is_legendary: row.is_legendary,
+                is_mythical: row.is_mythical,
+                value: row.value
+            }))
+        };
+    }
+
+    /**
+     * The sort field's value ("Speed 100"), or the base stat total when unsorted
+     */
+    _detail(row, sort) {
+        return sort
+            ? `${pokedexQuery.formatFieldLabel(sort.field)} ${pokedexQuery.formatValue(sort.field, row.value)}`
+            : `BST ${row.total}`;
+    }
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = PokedexSearchTool;
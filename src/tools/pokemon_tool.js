@@ -5,8 +5,38 @@
  * connection pooling, and optimized API interactions.
  */
 
-const axios = require('axios');
-const NodeCache = require('node-cache');
+const TieredCache = require('../utils/tiered_cache');
+const evolutionChain = require('../pokemon/evolution_chain');
+const pokemonAnalysis = require('../pokemon/analysis');
+const nameResolver = require('../pokemon/name_resolver');
+const learnset = require('../pokemon/learnset');
+const moves = require('../pokemon/moves');
+const forms = require('../pokemon/forms');
+const lookups = require('../pokemon/lookups');
+const breeding = require('../pokemon/breeding');
+const statCalc = require('../pokemon/stat_calc');
+const statQuery = require('../pokemon/stat_query');
+const { createDataSource } = require('./data_sources');
+const { QUERY_INPUT_SCHEMA } = require('./tool_registry');
+
+// Concurrent /move/{name} requests when fetching a learnset's move details,
+// and /pokemon and /pokemon-species requests for breeding partners
+const MOVE_FETCH_CONCURRENCY = 8;
+
+// "what moves does Lucario learn", "Gengar's movepool", "egg moves for Bulbasaur"
+const LEARNSET_QUERY = /\b(learns?|learnsets?|movepools?|movesets?|(egg|tm|tutor|level[\s-]*up) moves|(what|which) (moves|attacks|tms))\b/i;
+
+// "what forms does Rotom have", "Charizard's mega evolutions", "regional variants of Meowth"
+const FORMS_QUERY = /\b(forms|formes|variants|varieties|megas|mega evolutions|(alternate|alternative|other|different|regional) (forms?|formes?|variants?))\b/i;
+
+// "can Charizard breed with Squirtle", "Ditto breeding", "chain breed Ice Beam onto Squirtle", "Everstone"
+const BREEDING_QUERY = /\b(breed(s|ing|able)?|egg groups?|hatch(es|ing)?|egg steps|chain[\s-]*breed(s|ing)?|destiny knot|everstone|gender ratio)\b/i;
+
+// "Jolly Garchomp 252 Atk at level 50", "what IVs does my Garchomp have", "does Garchomp outspeed base 100s"
+const STAT_QUERY = /\b(evs?|ivs?|stat calc(ulator)?|actual stats?|real stats?|in-?game stats?|stats at (level|lv)|at (level|lvl|lv\.?) ?\d+|lvl? ?\d+|\d{1,3}\s*[+-]?\s*(hp|atk|def|spa|spd|spe)|outspeeds?|outpaces?|speed tiers?|speed ties?|faster than|slower than)\b/i;
+
+// Two forms of one species named together are a form comparison unless the query asks for a battle
+const BATTLE_QUERY = /\b(versus|vs|against|matchup|battle|fight|beats?|wins?)\b/i;
 
 // Simple logger for serverless environment
 const logger = {
@@ -16,7 +46,7 @@ const logger = {
 };
 
 class PokemonTool {
-    constructor() {
+    constructor(options = {}) {
         this.name = 'pokemon_info';
         this.description = `
 Useful for getting information about Pokemon. 
@@ -27,26 +57,67 @@ This tool can provide details about:
 - Egg groups and breeding info
 - Base stats and capture rates
 - Pokemon descriptions
+- Learnsets by game and learn method, with move details
+- Alternate forms (Mega Evolutions, regional variants, Rotom's appliances) compared side by side
+- Breeding: compatibility, partners, egg move chains, hatch steps, gender ratio and IV/nature inheritance
+- Actual stats from level, IVs, EVs and nature; IVs from stats seen in game; Speed tiers
 
 Examples of good inputs:
 - "Pikachu"
 - "Tell me about Charizard"
 - "What are Bulbasaur's stats?"
 - "Diglett evolution"
+- "What moves does Lucario learn by level up in Scarlet/Violet?"
+- "Mega Charizard X" or "What forms does Rotom have?"
+- "Can Charizard breed with Squirtle?"
+- "Does max-speed Jolly Garchomp outspeed base 100s?"
         `.trim();
         
-        // Setup caching (memory only for serverless)
-        this.cache = new NodeCache({ stdTTL: 3600 }); // 1 hour cache
+        // Tool contract (see tool_registry.js)
+        this.inputSchema = QUERY_INPUT_SCHEMA;
+        this.outputTypes = ['pokemon_data', 'competitive_matchup', 'learnset', 'pokemon_forms', 'breeding', 'stat_calc'];
+        this.mlParameterExtraction = true;
+        this.examples = [
+            'tell me about pikachu',
+            'what are charizard stats',
+            'pokemon bulbasaur info',
+            'does squirtle evolve',
+            'charmander evolution',
+            'pokemon height weight',
+            'egg group abilities',
+            'how does pikachu matchup versus rhyhorn',
+            'charizard vs blastoise competitive',
+            'what moves does lucario learn by level up in scarlet violet',
+            'gengar tm moves',
+            'tell me about mega charizard x',
+            'what forms does rotom have',
+            'compare heat rotom and wash rotom',
+            'can charizard breed with squirtle',
+            'how do I chain breed ice beam onto squirtle',
+            'breeding a 5iv adamant garchomp',
+            'jolly garchomp 252 atk 252 spe stats at level 50',
+            'what ivs does my level 40 adamant garchomp with 120 attack have',
+            'does max speed jolly garchomp outspeed base 100s'
+        ];
+        this.patterns = [
+            /\b(pokemon|pokémon|poke)\b/i,
+            // Any name from the species index, typo tolerant
+            { test: (text) => nameResolver.findPokemonNames(text).length > 0 },
+            /\b(evolution|evolve|egg group|generation|habitat)\b.*\b(pokemon|pokémon)\b/i,
+            /(pokemon|pokémon)\s+(stats?|abilities|evolution|type|height|weight)/i,
+            /how does\s+\w+\s+(matchup|versus|vs)\s+\w+/i,
+            /\w+\s+(vs|versus)\s+\w+.*competitive/i
+        ];
         
-        // Setup HTTP client with connection pooling
-        this.httpClient = axios.create({
-            baseURL: 'https://pokeapi.co/api/v2',
-            timeout: 10000,
-            maxRedirects: 3,
-            // Connection pooling configuration
-            httpAgent: new (require('http').Agent)({ keepAlive: true, maxSockets: 10 }),
-            httpsAgent: new (require('https').Agent)({ keepAlive: true, maxSockets: 10 })
+        // PokeAPI payload cache: memory + disk, served stale while refreshing
+        this.cache = options.cache || new TieredCache({
+            namespace: 'pokeapi',
+            ttl: 3600, // 1 hour fresh
+            staleTtl: parseInt(process.env.CACHE_STALE_TTL) || 7 * 24 * 3600
         });
+        
+        // PokeAPI data source (live HTTP, filesystem or SQLite snapshot)
+        this.dataSource = options.dataSource || createDataSource(options.dataSourceConfig);
     }
     
     /**
@@ -65,36 +136,68 @@ Examples of good inputs:
                 pokemonNames = [...new Set(mlParams.pokemonNames)]; // Remove duplicates
                 logger.info(`Using ML-detected Pokemon names: ${pokemonNames.join(', ')}`);
             } else {
-                // Fall back to traditional extraction
-                const pokemonName = this._extractPokemonName(query);
-                if (pokemonName) {
-                    pokemonNames = [pokemonName];
-                }
+                // Resolve names against the species index
+                pokemonNames = this._extractPokemonNames(query);
             }
             
             if (pokemonNames.length === 0) {
                 return this._generateNoMatchResponse(query, options.performanceMode || 'balanced');
             }
             
+            // Pokemon already fetched by the plan steps this one depends on
+            const requestOptions = { signal: options.signal, known: this._collectDependencyInfo(options.dependencies) };
+            
+            // Egg groups, compatibility, egg move chains and inheritance
+            if (BREEDING_QUERY.test(query)) {
+                return await this._handleBreeding(pokemonNames, query, options, requestOptions);
+            }
+            
+            // Actual stats, IVs from stats seen in game, and Speed comparisons
+            if (STAT_QUERY.test(query) && !LEARNSET_QUERY.test(query) && !/\bevolv/i.test(query)) {
+                return await this._handleStats(pokemonNames, query, options, requestOptions);
+            }
+            
+            // Forms of one species, listed or compared side by side
+            if (FORMS_QUERY.test(query) || (this._sharedSpecies(pokemonNames) && !BATTLE_QUERY.test(query))) {
+                return await this._handleForms(pokemonNames, query, options, requestOptions);
+            }
+            
             // Handle multiple Pokemon for competitive matchups
             if (pokemonNames.length > 1 && (mlParams?.focus === 'competitive' || /\b(versus|vs|against|matchup|compare)\b/.test(query.toLowerCase()))) {
-                return await this._handleCompetitiveMatchup(pokemonNames, query, options, mlParams);
+                return await this._handleCompetitiveMatchup(pokemonNames, query, options, mlParams, requestOptions);
             }
             
             // Single Pokemon analysis
             const pokemonName = pokemonNames[0];
+            
+            if (LEARNSET_QUERY.test(query)) {
+                return await this._handleLearnset(pokemonName, query, options, requestOptions);
+            }
+            
             // Get Pokemon information with ML-guided data fetching
-            const pokemonInfo = await this._getPokemonInfo(pokemonName, mlParams);
+            const pokemonInfo = await this._getPokemonInfo(pokemonName, requestOptions);
             
             if (pokemonInfo.error) {
                 return this._generateErrorResponse(pokemonName, pokemonInfo.error, options.performanceMode || 'balanced');
             }
             
+            // Ability and breeding questions also get each ability's effect and
+            // the Pokemon sharing it, and the breeding partners
+            const wants = focus => mlParams && (mlParams.focus === focus || (mlParams.queryIntents || []).includes(focus));
+            const pokemon = { ...pokemonInfo };
+            if (wants('abilities')) {
+                pokemon.ability_details = await this._getAbilityDetails(pokemonInfo, requestOptions);
+            }
+            if (wants('breeding')) {
+                const breeder = breeding.describeBreeder(pokemonInfo);
+                pokemon.breeding_details = { ...breeder, partners: await this.getBreedingPartners(breeder, requestOptions) };
+            }
+            
             // Return raw data for the agent to process intelligently
             return {
                 type: 'pokemon_data',
                 query: query,
-                pokemon: pokemonInfo,
+                pokemon,
                 performanceMode: options.performanceMode || 'balanced',
                 mlEnhanced: !!mlParams
             };
@@ -105,18 +208,104 @@ Examples of good inputs:
         }
     }
     
+    /**
+     * Render a structured result with the request's response generator
+     *
+     * context: { query, performanceMode, mlParams, responseGenerator, mlPokemonAnalyzer }
+     */
+    async render(result, context) {
+        const { query, mlParams } = context;
+        
+        switch (result.type) {
+            case 'pokemon_data':
+                if (mlParams) {
+                    return await context.mlPokemonAnalyzer.generateMLEnhancedPokemonResponse(
+                        result.pokemon, query, context.performanceMode, mlParams
+                    );
+                }
+                return await context.responseGenerator.generateResponse(result.pokemon, query, 'pokemon', mlParams);
+            case 'competitive_matchup':
+                return await context.responseGenerator.generateResponse(result.pokemon, query, 'competitive_matchup', mlParams, { movesets: result.movesets });
+            case 'learnset':
+                return await context.responseGenerator.generateResponse(result, query, 'learnset', mlParams);
+            case 'pokemon_forms':
+                return await context.responseGenerator.generateResponse(result, query, 'pokemon_forms', mlParams);
+            case 'breeding':
+                return await context.responseGenerator.generateResponse(result, query, 'breeding', mlParams);
+            case 'stat_calc':
+                return await context.responseGenerator.generateResponse(result, query, 'stat_calc', mlParams);
+            default:
+                throw new Error(`Unknown result type '${result.type}'`);
+        }
+    }
+    
+    /**
+     * Structured view of a result for `format: "json"` requests
+     *
+     * Returns the analysis documented in src/data/analysis.schema.json.
+     */
+    serialize(result, context) {
+        let analysis;
+        switch (result.type) {
+            case 'pokemon_data':
+                analysis = pokemonAnalysis.buildPokemonAnalysis(result.pokemon);
+                break;
+            case 'competitive_matchup':
+                analysis = pokemonAnalysis.buildMatchupAnalysis(result.pokemon, { movesets: result.movesets });
+                break;
+            case 'learnset': {
+                const { query, performanceMode, ...learnsetAnalysis } = result;
+                analysis = learnsetAnalysis;
+                break;
+            }
+            case 'pokemon_forms':
+                analysis = pokemonAnalysis.buildFormsAnalysis(result.species, result.forms);
+                break;
+            case 'breeding': {
+                const { query, performanceMode, ...breedingAnalysis } = result;
+                analysis = breedingAnalysis;
+                break;
+            }
+            case 'stat_calc': {
+                const { query, performanceMode, ...statAnalysis } = result;
+                analysis = statAnalysis;
+                break;
+            }
+            default:
+                throw new Error(`Unknown result type '${result.type}'`);
+        }
+        
+        if (context.mlParams) {
+            analysis.query_analysis = {
+                focus: context.mlParams.focus,
+                intents: context.mlParams.queryIntents,
+                confidence: context.mlParams.confidence
+            };
+        }
+        return analysis;
+    }
+    
     /**
      * Generate response when no Pokemon match is found
      */
     _generateNoMatchResponse(query, performanceMode) {
+        const suggestions = nameResolver.suggestPokemonNames(query);
+        const didYouMean = suggestions.length > 0 ? `Did you mean ${suggestions.slice(0, -1).join(', ')}${suggestions.length > 1 ? ' or ' : ''}${suggestions[suggestions.length - 1]}?` : null;
+        
         switch (performanceMode) {
             case 'fast':
-                return "Please specify a Pokemon name (e.g. 'Pikachu', 'Charizard').";
+                return didYouMean || "Please specify a Pokemon name (e.g. 'Pikachu', 'Charizard').";
             
             case 'quality':
+                if (didYouMean) {
+                    return `I've analyzed your query "${query}" but couldn't match it to a Pokemon in the National Pokedex. ${didYouMean}\n\nIf so, ask again with the corrected name and I'll provide a detailed analysis including base stats, type effectiveness, breeding information, and strategic competitive insights.`;
+                }
                 return `I've analyzed your query "${query}" but couldn't identify a specific Pokemon name to research. I'm designed to provide comprehensive Pokemon information including statistical analysis, evolutionary pathways, competitive insights, and detailed species data.\n\nTo help you effectively, please specify a Pokemon name such as:\n- Classic favorites: Pikachu, Charizard, Blastoise\n- Legendary Pokemon: Mewtwo, Articuno, Lugia\n- Any Pokemon from any generation\n\nI can then provide you with detailed analysis including base stats, type effectiveness, breeding information, and strategic competitive insights.`;
             
             default: // balanced
+                if (didYouMean) {
+                    return `I couldn't find a Pokemon with that name. ${didYouMean} Just ask again with the right name and I'll share its stats, abilities, evolution, and more!`;
+                }
                 return "I couldn't identify a specific Pokemon name in your query. Could you please specify which Pokemon you'd like to know about? For example, you could ask about 'Pikachu', 'Charizard', or any other Pokemon, and I'll provide you with detailed information about their stats, abilities, evolution, and more!";
         }
     }
@@ -138,115 +327,151 @@ Examples of good inputs:
     }
     
     /**
-     * Extract Pokemon name from the query using pattern matching
+     * Extract Pokemon names (PokeAPI slugs) from the query, in order of appearance
      */
-    _extractPokemonName(query) {
-        const queryLower = query.toLowerCase().trim();
+    _extractPokemonNames(query) {
+        const matches = nameResolver.findPokemonNames(query);
         
-        // If the query is just a pokemon name, return it
-        if (queryLower.split(' ').length === 1) {
-            return queryLower;
+        for (const match of matches.filter(m => m.corrected)) {
+            logger.info(`Resolved '${match.matched}' to ${match.name}`);
         }
         
-        // Common Pokemon names for quick matching
-        const commonPokemon = [
-            'pikachu', 'charizard', 'bulbasaur', 'squirtle', 'charmander',
-            'blastoise', 'venusaur', 'caterpie', 'weedle', 'pidgey',
-            'rattata', 'spearow', 'ekans', 'sandshrew', 'nidoran',
-            'clefairy', 'vulpix', 'jigglypuff', 'zubat', 'oddish',
-            'paras', 'venonat', 'diglett', 'meowth', 'psyduck',
-            'mankey', 'growlithe', 'poliwag', 'abra', 'machop',
-            'bellsprout', 'tentacool', 'geodude', 'ponyta', 'slowpoke',
-            'magnemite', 'seel', 'grimer', 'shellder', 'gastly',
-            'onix', 'drowzee', 'krabby', 'voltorb', 'exeggcute',
-            'cubone', 'hitmonlee', 'hitmonchan', 'lickitung', 'koffing',
-            'rhyhorn', 'chansey', 'tangela', 'kangaskhan', 'horsea',
-            'goldeen', 'staryu', 'scyther', 'jynx', 'electabuzz',
-            'magmar', 'pinsir', 'tauros', 'magikarp', 'gyarados',
-            'lapras', 'ditto', 'eevee', 'vaporeon', 'jolteon',
-            'flareon', 'porygon', 'omanyte', 'kabuto', 'aerodactyl',
-            'snorlax', 'articuno', 'zapdos', 'moltres', 'dratini',
-            'dragonair', 'dragonite', 'mewtwo', 'mew'
-        ];
-        
-        // Check for direct Pokemon name matches
-        for (const pokemon of commonPokemon) {
-            if (queryLower.includes(pokemon)) {
-                return pokemon;
+        return matches.map(match => match.slug);
+    }
+    
+    /**
+     * Species slug when two or more names are forms of the same species, else null
+     */
+    _sharedSpecies(pokemonNames) {
+        if (pokemonNames.length < 2) {
+            return null;
+        }
+        const species = pokemonNames.map(name => {
+            const entry = nameResolver.getEntry(name);
+            return entry ? entry.species : null;
+        });
+        return species[0] && species.every(slug => slug === species[0]) ? species[0] : null;
+    }
+    
+    /**
+     * Index the Pokemon info found in earlier plan steps' outputs by PokeAPI slug
+     *
+     * A species' default form is also indexed under the species slug
+     * ("deoxys" for "deoxys-normal").
+     */
+    _collectDependencyInfo(dependencies = {}) {
+        const known = new Map();
+        for (const output of Object.values(dependencies)) {
+            if (!output || typeof output !== 'object') {
+                continue;
+            }
+            const infos = {
+                pokemon_data: [output.pokemon],
+                competitive_matchup: output.pokemon,
+                pokemon_forms: output.forms
+            }[output.type] || [];
+            for (const info of infos) {
+                known.set(info.slug, info);
+                if (!info.form_name && !known.has(info.species)) {
+                    known.set(info.species, info);
+                }
             }
         }
-        
-        // Try to extract pokemon name using patterns
-        const patterns = [
-            /(?:about|info|information about|details about|stats for|data on)\s+([a-zA-Z]+)/,
-            /pokemon\s+([a-zA-Z]+)/,
-            /pokémon\s+([a-zA-Z]+)/,
-            /^([a-zA-Z]+)(?:\s+pokemon|\s+pokémon|\s+stats|\s+evolution|\s+info)/,
-            /([a-zA-Z]+)(?:'s|\s+stats|\s+abilities|\s+type)/,
-            /does\s+([a-zA-Z]+)\s+(?:belong|evolve)/,
-            /when\s+does\s+([a-zA-Z]+)\s+evolve/,
-            /what\s+(?:egg\s+group\s+does\s+)?([a-zA-Z]+)/,
-            /\b([a-zA-Z]+)\s+(?:belong\s+to|evolve|evolution)/,
-            /tell\s+me\s+about\s+([a-zA-Z]+)/,
-            /what\s+(is|are)\s+([a-zA-Z]+)/
-        ];
-        
-        for (const pattern of patterns) {
-            const match = queryLower.match(pattern);
-            if (match) {
-                const pokemonName = match[1] || match[2];
-                // Filter out common words
-                const excludedWords = new Set([
-                    'the', 'what', 'how', 'where', 'when', 'why', 'is', 'are', 
-                    'can', 'does', 'egg', 'group', 'pokemon', 'pokémon', 'info',
-                    'about', 'stats', 'evolution', 'tell', 'me', 'good', 'best',
-                    'first', 'last', 'some', 'any', 'all', 'type', 'types'
-                ]);
-                
-                if (!excludedWords.has(pokemonName) && pokemonName.length > 2) {
-                    return pokemonName;
+        return known;
+    }
+    
+    /**
+     * Pokemon information for other tools, reusing data from earlier plan steps
+     *
+     * options: { signal, dependencies } as passed to execute()
+     */
+    async getPokemonInfo(pokemonName, options = {}) {
+        return this._getPokemonInfo(pokemonName, { signal: options.signal, known: this._collectDependencyInfo(options.dependencies) });
+    }
+    
+    /**
+     * Ability, move, item or nature facts (see src/pokemon/lookups.js)
+     *
+     * Rejects with error.response.status === 404 when there is no such entry.
+     */
+    async getLookup(kind, slug, options = {}) {
+        if (!lookups.KINDS.includes(kind)) {
+            throw new Error(`Unknown lookup kind '${kind}'`);
+        }
+        const data = await this._getResource(`${kind}_${slug}`, `/${kind}/${slug}`, { signal: options.signal });
+        return lookups.parseLookup(kind, data);
+    }
+
+    /**
+     * Slugs of every ability, move or item, through the payload cache
+     */
+    async listLookupNames(kind, options = {}) {
+        if (!lookups.KINDS.includes(kind)) {
+            throw new Error(`Unknown lookup kind '${kind}'`);
+        }
+        return this.cache.getOrFetch(`${kind}_names`, signal => this.dataSource.list(kind, { signal }), { signal: options.signal });
+    }
+    
+    /**
+     * Parsed /ability/{name} of each of a Pokemon's abilities, with is_hidden
+     * for this Pokemon; abilities that can't be fetched are left out
+     */
+    async _getAbilityDetails(info, requestOptions = {}) {
+        const details = [];
+        for (const slug of info.abilities) {
+            try {
+                const ability = await this.getLookup('ability', slug, requestOptions);
+                const own = ability.pokemon.find(entry => entry.slug === info.slug);
+                details.push({ ...ability, is_hidden: own ? own.is_hidden : null });
+            } catch (error) {
+                if (requestOptions.signal && requestOptions.signal.aborted) {
+                    throw error;
                 }
+                logger.warn(`Failed to fetch ability ${slug}: ${error.message}`);
             }
         }
-        
-        return null;
+        return details;
     }
     
     /**
      * Fetch comprehensive Pokemon information from PokeAPI with caching
+     *
+     * requestOptions.signal aborts in-flight API requests when the caller cancels;
+     * requestOptions.known holds info already fetched by earlier plan steps.
      */
-    async _getPokemonInfo(pokemonName) {
-        const cacheKey = `pokemon_${pokemonName.toLowerCase()}`;
-        
-        // Check memory cache first
-        const cachedData = this.cache.get(cacheKey);
-        if (cachedData) {
-            logger.info(`Returning cached data for ${pokemonName}`);
-            return cachedData;
-        }
-        
+    async _getPokemonInfo(pokemonName, requestOptions = {}) {
         try {
             // Clean the pokemon name
             const cleanName = pokemonName.toLowerCase().trim().replace(/\s+/g, '-');
             
+            const knownInfo = requestOptions.known && requestOptions.known.get(cleanName);
+            if (knownInfo) {
+                logger.info(`Reusing ${knownInfo.name} data from an earlier plan step`);
+                return knownInfo;
+            }
+            
             logger.info(`Fetching Pokemon data for: ${cleanName}`);
             
             // Fetch basic pokemon data
-            const pokemonResponse = await this.httpClient.get(`/pokemon/${cleanName}`);
-            const pokemonData = pokemonResponse.data;
+            const pokemonData = await this._fetchPokemonData(cleanName, requestOptions);
             
-            // Extract basic information
+            // Extract basic information; name is the display label ("Mega Charizard X")
+            // and id the species' National Dex number, for alternate forms too
             const info = {
-                name: pokemonData.name.split('-').map(word => 
-                    word.charAt(0).toUpperCase() + word.slice(1)
-                ).join(' '),
-                id: pokemonData.id,
+                name: nameResolver.getDisplayName(pokemonData.name) || evolutionChain.formatName(pokemonData.name),
+                id: evolutionChain.idFromUrl(pokemonData.species.url) || pokemonData.id,
+                slug: pokemonData.name,
+                species: pokemonData.species.name,
+                form_name: null,
+                is_mega: false,
+                is_battle_only: false,
                 height: pokemonData.height / 10, // Convert to meters
                 weight: pokemonData.weight / 10, // Convert to kg
                 types: pokemonData.types.map(t => t.type.name),
                 abilities: pokemonData.abilities.map(a => a.ability.name),
                 base_stats: {},
-                sprite: pokemonData.sprites.front_default
+                sprite: pokemonData.sprites.front_default,
+                learnset: learnset.parseLearnset(pokemonData.moves)
             };
             
             // Extract base stats
@@ -254,10 +479,14 @@ Examples of good inputs:
                 info.base_stats[stat.stat.name] = stat.base_stat;
             }
             
-            // Fetch species data for additional info
+            // Alternate forms take their form name and label from /pokemon-form
+            if (pokemonData.is_default === false) {
+                Object.assign(info, await this._getFormInfo(pokemonData, info.name, requestOptions));
+            }
+            
+            // Fetch species data for additional info (shared by all of a species' forms)
             try {
-                const speciesResponse = await this.httpClient.get(pokemonData.species.url.replace('https://pokeapi.co/api/v2', ''));
-                const speciesData = speciesResponse.data;
+                const speciesData = await this._getResource(`pokemon_${info.species}_species`, pokemonData.species.url, requestOptions);
                 
                 // Get English description
                 const flavorTexts = speciesData.flavor_text_entries || [];
@@ -266,8 +495,10 @@ Examples of good inputs:
                     englishFlavor.flavor_text.replace(/\n/g, ' ').replace(/\f/g, ' ') : 
                     'No description available';
                 
-                // Get egg groups
+                // Get egg groups and breeding data
                 info.egg_groups = (speciesData.egg_groups || []).map(eg => eg.name);
+                info.gender_rate = speciesData.gender_rate === undefined ? null : speciesData.gender_rate;
+                info.hatch_counter = speciesData.hatch_counter === undefined ? null : speciesData.hatch_counter;
                 
                 // Get additional info
                 info.generation = speciesData.generation ? speciesData.generation.name : 'Unknown';
@@ -275,13 +506,17 @@ Examples of good inputs:
                 info.capture_rate = speciesData.capture_rate || 'Unknown';
                 info.base_happiness = speciesData.base_happiness || 'Unknown';
                 
-                // Simplified evolution info (avoiding additional API calls for performance)
-                info.evolution_info = 'Evolution data available on request';
+                // Resolve the full evolution chain (branching lines and triggers)
+                info.evolution = await this._getEvolutionChain(speciesData, requestOptions);
+                info.evolution_info = evolutionChain.summarizeEvolution(info.evolution);
                 
             } catch (speciesError) {
                 logger.warn(`Failed to fetch species data: ${speciesError.message}`);
                 info.description = 'Description not available';
                 info.egg_groups = ['Unknown'];
+                info.gender_rate = null;
+                info.hatch_counter = null;
+                info.evolution = null;
                 info.evolution_info = 'Evolution data unavailable';
                 info.generation = 'Unknown';
                 info.habitat = 'Unknown';
@@ -289,9 +524,6 @@ Examples of good inputs:
                 info.base_happiness = 'Unknown';
             }
             
-            // Cache the result (memory only for serverless)
-            this.cache.set(cacheKey, info);
-            
             logger.info(`Successfully fetched data for ${pokemonName}`);
             return info;
             
@@ -306,295 +538,620 @@ Examples of good inputs:
     }
     
     /**
-     * Format Pokemon information into a readable response based on performance mode
+     * Read a PokeAPI resource through the payload cache
+     *
+     * Keys for one Pokemon share the "pokemon_<name>" prefix so they can be
+     * invalidated together.
      */
-    _formatPokemonResponse(pokemonInfo, originalQuery, performanceMode = 'balanced') {
-        switch (performanceMode) {
-            case 'fast':
-                return this._formatFastResponse(pokemonInfo);
-            case 'quality':
-                return this._formatQualityResponse(pokemonInfo, originalQuery);
-            default: // balanced
-                return this._formatBalancedResponse(pokemonInfo, originalQuery);
+    async _getResource(cacheKey, resourcePath, requestOptions = {}) {
+        return this.cache.getOrFetch(cacheKey, async (signal) => {
+            const response = await this.dataSource.get(resourcePath, { signal });
+            return response.data;
+        }, { signal: requestOptions.signal });
+    }
+    
+    /**
+     * Fetch /pokemon/{name} through the payload cache
+     */
+    async _fetchPokemonData(name, requestOptions = {}) {
+        return this.cache.getOrFetch(`pokemon_${name}`, signal => this._fetchPokemonPayload(name, { signal }), { signal: requestOptions.signal });
+    }
+    
+    /**
+     * Fetch /pokemon/{name}, falling back to the species' varieties
+     *
+     * Species such as Deoxys or Giratina have no /pokemon/{species} resource,
+     * only form-specific ones ("deoxys-normal"), and a form's resource name
+     * may differ from the one in the species index, so a 404 retries with the
+     * matching variety of the species: its default one for a species name.
+     */
+    async _fetchPokemonPayload(name, requestOptions = {}) {
+        try {
+            const response = await this.dataSource.get(`/pokemon/${name}`, { signal: requestOptions.signal });
+            return response.data;
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) {
+                throw error;
+            }
+            
+            const entry = nameResolver.getEntry(name);
+            const species = entry ? entry.species : name;
+            const speciesResponse = await this.dataSource.get(`/pokemon-species/${species}`, { signal: requestOptions.signal });
+            const variety = forms.findVariety(speciesResponse.data, forms.formNameFromSlug(name, species));
+            if (!variety || variety === name) {
+                throw error;
+            }
+            
+            const response = await this.dataSource.get(`/pokemon/${variety}`, { signal: requestOptions.signal });
+            return response.data;
         }
     }
     
     /**
-     * Fast mode: Concise, essential information
+     * Form name, display label and Mega / battle-only flags of an alternate form
+     *
+     * Falls back to the form name in the resource name and the species index
+     * label when /pokemon-form can't be fetched.
      */
-    _formatFastResponse(pokemonInfo) {
-        const typeList = pokemonInfo.types.map(t => t.charAt(0).toUpperCase() + t.slice(1)).join('/');
-        const totalStats = Object.values(pokemonInfo.base_stats).reduce((sum, stat) => sum + stat, 0);
+    async _getFormInfo(pokemonData, fallbackName, requestOptions = {}) {
+        const formName = forms.formNameFromSlug(pokemonData.name, pokemonData.species.name);
+        const speciesName = nameResolver.getDisplayName(pokemonData.species.name) || evolutionChain.formatName(pokemonData.species.name);
+        const formResource = (pokemonData.forms || [])[0];
         
-        return `${pokemonInfo.name} (#${pokemonInfo.id}) - ${typeList} type\n` +
-               `Stats: HP ${pokemonInfo.base_stats.hp}, Atk ${pokemonInfo.base_stats.attack}, Def ${pokemonInfo.base_stats.defense}, Total: ${totalStats}\n` +
-               `Abilities: ${pokemonInfo.abilities.join(', ')}`;
+        try {
+            if (!formResource) {
+                throw new Error(`${pokemonData.name} lists no forms`);
+            }
+            const form = forms.parseForm(await this._getResource(`pokemon_${pokemonData.name}_form`, formResource.url, requestOptions), speciesName);
+            return {
+                name: form.label || fallbackName,
+                form_name: form.form_name || formName,
+                is_mega: form.is_mega,
+                is_battle_only: form.is_battle_only
+            };
+        } catch (error) {
+            if (requestOptions.signal && requestOptions.signal.aborted) {
+                throw error;
+            }
+            logger.warn(`Failed to fetch form data for ${pokemonData.name}: ${error.message}`);
+            return { form_name: formName, is_mega: /^mega\b/.test(formName || '') };
+        }
     }
     
     /**
-     * Balanced mode: Natural, conversational response
+     * Fetch and parse the species' evolution chain
+     *
+     * Chains are shared by every member of a line, so they are cached by chain id.
+     * Returns null when the chain cannot be fetched; the rest of the info is still usable.
      */
-    _formatBalancedResponse(pokemonInfo, originalQuery) {
-        const name = pokemonInfo.name.charAt(0).toUpperCase() + pokemonInfo.name.slice(1);
-        const typeList = pokemonInfo.types.map(t => t.charAt(0).toUpperCase() + t.slice(1));
-        const typeText = typeList.length > 1 ? `${typeList.join(' and ')} type` : `${typeList[0]} type`;
-        
-        let response = `Great choice! ${name} is a fascinating ${typeText} Pokemon. `;
-        
-        // Add contextual intro based on the query
-        if (originalQuery.toLowerCase().includes('stat') || originalQuery.toLowerCase().includes('battle')) {
-            response += `Let me break down ${name}'s battle capabilities for you.\n\n`;
-        } else if (originalQuery.toLowerCase().includes('evolution')) {
-            response += `Here's what you need to know about ${name} and its evolutionary journey.\n\n`;
-        } else {
-            response += `Here's everything you need to know about this amazing Pokemon!\n\n`;
+    async _getEvolutionChain(speciesData, requestOptions = {}) {
+        if (!speciesData.evolution_chain || !speciesData.evolution_chain.url) {
+            return null;
         }
-        
-        // Physical characteristics in natural language
-        response += `**About ${name}:**\n`;
-        response += `${name} stands ${pokemonInfo.height}m tall and weighs ${pokemonInfo.weight}kg, making it a `;
-        
-        if (pokemonInfo.height < 1) response += 'small and compact ';
-        else if (pokemonInfo.height > 2) response += 'large and imposing ';
-        else response += 'medium-sized ';
-        
-        response += `Pokemon. As a ${typeText} Pokemon, it has natural strengths and characteristics that make it unique in battle.\n\n`;
-        
-        // Abilities in context
-        response += `**Natural Abilities:**\n`;
-        const abilityNames = pokemonInfo.abilities.map(a => 
-            a.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
-        );
-        
-        if (abilityNames.length === 1) {
-            response += `${name} possesses the ${abilityNames[0]} ability, which provides strategic advantages in battle.\n\n`;
-        } else {
-            response += `${name} can have the following abilities: ${abilityNames.join(', ')}. These abilities offer different strategic options depending on your battle style.\n\n`;
+
+        const chainId = evolutionChain.idFromUrl(speciesData.evolution_chain.url);
+
+        try {
+            const chainData = await this._getResource(`evolution_chain_${chainId}`, speciesData.evolution_chain.url, requestOptions);
+            const tree = evolutionChain.parseEvolutionChain(chainData);
+
+            return {
+                ...evolutionChain.buildEvolutionSummary(tree, speciesData.name, chainId),
+                // Incense a parent must hold for the line's baby to hatch (Sea Incense for Azurill)
+                baby_trigger_item: chainData.baby_trigger_item ? chainData.baby_trigger_item.name : null
+            };
+        } catch (error) {
+            if (requestOptions.signal && requestOptions.signal.aborted) {
+                throw error;
+            }
+            logger.warn(`Failed to fetch evolution chain: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Move details for a list of move slugs, in the same order
+     *
+     * Moves that can't be fetched come back as null.
+     */
+    async getMoveDetails(slugs, requestOptions = {}) {
+        const details = new Array(slugs.length).fill(null);
+        let next = 0;
+        const worker = async () => {
+            while (next < slugs.length) {
+                const index = next++;
+                try {
+                    details[index] = moves.parseMove(await this._getResource(`move_${slugs[index]}`, `/move/${slugs[index]}`, requestOptions));
+                } catch (error) {
+                    if (requestOptions.signal && requestOptions.signal.aborted) {
+                        throw error;
+                    }
+                    logger.warn(`Failed to fetch move ${slugs[index]}: ${error.message}`);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(MOVE_FETCH_CONCURRENCY, slugs.length) }, worker));
+        return details;
+    }
+    
+    /**
+     * STAB and coverage moves from a Pokemon's most recent learnset
+     *
+     * Returns { pokemon, version_group: { slug, name }, stab, coverage }, or
+     * null when the learnset is unknown.
+     */
+    async getRecommendedMoves(info, requestOptions = {}) {
+        const versionGroup = learnset.latestVersionGroup(info.learnset || {});
+        if (!versionGroup) {
+            return null;
         }
         
-        // Base stats with context
-        response += `**Battle Statistics:**\n`;
-        const stats = pokemonInfo.base_stats;
-        const totalStats = Object.values(stats).reduce((sum, stat) => sum + stat, 0);
-        
-        response += `${name} has a total base stat sum of ${totalStats}, distributed as follows:\n`;
-        response += `- HP: ${stats.hp} (survivability)\n`;
-        response += `- Attack: ${stats.attack} (physical damage)\n`;
-        response += `- Defense: ${stats.defense} (physical resistance)\n`;
-        response += `- Sp. Attack: ${stats['special-attack']} (special damage)\n`;
-        response += `- Sp. Defense: ${stats['special-defense']} (special resistance)\n`;
-        response += `- Speed: ${stats.speed} (turn order priority)\n\n`;
-        
-        // Performance analysis
-        const strongestStat = Object.entries(stats).reduce((a, b) => stats[a[0]] > stats[b[0]] ? a : b);
-        const strongestStatName = strongestStat[0].replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase());
-        
-        response += `**Performance Insights:**\n`;
-        response += `${name}'s strongest stat is ${strongestStatName} (${strongestStat[1]}), making it particularly effective at `;
-        
-        if (strongestStat[0] === 'hp') response += 'staying in battle longer';
-        else if (strongestStat[0] === 'attack') response += 'dealing physical damage';
-        else if (strongestStat[0] === 'defense') response += 'tanking physical attacks';
-        else if (strongestStat[0] === 'special-attack') response += 'dealing special damage';
-        else if (strongestStat[0] === 'special-defense') response += 'resisting special attacks';
-        else if (strongestStat[0] === 'speed') response += 'acting first in battle';
-        
-        response += '.\n\n';
+        const slugs = [...new Set(info.learnset[versionGroup].map(entry => entry.move))];
+        const details = await this.getMoveDetails(slugs, requestOptions);
+        return {
+            pokemon: info.name,
+            version_group: { slug: versionGroup, name: learnset.formatVersionGroup(versionGroup) },
+            ...moves.recommendMoves(info, details)
+        };
+    }
+    
+    /**
+     * Moves a Pokemon learns in one game, by learn method, with move details
+     *
+     * The game and methods come from the query ("by level up in Scarlet/Violet");
+     * without them it lists every method in the most recent game.
+     */
+    async _handleLearnset(pokemonName, query, options, requestOptions) {
+        const performanceMode = options.performanceMode || 'balanced';
+        const info = await this._getPokemonInfo(pokemonName, requestOptions);
+        if (info.error) {
+            return this._generateErrorResponse(pokemonName, info.error, performanceMode);
+        }
         
-        // Evolution info if available
-        if (pokemonInfo.evolution_info) {
-            response += `**Evolution Path:**\n${pokemonInfo.evolution_info}\n\n`;
+        const available = learnset.listVersionGroups(info.learnset || {});
+        if (available.length === 0) {
+            return `I don't have learnset data for ${info.name}.`;
         }
         
-        // Additional context
-        if (pokemonInfo.description && pokemonInfo.description !== 'No description available') {
-            response += `**Pokedex Entry:**\n${pokemonInfo.description}\n\n`;
+        const requested = learnset.resolveVersionGroup(query);
+        if (requested && !available.includes(requested)) {
+            return `${info.name} doesn't learn any moves in ${learnset.formatVersionGroup(requested)}. Its learnsets cover ${available.map(learnset.formatVersionGroup).join(', ')}.`;
         }
         
-        response += `Hope this helps you understand ${name} better! Feel free to ask about any other Pokemon or if you need more specific information about ${name}.`;
+        const versionGroup = requested || learnset.latestVersionGroup(info.learnset);
+        const requestedMethods = learnset.resolveLearnMethods(query);
+        const entries = info.learnset[versionGroup].filter(entry => requestedMethods.length === 0 || requestedMethods.includes(entry.method));
+        const details = await this.getMoveDetails([...new Set(entries.map(entry => entry.move))], requestOptions);
+        const bySlug = new Map(details.filter(Boolean).map(move => [move.slug, move]));
         
-        return response;
+        return {
+            type: 'learnset',
+            query,
+            pokemon: { id: info.id, name: info.name, types: info.types },
+            version_group: { slug: versionGroup, name: learnset.formatVersionGroup(versionGroup) },
+            // Every method asked about, or every method it learns moves by
+            methods: requestedMethods.length > 0 ? requestedMethods : Object.keys(learnset.LEARN_METHODS).filter(method => entries.some(entry => entry.method === method)),
+            moves: entries.map(entry => ({
+                ...(bySlug.get(entry.move) || { slug: entry.move, name: evolutionChain.formatName(entry.move), type: null, category: null, power: null, accuracy: null, pp: null, priority: 0, effect: null }),
+                method: entry.method,
+                level: entry.level
+            })),
+            available_version_groups: available.map(slug => ({ slug, name: learnset.formatVersionGroup(slug) })),
+            performanceMode
+        };
     }
     
     /**
-     * Quality mode: Comprehensive, analytical response
+     * A species' forms side by side
+     *
+     * Lists every variety of the species named first; when the query names
+     * several forms of one species ("Heat Rotom vs Wash Rotom stats") only
+     * those are compared.
      */
-    _formatQualityResponse(pokemonInfo, originalQuery) {
-        const name = pokemonInfo.name.charAt(0).toUpperCase() + pokemonInfo.name.slice(1);
-        const typeList = pokemonInfo.types.map(t => t.charAt(0).toUpperCase() + t.slice(1));
-        
-        let response = `# Comprehensive ${name} Analysis\n\n`;
-        response += `Excellent choice for analysis! ${name} (Pokedex #${pokemonInfo.id}) represents `;
+    async _handleForms(pokemonNames, query, options, requestOptions) {
+        const performanceMode = options.performanceMode || 'balanced';
+        const named = await this._getPokemonInfo(pokemonNames[0], requestOptions);
+        if (named.error) {
+            return this._generateErrorResponse(pokemonNames[0], named.error, performanceMode);
+        }
         
-        if (pokemonInfo.id <= 151) response += 'a classic Generation I Pokemon with enduring popularity and competitive relevance.\n\n';
-        else if (pokemonInfo.id <= 251) response += 'a Generation II Pokemon, part of the beloved Johto region expansion.\n\n';
-        else response += 'a Pokemon that has contributed to the ever-expanding world of Pokemon diversity.\n\n';
+        let varieties = [named.slug];
+        try {
+            const speciesData = await this._getResource(`pokemon_${named.species}_species`, `/pokemon-species/${named.species}`, requestOptions);
+            varieties = forms.listVarieties(speciesData);
+        } catch (error) {
+            if (requestOptions.signal && requestOptions.signal.aborted) {
+                throw error;
+            }
+            logger.warn(`Failed to fetch varieties of ${named.species}: ${error.message}`);
+        }
+        let selected = varieties;
+        if (this._sharedSpecies(pokemonNames)) {
+            const namedForms = varieties.filter(slug => pokemonNames.includes(slug));
+            selected = namedForms.length > 1 ? namedForms : varieties;
+        }
         
-        // Taxonomical and morphological analysis
-        response += `## 🔬 Morphological & Taxonomical Profile\n\n`;
-        response += `**Physical Specifications:**\n`;
-        response += `- Height: ${pokemonInfo.height}m (${pokemonInfo.height < 1 ? 'compact form factor' : pokemonInfo.height > 2 ? 'large-scale morphology' : 'standard proportions'})\n`;
-        response += `- Weight: ${pokemonInfo.weight}kg (${pokemonInfo.weight < 10 ? 'lightweight build' : pokemonInfo.weight > 100 ? 'heavyweight class' : 'moderate mass'})\n`;
-        response += `- Type Classification: ${typeList.join(' • ')} ${typeList.length > 1 ? '(dual-type strategic advantages)' : '(pure type specialization)'}\n\n`;
+        const infos = [];
+        for (const slug of selected) {
+            const info = slug === named.slug ? named : await this._getPokemonInfo(slug, requestOptions);
+            if (info.error) {
+                logger.warn(`Skipping form ${slug}: ${info.error}`);
+                continue;
+            }
+            infos.push(info);
+        }
         
-        // Advanced type analysis
-        response += `**Type Effectiveness Analysis:**\n`;
-        if (typeList.length > 1) {
-            response += `As a dual-type Pokemon, ${name} benefits from the strategic complexity of ${typeList[0]}/${typeList[1]} typing. This combination provides:\n`;
-            response += `- Expanded offensive coverage against multiple opponent types\n`;
-            response += `- Complex defensive interactions requiring strategic type-matchup knowledge\n`;
-            response += `- Potential for both defensive synergies and exploitable weaknesses\n\n`;
-        } else {
-            response += `${name}'s pure ${typeList[0]} typing offers:\n`;
-            response += `- Specialized role clarity in team composition\n`;
-            response += `- Predictable but focused type interactions\n`;
-            response += `- Clear strategic identity in competitive contexts\n\n`;
+        return {
+            type: 'pokemon_forms',
+            query,
+            species: {
+                slug: named.species,
+                name: nameResolver.getDisplayName(named.species) || evolutionChain.formatName(named.species),
+                id: named.id,
+                form_count: varieties.length
+            },
+            forms: infos,
+            performanceMode
+        };
+    }
+    
+    /**
+     * Breeding answers for one or two Pokemon
+     *
+     * Two Pokemon are checked for compatibility; one gets its breeding
+     * partners, and a chain for an egg move the query names ("chain breed
+     * Ice Beam onto Squirtle"). Both get how to pass IVs and a nature down.
+     */
+    async _handleBreeding(pokemonNames, query, options, requestOptions) {
+        const performanceMode = options.performanceMode || 'balanced';
+        const infos = [];
+        for (const name of pokemonNames.slice(0, 2)) {
+            const info = await this._getPokemonInfo(name, requestOptions);
+            if (info.error) {
+                return this._generateErrorResponse(name, info.error, performanceMode);
+            }
+            infos.push(info);
         }
         
-        // Ability system analysis
-        response += `## ⚡ Ability & Capability Systems\n\n`;
-        const abilityNames = pokemonInfo.abilities.map(a => 
-            a.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
-        );
+        const breeders = infos.map(breeding.describeBreeder);
+        const result = {
+            type: 'breeding',
+            query,
+            pokemon: breeders,
+            compatibility: null,
+            partners: null,
+            egg_move_chain: null,
+            inheritance: breeding.planInheritance(breeding.parseBreedingGoal(query)),
+            performanceMode
+        };
         
-        response += `**Available Abilities:** ${abilityNames.join(' • ')}\n\n`;
-        if (abilityNames.length > 1) {
-            response += `${name} demonstrates ability diversity with ${abilityNames.length} possible abilities, allowing for:\n`;
-            response += `- Tactical flexibility in team building\n`;
-            response += `- Adaptation to different battle scenarios\n`;
-            response += `- Strategic unpredictability against opponents\n\n`;
+        if (breeders.length > 1) {
+            result.compatibility = breeding.checkCompatibility(breeders[0], breeders[1]);
         } else {
-            response += `${name} features a singular ability focus, providing:\n`;
-            response += `- Consistent strategic implementation\n`;
-            response += `- Specialized battlefield role\n`;
-            response += `- Predictable but reliable ability activation\n\n`;
+            result.partners = await this.getBreedingPartners(breeders[0], requestOptions);
+            const move = this._findNamedMove(infos[0], query);
+            if (move) {
+                result.egg_move_chain = await this._getEggMoveChain(infos[0], breeders[0], move, query, requestOptions);
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Parsed /egg-group/{name} (see breeding.parseEggGroup)
+     */
+    async getEggGroup(slug, requestOptions = {}) {
+        return breeding.parseEggGroup(await this._getResource(`egg_group_${slug}`, `/egg-group/${slug}`, requestOptions));
+    }
+    
+    /**
+     * Species a breeder (breeding.describeBreeder) can produce an egg with
+     *
+     * Returns { egg_groups: [{ slug, name, partners: [{ slug, name }] }],
+     * total, any, ditto_only }: partners are the members of each of its egg
+     * groups of a gender it can breed with; any is true for Ditto, which
+     * breeds with every species outside the Undiscovered group, and ditto_only
+     * for genderless Pokemon.
+     */
+    async getBreedingPartners(breeder, requestOptions = {}) {
+        const partners = { egg_groups: [], total: 0, any: breeder.is_ditto, ditto_only: false };
+        if (!breeder.can_breed || breeder.is_ditto) {
+            return partners;
+        }
+        if (breeder.gender && breeder.gender.genderless) {
+            partners.ditto_only = true;
+            return partners;
         }
         
-        // Statistical distribution analysis
-        response += `## 📊 Statistical Distribution Analysis\n\n`;
-        const stats = pokemonInfo.base_stats;
-        const totalStats = Object.values(stats).reduce((sum, stat) => sum + stat, 0);
-        const avgStat = totalStats / 6;
-        
-        response += `**Base Stat Total (BST): ${totalStats}**\n`;
-        response += `**Statistical Distribution:**\n\n`;
-        
-        // Create detailed stat analysis
-        const statAnalysis = Object.entries(stats).map(([statName, value]) => {
-            const formattedName = statName.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase());
-            const percentage = ((value / totalStats) * 100).toFixed(1);
-            const deviation = value - avgStat;
-            const deviationText = deviation > 0 ? `+${deviation.toFixed(1)} above average` : `${deviation.toFixed(1)} below average`;
-            
-            let tier = 'Average';
-            if (value >= 130) tier = 'Exceptional';
-            else if (value >= 100) tier = 'High';
-            else if (value >= 80) tier = 'Above Average';
-            else if (value >= 60) tier = 'Moderate';
-            else if (value >= 40) tier = 'Below Average';
-            else tier = 'Poor';
-            
-            return {
-                name: formattedName,
-                value,
-                percentage,
-                deviation: deviationText,
-                tier
-            };
-        });
-        
-        statAnalysis.forEach(stat => {
-            response += `- **${stat.name}**: ${stat.value} (${stat.percentage}% of BST, ${stat.tier}) - ${stat.deviation}\n`;
-        });
-        
-        // Performance tier analysis
-        response += `\n**Performance Classification:**\n`;
-        if (totalStats >= 600) response += `${name} ranks as a **Legendary-tier** Pokemon with exceptional overall capabilities.\n`;
-        else if (totalStats >= 525) response += `${name} demonstrates **High-performance** stats suitable for competitive play.\n`;
-        else if (totalStats >= 450) response += `${name} exhibits **Solid competitive** potential with balanced capabilities.\n`;
-        else if (totalStats >= 350) response += `${name} represents **Standard viability** with focused strengths.\n`;
-        else response += `${name} shows **Specialized utility** requiring strategic team support.\n\n`;
-        
-        // Strategic role analysis
-        const strongestStat = Object.entries(stats).reduce((a, b) => stats[a[0]] > stats[b[0]] ? a : b);
-        const secondStrongest = Object.entries(stats).filter(([key]) => key !== strongestStat[0]).reduce((a, b) => stats[a[0]] > stats[b[0]] ? a : b);
-        
-        response += `## 🎯 Strategic Role & Competitive Analysis\n\n`;
-        response += `**Primary Role Identification:**\n`;
-        response += `Based on statistical distribution, ${name} functions optimally as a `;
-        
-        if (strongestStat[0] === 'attack' && stats.speed >= 80) response += '**Physical Sweeper**';
-        else if (strongestStat[0] === 'special-attack' && stats.speed >= 80) response += '**Special Sweeper**';
-        else if (strongestStat[0] === 'defense' || strongestStat[0] === 'special-defense') response += '**Defensive Wall**';
-        else if (strongestStat[0] === 'hp') response += '**Tank/Support**';
-        else if (strongestStat[0] === 'speed') response += '**Speed Control/Utility**';
-        else response += '**Balanced Attacker**';
+        const groups = [];
+        for (const slug of breeder.egg_groups) {
+            try {
+                groups.push(await this.getEggGroup(slug, requestOptions));
+            } catch (error) {
+                if (requestOptions.signal && requestOptions.signal.aborted) {
+                    throw error;
+                }
+                logger.warn(`Failed to fetch egg group ${slug}: ${error.message}`);
+            }
+        }
         
-        response += `, with primary focus on ${strongestStat[0].replace('-', ' ')} (${strongestStat[1]}) and secondary emphasis on ${secondStrongest[0].replace('-', ' ')} (${secondStrongest[1]}).\n\n`;
+        // Partners need the opposite gender; species that can't be fetched are kept
+        const members = [...new Set(groups.flatMap(group => group.species))].filter(species => species !== breeder.species);
+        const profiles = await this._getBreedingProfiles(members, requestOptions);
+        const compatible = new Set(members.filter(species => {
+            const profile = profiles.get(species) || { gender: null };
+            return (breeding.canBeFemale(breeder) && breeding.canBeMale(profile)) || (breeding.canBeMale(breeder) && breeding.canBeFemale(profile));
+        }));
         
-        // Evolution analysis if available
-        if (pokemonInfo.evolution_info) {
-            response += `## 🧬 Evolutionary Biology & Development\n\n`;
-            response += `**Evolution Pathway:**\n${pokemonInfo.evolution_info}\n\n`;
-            response += `This evolutionary positioning affects ${name}'s:\n`;
-            response += `- Availability timing in progressive gameplay\n`;
-            response += `- Investment requirements for optimal development\n`;
-            response += `- Strategic value in long-term team planning\n\n`;
+        partners.egg_groups = groups.map(group => ({
+            slug: group.slug,
+            name: group.name,
+            partners: group.species.filter(species => compatible.has(species)).map(species => ({ slug: species, name: this._speciesName(species) }))
+        }));
+        partners.total = compatible.size;
+        return partners;
+    }
+    
+    /**
+     * Breeding profiles ({ species, egg_groups, gender, can_breed }) from
+     * /pokemon-species, by species; species that can't be fetched are left out
+     */
+    async _getBreedingProfiles(speciesList, requestOptions = {}) {
+        const profiles = new Map();
+        let next = 0;
+        const worker = async () => {
+            while (next < speciesList.length) {
+                const species = speciesList[next++];
+                try {
+                    const speciesData = await this._getResource(`pokemon_${species}_species`, `/pokemon-species/${species}`, requestOptions);
+                    const eggGroups = (speciesData.egg_groups || []).map(group => group.name);
+                    profiles.set(species, {
+                        species,
+                        egg_groups: eggGroups,
+                        gender: breeding.genderRatio(speciesData.gender_rate),
+                        can_breed: eggGroups.length > 0 && !eggGroups.includes(breeding.NO_EGGS)
+                    });
+                } catch (error) {
+                    if (requestOptions.signal && requestOptions.signal.aborted) {
+                        throw error;
+                    }
+                    logger.warn(`Failed to fetch breeding data for ${species}: ${error.message}`);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(MOVE_FETCH_CONCURRENCY, speciesList.length) }, worker));
+        return profiles;
+    }
+    
+    /**
+     * A move from a Pokemon's learnsets named in the query, longest name first
+     */
+    _findNamedMove(info, query) {
+        const text = ` ${query.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+        const slugs = [...new Set(Object.values(info.learnset || {}).flat().map(entry => entry.move))];
+        return slugs
+            .filter(slug => text.includes(` ${slug.replace(/-/g, ' ')} `))
+            .sort((a, b) => b.length - a.length)[0] || null;
+    }
+    
+    /**
+     * How an egg move reaches a Pokemon in a game (the query's, or its latest)
+     *
+     * Returns { move, version_group, is_egg_move, learns_directly, chains }:
+     * chains are the shortest breeding chains from a Pokemon that learns the
+     * move itself, each a list of { slug, name } ending with the target.
+     * Candidates come from the move's learners in the egg groups reachable
+     * from the target, one generation of parents at a time.
+     */
+    async _getEggMoveChain(info, breeder, moveSlug, query, requestOptions) {
+        const requested = learnset.resolveVersionGroup(query);
+        const versionGroup = requested && info.learnset[requested] ? requested : learnset.latestVersionGroup(info.learnset);
+        const methods = (info.learnset[versionGroup] || []).filter(entry => entry.move === moveSlug).map(entry => entry.method);
+        const chain = {
+            move: { slug: moveSlug, name: evolutionChain.formatName(moveSlug) },
+            version_group: { slug: versionGroup, name: learnset.formatVersionGroup(versionGroup) },
+            is_egg_move: methods.includes('egg'),
+            learns_directly: methods.some(method => method !== 'egg'),
+            chains: []
+        };
+        if (!chain.is_egg_move || chain.learns_directly) {
+            return chain;
         }
         
-        // Breeding and genetics
-        if (pokemonInfo.egg_groups && pokemonInfo.egg_groups.length > 0 && pokemonInfo.egg_groups[0] !== 'Unknown') {
-            response += `## 🥚 Breeding & Genetic Compatibility\n\n`;
-            const eggGroups = pokemonInfo.egg_groups.map(eg => 
-                eg.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
-            );
-            response += `**Egg Group Classification:** ${eggGroups.join(' • ')}\n\n`;
-            response += `This classification enables:\n`;
-            response += `- Cross-breeding with compatible species for move inheritance\n`;
-            response += `- Individual Value (IV) optimization through selective breeding\n`;
-            response += `- Hidden ability and shiny variant acquisition strategies\n\n`;
+        let move;
+        try {
+            move = await this.getLookup('move', moveSlug, requestOptions);
+        } catch (error) {
+            if (requestOptions.signal && requestOptions.signal.aborted) {
+                throw error;
+            }
+            logger.warn(`Failed to fetch move ${moveSlug}: ${error.message}`);
+            return chain;
         }
+        chain.move.name = move.name;
+        const learners = new Set(move.learned_by.map(entry => entry.slug));
         
-        // Pokedex and lore integration
-        if (pokemonInfo.description && pokemonInfo.description !== 'No description available') {
-            response += `## 📖 Canonical Lore & Pokedex Integration\n\n`;
-            response += `**Official Pokedex Entry:**\n"${pokemonInfo.description}"\n\n`;
-            response += `This canonical description provides insight into ${name}'s:\n`;
-            response += `- Behavioral patterns and habitat preferences\n`;
-            response += `- Relationship with trainers and other Pokemon\n`;
-            response += `- Role within the broader Pokemon ecosystem\n\n`;
+        const nodes = new Map();
+        const seenGroups = new Set();
+        let groups = breeder.egg_groups;
+        for (let depth = 0; depth < breeding.MAX_CHAIN_PARENTS; depth++) {
+            const fresh = groups.filter(group => !seenGroups.has(group) && group !== breeding.NO_EGGS && group !== breeding.DITTO);
+            if (fresh.length === 0) {
+                break;
+            }
+            fresh.forEach(group => seenGroups.add(group));
+            
+            const members = [];
+            for (const group of fresh) {
+                try {
+                    members.push(...(await this.getEggGroup(group, requestOptions)).species);
+                } catch (error) {
+                    if (requestOptions.signal && requestOptions.signal.aborted) {
+                        throw error;
+                    }
+                    logger.warn(`Failed to fetch egg group ${group}: ${error.message}`);
+                }
+            }
+            const candidates = [...new Set(members)].filter(species => learners.has(species) && species !== info.species && !nodes.has(species));
+            const added = await this._getChainNodes(candidates, moveSlug, versionGroup, requestOptions);
+            added.forEach(node => nodes.set(node.species, node));
+            
+            chain.chains = breeding.findEggMoveChains(breeder, [...nodes.values()])
+                .map(path => path.map(node => ({ slug: node.slug, name: node.name })));
+            if (chain.chains.length > 0) {
+                break;
+            }
+            groups = [...new Set(added.filter(node => node.method === 'egg').flatMap(node => node.egg_groups))];
+        }
+        return chain;
+    }
+    
+    /**
+     * Chain candidates: breeding profiles of species with how each learns a
+     * move in a version group ('direct' or 'egg'); species that don't learn
+     * it there, or can't be fetched, are left out
+     */
+    async _getChainNodes(speciesList, moveSlug, versionGroup, requestOptions) {
+        const profiles = await this._getBreedingProfiles(speciesList, requestOptions);
+        const nodes = [];
+        for (const profile of profiles.values()) {
+            if (!profile.can_breed) {
+                continue;
+            }
+            try {
+                const pokemonData = await this._fetchPokemonData(profile.species, requestOptions);
+                const methods = (learnset.parseLearnset(pokemonData.moves)[versionGroup] || [])
+                    .filter(entry => entry.move === moveSlug)
+                    .map(entry => entry.method);
+                const method = methods.some(entry => entry !== 'egg') ? 'direct' : methods.includes('egg') ? 'egg' : null;
+                if (method) {
+                    nodes.push({ ...profile, slug: pokemonData.name, name: this._speciesName(profile.species), method });
+                }
+            } catch (error) {
+                if (requestOptions.signal && requestOptions.signal.aborted) {
+                    throw error;
+                }
+                logger.warn(`Failed to fetch ${profile.species}'s learnset: ${error.message}`);
+            }
+        }
+        return nodes;
+    }
+    
+    _speciesName(species) {
+        return nameResolver.getDisplayName(species) || evolutionChain.formatName(species);
+    }
+    
+    /**
+     * Stat questions: the first Pokemon is the one asked about, and any
+     * others are Speed comparisons
+     */
+    async _handleStats(pokemonNames, query, options, requestOptions) {
+        const performanceMode = options.performanceMode || 'balanced';
+        const parsed = statQuery.parseStatQuery(query);
+        parsed.compare.push(...pokemonNames.slice(1).map(pokemon => ({ pokemon })));
+        let request;
+        try {
+            request = statQuery.normalizeRequest(parsed);
+        } catch (error) {
+            return `I couldn't work out those stats: ${error.message}.`;
         }
         
-        // Conclusion and recommendations
-        response += `## 🎖️ Strategic Recommendations & Conclusions\n\n`;
-        response += `Based on this comprehensive analysis, ${name} offers:\n\n`;
-        response += `**Strengths:**\n`;
-        response += `- Exceptional ${strongestStat[0].replace('-', ' ')} capabilities (${strongestStat[1]})\n`;
-        response += `- ${typeList.length > 1 ? 'Dual-type versatility' : 'Type specialization'} advantages\n`;
-        response += `- ${abilityNames.length > 1 ? 'Flexible ability options' : 'Consistent ability performance'}\n\n`;
-        
-        response += `**Optimal Use Cases:**\n`;
-        response += `- ${totalStats >= 500 ? 'Competitive battle environments' : 'Specialized team roles'}\n`;
-        response += `- ${stats.speed >= 80 ? 'Offensive team compositions' : 'Defensive/support strategies'}\n`;
-        response += `- ${pokemonInfo.evolution_info ? 'Progressive development builds' : 'Immediate deployment scenarios'}\n\n`;
-        
-        response += `This analysis demonstrates ${name}'s potential as a ${totalStats >= 500 ? 'high-tier competitive asset' : 'strategic team component'} with clear applications in advanced Pokemon training and battle scenarios.\n\n`;
-        response += `For additional analysis of specific matchups, optimization strategies, or comparative studies with other Pokemon, please feel free to request further detailed investigation.`;
+        const result = await this.calculateStats(pokemonNames[0], request, requestOptions);
+        if (result.error) {
+            return this._generateErrorResponse(result.pokemon, result.error, performanceMode);
+        }
+        return { ...result, query, performanceMode };
+    }
+    
+    /**
+     * Answer a stat request (stat_query.normalizeRequest) for a Pokemon
+     *
+     * Returns { type: 'stat_calc', mode, pokemon, level, ... }:
+     * - stats: spread, stats and each stat's possible range at the level;
+     * - ivs: spread, the observed stats and the IV range ({ min, max }, or
+     *   null when no IV fits) of each;
+     * - speed: the Pokemon's Speed with the spread and modifiers, its Speed
+     *   tiers, and each comparison's tiers marked faster, tie or slower.
+     * Returns { error, pokemon } when a Pokemon can't be fetched.
+     */
+    async calculateStats(pokemonName, request, requestOptions = {}) {
+        const info = await this._getPokemonInfo(pokemonName, requestOptions);
+        if (info.error) {
+            return { error: info.error, pokemon: pokemonName };
+        }
+        const { level, nature, ivs, evs } = request;
+        const result = {
+            type: 'stat_calc',
+            mode: request.mode,
+            pokemon: { name: info.name, slug: info.slug, id: info.id, types: info.types, base_stats: info.base_stats },
+            level,
+            assumed: request.assumed
+        };
         
-        return response;
+        switch (request.mode) {
+            case 'ivs':
+                return {
+                    ...result,
+                    spread: { nature, evs: fillStats(evs, 0) },
+                    observed: request.observed,
+                    ivs: statCalc.solveIVs(info.base_stats, request.observed, { level, nature, evs })
+                };
+            
+            case 'speed': {
+                const speed = statCalc.calcStat('speed', info.base_stats.speed, { level, iv: ivs.speed, ev: evs.speed, nature });
+                const battleSpeed = statCalc.applySpeedModifiers(speed, request.modifiers);
+                const opponents = [];
+                for (const entry of request.compare) {
+                    let opponent = { name: `Base ${entry.base_speed}`, slug: null, base_speed: entry.base_speed };
+                    if (entry.pokemon) {
+                        const other = await this._getPokemonInfo(entry.pokemon, requestOptions);
+                        if (other.error) {
+                            return { error: other.error, pokemon: entry.pokemon };
+                        }
+                        opponent = { name: other.name, slug: other.slug, base_speed: other.base_stats.speed };
+                    }
+                    opponents.push({
+                        ...opponent,
+                        tiers: statCalc.speedTiers(opponent.base_speed, level).map(tier => ({
+                            ...tier,
+                            outcome: battleSpeed > tier.speed ? 'faster' : battleSpeed === tier.speed ? 'tie' : 'slower'
+                        }))
+                    });
+                }
+                return {
+                    ...result,
+                    spread: { nature, iv: ivs.speed, ev: evs.speed },
+                    modifiers: request.modifiers,
+                    speed,
+                    battle_speed: battleSpeed,
+                    tiers: statCalc.speedTiers(info.base_stats.speed, level),
+                    opponents
+                };
+            }
+            
+            default: { // stats
+                const spread = { nature, ivs: fillStats(ivs, statCalc.MAX_IV), evs: fillStats(evs, 0) };
+                return {
+                    ...result,
+                    spread,
+                    stats: statCalc.calcStats(info.base_stats, { level, ...spread }),
+                    ranges: Object.fromEntries(statCalc.STAT_NAMES.map(stat => [stat, statCalc.statRange(stat, info.base_stats[stat], level)]))
+                };
+            }
+        }
     }
     
     /**
      * Handle competitive matchup between multiple Pokemon
      */
-    async _handleCompetitiveMatchup(pokemonNames, query, options, mlParams) {
+    async _handleCompetitiveMatchup(pokemonNames, query, options, mlParams, requestOptions = { signal: options.signal }) {
         logger.info(`Handling competitive matchup: ${pokemonNames.join(' vs ')}`);
         
         try {
             // Fetch data for all Pokemon
             const pokemonData = [];
             for (const name of pokemonNames.slice(0, 3)) { // Limit to 3 Pokemon for performance
-                const info = await this._getPokemonInfo(name, mlParams);
+                const info = await this._getPokemonInfo(name, requestOptions);
                 if (!info.error) {
                     pokemonData.push(info);
                 }
@@ -604,11 +1161,17 @@ Examples of good inputs:
                 return this._generateErrorResponse(pokemonNames.join(' vs '), 'Unable to fetch data for competitive matchup', options.performanceMode || 'balanced');
             }
             
+            // Quality mode recommends moves from each Pokemon's learnset
+            const movesets = options.performanceMode === 'quality'
+                ? await Promise.all(pokemonData.map(info => this.getRecommendedMoves(info, requestOptions)))
+                : null;
+            
             // Return structured data for competitive analysis
             return {
                 type: 'competitive_matchup',
                 query: query,
                 pokemon: pokemonData,
+                movesets,
                 pokemonNames: pokemonNames,
                 performanceMode: options.performanceMode || 'balanced',
                 mlEnhanced: !!mlParams,
@@ -622,4 +1185,9 @@ Examples of good inputs:
     }
 }
 
+// Every stat, with a default for the ones not given
+function fillStats(values, fallback) {
+    return Object.fromEntries(statCalc.STAT_NAMES.map(stat => [stat, values[stat] !== undefined ? values[stat] : fallback]));
+}
+
 module.exports = PokemonTool;
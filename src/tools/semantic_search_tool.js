@@ -0,0 +1,108 @@
+/**
+ * Semantic Search Tool - finds Pokemon, abilities and moves by description
+ *
+ * Answers descriptive questions ("which pokemon hides in caves and is afraid
+ * of light", "ability that boosts speed in rain") from the on-disk semantic
+ * index built by `npm run index:build`.
+ */
+
+const SemanticIndex = require('../pokemon/semantic_index');
+const nameResolver = require('../pokemon/name_resolver');
+const logger = require('../utils/logger');
+const { QUERY_INPUT_SCHEMA } = require('./tool_registry');
+
+// "which pokemon ...", "what move ...", "ability that ..."
+const DESCRIPTIVE_QUERY = /\b(?:(?:which|what)\s+(?:pokemon|pokémon|abilit(?:y|ies)|moves?)\b|(?:pokemon|pokémon|abilit(?:y|ies)|moves?)\s+(?:that|which|who)\b)/i;
+
+const KIND_LABELS = { pokemon: 'Pokemon', ability: 'ability', move: 'move' };
+
+class SemanticSearchTool {
+    constructor(options = {}) {
+        this.name = 'semantic_search';
+        this.description = 'Finds Pokemon, abilities and moves that match a description, using an embedding index over Pokedex entries, ability effects and move descriptions.';
+        this.inputSchema = QUERY_INPUT_SCHEMA;
+        this.outputTypes = ['semantic_results'];
+        this.examples = [
+            'which pokemon hides in caves and is afraid of light',
+            'ability that boosts speed in rain',
+            'what move puts the target to sleep',
+            'which pokemon lives in the ocean',
+            'ability that prevents critical hits',
+            'move that lowers the target\'s defense',
+            'pokemon that glows in the dark'
+        ];
+        // Descriptive questions that do not name a Pokemon
+        this.patterns = [
+            { test: (text) => DESCRIPTIVE_QUERY.test(text) && nameResolver.findPokemonNames(text).length === 0 }
+        ];
+
+        this.index = options.index || new SemanticIndex({ directory: options.directory });
+        this.limit = options.limit || 5;
+    }
+
+    async execute(query) {
+        const kind = this.inferKind(query);
+        let results;
+        try {
+            results = await this.index.search(query, { kind, limit: this.limit });
+        } catch (error) {
+            logger.warn(`Semantic search unavailable: ${error.message}`);
+            return `Descriptive search is not available yet: ${error.message}`;
+        }
+
+        return { type: 'semantic_results', query, kind, results, backend: this.index.manifest.backend };
+    }
+
+    /**
+     * The document kind a query asks for, or null for any
+     */
+    inferKind(query) {
+        if (/\babilit(y|ies)\b/i.test(query)) {
+            return 'ability';
+        }
+        if (/\b(moves?|attacks?|techniques?)\b/i.test(query)) {
+            return 'move';
+        }
+        if (/\b(pokemon|pokémon|species)\b/i.test(query)) {
+            return 'pokemon';
+        }
+        return null;
+    }
+
+    async render(result, context) {
+        const { results } = result;
+        const noun = result.kind ? KIND_LABELS[result.kind] : 'Pokemon, ability or move';
+        if (results.length === 0) {
+            return `I couldn't find a ${noun} matching "${result.query}".`;
+        }
+
+        switch (context.performanceMode) {
+            case 'fast':
+                return `Best matches: ${results.map(match => this._title(match, result.kind)).join(', ')}`;
+
+            case 'quality': {
+                const lines = results.map((match, i) => `${i + 1}. **${this._title(match, result.kind)}** (similarity ${match.score.toFixed(2)})\n   ${match.snippet}`);
+                return `## Closest matches for "${result.query}"\n\n${lines.join('\n')}\n\n*Ranked by cosine similarity of ${result.backend} embeddings over Pokedex entries, ability effects and move descriptions.*`;
+            }
+
+            default: { // balanced
+                const [best, ...rest] = results;
+                let response = `The closest match is **${this._title(best, result.kind)}**: ${best.snippet}`;
+                if (rest.length > 0) {
+                    response += `\n\nOther matches: ${rest.map(match => this._title(match, result.kind)).join(', ')}`;
+                }
+                return response;
+            }
+        }
+    }
+
+    serialize(result) {
+        return { type: 'semantic_results', query: result.query, kind: result.kind, results: result.results };
+    }
+
+    _title(match, kind) {
+        return kind ? match.label : `${match.label} (${KIND_LABELS[match.kind]})`;
+    }
+}
+
+module.exports = SemanticSearchTool;
@@ -0,0 +1,250 @@
+/**
+ * Team Builder Tool - rates a partial team and suggests Pokemon to finish it
+ *
+ * "rate my team: Garchomp, Rotom-Wash, Ferrothorn" reports the team's shared
+ * weaknesses and resistances, STAB coverage gaps and role balance, and
+ * suggests up to three Pokemon; "finish this team" fills every open slot.
+ */
+
+const PokemonTool = require('./pokemon_tool');
+const teamAnalysis = require('../pokemon/team_analysis');
+const nameResolver = require('../pokemon/name_resolver');
+const typeChart = require('../pokemon/type_chart');
+const logger = require('../utils/logger');
+const { QUERY_INPUT_SCHEMA } = require('./tool_registry');
+
+// Suggestions for a team that is only being rated
+const RATE_SUGGESTIONS = 3;
+
+const COMPLETE_REQUEST = /\b(finish|complete|fill( out| in)?|round out)\b/i;
+
+class TeamBuilderTool {
+    constructor(options = {}) {
+        this.name = 'team_builder';
+        this.description = 'Analyzes a team of up to six Pokemon: shared weaknesses and resistances, type coverage gaps and role balance, with suggestions for the Pokemon that best fill the gaps.';
+        this.inputSchema = QUERY_INPUT_SCHEMA;
+        this.outputTypes = ['team_analysis'];
+        this.examples = [
+            'rate my team: garchomp, rotom-wash, ferrothorn',
+            'finish this team: charizard, gengar, pikachu',
+            'what is wrong with my team',
+            'complete my team',
+            'analyze my team of tyranitar, scizor and rotom',
+            'build a team around dragonite',
+            'suggest a teammate for gengar',
+            'does my team have too many weaknesses',
+            'what should I add to my team'
+        ];
+        this.patterns = [
+            /\b(rate|rank|grade|review|check|analy[sz]e|evaluate|finish|complete|fill( out| in)?|round out|build)\s+(my|this|our|a|the)\s+(\w+\s+)?team\b/i,
+            /\bmy team\s*(:|is|of|has)\b/i,
+            /\bteam\s*(builder|building)\b/i,
+            /\bteam\s+(for|around)\b/i,
+            /\bteammates?\b/i
+        ];
+
+        this.pokemonTool = options.pokemonTool || new PokemonTool();
+    }
+
+    async execute(query, options = {}) {
+        const complete = COMPLETE_REQUEST.test(query);
+        let slugs = this._parseTeam(query);
+        if (slugs.length === 0) {
+            slugs = this._dependencyTeam(options.dependencies);
+        }
+        if (slugs.length === 0) {
+            return 'Tell me who is on your team, for example "rate my team: Garchomp, Rotom-Wash, Ferrothorn".';
+        }
+
+        const infos = [];
+        const notFound = [];
+        for (const slug of slugs.slice(0, teamAnalysis.TEAM_SIZE)) {
+            const info = await this._getMemberInfo(slug, options);
+            if (info.error) {
+                notFound.push(slug);
+            } else {
+                infos.push(info);
+            }
+        }
+        if (infos.length === 0) {
+            return `I couldn't find any of those Pokemon (${notFound.join(', ')}). Check the spelling and try again.`;
+        }
+
+        const open = teamAnalysis.TEAM_SIZE - infos.length;
+        return {
+            ...teamAnalysis.buildTeamAnalysis(infos, { suggestions: complete ? open : Math.min(RATE_SUGGESTIONS, open) }),
+            query,
+            request: complete ? 'complete' : 'rate',
+            not_found: notFound
+        };
+    }
+
+    /**
+     * Pokemon slugs in the order they are listed; "Rotom-Wash" keeps its form
+     */
+    _parseTeam(query) {
+        const list = query.includes(':') ? query.slice(query.indexOf(':') + 1) : query;
+        const slugs = [];
+
+        for (const entry of list.split(/,|\/|\n|&|\band\b/i)) {
+            const matches = nameResolver.findPokemonNames(entry);
+            for (const match of matches) {
+                const form = matches.length === 1 && !match.region ? entry.toLowerCase().match(new RegExp(`\\b${match.slug}-([a-z]+)\\b`)) : null;
+                const slug = form ? `${match.slug}-${form[1]}` : match.slug;
+                if (!slugs.includes(slug)) {
+                    slugs.push(slug);
+                }
+            }
+        }
+        return slugs;
+    }
+
+    /**
+     * Pokemon found by the plan steps this one depends on ("... then finish the team")
+     */
+    _dependencyTeam(dependencies = {}) {
+        const slugs = [];
+        for (const output of Object.values(dependencies)) {
+            if (!output || typeof output !== 'object') {
+                continue;
+            }
+            const infos = output.type === 'competitive_matchup' ? output.pokemon : output.type === 'pokemon_data' ? [output.pokemon] : [];
+            for (const info of infos) {
+                const match = nameResolver.resolvePokemonName(info.name);
+                if (match && !slugs.includes(match.slug)) {
+                    slugs.push(match.slug);
+                }
+            }
+        }
+        return slugs;
+    }
+
+    /**
+     * Fetch a member, falling back to the base species when a form is unknown
+     */
+    async _getMemberInfo(slug, options) {
+        const info = await this.pokemonTool.getPokemonInfo(slug, options);
+        const match = info.error ? nameResolver.resolvePokemonName(slug) : null;
+        if (match && match.slug !== slug) {
+            logger.warn(`No data for '${slug}', using ${match.name}`);
+            return this.pokemonTool.getPokemonInfo(match.slug, options);
+        }
+        return info;
+    }
+
+    async render(result, context) {
+        const names = result.members.map(member => member.name);
+        const missing = result.not_found.length > 0 ? ` (couldn't find ${result.not_found.join(', ')})` : '';
+
+        switch (context.performanceMode) {
+            case 'fast': {
+                let summary = `Team (${names.length}/${teamAnalysis.TEAM_SIZE}): ${names.join(', ')}${missing}.`;
+                summary += ` Shared weaknesses: ${result.shared_weaknesses.length > 0 ? result.shared_weaknesses.map(w => `${capitalize(w.type)} (${w.weak.length})`).join(', ') : 'none'}.`;
+                summary += ` Coverage gaps: ${result.coverage.gaps.length > 0 ? result.coverage.gaps.map(capitalize).join(', ') : 'none'}.`;
+                if (result.roles.missing.length > 0) {
+                    summary += ` Missing: ${result.roles.missing.join(', ')}.`;
+                }
+                if (result.suggestions.length > 0) {
+                    summary += ` Suggested: ${result.suggestions.map(s => s.name).join(', ')}.`;
+                }
+                return summary;
+            }
+
+            case 'quality':
+                return this._renderReport(result, missing);
+
+            default: { // balanced
+                let response = names.length > 1
+                    ? `Here's how ${joinNames(names)} work together${missing}. `
+                    : `Here's what ${names[0]} needs from its teammates${missing}. `;
+                if (result.shared_weaknesses.length > 0) {
+                    response += `The biggest concern is ${result.shared_weaknesses.map(w => `${capitalize(w.type)} (${joinNames(w.weak)} ${w.weak.length > 1 ? 'are' : 'is'} weak to it)`).join(' and ')}. `;
+                } else {
+                    response += `No attacking type hits more than one of them without someone to switch in. `;
+                }
+                if (result.unresisted.length > 0) {
+                    response += `Nobody resists ${joinNames(result.unresisted.map(capitalize))}. `;
+                }
+                response += result.coverage.gaps.length > 0
+                    ? `Their STAB moves don't hit ${joinNames(result.coverage.gaps.map(capitalize))} super effectively. `
+                    : `Their STAB moves hit every type super effectively. `;
+                if (result.roles.missing.length > 0) {
+                    response += `The team has no ${joinNames(result.roles.missing, 'or')}. `;
+                }
+
+                if (result.suggestions.length > 0) {
+                    response += `\n\n**${result.request === 'complete' ? 'To finish the team' : 'Worth adding'}:**\n`;
+                    response += result.suggestions.map(s => `- **${s.name}** (${s.types.map(capitalize).join('/')}): ${s.reason}`).join('\n');
+                } else if (result.open_slots === 0) {
+                    response += `\n\nAll six slots are filled.`;
+                }
+                return response;
+            }
+        }
+    }
+
+    _renderReport(result, missing) {
+        let report = `# Team Analysis\n\n`;
+        report += `${result.members.length} of ${teamAnalysis.TEAM_SIZE} slots filled${missing}.\n\n`;
+        report += `| Pokemon | Types | Role | BST |\n|---------|-------|------|-----|\n`;
+        for (const member of result.members) {
+            report += `| ${member.name} | ${member.types.map(capitalize).join('/')} | ${member.role} | ${member.base_stat_total} |\n`;
+        }
+
+        report += `\n## Defensive Synergy\n\n`;
+        if (result.shared_weaknesses.length > 0) {
+            for (const weakness of result.shared_weaknesses) {
+                report += `- **${capitalize(weakness.type)}:** ${weakness.weak.join(', ')} weak; ${weakness.checked_by.length > 0 ? `checked by ${weakness.checked_by.join(', ')}` : 'nobody resists it'}\n`;
+            }
+        } else {
+            report += `- No shared weaknesses\n`;
+        }
+        report += `- **Unresisted:** ${result.unresisted.length > 0 ? result.unresisted.map(capitalize).join(', ') : 'None'}\n`;
+        report += `- **Shared resistances:** ${result.shared_resistances.length > 0 ? result.shared_resistances.map(r => `${capitalize(r.type)} (${r.resisted_by.length})`).join(', ') : 'None'}\n`;
+
+        report += `\n## Offensive Coverage\n\n`;
+        report += `**STAB super effective against:** ${result.coverage.super_effective.length > 0 ? result.coverage.super_effective.map(capitalize).join(', ') : 'None'}\n`;
+        report += `**Coverage gaps:** ${result.coverage.gaps.length > 0 ? result.coverage.gaps.map(capitalize).join(', ') : 'None'}\n`;
+
+        report += `\n## Role Balance\n\n`;
+        report += Object.entries(result.roles.counts).map(([role, count]) => `- ${role}: ${count}`).join('\n') + '\n';
+        if (result.roles.missing.length > 0) {
+            report += `\n**Missing:** ${result.roles.missing.join(', ')}\n`;
+        }
+        if (result.roles.overloaded.length > 0) {
+            report += `**Overloaded:** ${result.roles.overloaded.join(', ')}\n`;
+        }
+
+        if (result.suggestions.length > 0) {
+            report += `\n## Suggested Additions\n\n`;
+            result.suggestions.forEach((suggestion, index) => {
+                report += `${index + 1}. **${suggestion.name}** (${suggestion.types.map(capitalize).join('/')}, ${suggestion.role}): ${suggestion.reason}\n`;
+            });
+
+            const after = result.completed;
+            report += `\n**With these additions:** `;
+            report += after.shared_weaknesses.length > 0 ? `shared weaknesses to ${after.shared_weaknesses.map(w => capitalize(w.type)).join(', ')}` : 'no shared weaknesses';
+            report += after.coverage_gaps.length > 0 ? `; coverage gaps: ${after.coverage_gaps.map(capitalize).join(', ')}` : '; full STAB coverage';
+            report += after.missing_roles.length > 0 ? `; still missing a ${after.missing_roles.join(', ')}.` : '; every role covered.';
+            report += '\n';
+        }
+
+        report += `\n*Based on the ${typeChart.TYPES.length}-type chart and base stats; abilities, moves and items are not considered.*`;
+        return report;
+    }
+
+    serialize(result) {
+        const { query, ...analysis } = result;
+        return analysis;
+    }
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function joinNames(names, conjunction = 'and') {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} ${conjunction} ${names[names.length - 1]}` : names.join('');
+}
+
+module.exports = TeamBuilderTool;
@@ -0,0 +1,150 @@
+/**
+ * Tool registry - the declarative contract every agent tool implements
+ *
+ * A tool declares:
+ * - name: routing id (lowercase snake_case)
+ * - description: shown in /tools/
+ * - inputSchema: JSON Schema of the tool's input
+ * - outputTypes: `type` values of the structured results execute() may return
+ * - examples: utterances the intent classifier learns to route to the tool
+ * - patterns (optional): regexes or { test(text) } matchers that route directly;
+ *   a matcher with `priority: false` doesn't outrank other tools' matches.
+ *   A tool with patterns is only reached when one matches; a tool without
+ *   them is routed on its examples when the classifier is confident
+ * - execute(query, options): returns a string or a { type, ... } result
+ * - render(result, context): turns a structured result into the answer;
+ *   required when outputTypes is not empty
+ * - serialize(result, context) (optional): the structured result returned
+ *   for `format: "json"` requests; without it the rendered answer is sent
+ * - mlParameterExtraction (optional): in quality mode the agent extracts ML
+ *   parameters from the query before calling execute()
+ * - initialize() (optional): async setup the agent awaits before serving,
+ *   e.g. loading name indexes; it should not reject
+ *
+ * Tool files dropped into TOOLS_DIR are loaded at startup. Each file exports a
+ * tool object or a class that is constructed with no arguments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_TOOLS_DIR = path.join(__dirname, 'plugins');
+
+const TOOL_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Input schema for tools that take the user's question as-is
+const QUERY_INPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        query: { type: 'string', description: 'The user\'s question or request' }
+    },
+    required: ['query']
+};
+
+/**
+ * Check a tool against the contract, throwing on the first violation
+ */
+function validateTool(tool) {
+    if (!tool || typeof tool !== 'object') {
+        throw new Error('Tool must be an object or a class instance');
+    }
+
+    const label = tool.name ? `Tool '${tool.name}'` : 'Tool';
+    if (typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name)) {
+        throw new Error(`${label} needs a lowercase snake_case name`);
+    }
+    if (typeof tool.description !== 'string' || !tool.description.trim()) {
+        throw new Error(`${label} needs a description`);
+    }
+    if (!tool.inputSchema || typeof tool.inputSchema !== 'object' || tool.inputSchema.type !== 'object') {
+        throw new Error(`${label} needs an inputSchema of type 'object'`);
+    }
+    if (!Array.isArray(tool.outputTypes)) {
+        throw new Error(`${label} needs an outputTypes array`);
+    }
+    if (!Array.isArray(tool.examples) || tool.examples.length === 0 || !tool.examples.every(example => typeof example === 'string')) {
+        throw new Error(`${label} needs at least one example utterance`);
+    }
+    if (tool.patterns !== undefined && (!Array.isArray(tool.patterns) || !tool.patterns.every(pattern => pattern && typeof pattern.test === 'function'))) {
+        throw new Error(`${label} patterns must be regexes or { test(text) } matchers`);
+    }
+    if (typeof tool.execute !== 'function') {
+        throw new Error(`${label} needs an execute(query, options) method`);
+    }
+    if (tool.outputTypes.length > 0 && typeof tool.render !== 'function') {
+        throw new Error(`${label} returns structured output and needs a render(result, context) method`);
+    }
+    if (tool.serialize !== undefined && typeof tool.serialize !== 'function') {
+        throw new Error(`${label} serialize must be a serialize(result, context) method`);
+    }
+    if (tool.initialize !== undefined && typeof tool.initialize !== 'function') {
+        throw new Error(`${label} initialize must be an initialize() method`);
+    }
+    return tool;
+}
+
+/**
+ * Validate a tool list, rejecting duplicate names
+ */
+function validateTools(tools) {
+    const names = new Set();
+    for (const tool of tools) {
+        validateTool(tool);
+        if (names.has(tool.name)) {
+            throw new Error(`Duplicate tool name '${tool.name}'`);
+        }
+        names.add(tool.name);
+    }
+    return tools;
+}
+
+/**
+ * Public description of a tool, as served by /tools/
+ */
+function describeTool(tool) {
+    return {
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.inputSchema,
+        output_types: tool.outputTypes,
+        examples: tool.examples
+    };
+}
+
+/**
+ * Load drop-in tools from a directory
+ *
+ * Files that fail to load or break the contract are skipped with a warning,
+ * so one bad plugin does not stop the service. A missing directory means no
+ * drop-in tools.
+ */
+function loadToolsFromDirectory(directory = process.env.TOOLS_DIR || DEFAULT_TOOLS_DIR) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    const tools = [];
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+        const filePath = path.resolve(directory, file);
+        try {
+            const exported = require(filePath);
+            const tool = typeof exported === 'function' ? new exported() : exported;
+            tools.push(validateTool(tool));
+            logger.info(`Loaded tool '${tool.name}' from ${file}`);
+        } catch (error) {
+            logger.warn(`Skipping tool file ${file}: ${error.message}`);
+        }
+    }
+    return tools;
+}
+
+module.exports = {
+    QUERY_INPUT_SCHEMA,
+    DEFAULT_TOOLS_DIR,
+    validateTool,
+    validateTools,
+    describeTool,
+    loadToolsFromDirectory
+};
@@ -0,0 +1,170 @@
+/**
+ * OpenAI chat completions format
+ *
+ * Maps the OpenAI `/v1/chat/completions` and `/v1/models` shapes onto tasks:
+ * the model name selects the performance mode (`tfjs-agent-quality`), the
+ * last user message is the task and earlier user messages are the
+ * conversation it follows. Answers come back as `chat.completion` objects,
+ * or `chat.completion.chunk` deltas when streaming, with the plan's tool
+ * steps reported as `tool_calls`.
+ */
+
+const MODEL_PREFIX = 'tfjs-agent';
+
+const MODEL_OWNER = 'tensorflow-agent-service';
+
+// Roles whose messages are accepted; only user messages are treated as tasks
+const MESSAGE_ROLES = ['system', 'developer', 'user', 'assistant', 'tool'];
+
+function modelId(mode) {
+    return `${MODEL_PREFIX}-${mode}`;
+}
+
+/**
+ * The `/v1/models` list: one model per performance mode, plus the bare
+ * prefix for the server's default mode
+ */
+function listModels(modes, created) {
+    const ids = [MODEL_PREFIX, ...modes.map(modelId)];
+    return {
+        object: 'list',
+        data: ids.map(id => ({ id, object: 'model', created, owned_by: MODEL_OWNER }))
+    };
+}
+
+/**
+ * Performance mode a model name selects, or null for an unknown model
+ */
+function modeForModel(model, modes, defaultMode) {
+    if (model === MODEL_PREFIX) {
+        return defaultMode;
+    }
+    const mode = typeof model === 'string' && model.startsWith(`${MODEL_PREFIX}-`) ? model.slice(MODEL_PREFIX.length + 1) : null;
+    return modes.includes(mode) ? mode : null;
+}
+
+/**
+ * Text of a message: a string, or the text parts of a content array
+ */
+function messageText(message) {
+    if (typeof message.content === 'string') {
+        return message.content;
+    }
+    if (Array.isArray(message.content)) {
+        return message.content
+            .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+            .map(part => part.text)
+            .join('\n');
+    }
+    return '';
+}
+
+/**
+ * Task and conversation history from a `messages` array
+ *
+ * Returns { task, history }: the last message, which must come from the
+ * user, and the user messages before it, oldest first. Throws on a
+ * malformed array.
+ */
+function parseMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error('messages must be a non-empty array');
+    }
+    messages.forEach((message, index) => {
+        if (!message || !MESSAGE_ROLES.includes(message.role)) {
+            throw new Error(`messages[${index}].role must be one of ${MESSAGE_ROLES.join(', ')}`);
+        }
+    });
+
+    const last = messages[messages.length - 1];
+    const task = messageText(last).trim();
+    if (last.role !== 'user' || !task) {
+        throw new Error('The last message must be a user message with text content');
+    }
+
+    const history = messages.slice(0, -1)
+        .filter(message => message.role === 'user')
+        .map(message => messageText(message).trim())
+        .filter(Boolean);
+    return { task, history };
+}
+
+/**
+ * Tool steps of an executed plan as OpenAI `tool_calls`
+ *
+ * The agent has already run them; they report what the answer is built from.
+ */
+function toolCalls(plan) {
+    const steps = plan ? plan.steps.filter(step => step.tool) : [];
+    return steps.map(step => ({
+        id: `call_${step.id}`,
+        type: 'function',
+        function: {
+            name: step.tool,
+            arguments: JSON.stringify({ query: step.task })
+        }
+    }));
+}
+
+/**
+ * Non-streaming `chat.completion` response
+ */
+function completion({ id, created, model, content, plan }) {
+    const calls = toolCalls(plan);
+    return {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{
+            index: 0,
+            message: {
+                role: 'assistant',
+                content,
+                ...(calls.length > 0 ? { tool_calls: calls } : {})
+            },
+            logprobs: null,
+            finish_reason: 'stop'
+        }]
+    };
+}
+
+/**
+ * One streamed `chat.completion.chunk` carrying a delta
+ */
+function completionChunk({ id, created, model }, delta, finishReason = null) {
+    return {
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }]
+    };
+}
+
+/**
+ * Deltas announcing each tool call, in the indexed form streaming uses
+ */
+function toolCallDeltas(plan) {
+    return toolCalls(plan).map((call, index) => ({ tool_calls: [{ index, ...call }] }));
+}
+
+/**
+ * OpenAI error body
+ */
+function errorBody(message, type = 'invalid_request_error', param = null, code = null) {
+    return { error: { message, type, param, code } };
+}
+
+module.exports = {
+    MODEL_PREFIX,
+    modelId,
+    listModels,
+    modeForModel,
+    parseMessages,
+    toolCalls,
+    completion,
+    completionChunk,
+    toolCallDeltas,
+    errorBody
+};
@@ -0,0 +1,84 @@
+/**
+ * Seeded random numbers for reproducible training splits and weights
+ *
+ * Models draw from createRandom(seed) with the process-wide seed
+ * (setGlobalSeed(), RANDOM_SEED, else DEFAULT_SEED), so every start trains
+ * the same models. Requests carry a seed too; it is validated and echoed,
+ * but nothing in serving a request draws from it.
+ */
+
+const DEFAULT_SEED = 42;
+
+const MAX_SEED = 0xFFFFFFFF;
+
+let globalSeed = null;
+
+/**
+ * Deterministic PRNG (mulberry32): returns a function giving numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fisher-Yates shuffle of a copy of items
+ */
+function shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Whether a value can seed createRandom(): an integer from 0 to 2^32 - 1
+ */
+function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+/**
+ * Seed for requests that don't pass one
+ */
+function getGlobalSeed() {
+    if (globalSeed !== null) {
+        return globalSeed;
+    }
+    if (process.env.RANDOM_SEED === undefined || process.env.RANDOM_SEED === '') {
+        return DEFAULT_SEED;
+    }
+    const seed = Number(process.env.RANDOM_SEED);
+    if (!isValidSeed(seed)) {
+        throw new Error(`RANDOM_SEED must be an integer from 0 to ${MAX_SEED}, got '${process.env.RANDOM_SEED}'`);
+    }
+    return seed;
+}
+
+/**
+ * Replace the process-wide seed; null goes back to RANDOM_SEED
+ */
+function setGlobalSeed(seed) {
+    if (seed !== null && !isValidSeed(seed)) {
+        throw new Error(`Invalid seed '${seed}' (expected an integer from 0 to ${MAX_SEED})`);
+    }
+    globalSeed = seed;
+}
+
+module.exports = {
+    DEFAULT_SEED,
+    MAX_SEED,
+    createRandom,
+    shuffle,
+    isValidSeed,
+    getGlobalSeed,
+    setGlobalSeed
+};
@@ -0,0 +1,43 @@
+/**
+ * Response formats for task answers
+ *
+ * - markdown: the rendered answer (default)
+ * - json: the structured analysis behind the answer
+ * - text: the rendered answer with markdown syntax removed
+ */
+
+const RESPONSE_FORMATS = ['markdown', 'json', 'text'];
+
+function isValidFormat(format) {
+    return RESPONSE_FORMATS.includes(format);
+}
+
+/**
+ * Strip markdown syntax, keeping the words
+ *
+ * Headings lose their hashes, emphasis and code markers are dropped, links
+ * become "text (url)" and table rows become "cell: cell" lines.
+ */
+function markdownToText(markdown) {
+    return String(markdown)
+        .split('\n')
+        .filter(line => !/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line))
+        .map(line => {
+            if (/^\s*\|.*\|\s*$/.test(line)) {
+                return line.trim().slice(1, -1).split('|').map(cell => cell.trim()).join(': ');
+            }
+            return line.replace(/^#{1,6}\s+/, '');
+        })
+        .join('\n')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1$2')
+        .replace(/(^|[^\w_])_(?!\s)([^_\n]+?)_(?!\w)/g, '$1$2')
+        .replace(/`([^`]+)`/g, '$1');
+}
+
+module.exports = {
+    RESPONSE_FORMATS,
+    isValidFormat,
+    markdownToText
+};
@@ -0,0 +1,77 @@
+/**
+ * Server-Sent Events helpers for streaming task responses
+ *
+ * Provides a thin wrapper around an Express response for writing
+ * `text/event-stream` frames, plus a splitter that breaks markdown
+ * reports into section-sized chunks for progressive rendering.
+ */
+
+/**
+ * Switch an Express response into event-stream mode
+ */
+function openEventStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Disable proxy buffering (nginx) so events reach the client immediately
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+}
+
+/**
+ * Write a single named event with a JSON payload
+ */
+function sendEvent(res, event, data) {
+    if (res.writableEnded || res.destroyed) {
+        return false;
+    }
+
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    return true;
+}
+
+/**
+ * Write an unnamed event, as OpenAI-style streams do: a JSON payload, or a
+ * string such as the closing `[DONE]` as is
+ */
+function sendData(res, data) {
+    if (res.writableEnded || res.destroyed) {
+        return false;
+    }
+
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    return true;
+}
+
+/**
+ * Split a markdown document into chunks at each heading
+ *
+ * Text before the first heading becomes its own chunk. Non-markdown
+ * responses are split on blank lines so plain prose still streams.
+ */
+function splitMarkdownSections(markdown) {
+    if (typeof markdown !== 'string' || markdown.length === 0) {
+        return [];
+    }
+
+    const headingBoundary = /\n(?=#{1,6} )/;
+    const parts = headingBoundary.test(markdown) ?
+        markdown.split(headingBoundary) :
+        markdown.split(/\n(?=\n)/);
+
+    // Re-attach the newline consumed by the split so chunks concatenate back to the original text
+    return parts
+        .map((part, index) => index < parts.length - 1 ? `${part}\n` : part)
+        .filter(part => part.length > 0);
+}
+
+module.exports = {
+    openEventStream,
+    sendEvent,
+    sendData,
+    splitMarkdownSections
+};
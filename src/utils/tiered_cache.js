@@ -0,0 +1,400 @@
+/**
+ * Tiered cache - in-process memory tier in front of a persistent disk tier
+ *
+ * Entries are stored as envelopes with a fresh window (ttl) and an optional
+ * stale window (staleTtl). getOrFetch() serves stale entries immediately and
+ * refreshes them in the background (stale-while-revalidate). Keys are plain
+ * strings, so related entries share a prefix ("pokemon_pikachu", "task_fast_")
+ * and can be invalidated together.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const logger = require('./logger');
+
+const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), 'pokemon_cache');
+
+// Longer keys are hashed to stay within file name limits
+const MAX_ENCODED_KEY_LENGTH = 200;
+
+/**
+ * Memory tier backed by NodeCache; values are shared, not cloned
+ */
+class MemoryTier {
+    constructor(options = {}) {
+        this.store = new NodeCache({ stdTTL: 0, checkperiod: 120, useClones: false, maxKeys: options.maxKeys || -1 });
+    }
+
+    get(key) {
+        return this.store.get(key);
+    }
+
+    set(key, entry) {
+        const ttlSeconds = Math.max(1, Math.ceil((entry.staleUntil - Date.now()) / 1000));
+        try {
+            this.store.set(key, entry, ttlSeconds);
+        } catch (error) {
+            // maxKeys reached - the disk tier still holds the entry
+            logger.debug(`Memory cache full, skipping ${key}`);
+        }
+    }
+
+    delete(key) {
+        this.store.del(key);
+    }
+
+    deletePrefix(prefix) {
+        const keys = this.store.keys().filter(key => key.startsWith(prefix));
+        this.store.del(keys);
+        return keys.length;
+    }
+
+    flush() {
+        this.store.flushAll();
+    }
+
+    getStats() {
+        const stats = this.store.getStats();
+        return { keys: stats.keys, hits: stats.hits, misses: stats.misses, ksize: stats.ksize, vsize: stats.vsize };
+    }
+}
+
+/**
+ * Disk tier - one JSON file per entry under <directory>
+ *
+ * File names encode the key (base64url), or hash it when the key is too long
+ * for a file name, so the key index can be rebuilt after a restart from a
+ * directory listing; expired files are removed when they are next read.
+ */
+class DiskTier {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory);
+        this.index = null;
+        this.indexLoading = null;
+        this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+    }
+
+    _fileFor(key) {
+        const encoded = Buffer.from(key).toString('base64url');
+        const name = encoded.length <= MAX_ENCODED_KEY_LENGTH
+            ? `k_${encoded}`
+            : `h_${crypto.createHash('sha1').update(key).digest('hex')}`;
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    /**
+     * Recover the key for a cache file (hashed names store it in the file)
+     */
+    async _keyForFile(file, filePath) {
+        if (file.startsWith('k_')) {
+            return Buffer.from(file.slice(2, -'.json'.length), 'base64url').toString();
+        }
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8')).key;
+    }
+
+    /**
+     * Build the key index from the files on disk (once)
+     */
+    async _loadIndex() {
+        if (this.index) {
+            return this.index;
+        }
+        if (!this.indexLoading) {
+            this.indexLoading = (async () => {
+                const index = new Map();
+                let files = [];
+                try {
+                    files = (await fs.promises.readdir(this.directory)).filter(file => /^[kh]_.*\.json$/.test(file));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                }
+
+                for (const file of files) {
+                    const filePath = path.join(this.directory, file);
+                    try {
+                        const stat = await fs.promises.stat(filePath);
+                        index.set(await this._keyForFile(file, filePath), { file: filePath, size: stat.size });
+                    } catch (error) {
+                        // Partial or corrupt file - drop it
+                        await fs.promises.rm(filePath, { force: true });
+                    }
+                }
+
+                this.index = index;
+                return index;
+            })().catch(error => {
+                // Let the next call retry instead of keeping the rejection
+                this.indexLoading = null;
+                throw error;
+            });
+        }
+        return this.indexLoading;
+    }
+
+    async get(key) {
+        try {
+            const index = await this._loadIndex();
+            const record = index.get(key);
+            if (!record) {
+                this.stats.misses++;
+                return undefined;
+            }
+
+            const entry = JSON.parse(await fs.promises.readFile(record.file, 'utf8'));
+            if (entry.staleUntil <= Date.now()) {
+                await this.delete(key);
+                this.stats.misses++;
+                return undefined;
+            }
+
+            this.stats.hits++;
+            return entry;
+        } catch (error) {
+            this.stats.errors++;
+            this.stats.misses++;
+            logger.warn(`Disk cache read failed for ${key}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    async set(key, entry) {
+        try {
+            const index = await this._loadIndex();
+            const file = this._fileFor(key);
+            const contents = JSON.stringify({ key, ...entry });
+            // Unique per write, so concurrent writes of one key never share a temp file
+            const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            await fs.promises.writeFile(tempFile, contents);
+            await fs.promises.rename(tempFile, file);
+
+            index.set(key, { file, size: Buffer.byteLength(contents) });
+            this.stats.writes++;
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Disk cache write failed for ${key}: ${error.message}`);
+        }
+    }
+
+    async delete(key) {
+        try {
+            const index = await this._loadIndex();
+            const record = index.get(key);
+            if (record) {
+                await fs.promises.rm(record.file, { force: true });
+                index.delete(key);
+            }
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Disk cache delete failed for ${key}: ${error.message}`);
+        }
+    }
+
+    async deletePrefix(prefix) {
+        try {
+            const index = await this._loadIndex();
+            const keys = [...index.keys()].filter(key => key.startsWith(prefix));
+            await Promise.all(keys.map(key => this.delete(key)));
+            return keys.filter(key => !index.has(key)).length;
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Disk cache invalidation failed for ${prefix}: ${error.message}`);
+            return 0;
+        }
+    }
+
+    async flush() {
+        try {
+            const index = await this._loadIndex();
+            await Promise.all([...index.keys()].map(key => this.delete(key)));
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Disk cache flush failed: ${error.message}`);
+        }
+    }
+
+    async getStats() {
+        let records = [];
+        try {
+            records = [...(await this._loadIndex()).values()];
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Disk cache stats failed: ${error.message}`);
+        }
+        return {
+            keys: records.length,
+            bytes: records.reduce((sum, record) => sum + record.size, 0),
+            ...this.stats,
+            directory: this.directory
+        };
+    }
+}
+
+class TieredCache {
+    /**
+     * options: { namespace, ttl, staleTtl, directory, maxMemoryKeys }
+     *
+     * ttl and staleTtl are in seconds. The disk tier lives in
+     * <directory>/<namespace>, with directory defaulting to CACHE_DIR;
+     * pass directory: false for a memory-only cache.
+     */
+    constructor(options = {}) {
+        this.namespace = options.namespace || 'default';
+        this.ttl = options.ttl || 1800;
+        this.staleTtl = options.staleTtl || 0;
+
+        this.memory = new MemoryTier({ maxKeys: options.maxMemoryKeys });
+
+        const directory = options.directory === undefined ? (process.env.CACHE_DIR || DEFAULT_CACHE_DIR) : options.directory;
+        this.disk = directory ? new DiskTier({ directory: path.join(directory, this.namespace) }) : null;
+
+        this.revalidations = new Map();
+        this.stats = { fresh_hits: 0, stale_hits: 0, misses: 0, revalidations: 0, revalidation_errors: 0 };
+    }
+
+    _createEntry(value, options = {}) {
+        const now = Date.now();
+        const expiresAt = now + (options.ttl || this.ttl) * 1000;
+        const staleTtl = options.staleTtl !== undefined ? options.staleTtl : this.staleTtl;
+        return { value, storedAt: now, expiresAt, staleUntil: expiresAt + staleTtl * 1000 };
+    }
+
+    /**
+     * Read an entry envelope, promoting disk hits into memory
+     */
+    async _getEntry(key) {
+        const entry = this.memory.get(key);
+        if (entry) {
+            return entry;
+        }
+
+        if (this.disk) {
+            const diskEntry = await this.disk.get(key);
+            if (diskEntry) {
+                this.memory.set(key, diskEntry);
+                return diskEntry;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Get a fresh value; stale and expired entries count as misses
+     */
+    async get(key) {
+        const entry = await this._getEntry(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            this.stats.fresh_hits++;
+            return entry.value;
+        }
+
+        this.stats.misses++;
+        return undefined;
+    }
+
+    async set(key, value, options = {}) {
+        const entry = this._createEntry(value, options);
+        this.memory.set(key, entry);
+        if (this.disk) {
+            await this.disk.set(key, entry);
+        }
+    }
+
+    /**
+     * Return the cached value or fetch it, serving stale entries while
+     * fetcher() refreshes them in the background
+     *
+     * The foreground fetch receives options.signal; background refreshes are
+     * not tied to any request and run without one.
+     */
+    async getOrFetch(key, fetcher, options = {}) {
+        const entry = await this._getEntry(key);
+        const now = Date.now();
+
+        if (entry && entry.expiresAt > now) {
+            this.stats.fresh_hits++;
+            return entry.value;
+        }
+
+        if (entry && entry.staleUntil > now) {
+            this.stats.stale_hits++;
+            this._revalidate(key, fetcher, options);
+            return entry.value;
+        }
+
+        this.stats.misses++;
+        const value = await fetcher(options.signal);
+        await this.set(key, value, options);
+        return value;
+    }
+
+    /**
+     * Refresh a stale entry once, however many readers hit it meanwhile
+     */
+    _revalidate(key, fetcher, options) {
+        if (this.revalidations.has(key)) {
+            return this.revalidations.get(key);
+        }
+
+        this.stats.revalidations++;
+        const refresh = (async () => {
+            try {
+                await this.set(key, await fetcher(undefined), options);
+            } catch (error) {
+                this.stats.revalidation_errors++;
+                logger.warn(`Background refresh failed for ${key}: ${error.message}`);
+            } finally {
+                this.revalidations.delete(key);
+            }
+        })();
+
+        this.revalidations.set(key, refresh);
+        return refresh;
+    }
+
+    async delete(key) {
+        this.memory.delete(key);
+        if (this.disk) {
+            await this.disk.delete(key);
+        }
+    }
+
+    /**
+     * Remove every entry whose key starts with prefix from both tiers
+     */
+    async invalidatePrefix(prefix) {
+        const memoryRemoved = this.memory.deletePrefix(prefix);
+        const diskRemoved = this.disk ? await this.disk.deletePrefix(prefix) : 0;
+        return { memory: memoryRemoved, disk: diskRemoved };
+    }
+
+    async flush() {
+        this.memory.flush();
+        if (this.disk) {
+            await this.disk.flush();
+        }
+    }
+
+    async getStats() {
+        return {
+            namespace: this.namespace,
+            ttl: this.ttl,
+            stale_ttl: this.staleTtl,
+            ...this.stats,
+            tiers: {
+                memory: this.memory.getStats(),
+                disk: this.disk ? await this.disk.getStats() : null
+            }
+        };
+    }
+}
+
+module.exports = TieredCache;
+module.exports.MemoryTier = MemoryTier;
+module.exports.DiskTier = DiskTier;
@@ -0,0 +1,41 @@
+/**
+ * Drop-in tool used by the tool registry tests
+ */
+
+const { QUERY_INPUT_SCHEMA } = require('../../../src/tools/tool_registry');
+
+const BERRIES = {
+    oran: { name: 'Oran Berry', effect: 'Restores 10 HP when HP falls below 50%' },
+    sitrus: { name: 'Sitrus Berry', effect: 'Restores 25% of max HP when HP falls below 50%' },
+    lum: { name: 'Lum Berry', effect: 'Cures any non-volatile status condition' }
+};
+
+class BerryTool {
+    constructor() {
+        this.name = 'berry_info';
+        this.description = 'Looks up what a held berry does';
+        this.inputSchema = QUERY_INPUT_SCHEMA;
+        this.outputTypes = ['berry_data'];
+        this.examples = [
+            'what does an oran berry do',
+            'sitrus berry effect',
+            'which berry cures status',
+            'lum berry held item'
+        ];
+        this.patterns = [/\bberr(y|ies)\b/i];
+    }
+
+    async execute(query) {
+        const key = Object.keys(BERRIES).find(berry => query.toLowerCase().includes(berry));
+        if (!key) {
+            return 'Name a berry, e.g. Oran, Sitrus or Lum.';
+        }
+        return { type: 'berry_data', berry: BERRIES[key] };
+    }
+
+    async render(result) {
+        return `${result.berry.name}: ${result.berry.effect}`;
+    }
+}
+
+module.exports = BerryTool;
@@ -0,0 +1,42 @@
+/**
+ * Drop-in tool that declares examples but no patterns, used by the tool
+ * registry tests to check example-trained routing on its own
+ */
+
+const { QUERY_INPUT_SCHEMA } = require('../../../src/tools/tool_registry');
+
+const BALLS = {
+    quick: { name: 'Quick Ball', effect: 'Catch rate is 5x on the first turn of a battle' },
+    dusk: { name: 'Dusk Ball', effect: 'Catch rate is 3x at night or in caves' },
+    ultra: { name: 'Ultra Ball', effect: 'Catch rate is 2x' }
+};
+
+class PokeBallTool {
+    constructor() {
+        this.name = 'pokeball_info';
+        this.description = 'Looks up the catch rate bonus of a Poke Ball';
+        this.inputSchema = QUERY_INPUT_SCHEMA;
+        this.outputTypes = ['pokeball_data'];
+        this.examples = [
+            'what does a quick ball do',
+            'dusk ball catch rate',
+            'which poke ball catches best',
+            'ultra ball catch bonus',
+            'best ball for catching'
+        ];
+    }
+
+    async execute(query) {
+        const key = Object.keys(BALLS).find(ball => query.toLowerCase().includes(ball));
+        if (!key) {
+            return 'Name a Poke Ball, e.g. Quick, Dusk or Ultra.';
+        }
+        return { type: 'pokeball_data', ball: BALLS[key] };
+    }
+
+    async render(result) {
+        return `${result.ball.name}: ${result.ball.effect}`;
+    }
+}
+
+module.exports = PokeBallTool;
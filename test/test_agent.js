@@ -150,6 +150,9 @@ class AgentTester {
         if (!pokemonTool) {
             throw new Error('Pokemon tool not found in tools list');
         }
+        if (!pokemonTool.input_schema || !pokemonTool.output_types.includes('pokemon_data') || pokemonTool.examples.length === 0) {
+            throw new Error('Tools should expose their input schema, output types and examples');
+        }
         
         console.log(`   Found ${data.total_tools} tools including pokemon_info`);
     }
@@ -198,14 +201,19 @@ class AgentTester {
     
     async testGeneralQuery() {
         const testCases = [
-            'What is machine learning?',
-            'Hello, how are you?',
-            'Tell me about programming',
-            'What can you help me with?'
+            ['What is machine learning?'],
+            ['Hello, how are you?'],
+            ['Tell me about programming'],
+            ['What can you help me with?'],
+            ['What is the capital of France?', 'balanced'],
+            ['who are you', 'fast'],
+            ['how do you do', 'balanced'],
+            ['how does breeding work', 'balanced'],
+            ['tell me about the move', 'fast']
         ];
         
-        for (const task of testCases) {
-            const response = await client.post('/run_task/', { task });
+        for (const [task, mode] of testCases) {
+            const response = await client.post('/run_task/', { task, mode });
             
             if (response.status !== 200) {
                 throw new Error(`Expected status 200, got ${response.status}`);
@@ -220,6 +228,10 @@ class AgentTester {
             if (data.result.length < 10) {
                 throw new Error('Response is too short to be meaningful');
             }
+            const routed = data.plan ? data.plan.steps.filter(step => step.tool).map(step => step.tool) : [];
+            if (routed.length > 0) {
+                throw new Error(`"${task}" should not reach a tool, got ${routed.join(', ')}`);
+            }
             
             console.log(`   ✓ ${task}: ${data.processing_time}ms (cached: ${data.cached || false})`);
         }
@@ -251,6 +263,522 @@ class AgentTester {
         }
     }
     
+    async testCacheInvalidation() {
+        const task = 'Tell me about Squirtle';
+        await client.post('/run_task/', { task, mode: 'fast' });
+        
+        const stats = (await client.get('/cache/stats/')).data;
+        for (const name of ['responses', 'pokeapi']) {
+            if (!stats[name] || !stats[name].tiers.memory || !('disk' in stats[name].tiers)) {
+                throw new Error(`Missing per-tier stats for the ${name} cache`);
+            }
+        }
+        
+        const invalidated = (await client.post('/cache/invalidate/', { mode: 'fast', pokemon: 'squirtle' })).data;
+        if (invalidated.removed.responses.memory < 1 || invalidated.removed.pokeapi.memory < 1) {
+            throw new Error('Invalidating a mode and a Pokemon should remove their entries');
+        }
+        
+        const response = await client.post('/run_task/', { task, mode: 'fast' });
+        if (response.data.cached) {
+            throw new Error('Invalidated response should not be served from cache');
+        }
+        console.log(`   ✓ Invalidated ${JSON.stringify(invalidated.removed)}`);
+
+        // Failed disk deletes are counted, not thrown, and leave the entry indexed
+        const fs = require('fs');
+        const os = require('os');
+        const { DiskTier } = require('../src/utils/tiered_cache');
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-tier-'));
+        const disk = new DiskTier({ directory });
+        const rm = fs.promises.rm;
+        try {
+            await disk.set('pokemon_squirtle', { value: 7, expiresAt: Date.now() + 60000, staleUntil: Date.now() + 60000 });
+            fs.promises.rm = async () => { throw Object.assign(new Error('permission denied'), { code: 'EACCES' }); };
+            const removed = await disk.deletePrefix('pokemon_');
+            await disk.flush();
+            const diskStats = await disk.getStats();
+            if (removed !== 0 || diskStats.errors !== 2 || diskStats.keys !== 1) {
+                throw new Error(`Disk delete failures should be counted: ${JSON.stringify({ removed, errors: diskStats.errors, keys: diskStats.keys })}`);
+            }
+        } finally {
+            fs.promises.rm = rm;
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+
+        // An unreadable cache directory is reported in the stats and retried once fixed
+        const blocked = path.join(os.tmpdir(), `disk-tier-file-${Date.now()}`);
+        fs.writeFileSync(blocked, '');
+        try {
+            const blockedTier = new DiskTier({ directory: blocked });
+            const failed = await blockedTier.getStats();
+            if (failed.errors !== 1 || failed.keys !== 0) {
+                throw new Error(`An unreadable cache directory should count an error: ${JSON.stringify(failed)}`);
+            }
+            fs.rmSync(blocked);
+            await blockedTier.set('pokemon_squirtle', { value: 7, expiresAt: Date.now() + 60000, staleUntil: Date.now() + 60000 });
+            if ((await blockedTier.getStats()).keys !== 1) {
+                throw new Error('The disk index should reload after a failed load');
+            }
+        } finally {
+            fs.rmSync(blocked, { recursive: true, force: true });
+        }
+    }
+    
+    async testConversationSessions() {
+        const sessionId = `test-session-${Date.now()}`;
+        
+        await client.post('/run_task/', { task: 'Tell me about Gengar', session_id: sessionId });
+        const followUp = await client.post('/run_task/', { task: 'what about its evolution?', session_id: sessionId });
+        
+        if (followUp.data.session_id !== sessionId || !followUp.data.resolved_task.includes('Gengar')) {
+            throw new Error(`Follow-up was not resolved against the session: ${followUp.data.resolved_task}`);
+        }
+        if (!followUp.data.result.includes('Haunter')) {
+            throw new Error('Follow-up should answer with Gengar\'s evolution');
+        }
+        
+        const history = (await client.get(`/sessions/${sessionId}/`)).data;
+        if (history.turns.length !== 2 || history.entities.last_pokemon[0].name !== 'Gengar') {
+            throw new Error('Session history should record both turns and the last Pokemon');
+        }
+        
+        const list = (await client.get('/sessions/')).data;
+        if (!list.sessions.some(session => session.session_id === sessionId)) {
+            throw new Error('Session missing from the session list');
+        }
+        
+        await client.delete(`/sessions/${sessionId}/`);
+        try {
+            await client.get(`/sessions/${sessionId}/`);
+            throw new Error('Deleted session should not be found');
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) {
+                throw error;
+            }
+        }
+        console.log(`   ✓ "${followUp.data.resolved_task}"`);
+    }
+    
+    async testTaskPlanning() {
+        const response = await client.post('/run_task/', { task: 'Tell me about Pikachu, then its evolution', mode: 'fast' });
+        const { plan, result } = response.data;
+        
+        if (!plan || plan.steps.length !== 2) {
+            throw new Error(`Expected a two-step plan, got ${JSON.stringify(plan)}`);
+        }
+        if (plan.steps[1].depends_on[0] !== 'step1' || !plan.steps[1].task.includes('Pikachu')) {
+            throw new Error(`Second step should depend on the first: ${JSON.stringify(plan.steps[1])}`);
+        }
+        if (!result.includes('Raichu')) {
+            throw new Error('Composed answer should include the evolution step');
+        }
+        
+        // Steps that name their own Pokemon run in the same wave
+        const parallel = await client.post('/run_task/', { task: 'Gengar stats; Squirtle stats', mode: 'fast' });
+        if (parallel.data.plan.parallel_groups.length !== 1 || parallel.data.plan.parallel_groups[0].length !== 2) {
+            throw new Error(`Independent steps should run in parallel: ${JSON.stringify(parallel.data.plan.parallel_groups)}`);
+        }
+
+        // Only explicit connectives start a step, not every sentence
+        const TaskPlanner = require('../src/agent/modules/TaskPlanner');
+        const planner = new TaskPlanner();
+        for (const task of ['Who wins, Garchomp or Salamence? I think Garchomp', 'Tell me about Mr. Mime. It looks odd']) {
+            const clauses = planner.splitTask(task);
+            if (clauses.length !== 1) {
+                throw new Error(`"${task}" should stay one step, got ${JSON.stringify(clauses)}`);
+            }
+        }
+        if (planner.splitTask('Compare Garchomp and Salamence; after that suggest a teammate').length !== 2) {
+            throw new Error('Explicit connectives should still split a task');
+        }
+        console.log(`   ✓ ${plan.steps.map(step => `${step.id}: ${step.task}`).join(' → ')}`);
+    }
+    
+    async testConcurrentPerformanceModes() {
+        const task = 'Tell me about Gengar stats';
+        const modes = ['fast', 'quality', 'balanced'];
+        
+        await client.post('/cache/clear/');
+        const before = await client.get('/');
+        
+        // Fire all modes at once; each response must reflect its own mode
+        const responses = await Promise.all(modes.map(mode => client.post('/run_task/', { task, mode })));
+        
+        responses.forEach((response, index) => {
+            const mode = modes[index];
+            if (response.data.performance_mode !== mode) {
+                throw new Error(`Request in ${mode} mode reported ${response.data.performance_mode}`);
+            }
+            console.log(`   ✓ ${mode}: ${response.data.result.substring(0, 50).replace(/\n/g, ' ')}...`);
+        });
+        
+        const fastResult = responses[0].data.result;
+        const qualityResult = responses[1].data.result;
+        if (fastResult === qualityResult || fastResult.length >= qualityResult.length) {
+            throw new Error('Fast and quality responses should differ, with quality being more detailed');
+        }
+        
+        const after = await client.get('/');
+        if (before.data.performance_mode !== after.data.performance_mode) {
+            throw new Error('Per-request modes must not change the server default mode');
+        }
+    }
+    
+    async testDeterminism() {
+        const tasks = ['Tell me about Charizard', 'What are Gengar\'s stats and is it good competitively?', 'Tell me about Pikachu then its evolution'];
+        const seed = 1234;
+        
+        // The same task and seed give byte-identical answers in every mode, from scratch each time
+        for (const mode of ['fast', 'balanced', 'quality']) {
+            const runs = [];
+            for (let run = 0; run < 2; run++) {
+                await client.post('/cache/clear/');
+                const responses = [];
+                for (const task of tasks) {
+                    const { data } = await client.post('/run_task/', { task, mode, seed });
+                    if (data.cached || data.seed !== seed) {
+                        throw new Error(`Expected a fresh answer with seed ${seed}, got cached=${data.cached}, seed=${data.seed}`);
+                    }
+                    // Plans carry timings; everything else must match
+                    const steps = data.plan.steps.map(({ processing_time, ...step }) => step);
+                    responses.push(JSON.stringify({ result: data.result, plan: { ...data.plan, steps } }));
+                }
+                runs.push(responses);
+            }
+            runs[0].forEach((response, index) => {
+                if (response !== runs[1][index]) {
+                    throw new Error(`"${tasks[index]}" in ${mode} mode differs between runs with seed ${seed}`);
+                }
+            });
+            console.log(`   ✓ ${mode}: ${tasks.length} answers identical across runs (${runs[0].reduce((sum, response) => sum + response.length, 0)} bytes)`);
+        }
+        
+        // Nothing in the served pipeline is random, so the seed doesn't change the answer
+        await client.post('/cache/clear/');
+        const sameSeed = await client.post('/run_task/', { task: tasks[0], mode: 'fast', seed });
+        const otherSeed = await client.post('/run_task/', { task: tasks[0], mode: 'fast', seed: seed + 1 });
+        if (otherSeed.data.result !== sameSeed.data.result) {
+            throw new Error('Answers should not depend on the request seed');
+        }
+        // ...so it isn't part of the cache key, but is still echoed and must be a 32-bit unsigned integer
+        if (!otherSeed.data.cached || otherSeed.data.seed !== seed + 1) {
+            throw new Error(`A different seed should hit the cache and be echoed, got cached=${otherSeed.data.cached}, seed=${otherSeed.data.seed}`);
+        }
+        const invalid = await client.post('/run_task/', { task: tasks[0], seed: -1 }, { validateStatus: () => true });
+        if (invalid.status !== 400) {
+            throw new Error(`A negative seed should be rejected with 400, got ${invalid.status}`);
+        }
+    }
+    
+    async testStreamingTask() {
+        const task = 'Tell me about Charizard';
+        await client.post('/cache/clear/');
+        
+        // Run the same task twice: the second response replays from cache
+        for (const expectCached of [false, true]) {
+            const events = await this._collectStreamEvents({ task, stream: true });
+            const names = events.map(e => e.event);
+            
+            if (names[names.length - 1] !== 'done') {
+                throw new Error(`Stream should end with a done event, got: ${names.join(', ')}`);
+            }
+            
+            if (!expectCached && (!names.includes('classification') || !names.includes('tool_start') || !names.includes('tool_end'))) {
+                throw new Error(`Missing progress events in stream: ${names.join(', ')}`);
+            }
+            const toolEnd = events.find(e => e.event === 'tool_end');
+            if (toolEnd && typeof toolEnd.data.duration !== 'number') {
+                throw new Error(`tool_end should report its duration: ${JSON.stringify(toolEnd.data)}`);
+            }
+
+            const chunks = events.filter(e => e.event === 'chunk');
+            const done = events[events.length - 1].data;
+            if (chunks.length === 0 || done.chunks !== chunks.length) {
+                throw new Error('Stream chunk count does not match done metadata');
+            }
+            
+            if (done.cached !== expectCached) {
+                console.log(`   ⚠️  Expected cached=${expectCached}, got cached=${done.cached}`);
+            }
+            
+            console.log(`   ✓ ${chunks.length} chunks streamed (cached: ${done.cached}, ${done.processing_time}ms)`);
+        }
+    }
+    
+    async testResponseFormats() {
+        const pokemon = await client.post('/run_task/', { task: 'Tell me about Pikachu', format: 'json' });
+        const analysis = pokemon.data.result;
+        if (pokemon.data.format !== 'json' || analysis.schema_version !== 1 || analysis.type !== 'pokemon') {
+            throw new Error(`Expected a Pokemon analysis, got: ${JSON.stringify(analysis).substring(0, 200)}`);
+        }
+        
+        const total = Object.values(analysis.stats.base).reduce((sum, value) => sum + value, 0);
+        if (analysis.pokemon.name !== 'Pikachu' || analysis.stats.total !== total || !analysis.role.name || !analysis.type_profile.weaknesses.some(w => w.type === 'ground')) {
+            throw new Error('Pokemon analysis is missing stats, role or type profile');
+        }
+        console.log(`   ✓ Pikachu analysis: BST ${total}, ${analysis.role.name}`);
+        
+        const matchup = await client.post('/run_task/', { task: 'Charizard vs Squirtle competitive', format: 'json' });
+        const verdict = matchup.data.result.head_to_head && matchup.data.result.head_to_head.verdict;
+        if (matchup.data.result.type !== 'competitive_matchup' || !verdict || verdict.type_favored !== 'Squirtle') {
+            throw new Error(`Expected a matchup verdict, got: ${JSON.stringify(matchup.data.result).substring(0, 200)}`);
+        }
+        console.log(`   ✓ Matchup verdict: ${verdict.summary}`);
+        
+        // The markdown answer and the plain-text answer render the same analysis
+        const markdown = await client.post('/run_task/', { task: 'Charizard vs Squirtle competitive', mode: 'fast' });
+        const text = await client.post('/run_task/', { task: 'Charizard vs Squirtle competitive', mode: 'fast', format: 'text' });
+        if (!markdown.data.result.includes(verdict.summary) || !text.data.result.includes(verdict.summary) || /\*\*|^#/m.test(text.data.result)) {
+            throw new Error('Text format should carry the verdict without markdown syntax');
+        }
+        console.log('   ✓ Markdown and text views render the same verdict');
+        
+        try {
+            await client.post('/run_task/', { task: 'Tell me about Pikachu', format: 'xml' });
+            throw new Error('Unknown formats should be rejected');
+        } catch (error) {
+            if (!error.response || error.response.status !== 400) {
+                throw error;
+            }
+        }
+    }
+    
+    async testMatchupSimulation() {
+        const statCalc = require('../src/pokemon/stat_calc');
+        const damageCalc = require('../src/pokemon/damage_calc');
+        
+        // Adamant 252 Atk Garchomp Earthquake vs 4 HP Heatran: the published 684-808 range
+        const garchomp = { types: ['dragon', 'ground'], level: 100, stats: statCalc.calcStats({ hp: 108, attack: 130, defense: 95, 'special-attack': 80, 'special-defense': 85, speed: 102 }, { nature: 'adamant', evs: { attack: 252 } }) };
+        const heatran = { types: ['fire', 'steel'], stats: statCalc.calcStats({ hp: 91, attack: 90, defense: 106, 'special-attack': 130, 'special-defense': 106, speed: 77 }, { evs: { hp: 4 } }) };
+        const earthquake = { name: 'Earthquake', type: 'ground', category: 'physical', power: 100 };
+        const damage = damageCalc.calculateDamage(garchomp, heatran, earthquake);
+        if (garchomp.stats.attack !== 394 || heatran.stats.hp !== 324 || damage.min !== 684 || damage.max !== 808 || damage.ko !== 'guaranteed OHKO') {
+            throw new Error(`Damage formula mismatch: ${garchomp.stats.attack} Atk, ${heatran.stats.hp} HP, ${damage.min}-${damage.max}`);
+        }
+        const critical = damageCalc.calculateDamage(garchomp, heatran, earthquake, { critical: true });
+        if (critical.min <= damage.min || damageCalc.calculateDamage(garchomp, { types: ['flying'], stats: heatran.stats }, earthquake).ko !== 'no damage') {
+            throw new Error('Critical hits and immunities not applied');
+        }
+        console.log(`   ✓ Earthquake vs Heatran: ${damage.min}-${damage.max} (${damage.min_percent}-${damage.max_percent}%)`);
+        
+        const matchup = await client.post('/run_task/', { task: 'Gengar vs Pikachu competitive', format: 'json' });
+        const headToHead = matchup.data.result.head_to_head;
+        const simulation = headToHead && headToHead.simulation;
+        if (!simulation || simulation.winner !== 'Gengar' || headToHead.verdict.favored !== 'Gengar' || simulation.speed_order[0] !== 'Gengar') {
+            throw new Error(`Expected Gengar to outspeed and win, got: ${JSON.stringify(simulation).substring(0, 200)}`);
+        }
+        const lastTurn = simulation.turns[simulation.turns.length - 1];
+        if (lastTurn.attacker !== 'Gengar' || lastTurn.remaining_hp !== 0 || !simulation.sides[0].damage.ko) {
+            throw new Error('Simulation should end with Gengar KOing Pikachu');
+        }
+        console.log(`   ✓ ${simulation.summary}`);
+        
+        // The same matchup always plays out the same way
+        const again = await client.post('/run_task/', { task: 'Gengar vs Pikachu competitive', format: 'json', mode: 'fast' });
+        if (JSON.stringify(again.data.result.head_to_head.simulation) !== JSON.stringify(simulation)) {
+            throw new Error('Simulation is not deterministic');
+        }
+        
+        const markdown = await client.post('/run_task/', { task: 'Gengar vs Pikachu competitive', mode: 'fast' });
+        if (!markdown.data.result.includes('**Battle Simulation**') || !markdown.data.result.includes(simulation.sides[0].damage.ko)) {
+            throw new Error('Head-to-head section should show the damage calculations and the simulation');
+        }
+    }
+    
+    async testLearnsets() {
+        const levelUp = await client.post('/run_task/', { task: 'What moves does Pikachu learn by level up in Scarlet/Violet', format: 'json' });
+        const result = levelUp.data.result;
+        if (levelUp.data.plan.steps[0].result_type !== 'learnset' || result.version_group.slug !== 'scarlet-violet' || result.methods.join() !== 'level-up') {
+            throw new Error(`Expected Scarlet/Violet level-up moves, got: ${JSON.stringify(result).substring(0, 200)}`);
+        }
+        const thunderbolt = result.moves.find(move => move.slug === 'thunderbolt');
+        if (!thunderbolt || thunderbolt.level !== 36 || thunderbolt.power !== 90 || thunderbolt.category !== 'special' || result.moves.some(move => move.method !== 'level-up')) {
+            throw new Error('Level-up moves should carry their level and move details');
+        }
+        console.log(`   ✓ Pikachu level-up (Scarlet/Violet): ${result.moves.map(move => `${move.name} ${move.level}`).join(', ')}`);
+        
+        // Another game, rendered in fast mode
+        const redBlue = await client.post('/run_task/', { task: 'what does pikachu learn in red and blue', mode: 'fast' });
+        if (!redBlue.data.result.startsWith('Pikachu (Red/Blue)') || !redBlue.data.result.includes('Quick Attack (16)')) {
+            throw new Error(`Expected the Red/Blue learnset, got: ${redBlue.data.result}`);
+        }
+        console.log(`   ✓ ${redBlue.data.result}`);
+        
+        // Quality-mode matchups recommend STAB and coverage moves from the learnset
+        const matchup = await client.post('/run_task/', { task: 'Charizard vs Squirtle competitive', mode: 'quality', format: 'json' });
+        const charizard = (matchup.data.result.recommended_moves || []).find(moveset => moveset.pokemon === 'Charizard');
+        if (!charizard || charizard.stab.map(move => move.slug).sort().join() !== 'air-slash,flamethrower' || charizard.coverage.length === 0) {
+            throw new Error(`Expected recommended moves for Charizard, got: ${JSON.stringify(charizard)}`);
+        }
+        if (charizard.coverage.some(move => move.slug === 'solar-beam' || charizard.stab.some(stab => stab.type === move.type))) {
+            throw new Error('Coverage moves should be reliable and of other types');
+        }
+        console.log(`   ✓ Charizard: ${charizard.stab.map(move => move.name).join(', ')} + ${charizard.coverage.map(move => move.name).join(', ')}`);
+    }
+    
+    async testForms() {
+        const mega = await client.post('/run_task/', { task: 'Tell me about Mega Charizard X', format: 'json' });
+        const pokemon = mega.data.result.pokemon;
+        if (pokemon.name !== 'Mega Charizard X' || pokemon.id !== 6 || pokemon.types.join('/') !== 'fire/dragon' || !pokemon.form || pokemon.form.name !== 'mega-x' || !pokemon.form.is_mega) {
+            throw new Error(`Expected Mega Charizard X, got: ${JSON.stringify(pokemon).substring(0, 200)}`);
+        }
+        
+        const alolan = await client.post('/run_task/', { task: 'Alolan Raichu', mode: 'fast' });
+        if (!alolan.data.result.startsWith('Alolan Raichu (#26): Electric/Psychic')) {
+            throw new Error(`Expected Alolan Raichu, got: ${alolan.data.result}`);
+        }
+        console.log(`   ✓ ${alolan.data.result}`);
+        
+        const rotom = await client.post('/run_task/', { task: 'What forms does Rotom have?', format: 'json' });
+        const forms = rotom.data.result.forms;
+        if (rotom.data.result.type !== 'pokemon_forms' || forms.length !== 6 || forms[0].form !== null || rotom.data.result.species.form_count !== 6) {
+            throw new Error(`Expected Rotom's six forms, got: ${JSON.stringify(rotom.data.result).substring(0, 200)}`);
+        }
+        const wash = forms.find(form => form.slug === 'rotom-wash');
+        if (wash.name !== 'Wash Rotom' || wash.changes.types_gained.join() !== 'water' || wash.changes.types_lost.join() !== 'ghost' || wash.changes.total !== 80) {
+            throw new Error(`Wash Rotom should gain Water for Ghost and 80 base stat points, got: ${JSON.stringify(wash.changes)}`);
+        }
+        console.log(`   ✓ Rotom forms: ${forms.map(form => form.name).join(', ')}`);
+        
+        // Naming two forms of one species compares just those, side by side
+        const compared = await client.post('/run_task/', { task: 'compare heat rotom and wash rotom', mode: 'quality' });
+        if (compared.data.plan.steps[0].result_type !== 'pokemon_forms' || !compared.data.result.includes('| | Heat Rotom | Wash Rotom |')) {
+            throw new Error(`Expected a side-by-side form comparison, got: ${compared.data.result.substring(0, 200)}`);
+        }
+    }
+    
+    async testTeamBuilder() {
+        const rated = await client.post('/run_task/', { task: 'rate my team: Charizard, Gengar, Pikachu', format: 'json' });
+        const team = rated.data.result;
+        if (rated.data.plan.steps[0].tool !== 'team_builder' || team.type !== 'team_analysis') {
+            throw new Error(`Team query routed to ${rated.data.plan.steps[0].tool}`);
+        }
+        
+        // Gengar and Pikachu are both weak to Ground; only Charizard checks it
+        const ground = team.shared_weaknesses.find(weakness => weakness.type === 'ground');
+        if (!ground || ground.weak.length !== 2 || !ground.checked_by.includes('Charizard')) {
+            throw new Error(`Expected a shared Ground weakness, got ${JSON.stringify(team.shared_weaknesses)}`);
+        }
+        if (!team.coverage.gaps.includes('normal') || !team.roles.missing.includes('physical attacker')) {
+            throw new Error('Coverage gaps or missing roles not reported');
+        }
+        
+        const members = team.members.map(member => member.name);
+        if (team.suggestions.length !== 3 || team.suggestions.some(suggestion => members.includes(suggestion.name))) {
+            throw new Error(`Expected three new suggestions, got ${team.suggestions.map(s => s.name).join(', ')}`);
+        }
+        console.log(`   ✓ Rated ${members.join(', ')}: suggested ${team.suggestions.map(s => s.name).join(', ')}`);
+        
+        const finished = await client.post('/run_task/', { task: 'finish this team: Gengar, Bulbasaur', format: 'json' });
+        if (finished.data.result.suggestions.length !== 4 || finished.data.result.completed.missing_roles.length !== 0) {
+            throw new Error('Finishing a team should fill every open slot and every role');
+        }
+        console.log(`   ✓ Finished team: ${finished.data.result.suggestions.map(s => s.name).join(', ')}`);
+        
+        // "suggest a teammate" picks up the Pokemon from the earlier step
+        const compound = await client.post('/run_task/', { task: 'Tell me about Charizard, then suggest a teammate', mode: 'fast' });
+        const step = compound.data.plan.steps[1];
+        if (step.tool !== 'team_builder' || step.result_type !== 'team_analysis') {
+            throw new Error(`Teammate step should use team_builder, got ${step.tool}`);
+        }
+    }
+    
+    async _collectStreamEvents(body) {
+        const response = await client.post('/run_task/', body, { responseType: 'stream' });
+        
+        if (!String(response.headers['content-type']).startsWith('text/event-stream')) {
+            throw new Error(`Expected text/event-stream, got ${response.headers['content-type']}`);
+        }
+        
+        let raw = '';
+        for await (const chunk of response.data) {
+            raw += chunk.toString();
+        }
+        
+        return raw.split('\n\n')
+            .filter(frame => frame.trim().length > 0)
+            .map(frame => {
+                const event = frame.match(/^event: (.+)$/m)[1];
+                const data = JSON.parse(frame.match(/^data: (.+)$/m)[1]);
+                return { event, data };
+            });
+    }
+    
+    async testChatCompletions() {
+        const models = (await client.get('/v1/models')).data;
+        const ids = models.data.map(model => model.id);
+        if (models.object !== 'list' || !['tfjs-agent-fast', 'tfjs-agent-balanced', 'tfjs-agent-quality'].every(id => ids.includes(id))) {
+            throw new Error(`/v1/models should list one model per mode, got ${ids.join(', ')}`);
+        }
+        
+        // Earlier user messages are the conversation the last one follows
+        const messages = [
+            { role: 'system', content: 'You are a Pokemon expert.' },
+            { role: 'user', content: 'Tell me about Squirtle' },
+            { role: 'assistant', content: 'Squirtle is a Water type.' },
+            { role: 'user', content: [{ type: 'text', text: 'What about its evolution?' }] }
+        ];
+        const sessionsBefore = (await client.get('/sessions/')).data.sessions.length;
+        const { data: completion } = await client.post('/v1/chat/completions', { model: 'tfjs-agent-fast', messages });
+        const [choice] = completion.choices;
+        const [call] = choice.message.tool_calls || [];
+        if (completion.object !== 'chat.completion' || completion.model !== 'tfjs-agent-fast' || choice.finish_reason !== 'stop'
+            || !call || call.type !== 'function' || call.function.name !== 'pokemon_info' || !JSON.parse(call.function.arguments).query.includes('Squirtle')) {
+            throw new Error(`Expected a completion with a pokemon_info call about Squirtle, got: ${JSON.stringify(completion)}`);
+        }
+        
+        // The history is replayed into a transient session that never enters the store
+        if ((await client.get('/sessions/')).data.sessions.length !== sessionsBefore) {
+            throw new Error('Chat completions should not create sessions');
+        }
+        const ConversationStore = require('../src/agent/modules/ConversationStore');
+        const store = new ConversationStore({ maxSessions: 1 });
+        store.createSession('kept');
+        const transient = store.createTransientSession();
+        store.recordTurn(transient, { task: 'Tell me about Squirtle' });
+        if (!store.getSession('kept') || store.listSessions().length !== 1 || transient.entities.last_pokemon[0].name !== 'Squirtle') {
+            throw new Error('A transient session should track turns without evicting stored sessions');
+        }
+        
+        // The answer is the same one /run_task/ gives in that mode
+        const resolvedTask = JSON.parse(call.function.arguments).query;
+        const direct = await client.post('/run_task/', { task: resolvedTask, mode: 'fast' });
+        if (choice.message.content !== direct.data.result) {
+            throw new Error('Chat completion content should match the /run_task/ answer');
+        }
+        
+        // Streaming: role, tool call and content deltas, then finish_reason and [DONE]
+        const response = await client.post('/v1/chat/completions', { model: 'tfjs-agent-fast', messages, stream: true }, { responseType: 'stream' });
+        let raw = '';
+        for await (const chunk of response.data) {
+            raw += chunk.toString();
+        }
+        const frames = raw.split('\n\n').filter(frame => frame.trim()).map(frame => frame.replace(/^data: /, ''));
+        if (frames[frames.length - 1] !== '[DONE]') {
+            throw new Error(`Stream should end with [DONE], got ${frames[frames.length - 1]}`);
+        }
+        const deltas = frames.slice(0, -1).map(frame => JSON.parse(frame));
+        const streamed = deltas.map(chunk => chunk.choices[0].delta.content || '').join('');
+        if (deltas[0].choices[0].delta.role !== 'assistant' || !deltas.some(chunk => chunk.choices[0].delta.tool_calls)
+            || deltas[deltas.length - 1].choices[0].finish_reason !== 'stop' || streamed !== choice.message.content
+            || deltas.some(chunk => chunk.object !== 'chat.completion.chunk' || chunk.id !== deltas[0].id)) {
+            throw new Error('Streamed deltas should rebuild the same answer');
+        }
+        
+        // OpenAI-style errors
+        const unknownModel = await client.post('/v1/chat/completions', { model: 'gpt-4', messages }, { validateStatus: () => true });
+        if (unknownModel.status !== 404 || unknownModel.data.error.code !== 'model_not_found') {
+            throw new Error(`An unknown model should be a 404 model_not_found, got ${unknownModel.status}`);
+        }
+        const noUserMessage = await client.post('/v1/chat/completions', { model: 'tfjs-agent', messages: messages.slice(0, 3) }, { validateStatus: () => true });
+        if (noUserMessage.status !== 400 || noUserMessage.data.error.param !== 'messages') {
+            throw new Error(`A chat not ending with a user message should be a 400, got ${noUserMessage.status}`);
+        }
+        
+        console.log(`   ✓ ${deltas.length} chunks streamed; "${resolvedTask}" answered via ${call.function.name}`);
+    }
+    
     async testErrorHandling() {
         // Test invalid endpoint
         try {
@@ -277,6 +805,572 @@ class AgentTester {
         }
     }
     
+    async testToolRegistry() {
+        const { loadToolsFromDirectory, validateTool } = require('../src/tools/tool_registry');
+        const IntentClassifier = require('../src/agent/modules/IntentClassifier');
+        const PokemonTool = require('../src/tools/pokemon_tool');
+        
+        const dropIns = loadToolsFromDirectory(path.join(__dirname, 'fixtures', 'tools'));
+        if (dropIns.map(tool => tool.name).join(',') !== 'berry_info,pokeball_info') {
+            throw new Error('Drop-in tools should be loaded from the tools directory');
+        }
+        
+        try {
+            validateTool({ name: 'broken', description: 'No examples', inputSchema: { type: 'object' }, outputTypes: [], examples: [], execute() {} });
+            throw new Error('Tools without examples should be rejected');
+        } catch (error) {
+            if (!error.message.includes('example utterance')) {
+                throw error;
+            }
+        }
+        
+        // Routing comes from the tools' declarations, not from agent code
+        const classifier = new IntentClassifier([new PokemonTool(), ...dropIns], 'balanced');
+        classifier.initialize();
+        // pokeball_info declares no patterns and is routed on its examples
+        const routes = {
+            'What does a Sitrus Berry do?': 'berry_info',
+            'Tell me about Pikachu': 'pokemon_info',
+            'What does a Quick Ball do?': 'pokeball_info',
+            'what is the capital of France': undefined
+        };
+        for (const [task, expected] of Object.entries(routes)) {
+            const classification = classifier.classifyIntent(task);
+            if (classification.tool !== expected) {
+                throw new Error(`"${task}" routed to ${classification.tool}, expected ${expected}`);
+            }
+        }
+        
+        const [berryTool] = dropIns;
+        const rendered = await berryTool.render(await berryTool.execute('sitrus berry'), {});
+        if (!rendered.startsWith('Sitrus Berry')) {
+            throw new Error('Drop-in tool should render its own output');
+        }
+        console.log(`   ✓ ${dropIns.length} drop-in tools routed alongside pokemon_info`);
+    }
+    
+    async testSemanticIndex() {
+        const fs = require('fs');
+        const os = require('os');
+        const { createDataSource } = require('../src/tools/data_sources');
+        const SemanticIndex = require('../src/pokemon/semantic_index');
+        const HashingBackend = require('../src/agent/embeddings/hashing_backend');
+        const SemanticSearchTool = require('../src/tools/semantic_search_tool');
+        
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-index-'));
+        try {
+            const index = new SemanticIndex({
+                directory,
+                dataSource: createDataSource({ type: 'filesystem', directory: path.join(__dirname, 'fixtures', 'pokeapi') }),
+                backend: new HashingBackend()
+            });
+            const first = await index.build();
+            if (first.embedded !== first.documents || first.documents === 0) {
+                throw new Error('First build should embed every document');
+            }
+            
+            const [best] = await index.search('ability that boosts speed in rain', { kind: 'ability' });
+            if (!best || best.name !== 'swift-swim') {
+                throw new Error(`Expected Swift Swim for rain speed, got ${best && best.name}`);
+            }
+            
+            // Stored on disk and rebuilt incrementally
+            const reopened = new SemanticIndex({ directory, dataSource: index.dataSource, backend: new HashingBackend() });
+            const second = await reopened.build();
+            if (second.embedded !== 0 || second.reused !== first.documents) {
+                throw new Error(`Rebuild should reuse stored vectors (embedded ${second.embedded})`);
+            }
+            
+            const tool = new SemanticSearchTool({ index: reopened });
+            const result = await tool.execute('which pokemon laughs at the shadows of people');
+            if (result.kind !== 'pokemon' || result.results[0].name !== 'gengar') {
+                throw new Error('Species search should rank Gengar first for its Pokedex entry');
+            }
+            console.log(`   ✓ ${first.documents} documents indexed; rebuild embedded ${second.embedded}`);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+    
+    async testPokedexSearch() {
+        const fs = require('fs');
+        const os = require('os');
+        const { createDataSource } = require('../src/tools/data_sources');
+        const SpeciesTable = require('../src/pokemon/species_table');
+        const PokedexSearchTool = require('../src/tools/pokedex_search_tool');
+        const PokemonTool = require('../src/tools/pokemon_tool');
+        const SemanticSearchTool = require('../src/tools/semantic_search_tool');
+        const IntentClassifier = require('../src/agent/modules/IntentClassifier');
+        
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'species-table-'));
+        try {
+            const table = new SpeciesTable({
+                path: path.join(directory, 'species_table.json'),
+                dataSource: createDataSource({ type: 'filesystem', directory: path.join(__dirname, 'fixtures', 'pokeapi') })
+            });
+            const stats = await table.build();
+            if (stats.rows === 0 || table.rows.some(row => row.slug === 'charizard-gmax')) {
+                throw new Error('The table should hold every fixture Pokemon except cosmetic forms');
+            }
+            
+            const tool = new PokedexSearchTool({ table: new SpeciesTable({ path: table.path }) });
+            const classifier = new IntentClassifier([new PokemonTool({ dataSource: table.dataSource }), new SemanticSearchTool(), tool]);
+            classifier.initialize();
+            for (const query of ['fastest Fire types', 'Pokemon with base attack over 130 from gen 4', 'all Dragon/Ground Pokemon', 'which Pokemon have Levitate']) {
+                const { tool: routed } = classifier.classifyIntent(query);
+                if (routed !== 'pokedex_search') {
+                    throw new Error(`"${query}" should route to pokedex_search, got ${routed}`);
+                }
+            }
+            if (classifier.classifyIntent('tell me about Charizard').tool !== 'pokemon_info') {
+                throw new Error('Questions about a named Pokemon should stay with pokemon_info');
+            }
+
+            // A type word is only a filter when it is phrased as a type
+            const semanticQueries = [...new SemanticSearchTool().examples, 'which pokemon breathes fire', 'pokemon that lives in the water'];
+            for (const query of semanticQueries) {
+                const { tool: routed } = classifier.classifyIntent(query);
+                if (tool.parse(query) !== null || routed !== 'semantic_search') {
+                    throw new Error(`"${query}" should route to semantic_search, got ${routed}`);
+                }
+            }
+
+            const fastest = await tool.execute('fastest Fire types');
+            if (fastest.results.map(row => row.name).join(', ') !== 'Charizard, Heat Rotom' || fastest.criteria.sort.field !== 'speed') {
+                throw new Error(`Expected Charizard then Heat Rotom by Speed, got ${fastest.results.map(row => row.name).join(', ')}`);
+            }
+            
+            const gen4 = await tool.execute('Pokemon with base special attack over 100 from gen 4');
+            if (gen4.total !== 5 || gen4.results.some(row => row.species !== 'rotom' || row.stats['special-attack'] <= 100)) {
+                throw new Error('Gen 4 Special Attack filter should find the five Rotom appliance forms');
+            }
+            
+            const dual = await tool.execute('all Electric/Water Pokemon');
+            const levitate = await tool.execute('which Pokemon have Levitate');
+            if (dual.results.map(row => row.slug).join() !== 'rotom-wash' || levitate.total !== 6) {
+                throw new Error('Dual-type and ability filters should match Wash Rotom and all six Rotom forms');
+            }
+            
+            const megas = await tool.execute('fastest megas');
+            const rendered = await tool.render(megas, { performanceMode: 'fast' });
+            if (megas.total !== 2 || !rendered.startsWith('Mega Evolutions, fastest first: Mega Charizard X (Speed 100)')) {
+                throw new Error(`Battle-only forms should only be searched when asked for, got: ${rendered}`);
+            }
+
+            // Ranges, and heights and weights given in units
+            const range = await tool.execute('pokemon with speed between 85 and 95');
+            const tall = await tool.execute('pokemon over 1.5 meters tall');
+            if (range.total !== 7 || range.results[0].name !== 'Rotom' || tall.results.map(row => row.name).join() !== 'Charizard') {
+                throw new Error(`Expected seven Pokemon with 85-95 Speed and only Charizard over 1.5 m, got ${range.total} and ${tall.results.map(row => row.name).join(', ')}`);
+            }
+            if (tall.description !== 'Pokemon with height over 1.5 m') {
+                throw new Error(`Unexpected description: ${tall.description}`);
+            }
+
+            // A corrupt table only disables the search, not routing
+            fs.writeFileSync(table.path, '{');
+            const broken = new PokedexSearchTool({ table: new SpeciesTable({ path: table.path }) });
+            const brokenClassifier = new IntentClassifier([new PokemonTool({ dataSource: table.dataSource }), new SemanticSearchTool(), broken]);
+            brokenClassifier.initialize();
+            if (brokenClassifier.classifyIntent('tell me about Charizard').tool !== 'pokemon_info' || typeof await broken.execute('fastest Fire types') !== 'string') {
+                throw new Error('A corrupt species table should not break routing or throw from the search');
+            }
+            console.log(`   ✓ ${stats.rows} rows; ${fastest.description}, ${fastest.order}: ${fastest.results.map(row => row.name).join(', ')}`);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+    
+    async testLookups() {
+        const { createDataSource } = require('../src/tools/data_sources');
+        const PokemonTool = require('../src/tools/pokemon_tool');
+        const PokedexLookupTool = require('../src/tools/pokedex_lookup_tool');
+        const PokedexSearchTool = require('../src/tools/pokedex_search_tool');
+        const SemanticSearchTool = require('../src/tools/semantic_search_tool');
+        const IntentClassifier = require('../src/agent/modules/IntentClassifier');
+        const MLPokemonAnalyzer = require('../src/agent/analyzers/MLPokemonAnalyzer');
+        
+        const pokemonTool = new PokemonTool({ dataSource: createDataSource({ type: 'filesystem', directory: path.join(__dirname, 'fixtures', 'pokeapi') }) });
+        const tool = new PokedexLookupTool({ pokemonTool });
+        const search = new PokedexSearchTool({ path: path.join(__dirname, 'fixtures', 'no_species_table.json') });
+        const classifier = new IntentClassifier([pokemonTool, new SemanticSearchTool(), search, tool]);
+        classifier.initialize();
+        await tool.initialize();
+        for (const query of ['What does Levitate do?', 'which pokemon can learn Earthquake', 'Adamant nature', 'how does Choice Scarf work']) {
+            const { tool: routed } = classifier.classifyIntent(query);
+            if (routed !== 'pokedex_lookup') {
+                throw new Error(`"${query}" should route to pokedex_lookup, got ${routed}`);
+            }
+        }
+        // Untyped names must be known entries, and filler words are never names
+        for (const query of ['how do you do', 'how does breeding work', 'how does STAB work', 'tell me about the move', 'what is the capital of France']) {
+            const { tool: routed } = classifier.classifyIntent(query);
+            if (tool.parse(query) !== null || routed === 'pokedex_lookup') {
+                throw new Error(`"${query}" should not be read as a lookup`);
+            }
+        }
+        if (classifier.classifyIntent('tell me about Charizard').tool !== 'pokemon_info') {
+            throw new Error('Questions about a named Pokemon should stay with pokemon_info');
+        }
+        
+        const levitate = await tool.execute('What does Levitate do?');
+        if (levitate.kind !== 'ability' || levitate.entry.generation !== 3 || levitate.entry.effect !== 'Evades Ground moves.'
+            || !levitate.entry.pokemon.some(entry => entry.name === 'Wash Rotom')) {
+            throw new Error('Levitate should come back as a Gen III ability with its effect and the Rotom forms');
+        }
+        
+        const earthquake = await tool.execute('which pokemon can learn Earthquake');
+        const learners = await tool.render(earthquake, { performanceMode: 'balanced' });
+        if (earthquake.entry.type !== 'ground' || earthquake.entry.generation !== 1 || !learners.includes('Pokemon that learn Earthquake (4): Charizard, ')) {
+            throw new Error(`Earthquake should list the Pokemon that learn it, got: ${learners}`);
+        }
+        
+        const leftovers = await tool.execute('who holds leftovers');
+        const lifeOrb = await tool.execute('what is the life orb item');
+        if (leftovers.entry.held_by.map(entry => entry.name).join() !== 'Snorlax,Munchlax' || lifeOrb.entry.generation !== 4) {
+            throw new Error('Items should list wild holders and the generation they first appeared in');
+        }
+        
+        const adamant = await tool.execute('Adamant nature');
+        const nature = await tool.render(adamant, { performanceMode: 'fast' });
+        if (adamant.entry.increased_stat !== 'attack' || !nature.includes('Raises Attack by 10% and lowers Special Attack by 10%')) {
+            throw new Error(`Adamant should raise Attack and lower Special Attack, got: ${nature}`);
+        }
+        
+        const unknown = await tool.execute('what is the move splashdance');
+        if (typeof unknown !== 'string' || !unknown.includes('a move called "splashdance"')) {
+            throw new Error('Unknown entries should get a message, not a result');
+        }
+        
+        // The ability section of a quality answer uses the same data
+        const mlParams = { focus: 'abilities', queryIntents: ['abilities'], pokemonNames: ['squirtle'], confidence: 0.8, dataNeeds: ['abilities'], endpoints: ['pokemon', 'ability'] };
+        const squirtle = await pokemonTool.execute("What are Squirtle's abilities?", { performanceMode: 'quality', mlParams });
+        const answer = await new MLPokemonAnalyzer().generateMLEnhancedPokemonResponse(squirtle.pokemon, "What are Squirtle's abilities?", 'quality', mlParams);
+        const rainDish = squirtle.pokemon.ability_details.find(ability => ability.slug === 'rain-dish');
+        if (!rainDish || !answer.includes(`**Rain Dish (Hidden Ability):**\n- Effect: ${rainDish.effect}`) || answer.includes('High strategic importance')) {
+            throw new Error('The analyzer ability section should show each ability\'s real effect');
+        }
+        
+        // Competitive scores come from the viability model, with what drove them
+        const charizard = await pokemonTool.execute('Is Charizard good competitively?', { performanceMode: 'quality' });
+        const competitive = await new MLPokemonAnalyzer().generateMLEnhancedPokemonResponse(charizard.pokemon, 'Is Charizard good competitively?', 'quality',
+            { ...mlParams, focus: 'competitive', queryIntents: ['competitive'], pokemonNames: ['charizard'] });
+        if (!/\*\*Competitive Viability Score:\*\* \d+\/100/.test(competitive) || !competitive.includes('**Raised by:** Speed 100 (+')
+            || /neural|Meta Relevance/i.test(competitive)) {
+            throw new Error(`The competitive section should explain the viability model's score, got: ${competitive}`);
+        }
+        
+        console.log(`   ✓ ${levitate.entry.name}: ${levitate.entry.effect} (${levitate.entry.pokemon.length} Pokemon)`);
+    }
+    
+    async testBreeding() {
+        const { createDataSource } = require('../src/tools/data_sources');
+        const PokemonTool = require('../src/tools/pokemon_tool');
+        const ResponseGenerator = require('../src/agent/generators/ResponseGenerator');
+        const breeding = require('../src/pokemon/breeding');
+        
+        const pokemonTool = new PokemonTool({ dataSource: createDataSource({ type: 'filesystem', directory: path.join(__dirname, 'fixtures', 'pokeapi') }) });
+        const render = (result, performanceMode) => pokemonTool.render(result, { query: result.query, performanceMode, responseGenerator: new ResponseGenerator(performanceMode) });
+        
+        const pair = await pokemonTool.execute('Can Charizard breed with Squirtle?', { performanceMode: 'balanced' });
+        const answer = await render(pair, 'fast');
+        if (pair.type !== 'breeding' || !pair.compatibility.compatible || pair.compatibility.shared_egg_groups.join() !== 'monster'
+            || !answer.includes('Eggs hatch into Charmander or Squirtle')) {
+            throw new Error(`Charizard and Squirtle should be compatible through the Monster egg group, got: ${answer}`);
+        }
+        
+        const genderless = await pokemonTool.execute('can gengar breed with rotom');
+        const noSharedGroup = await pokemonTool.execute('can pikachu breed with bulbasaur');
+        if (genderless.compatibility.compatible || !genderless.compatibility.reason.includes('Rotom is genderless')
+            || noSharedGroup.compatibility.compatible || !noSharedGroup.compatibility.reason.includes('share no egg group')) {
+            throw new Error('Genderless Pokemon and Pokemon with no shared egg group should not be compatible');
+        }
+        
+        const squirtle = await pokemonTool.execute('squirtle breeding for a 5IV adamant');
+        const [breeder] = squirtle.pokemon;
+        if (breeder.hatch.steps !== 5355 || breeder.gender.male_percent !== 87.5) {
+            throw new Error(`Squirtle should take 5355 steps to hatch and be 87.5% male, got ${JSON.stringify(breeder)}`);
+        }
+        const monster = squirtle.partners.egg_groups.find(group => group.slug === 'monster');
+        if (!monster || !monster.partners.some(partner => partner.name === 'Charizard') || monster.partners.some(partner => partner.slug === 'squirtle')) {
+            throw new Error('Partners should list the other members of Squirtle\'s egg groups');
+        }
+        const plan = await render(squirtle, 'quality');
+        if (squirtle.inheritance.nature !== 'adamant' || squirtle.inheritance.ivs !== 5 || !plan.includes('**Destiny Knot** on either parent')
+            || !plan.includes('**Everstone** on the parent with an Adamant nature')) {
+            throw new Error(`A 5IV Adamant plan should use a Destiny Knot and an Everstone, got: ${plan}`);
+        }
+        
+        // Egg move chains on a made-up graph: Growlithe learns the move and shares Field with Seel, which shares Water 1 with Squirtle
+        const node = (species, eggGroups, method, femalePercent = 50) => ({
+            slug: species, name: species, species, egg_groups: eggGroups, method, can_breed: true,
+            gender: { genderless: false, female_percent: femalePercent, male_percent: 100 - femalePercent }
+        });
+        const target = { ...node('squirtle', ['monster', 'water1']), offspring: { species: 'squirtle' } };
+        const chains = breeding.findEggMoveChains(target, [
+            node('snorlax', ['monster'], 'egg'),
+            node('seel', ['water1', 'ground'], 'egg'),
+            node('growlithe', ['ground'], 'direct'),
+            node('nidoqueen', ['no-eggs'], 'direct', 100)
+        ]);
+        if (chains.length !== 1 || chains[0].map(entry => entry.species).join(' > ') !== 'growlithe > seel > squirtle') {
+            throw new Error(`Expected a Growlithe > Seel > Squirtle chain, got ${JSON.stringify(chains)}`);
+        }
+        
+        console.log(`   ✓ ${answer}`);
+    }
+    
+    async testStatCalc() {
+        const speed = await client.post('/run_task/', { task: 'Does max-speed Jolly Charizard outspeed base 100s?', format: 'json' });
+        const result = speed.data.result;
+        const tiers = result.opponents && result.opponents[0].tiers;
+        if (result.type !== 'stat_calc' || result.mode !== 'speed' || result.battle_speed !== 328
+            || tiers[0].outcome !== 'tie' || tiers.slice(1).some(tier => tier.outcome !== 'faster')) {
+            throw new Error(`Max Speed Jolly Charizard should tie max Speed base 100s and outspeed the rest, got: ${JSON.stringify(result).substring(0, 300)}`);
+        }
+        
+        const stats = await client.post('/run_task/', { task: 'charizard stats at level 50 jolly 252 atk 252 spe', mode: 'fast' });
+        if (!stats.data.result.startsWith('Charizard at level 50') || !stats.data.result.includes('153 HP / 136 Atk') || !stats.data.result.includes('167 Spe')) {
+            throw new Error(`Expected Charizard's level 50 stats, got: ${stats.data.result}`);
+        }
+        console.log(`   ✓ ${stats.data.result}`);
+        
+        // The JSON route, forwards and backwards
+        const spread = await client.post('/stats/', { pokemon: 'Charizard', level: 50, nature: 'jolly', evs: { atk: 252, spe: 252 } });
+        if (spread.data.schema_version !== 1 || spread.data.stats.speed !== 167 || spread.data.stats['special-attack'] !== 116 || spread.data.ranges.speed.max !== 167) {
+            throw new Error(`POST /stats/ should return actual stats, got: ${JSON.stringify(spread.data.stats)}`);
+        }
+        const ivs = await client.post('/stats/', { pokemon: 'charizard', level: 40, stats: { spa: 95, spe: 80 } });
+        if (ivs.data.mode !== 'ivs' || ivs.data.ivs['special-attack'].min !== 7 || ivs.data.ivs['special-attack'].max !== 9 || ivs.data.ivs.speed !== null) {
+            throw new Error(`Expected Special Attack IVs 7-9 and no Speed IV, got: ${JSON.stringify(ivs.data.ivs)}`);
+        }
+        const scarf = await client.post('/stats/', { pokemon: 'charizard', mode: 'speed', modifiers: { scarf: true }, compare: ['pikachu', 130] });
+        if (scarf.data.battle_speed !== 492 || scarf.data.opponents.map(opponent => opponent.name).join() !== 'Pikachu,Base 130') {
+            throw new Error(`Expected Choice Scarf Speed against Pikachu and base 130, got: ${JSON.stringify(scarf.data).substring(0, 300)}`);
+        }
+        console.log(`   ✓ Level 40 Charizard with 95 Special Attack: IV ${ivs.data.ivs['special-attack'].min}-${ivs.data.ivs['special-attack'].max}`);
+        
+        const rejected = [
+            [{ pokemon: 'charizard', evs: { atk: 252, spe: 252, hp: 252 } }, 400],
+            [{ pokemon: 'charizard', stats: { atk: 100 } }, 400],
+            [{ pokemon: 'charizard', ivs: 'max' }, 400],
+            [{ pokemon: 'charizard', evs: [252, 252] }, 400],
+            [{ pokemon: 'charizard', mode: 'speed', compare: 'x' }, 400],
+            [{ pokemon: 'notamon' }, 404]
+        ];
+        for (const [body, status] of rejected) {
+            const response = await client.post('/stats/', body, { validateStatus: () => true });
+            if (response.status !== status || !response.data.error) {
+                throw new Error(`Expected ${status} for ${JSON.stringify(body)}, got ${response.status}`);
+            }
+        }
+        const notObject = await client.post('/stats/', { pokemon: 'charizard', ivs: 'max' }, { validateStatus: () => true });
+        if (!notObject.data.error.startsWith('ivs must be an object')) {
+            throw new Error(`Non-object IVs should be explained, got: ${notObject.data.error}`);
+        }
+        const notArray = await client.post('/stats/', { pokemon: 'charizard', mode: 'speed', compare: 'x' }, { validateStatus: () => true });
+        if (!notArray.data.error.startsWith('compare must be an array')) {
+            throw new Error(`A non-array compare should be explained, got: ${notArray.data.error}`);
+        }
+    }
+    
+    async testOfflineDataSource() {
+        const { createDataSource } = require('../src/tools/data_sources');
+        const PokemonTool = require('../src/tools/pokemon_tool');
+        const source = createDataSource({ type: 'filesystem', directory: path.join(__dirname, 'fixtures', 'pokeapi') });
+        
+        const byName = await source.get('/pokemon/pikachu');
+        const byUrl = await source.get('https://pokeapi.co/api/v2/pokemon/25/');
+        if (byName.data.id !== 25 || byUrl.data.name !== 'pikachu') {
+            throw new Error('Snapshot lookups by name and URL should return the same resource');
+        }
+        
+        try {
+            await source.get('/pokemon/fakemon');
+            throw new Error('Unknown resources should be rejected');
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) {
+                throw error;
+            }
+        }
+        
+        const tool = new PokemonTool({ dataSource: source });
+        const result = await tool.execute('Tell me about Pikachu', { performanceMode: 'balanced' });
+        if (!result.pokemon || result.pokemon.name !== 'Pikachu' || !result.pokemon.evolution_info.includes('Raichu')) {
+            throw new Error('PokemonTool should answer from the snapshot, including the evolution chain');
+        }
+        
+        console.log(`   ✓ Offline source: ${source.describe()}`);
+    }
+
+    async testSnapshotImport() {
+        const fs = require('fs');
+        const os = require('os');
+        const { createDataSource } = require('../src/tools/data_sources');
+        const { importSnapshot } = require('../src/tools/data_sources/snapshot_importer');
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-import-'));
+        const dumpDir = path.join(workDir, 'api-data');
+        const outDir = path.join(workDir, 'snapshot');
+
+        // A tiny dump in the api-data layout, with relative URLs as the dump stores them
+        const writeDump = (resource, id, data) => {
+            const dir = path.join(dumpDir, 'data', 'api', 'v2', resource, String(id));
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify(data));
+        };
+        writeDump('pokemon', 1, { id: 1, name: 'bulbasaur', species: { name: 'bulbasaur', url: '/api/v2/pokemon-species/1/' } });
+        writeDump('pokemon', 25, { id: 25, name: 'pikachu', species: { name: 'pikachu', url: '/api/v2/pokemon-species/25/' } });
+        writeDump('pokemon-species', 25, { id: 25, name: 'pikachu' });
+
+        try {
+            const manifest = importSnapshot({ dumpDir, outDir, resources: ['pokemon', 'pokemon-species', 'move'] });
+            if (manifest.resources.pokemon !== 2 || manifest.resources['pokemon-species'] !== 1 || 'move' in manifest.resources) {
+                throw new Error(`Unexpected resource counts: ${JSON.stringify(manifest.resources)}`);
+            }
+            if (manifest.source !== 'api-data') {
+                throw new Error(`Manifest should record the dump's directory name, got ${manifest.source}`);
+            }
+
+            const written = fs.readdirSync(path.join(outDir, 'pokemon')).sort();
+            if (written.join() !== '1.json,25.json,index.json' || !fs.existsSync(path.join(outDir, 'manifest.json'))) {
+                throw new Error(`Unexpected files written: ${written.join(', ')}`);
+            }
+            const names = JSON.parse(fs.readFileSync(path.join(outDir, 'pokemon', 'index.json'), 'utf8'));
+            if (names.pikachu !== 25 || names.bulbasaur !== 1) {
+                throw new Error('Name index should map names to ids');
+            }
+
+            const source = createDataSource({ type: 'filesystem', directory: outDir });
+            const pikachu = await source.get('/pokemon/pikachu');
+            if (pikachu.data.species.url !== 'https://pokeapi.co/api/v2/pokemon-species/25/') {
+                throw new Error(`Relative URLs should be rewritten, got ${pikachu.data.species.url}`);
+            }
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
+    async testEvolutionChains() {
+        const { createDataSource } = require('../src/tools/data_sources');
+        const PokemonTool = require('../src/tools/pokemon_tool');
+        const evolutionChain = require('../src/pokemon/evolution_chain');
+        const species = (name, id) => ({ name, url: `https://pokeapi.co/api/v2/pokemon-species/${id}/` });
+        const link = (name, id, details, evolvesTo = []) => ({ species: species(name, id), evolution_details: details, evolves_to: evolvesTo });
+
+        // Eevee branches into one stage per trigger
+        const eevee = evolutionChain.parseEvolutionChain({ chain: link('eevee', 133, [], [
+            link('vaporeon', 134, [{ trigger: { name: 'use-item' }, item: { name: 'water-stone' } }]),
+            link('espeon', 196, [{ trigger: { name: 'level-up' }, min_happiness: 160, time_of_day: 'day' }]),
+            link('umbreon', 197, [{ trigger: { name: 'level-up' }, min_happiness: 160, time_of_day: 'night' }])
+        ]) });
+        const summary = evolutionChain.buildEvolutionSummary(eevee, 'eevee', 67);
+        if (!summary.is_branching || summary.pathways.length !== 3 || summary.total_stages !== 2 || summary.evolves_to.length !== 3) {
+            throw new Error(`Eevee should branch into three two-stage pathways: ${JSON.stringify(summary.pathways)}`);
+        }
+        const methods = Object.fromEntries(summary.evolves_to.map(target => [target.species, evolutionChain.describeMethods(target.methods)]));
+        if (methods.vaporeon !== 'Use a Water Stone' || methods.espeon !== 'Level up with high friendship (160+), during the day' || methods.umbreon !== 'Level up with high friendship (160+), at night') {
+            throw new Error(`Item and friendship methods should be described: ${JSON.stringify(methods)}`);
+        }
+
+        // Tyrogue's branches depend on how Attack compares to Defense
+        const tyrogue = evolutionChain.parseEvolutionChain({ chain: link('tyrogue', 236, [], [
+            link('hitmonlee', 106, [{ trigger: { name: 'level-up' }, min_level: 20, relative_physical_stats: 1 }]),
+            link('hitmonchan', 107, [{ trigger: { name: 'level-up' }, min_level: 20, relative_physical_stats: -1 }]),
+            link('hitmontop', 237, [{ trigger: { name: 'level-up' }, min_level: 20, relative_physical_stats: 0 }])
+        ]) });
+        const hitmontop = evolutionChain.buildEvolutionSummary(tyrogue, 'hitmontop');
+        if (!hitmontop.is_final_stage || hitmontop.stage !== 2 || evolutionChain.describeMethods(hitmontop.evolves_from.methods) !== 'Level 20 with Attack equal to Defense') {
+            throw new Error(`Relative physical stats should be described: ${JSON.stringify(hitmontop.evolves_from)}`);
+        }
+
+        // Pikachu sits in the middle of Pichu → Pikachu → Raichu
+        const source = createDataSource({ type: 'filesystem', directory: path.join(__dirname, 'fixtures', 'pokeapi') });
+        const tool = new PokemonTool({ dataSource: source });
+        const result = await tool.execute('Tell me about Pikachu', { performanceMode: 'balanced' });
+        const evolution = result.pokemon.evolution;
+        if (evolution.stage !== 2 || evolution.total_stages !== 3 || evolution.is_final_stage || evolution.is_branching) {
+            throw new Error(`Pikachu should be stage 2 of 3: ${JSON.stringify({ stage: evolution.stage, total: evolution.total_stages })}`);
+        }
+        if (evolution.evolves_from.species !== 'pichu' || evolution.evolves_to.map(target => target.species).join() !== 'raichu') {
+            throw new Error('Pikachu should evolve from Pichu and into Raichu');
+        }
+
+        console.log(`   ✓ ${evolutionChain.summarizeEvolution(summary)}`);
+    }
+
+    async testTypeChart() {
+        const typeChart = require('../src/pokemon/type_chart');
+
+        // Dual types multiply, and any immunity zeroes the result
+        const cases = [
+            ['ground', ['flying', 'steel'], 0],
+            ['ice', ['dragon', 'ground'], 4],
+            ['fire', ['water', 'rock'], 0.25],
+            ['electric', ['water'], 2],
+            ['normal', ['normal'], 1]
+        ];
+        for (const [attack, defender, expected] of cases) {
+            const actual = typeChart.getEffectiveness(attack, defender);
+            if (actual !== expected) {
+                throw new Error(`${attack} into ${defender.join('/')} should be ${expected}x, got ${actual}x`);
+            }
+        }
+
+        // Charizard (Fire/Flying)
+        const profile = typeChart.getDefensiveProfile(['fire', 'flying']);
+        if (typeChart.formatTypeMultipliers(profile.weaknesses) !== 'Rock (4x), Water (2x), Electric (2x)') {
+            throw new Error(`Unexpected weaknesses: ${typeChart.formatTypeMultipliers(profile.weaknesses)}`);
+        }
+        const quarter = profile.resistances.filter(r => r.multiplier === 0.25).map(r => r.type).sort();
+        if (quarter.join() !== 'bug,grass' || profile.resistances.length !== 6) {
+            throw new Error(`Unexpected resistances: ${typeChart.formatTypeMultipliers(profile.resistances)}`);
+        }
+        if (profile.immunities.join() !== 'ground' || profile.multipliers.ground !== 0) {
+            throw new Error(`Fire/Flying should only be immune to Ground: ${profile.immunities.join(', ')}`);
+        }
+
+        const coverage = typeChart.getOffensiveCoverage(['ground']);
+        if (!coverage.no_effect.includes('flying') || !coverage.super_effective.includes('steel')) {
+            throw new Error('Ground coverage should hit Steel and miss Flying');
+        }
+
+        // A typing's scores are finite, including for no types at all
+        const scored = typeChart.scoreTyping(['fire', 'flying']);
+        const empty = typeChart.scoreTyping([]);
+        if (scored.superEffectiveCount !== 5 || JSON.stringify(empty) !== JSON.stringify({ offense: 0, defense: 50, overall: 'Fair', superEffectiveCount: 0 })) {
+            throw new Error(`Unexpected typing scores: ${JSON.stringify({ scored, empty })}`);
+        }
+
+        console.log(`   ✓ Fire/Flying weaknesses: ${typeChart.formatTypeMultipliers(profile.weaknesses)}`);
+    }
+
+    async testNameResolution() {
+        const { createDataSource } = require('../src/tools/data_sources');
+        const PokemonTool = require('../src/tools/pokemon_tool');
+        const nameResolver = require('../src/pokemon/name_resolver');
+
+        for (const [typo, slug] of [['Pikachuu', 'pikachu'], ['Charzard', 'charizard']]) {
+            const match = nameResolver.resolvePokemonName(typo);
+            if (!match || match.slug !== slug || !match.corrected) {
+                throw new Error(`"${typo}" should resolve to ${slug} as a correction, got ${match && match.slug}`);
+            }
+        }
+
+        const source = createDataSource({ type: 'filesystem', directory: path.join(__dirname, 'fixtures', 'pokeapi') });
+        const tool = new PokemonTool({ dataSource: source });
+        const corrected = await tool.execute('Tell me about Charzard', { performanceMode: 'balanced' });
+        if (!corrected.pokemon || corrected.pokemon.name !== 'Charizard') {
+            throw new Error('A misspelled name should still be answered');
+        }
+
+        const unknown = await tool.execute('Tell me about Bulbaxxor', { performanceMode: 'balanced' });
+        if (typeof unknown !== 'string' || !unknown.includes('Did you mean') || !unknown.includes('Bulbasaur')) {
+            throw new Error(`An unknown name should get did-you-mean suggestions: ${unknown}`);
+        }
+
+        console.log(`   ✓ ${unknown.split('. ')[1]}`);
+    }
+
     async testPerformanceModes() {
         const response = await client.get('/performance/modes/');
         
@@ -295,6 +1389,19 @@ class AgentTester {
         
         console.log(`   Current mode: ${data.current_mode}`);
         console.log(`   Available modes: ${Object.keys(data.available_modes).join(', ')}`);
+        
+        // Switching to quality reuses the shared, already initialized ML engine
+        const TensorFlowAgent = require('../src/agent/tensorflow_agent_refactored');
+        const agent = new TensorFlowAgent({ tools: [] });
+        let initializeCalls = 0;
+        const qualityEngine = { initialize: async () => { initializeCalls++; } };
+        agent.qualityMLEnginePromise = Promise.resolve(qualityEngine);
+        await agent.switchPerformanceMode('quality');
+        await agent.switchPerformanceMode('fast');
+        await agent.switchPerformanceMode('quality');
+        if (agent.mlEngine !== qualityEngine || initializeCalls !== 0) {
+            throw new Error(`Switching to quality should reuse the shared engine without re-initializing it (${initializeCalls} initialize calls)`);
+        }
     }
     
     async runAllTests() {
@@ -311,8 +1418,31 @@ class AgentTester {
             await this.runTest('Pokemon Queries', () => this.testPokemonQuery());
             await this.runTest('General Queries', () => this.testGeneralQuery());
             await this.runTest('Cache Functionality', () => this.testCacheFunction());
+            await this.runTest('Cache Tiers & Invalidation', () => this.testCacheInvalidation());
+            await this.runTest('Conversation Sessions', () => this.testConversationSessions());
+            await this.runTest('Task Planning', () => this.testTaskPlanning());
+            await this.runTest('Determinism', () => this.testDeterminism());
+            await this.runTest('Streaming Responses', () => this.testStreamingTask());
+            await this.runTest('Chat Completions', () => this.testChatCompletions());
+            await this.runTest('Response Formats', () => this.testResponseFormats());
+            await this.runTest('Matchup Simulation', () => this.testMatchupSimulation());
+            await this.runTest('Learnsets', () => this.testLearnsets());
+            await this.runTest('Forms', () => this.testForms());
+            await this.runTest('Team Builder', () => this.testTeamBuilder());
+            await this.runTest('Concurrent Performance Modes', () => this.testConcurrentPerformanceModes());
             await this.runTest('Error Handling', () => this.testErrorHandling());
             await this.runTest('Performance Modes', () => this.testPerformanceModes());
+            await this.runTest('Offline Data Source', () => this.testOfflineDataSource());
+            await this.runTest('Snapshot Import', () => this.testSnapshotImport());
+            await this.runTest('Evolution Chains', () => this.testEvolutionChains());
+            await this.runTest('Type Chart', () => this.testTypeChart());
+            await this.runTest('Name Resolution', () => this.testNameResolution());
+            await this.runTest('Tool Registry', () => this.testToolRegistry());
+            await this.runTest('Semantic Index', () => this.testSemanticIndex());
+            await this.runTest('Pokedex Search', () => this.testPokedexSearch());
+            await this.runTest('Lookups', () => this.testLookups());
+            await this.runTest('Breeding', () => this.testBreeding());
+            await this.runTest('Stat Calculator', () => this.testStatCalc());
             
             this.printSummary();
         } finally {
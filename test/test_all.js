@@ -3,6 +3,12 @@
  * Runs all test suites in sequence
  */
 
+const path = require('path');
+
+// Run offline against the bundled PokeAPI fixture snapshot unless told otherwise
+process.env.POKEAPI_SOURCE = process.env.POKEAPI_SOURCE || 'filesystem';
+process.env.POKEAPI_SNAPSHOT_DIR = process.env.POKEAPI_SNAPSHOT_DIR || path.join(__dirname, 'fixtures', 'pokeapi');
+
 class MasterTestRunner {
     constructor() {
         this.allResults = [];
@@ -5,6 +5,13 @@
 
 const TensorFlowAgent = require('../src/agent/tensorflow_agent');
 const PokemonTool = require('../src/tools/pokemon_tool');
+const IntentModel = require('../src/agent/modules/IntentModel');
+const ViabilityModel = require('../src/agent/modules/ViabilityModel');
+const MLEngine = require('../src/agent/modules/MLEngine');
+const { createEmbeddingBackend } = require('../src/agent/embeddings');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 class QualityModeTests {
     constructor() {
@@ -65,6 +72,13 @@ class QualityModeTests {
         
         console.log(`   ✓ ML capabilities: ${JSON.stringify(status.ml_capabilities)}`);
         console.log(`   ✓ Quality mode initialized successfully`);
+
+        // Type scores come from the type chart, not random draws
+        const first = agent._mlCalculateTypeEffectiveness(['fire', 'flying']);
+        const second = agent._mlCalculateTypeEffectiveness(['fire', 'flying']);
+        if (JSON.stringify(first) !== JSON.stringify(second) || first.superEffectiveCount !== 5) {
+            throw new Error(`Type effectiveness should be computed from the chart, got ${JSON.stringify(first)} then ${JSON.stringify(second)}`);
+        }
     }
     
     async testPerformanceModeComparison() {
@@ -177,6 +191,147 @@ class QualityModeTests {
         }
     }
     
+    async testIntentModelTraining() {
+        const modelDir = path.join(os.tmpdir(), `intent_model_test_${process.pid}`);
+        const intentModel = new IntentModel({ modelDir });
+        
+        try {
+            await this._trainAndReloadIntentModel(intentModel, modelDir);
+        } finally {
+            fs.rmSync(modelDir, { recursive: true, force: true });
+        }
+    }
+    
+    async _trainAndReloadIntentModel(intentModel, modelDir) {
+        const report = await intentModel.train();
+        await intentModel.save();
+        console.log(`   ✓ Validation accuracy: ${(report.validation.accuracy * 100).toFixed(1)}% on ${report.validation.examples} held-out examples`);
+        
+        if (report.validation.accuracy < 0.7) {
+            throw new Error(`Intent model validation accuracy too low:\n${IntentModel.formatReport(report)}`);
+        }
+        if (report.validation.confusion_matrix.length !== report.validation.labels.length) {
+            throw new Error('Report should include a square confusion matrix');
+        }
+        
+        // The saved model must reload with identical predictions
+        const reloaded = new IntentModel({ modelDir });
+        if (!(await reloaded.load())) {
+            throw new Error('Saved intent model could not be loaded');
+        }
+        for (const query of ['what are gengar base stats', 'how does eevee evolve', 'hello there']) {
+            const before = intentModel.predict(query);
+            const after = reloaded.predict(query);
+            if (before.label !== after.label || Math.abs(before.confidence - after.confidence) > 1e-6) {
+                throw new Error(`Reloaded model disagrees on "${query}"`);
+            }
+            console.log(`     "${query}" → ${after.label} (${after.confidence.toFixed(3)})`);
+        }
+    }
+    
+    async testViabilityModel() {
+        const modelDir = path.join(os.tmpdir(), `viability_model_test_${process.pid}`);
+        const viabilityModel = new ViabilityModel({ modelDir });
+        
+        try {
+            const report = await viabilityModel.train();
+            await viabilityModel.save();
+            console.log(`   ✓ Within one tier: ${(report.validation.within_one_tier * 100).toFixed(1)}% of ${report.validation.examples} held-out Pokemon (MAE ${report.validation.mean_absolute_error.toFixed(1)})`);
+            
+            if (report.validation.within_one_tier < 0.8) {
+                throw new Error(`Viability model validation too weak:\n${ViabilityModel.formatReport(report)}`);
+            }
+            
+            const { examples } = viabilityModel.loadDataset();
+            const example = slug => examples.find(entry => entry.slug === slug);
+            
+            // Every score is explained: the contributions add up to it
+            const garchomp = viabilityModel.predict(example('garchomp'));
+            const explained = garchomp.bias + garchomp.contributions.reduce((sum, entry) => sum + entry.contribution, 0);
+            if (Math.abs(explained - garchomp.raw_score) > 1e-3) {
+                throw new Error(`Contributions should sum to the score: ${explained} vs ${garchomp.raw_score}`);
+            }
+            
+            // Slaking's stats are huge but Truant holds it back
+            const slaking = viabilityModel.predict(example('slaking'));
+            if (slaking.contributions[0].feature !== 'hindering_ability' || slaking.score >= garchomp.score) {
+                throw new Error(`Truant should be the main reason Slaking scores below Garchomp, got ${slaking.contributions[0].description}`);
+            }
+            
+            // The saved model must reload with identical predictions
+            const reloaded = new ViabilityModel({ modelDir });
+            if (!(await reloaded.load())) {
+                throw new Error('Saved viability model could not be loaded');
+            }
+            for (const slug of ['garchomp', 'slaking', 'pikachu']) {
+                const before = viabilityModel.predict(example(slug));
+                const after = reloaded.predict(example(slug));
+                if (Math.abs(before.raw_score - after.raw_score) > 1e-4) {
+                    throw new Error(`Reloaded model disagrees on ${slug}`);
+                }
+                console.log(`     ${slug} → ${after.score} (${after.tier.name}), led by ${after.contributions[0].description}`);
+            }
+        } finally {
+            fs.rmSync(modelDir, { recursive: true, force: true });
+        }
+    }
+    
+    async testEmbeddingBackend() {
+        // A missing model directory fails with a clear error instead of downloading anything
+        const missing = createEmbeddingBackend({ type: 'transformers', modelPath: path.join(os.tmpdir(), 'no_such_model') });
+        try {
+            await missing.load();
+            throw new Error('Loading a missing model should fail');
+        } catch (error) {
+            if (!error.message.includes('No transformers.js model')) {
+                throw error;
+            }
+        }
+        
+        // Intent embeddings come from one batched call over the labelled dataset
+        const batches = [];
+        const hashingBackend = {
+            type: 'hashing',
+            load: async () => {},
+            describe: () => 'hashing',
+            embed: async (texts) => {
+                batches.push(texts.length);
+                return texts.map(text => {
+                    const vector = new Array(64).fill(0);
+                    for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+                        vector[[...word].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 64, 0)] += 1;
+                    }
+                    return vector;
+                });
+            }
+        };
+        
+        const engine = new MLEngine('quality', { embeddingBackend: hashingBackend });
+        await engine.initialize();
+        if (batches.length !== 1 || !engine.intentEmbeddings.stats || !engine.getCapabilities().sentence_embeddings) {
+            throw new Error('Intent embeddings should be computed in one batch from the dataset');
+        }
+        
+        const analysis = await engine.mlEnhancedParameterExtraction('what are gengar base stats');
+        if (analysis.focus !== 'stats') {
+            throw new Error(`Embedding analysis should drive the focus, got ${analysis.focus}`);
+        }
+        console.log(`   ✓ ${batches[0]} examples embedded in one call; focus: ${analysis.focus}`);
+        
+        // With a real local model configured, similar questions should embed closer together
+        const configured = createEmbeddingBackend();
+        if (!configured || !fs.existsSync(path.join(configured.modelPath, configured.type === 'use' ? 'model.json' : 'config.json'))) {
+            console.log('   - No local embedding model configured, skipping real-model check');
+            return;
+        }
+        await configured.load();
+        const [stats, moreStats, weather] = await configured.embed(['What are Gengar\'s base stats?', 'Show me the stats of Gengar', 'Will it rain tomorrow?']);
+        if (engine._cosineSimilarity(stats, moreStats) <= engine._cosineSimilarity(stats, weather)) {
+            throw new Error(`${configured.describe()} does not separate related and unrelated sentences`);
+        }
+        console.log(`   ✓ ${configured.describe()}: ${stats.length} dimensions`);
+    }
+    
     async testSemanticSimilarity() {
         const pokemonTool = new PokemonTool();
         const agent = new TensorFlowAgent({
@@ -358,6 +513,9 @@ class QualityModeTests {
         await this.runTest('Quality Mode Initialization', () => this.testQualityModeInitialization());
         await this.runTest('Performance Mode Comparison', () => this.testPerformanceModeComparison());
         await this.runTest('ML Intent Classification', () => this.testMLIntentClassification());
+        await this.runTest('Intent Model Training', () => this.testIntentModelTraining());
+        await this.runTest('Viability Model', () => this.testViabilityModel());
+        await this.runTest('Embedding Backend', () => this.testEmbeddingBackend());
         await this.runTest('Semantic Similarity', () => this.testSemanticSimilarity());
         await this.runTest('ML vs Pattern Comparison', () => this.testMLvsPatternComparison());
         await this.runTest('Resource Usage', () => this.testResourceUsage());